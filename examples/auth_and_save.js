@@ -1,81 +1,42 @@
-const path = require('path');
-const fs = require('fs');
 const BticinoAuthentication = require('../lib/auth/BticinoAuthentication');
+const { BticinoFileStore } = require('../lib/store/BticinoFileStore');
 
-// Example: authenticate and persist tokens + sipClientId externally
-// - Listens for 'tokenCreated' and saves tokens to examples/token_cache.json
-// - Listens for 'deviceRegistered' and saves sipClientId to examples/sip_account.json
+// Example: authenticate and persist tokens, SIP account and certificates
+// through the built-in file store (no hand-written save/load glue needed):
+// - tokens are saved to examples/token_cache.json on every 'tokenCreated'
+// - the SIP account is saved to examples/sip_account.json on 'deviceRegistered'
+// - certificates are saved to examples/client-certs.json on 'certificatesCreated'
+// Files are written atomically with 0600 permissions and reloaded on restart.
+// Writes finish after the events above: 'stateSaved' / 'stateSaveFailed' report them.
 
-const EX_DIR = __dirname;
 // Keep example artifacts inside examples/ for easy discovery
-const TOKENS_PATH = path.join(EX_DIR, 'token_cache.json');
-const SIP_PATH = path.join(EX_DIR, 'sip_account.json');
-const CERT_BUNDLE_PATH = path.join(EX_DIR, 'client-certs.json');
-
-function saveJson(filePath, payload) {
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(payload, null, 2), 'utf8');
-    console.log('Saved:', filePath);
-  } catch (e) {
-    console.error('Failed saving', filePath, e && e.message);
-  }
-}
-
-function loadJson(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) return null;
-    const raw = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(raw);
-  } catch (e) {
-    console.warn('Failed loading', filePath, e && e.message);
-    return null;
-  }
-}
+const store = new BticinoFileStore(__dirname);
 
 async function main() {
-  const initialTokens = loadJson(TOKENS_PATH);
-  const existingSip = loadJson(SIP_PATH);
-
   const auth = new BticinoAuthentication({
     debug: true,
-    initialTokens: initialTokens
+    store
   });
 
-  // Persist tokens whenever the library emits them
   auth.on('tokenCreated', (tokens, meta) => {
-    try {
-      // tokens is an enriched token object; persist what you need
-      saveJson(TOKENS_PATH, tokens);
-      console.log('tokenCreated event — tokens saved. meta=', meta || null);
-    } catch (e) { console.error('tokenCreated handler error:', e && e.message); }
+    console.log('tokenCreated event — meta=', meta || null);
   });
 
-  // Persist sipClientId and any SIP account info when device registration completes
-  auth.on('deviceRegistered', async (payload) => {
-    try {
-      if (!payload) return;
-      // The payload typically contains sipClientId and other registration metadata
-      const out = { storedAt: new Date().toISOString(), payload };
-      saveJson(SIP_PATH, out);
-      console.log('deviceRegistered event — sip account saved to', SIP_PATH);
-    } catch (e) { console.error('deviceRegistered handler error:', e && e.message); }
+  auth.on('deviceRegistered', () => {
+    console.log('deviceRegistered event');
   });
 
-  // Persist certificates created by the register-device sequence into the examples/ folder (JSON bundle)
-  auth.on('certificatesCreated', (info) => {
-    try {
-      // Support both old payload shape (top-level `certPEM`/`privateKeyPem`)
-      // and the new shape where the full provisioning object is under `info.prov`.
-      const prov = (info && info.prov) ? info.prov : info;
-      if (!prov) return;
-      const certPEM = prov.certPEM || prov.cert || null;
-      const privateKeyPem = prov.privateKeyPem || prov.privateKey || null;
-      if (!certPEM || !privateKeyPem) return;
-      // Save a JSON bundle inside examples/ using the previous keys `cert` and `key`
-      const bundle = { cert: certPEM, key: privateKeyPem };
-      fs.writeFileSync(CERT_BUNDLE_PATH, JSON.stringify(bundle, null, 2), 'utf8');
-      console.log('certificatesCreated — saved JSON bundle to examples/');
-    } catch (e) { console.error('certificatesCreated handler error:', e && e.message); }
+  auth.on('certificatesCreated', () => {
+    console.log('certificatesCreated event');
+  });
+
+  // Logged once the store has written the file (or failed to)
+  auth.on('stateSaved', (key) => {
+    console.log(`${key} saved to`, store.pathFor(key));
+  });
+
+  auth.on('stateSaveFailed', (key, err) => {
+    console.error(`Saving ${key} to`, store.pathFor(key), 'failed:', err && err.message);
   });
 
   // Start the auth flow (this will attempt to use initial tokens, otherwise open browser)
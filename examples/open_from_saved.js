@@ -72,10 +72,10 @@ async function main() {
   console.log('Attempting to open gate', chosenGateId, 'for plant', chosenPlantId);
 
   try {
-    await BticinoControls.openGate(chosenGateId, chosenPlantId, certs.cert, certs.key, sipAccount, { debug: false });
-    console.log('✅ Gate opened successfully');
+    const result = await BticinoControls.openGate(chosenGateId, chosenPlantId, certs.cert, certs.key, sipAccount, { debug: false });
+    console.log(`✅ Gate opened successfully (${result.statusCode} ${result.statusText}, ${result.rttMs} ms)`);
   } catch (err) {
-    console.error('❌ Failed to open gate:', err && err.message ? err.message : err);
+    console.error(`❌ Failed to open gate (${err && err.name}):`, err && err.message ? err.message : err);
   }
 }
 
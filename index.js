@@ -29,6 +29,13 @@
  * await listener.connect();
  * await listener.register();
  * 
+ * @example Persist state automatically across restarts
+ * const { BticinoAuthentication, BticinoFileStore } = require('bticino-door-entry');
+ * 
+ * const auth = new BticinoAuthentication({ store: new BticinoFileStore('./state') });
+ * await auth.authenticate();              // restores tokens, SIP account and certificates
+ * const listener = auth.createSipListener(); // uses the stored SIP account and certificates
+ * 
  * @example Open a gate
  * const { openGate } = require('bticino-door-entry');
  * 
@@ -43,8 +50,54 @@
 
 const BticinoAuthentication = require('./lib/auth/BticinoAuthentication');
 const BticinoApiClient = require('./lib/api/BticinoApiClient');
-const { BticinoSipClient, openGate } = require('./lib/sip/BticinoControls');
+const { BticinoSipClient, openGate, switchStairLight, activateActuator } = require('./lib/sip/BticinoControls');
 const { BticinoSipListener } = require('./lib/sip/BticinoSipListener');
+const { BticinoSipUserAgent } = require('./lib/sip/BticinoSipUserAgent');
+const { BticinoDigest, parseChallenge } = require('./lib/sip/BticinoDigest');
+const { BticinoSipCall } = require('./lib/sip/BticinoSipCall');
+const { parseSdp, serializeSdp, buildSdpAnswer, buildSdpOffer } = require('./lib/sip/BticinoSdp');
+const {
+  BticinoSipError,
+  BticinoSipAuthError,
+  BticinoSipTimeoutError,
+  BticinoGatewayOfflineError,
+  BticinoCommandRejectedError,
+  BticinoLockRejectedError,
+  BticinoJsonRpcError
+} = require('./lib/sip/BticinoSipErrors');
+const { BticinoJsonRpc } = require('./lib/sip/BticinoJsonRpc');
+const { BticinoSipFramer } = require('./lib/sip/BticinoSipFramer');
+const {
+  parseSipMessage,
+  serializeSipMessage,
+  getHeaders,
+  parseNameAddr,
+  parseVia
+} = require('./lib/sip/BticinoSipMessage');
+const { BticinoSipTransactionLayer } = require('./lib/sip/BticinoSipTransaction');
+const {
+  COMMANDS,
+  defineCommand,
+  runCommand,
+  openLock,
+  getLockStatus,
+  parseLockStatus,
+  setStairLight,
+  setActuator,
+  getAnsweringMachine,
+  setAnsweringMachine
+} = require('./lib/sip/BticinoCommands');
+const { NOTIFICATIONS, defineNotification, classifyNotifications } = require('./lib/sip/BticinoNotifications');
+const { parseCallerIdentity } = require('./lib/sip/BticinoCallerId');
+const { BticinoMediaSession } = require('./lib/media/BticinoMediaSession');
+const { BticinoSrtpContext } = require('./lib/media/BticinoSrtp');
+const { BticinoH264Depacketizer } = require('./lib/media/BticinoH264Depacketizer');
+const { BticinoAudioSender } = require('./lib/media/BticinoAudioSender');
+const { BticinoMediaBridge, BticinoMissingDependencyError } = require('./lib/media/BticinoMediaBridge');
+const { BticinoStateStore, STATE_KEYS } = require('./lib/store/BticinoStateStore');
+const { BticinoFileStore } = require('./lib/store/BticinoFileStore');
+const { BticinoMemoryStore } = require('./lib/store/BticinoMemoryStore');
+const { BticinoCredentialVault, rotateVaultPassphrase } = require('./lib/store/BticinoCredentialVault');
 const config = require('./lib/config/config');
 
 // Package metadata
@@ -67,9 +120,114 @@ module.exports = {
   /** SIP listener for receiving doorbell notifications (persistent connection) */
   BticinoSipListener,
   
+  /** Shared SIP core of the listener and client (transport, auth, registration, transactions, commands) */
+  BticinoSipUserAgent,
+  
+  /** SIP digest authentication (MD5/SHA-256, -sess, qop auth/auth-int, nonce counts) */
+  BticinoDigest,
+  parseChallenge,
+  
+  /** Incoming call handle (answer, reject, hang up) emitted with the listener 'invite' event */
+  BticinoSipCall,
+  
+  /** JSON-RPC 2.0 over SIP MESSAGE (`listener.rpc` / `client.rpc`) */
+  BticinoJsonRpc,
+  
+  /** SIP message framing over a TLS/TCP byte stream (Content-Length, CRLF keepalives) */
+  BticinoSipFramer,
+  
+  /** SIP message parser / serializer (repeated and compact headers, folding, name-addr and Via values) */
+  parseSipMessage,
+  serializeSipMessage,
+  getHeaders,
+  parseNameAddr,
+  parseVia,
+  
+  /** RFC 3261 client/server transactions shared by the listener and client (matching, timers B/F/H) */
+  BticinoSipTransactionLayer,
+  
+  /** Gateway command catalogue (validated JSON-RPC methods), run over a client or listener `call()` */
+  COMMANDS,
+  defineCommand,
+  runCommand,
+  openLock,
+  getLockStatus,
+  parseLockStatus,
+  setStairLight,
+  setActuator,
+  getAnsweringMachine,
+  setAnsweringMachine,
+  
+  /** Known gateway notification types (typed listener events) and how MESSAGE bodies are classified */
+  NOTIFICATIONS,
+  defineNotification,
+  classifyNotifications,
+  
+  /** Caller identity of an INVITE (door station / internal unit / switchboard), mapped to plant modules */
+  parseCallerIdentity,
+  
+  /** SDP helpers: parse offers, serialize descriptions, build answers and offers */
+  parseSdp,
+  serializeSdp,
+  buildSdpAnswer,
+  buildSdpOffer,
+  
   /** High-level helper function to open gate */
   openGate,
   
+  /** High-level helpers for the staircase light and auxiliary actuators (same parameters as openGate) */
+  switchStairLight,
+  activateActuator,
+  
+  /** Typed command failures: base class, then auth, timeout, gateway offline, lock rejected, JSON-RPC error */
+  BticinoSipError,
+  BticinoSipAuthError,
+  BticinoSipTimeoutError,
+  BticinoGatewayOfflineError,
+  BticinoCommandRejectedError,
+  BticinoLockRejectedError,
+  BticinoJsonRpcError,
+  
+  // ===== Media =====
+  
+  /** RTP/SRTP receiver for door station video (H.264) and audio (G.711) */
+  BticinoMediaSession,
+  
+  /** SRTP context for SDES keys (AES_CM_128_HMAC_SHA1_80/32) */
+  BticinoSrtpContext,
+  
+  /** H.264 RTP depacketizer producing Annex B access units */
+  BticinoH264Depacketizer,
+  
+  /** Paced RTP/SRTP audio sender (PCM or G.711) for talking back to the door station */
+  BticinoAudioSender,
+  
+  /** RTSP / WebRTC (WHEP) server re-serving the door camera to local viewers */
+  BticinoMediaBridge,
+  
+  /** Thrown when a feature needs an optional package that is not installed (e.g. werift for WHEP) */
+  BticinoMissingDependencyError,
+  
+  // ===== Persistence =====
+  
+  /** Base class / contract for pluggable state stores */
+  BticinoStateStore,
+  
+  /** File-backed state store (atomic writes, 0600 permissions) */
+  BticinoFileStore,
+  
+  /** In-memory state store */
+  BticinoMemoryStore,
+  
+  /** Keys used by the library when saving state */
+  STATE_KEYS,
+  
+  /** Passphrase-based encryption for the SIP password and private key at rest */
+  BticinoCredentialVault,
+  
+  /** Re-encrypt stored secrets under a new passphrase */
+  rotateVaultPassphrase,
+  
   // ===== Configuration =====
   
   /** Centralized configuration constants */
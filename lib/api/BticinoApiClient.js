@@ -4,6 +4,9 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config/config');
 
+// Module `device` types (servicecatalog) that open a door or gate, compared case-insensitively
+const LOCK_DEVICE_TYPES = ['lock', 'doorlock', 'door_lock', 'gate', 'actuator', 'opener'];
+
 /**
  * BticinoApiClient
  * Lightweight wrapper for common BTicino / Legrand developer API endpoints.
@@ -261,6 +264,39 @@ class BticinoApiClient {
     return gw.id || gw.entityId || null;
   }
 
+  /**
+   * List the locks of a plant (door strikes, gates and other actuators that can be opened).
+   * Uses `getModules(plantId)` and keeps modules whose `device` attribute is a lock type
+   * (see `BticinoApiClient.LOCK_DEVICE_TYPES`). Pass the result to `openGate` (`opts.locks`)
+   * to open gates by name.
+   * @param {string} plantId Plant UUID to search modules for
+   * @param {Object} [options]
+   * @param {Array<string>} [options.deviceTypes] Device types to treat as locks (default: LOCK_DEVICE_TYPES)
+   * @returns {Promise<Array<{id: string, name: string, device: string, plantId: string, module: Object}>>}
+   * @example
+   * const locks = await api.getLocks(plantId);
+   * // [{ id: '...', name: 'Pedestrian door', device: 'lock', ... }, { id: '...', name: 'Driveway gate', ... }]
+   */
+  async getLocks(plantId, options = {}) {
+    if (!plantId) throw new Error('plantId is required');
+    const types = (options.deviceTypes || LOCK_DEVICE_TYPES).map(t => String(t).toLowerCase());
+    const modules = await this.getModules(plantId);
+    if (!Array.isArray(modules)) return [];
+    return modules
+      .filter(m => m && types.includes(String(m.device).toLowerCase()))
+      .map((m, i) => {
+        const id = m.id || m.entityId || null;
+        return {
+          id,
+          name: m.name || m.label || m.customName || `Lock ${i + 1}`,
+          device: m.device,
+          plantId: m.plantId || m.plant_id || plantId,
+          module: m
+        };
+      })
+      .filter(lock => lock.id);
+  }
+
   /**
    * List user plants (installations / sites).
    * @returns {Promise<Array>} Array of plant objects
@@ -538,4 +574,7 @@ class BticinoApiClient {
   }
 }
 
+/** Module `device` types treated as locks by getLocks() */
+BticinoApiClient.LOCK_DEVICE_TYPES = LOCK_DEVICE_TYPES;
+
 module.exports = BticinoApiClient;
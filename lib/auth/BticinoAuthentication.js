@@ -1,6 +1,8 @@
 const BticinoProxy = require('./BticinoProxy');
 const BticinoCertificateManager = require('../certs/BticinoCertificateManager');
 const { BticinoSipListener } = require('../sip/BticinoSipListener');
+const { BticinoStateStore, STATE_KEYS } = require('../store/BticinoStateStore');
+const { BticinoCredentialVault, SECRET_FIELDS } = require('../store/BticinoCredentialVault');
 const crypto = require('crypto');
 const EventEmitter = require('events');
 const config = require('../config/config');
@@ -19,6 +21,10 @@ const config = require('../config/config');
  *  8. Emit an event `loginUrl` when an interactive login is required. Payload: an object
  *     containing `{ state, loginUrl, url }` where `loginUrl` is the absolute URL to open
  *     and `url` is the path-only authorize URL.
+ *  9. Optionally load and save tokens, SIP account and certificates through a
+ *     {@link BticinoStateStore} (`options.store`) so restarts need no persistence glue.
+ * 10. Optionally keep the SIP password and private key encrypted at rest with a
+ *     {@link BticinoCredentialVault} (`options.vault`), decrypting them only when needed.
  *
  * Environment variables influencing behaviour (mirrors proxy):
  *  - `DISABLE_LEGRAND_TOKEN=1`  : skip Legrand secondary token
@@ -59,6 +65,8 @@ class BticinoAuthentication extends EventEmitter {
      * @param {number} [options.proxyPort] Optional port override for the local proxy
      * @param {Object} [options.initialTokens] Optional initial tokens object (will be enriched)
      * @param {string|null} [options.successPage=null] Optional HTML template to show after auth capture; passed to the proxy
+     * @param {BticinoStateStore} [options.store] Optional state store used to load/save tokens, SIP account and certificates
+     * @param {BticinoCredentialVault|string} [options.vault] Optional vault (or passphrase) used to encrypt the SIP password and private key
      */
     constructor(options = {}) {
         super();
@@ -74,9 +82,19 @@ class BticinoAuthentication extends EventEmitter {
             installExitHooks: false,
             proxyHost: undefined,
             proxyPort: undefined,
-            successPage: undefined
+            successPage: undefined,
+            store: undefined,
+            vault: undefined
         }, options || {});
 
+        // Accept a passphrase for convenience; keep only the vault (not the passphrase) around
+        this.vault = typeof this.opts.vault === 'string' ? new BticinoCredentialVault(this.opts.vault) : (this.opts.vault || null);
+        this.opts.vault = undefined;
+
+        if (this.opts.store && !BticinoStateStore.isStore(this.opts.store)) {
+            throw new Error('Invalid store: must implement get(), set() and delete()');
+        }
+
         // Build proxy options from resolved opts
         const proxyOpts = {
             debug: !!this.opts.debug,
@@ -91,6 +109,11 @@ class BticinoAuthentication extends EventEmitter {
         this._refreshTimer = null;
         this._sipListener = null; // Track active SIP listener to prevent duplications
 
+        // State restored from / saved to options.store
+        this._stateLoaded = false;
+        this._sipAccount = null;
+        this._certificates = null;
+
         // Initialize certificate manager with matching options
         this.certificateManager = new BticinoCertificateManager(null, {
             autoRenewal: this.opts.autoRefresh, // Mirror token autoRefresh behavior
@@ -101,6 +124,13 @@ class BticinoAuthentication extends EventEmitter {
 
         // Forward certificate manager events to this instance
         this.certificateManager.on('certificatesCreated', (certs, meta) => {
+            if (!meta || meta.source !== 'store') {
+                this._certificates = this._sealState(STATE_KEYS.CERTIFICATES, { cert: certs.certPEM, key: certs.privateKeyPem });
+                this._persistState(STATE_KEYS.CERTIFICATES, {
+                    ...this._certificates,
+                    renewalParams: this.certificateManager.renewalParams || null
+                });
+            }
             try {
                 this.emit('certificatesCreated', certs, meta);
             } catch (e) {
@@ -271,6 +301,11 @@ class BticinoAuthentication extends EventEmitter {
      * @returns {Promise<{code:string|null,state:string|null,tokens?:Object,fromCache?:boolean,refreshed?:boolean}>}
      */
     async authenticate() {
+        // Restore persisted state once (tokens, SIP account, certificates) when a store is configured
+        if (this.opts.store && !this._stateLoaded) {
+            await this.loadState();
+        }
+
         // 0. If tokens were provided programmatically (constructor or setInitialTokens), prefer them first
         if (this.currentTokens) {
             // Normalize/enrich any provided token shape so downstream checks work
@@ -425,7 +460,8 @@ class BticinoAuthentication extends EventEmitter {
         if (!tokens) return;
         const enriched = this._enrich(tokens);
         this.currentTokens = enriched;
-        // Persistence removed: consumer is responsible for storing tokens.
+        // Persist through the configured store (no-op without one)
+        this._persistState(STATE_KEYS.TOKENS, enriched);
         // Emit events for consumers
         try { this.emit('tokenCreated', enriched, meta); } catch (e) { this._log('emit(tokenCreated) error:', e && e.message); }
         if (meta && meta.refresh) {
@@ -555,6 +591,15 @@ class BticinoAuthentication extends EventEmitter {
 
         // Forward important events
         emitter.on('registered', (payload) => {
+            if (payload && payload.result) {
+                this._sipAccount = this._sealState(STATE_KEYS.SIP_ACCOUNT, {
+                    ...payload.result,
+                    clientId: payload.result.clientId || payload.sipClientId,
+                    gatewayId: payload.gatewayId,
+                    plantId: payload.plantId || payload.result.plantId
+                });
+                this._persistState(STATE_KEYS.SIP_ACCOUNT, this._sipAccount);
+            }
             try {
                 this.emit('deviceRegistered', payload);
             } catch (e) {
@@ -615,6 +660,145 @@ class BticinoAuthentication extends EventEmitter {
         return result;
     }
 
+    /**
+     * Load tokens, SIP account and certificates from the configured store.
+     * Called automatically by `authenticate()`; call it explicitly when you need
+     * the stored SIP account/certificates before authenticating.
+     *
+     * Behavior:
+     * - stored tokens are used only when no tokens were provided via `initialTokens`
+     * - stored certificates are handed to the certificate manager so automatic renewal
+     *   resumes after a restart (renewal params are persisted alongside the bundle)
+     * - with a vault configured, the SIP password and private key stay encrypted in the
+     *   returned objects and are decrypted only by `createSipListener()`; secrets still
+     *   stored in plaintext (saved before the vault was enabled) are written back sealed
+     *
+     * @returns {Promise<{tokens:Object|null,sipAccount:Object|null,certificates:Object|null}>}
+     * @throws {Error} If no store is configured or the store fails to read
+     * @example
+     * const auth = new BticinoAuthentication({ store: new BticinoFileStore('./state') });
+     * const { sipAccount, certificates } = await auth.loadState();
+     */
+    async loadState() {
+        const store = this.opts.store;
+        if (!store) throw new Error('No state store configured');
+
+        const [tokens, sipAccount, certificates] = await Promise.all([
+            store.get(STATE_KEYS.TOKENS),
+            store.get(STATE_KEYS.SIP_ACCOUNT),
+            store.get(STATE_KEYS.CERTIFICATES)
+        ]);
+        this._stateLoaded = true;
+
+        if (tokens && !this.currentTokens) {
+            this.currentTokens = this._enrich(tokens);
+            this._log('Tokens loaded from state store');
+            if (this.opts.autoRefresh && this._isStillValid(this.currentTokens)) this._scheduleRefresh(this.currentTokens);
+        }
+
+        const resealed = [];
+        if (sipAccount) {
+            this._sipAccount = this._sealState(STATE_KEYS.SIP_ACCOUNT, sipAccount);
+            this._log('SIP account loaded from state store:', sipAccount.sipUri);
+            if (this._hasPlaintextSecrets(STATE_KEYS.SIP_ACCOUNT, sipAccount)) {
+                resealed.push(this._persistState(STATE_KEYS.SIP_ACCOUNT, this._sipAccount));
+            }
+        }
+
+        if (certificates && certificates.cert && certificates.key) {
+            this._certificates = this._sealState(STATE_KEYS.CERTIFICATES, { cert: certificates.cert, key: certificates.key });
+            if (this._hasPlaintextSecrets(STATE_KEYS.CERTIFICATES, certificates)) {
+                resealed.push(this._persistState(STATE_KEYS.CERTIFICATES, { ...certificates, ...this._certificates }));
+            }
+            try {
+                this.certificateManager.setCertificates(
+                    certificates.cert,
+                    this._openCredentials(this._certificates).key,
+                    certificates.renewalParams || null,
+                    { restored: true, source: 'store' }
+                );
+            } catch (e) {
+                this._warn('Stored certificates could not be parsed (renewal not scheduled):', e && e.message);
+            }
+        }
+
+        if (resealed.length) {
+            this._log('Sealing secrets stored in plaintext');
+            await Promise.all(resealed);
+        }
+
+        return { tokens: this.currentTokens, sipAccount: this._sipAccount, certificates: this._certificates };
+    }
+
+    /**
+     * Get the SIP account registered or restored from the store during this session.
+     * @returns {Object|null}
+     */
+    getSipAccount() {
+        return this._sipAccount;
+    }
+
+    /**
+     * Internal: encrypt the secret fields of a state entry when a vault is configured.
+     * @private
+     * @param {string} key State key (`sipAccount` or `certificates`)
+     * @param {Object} value State value
+     * @returns {Object} Value with secrets sealed (unchanged without a vault)
+     */
+    _sealState(key, value) {
+        if (!this.vault || !SECRET_FIELDS[key]) return value;
+        return this.vault.sealFields(value, SECRET_FIELDS[key]);
+    }
+
+    /**
+     * Internal: whether a stored entry holds secrets in plaintext that the vault would seal.
+     * @private
+     * @param {string} key State key
+     * @param {Object} value Value read from the store
+     * @returns {boolean}
+     */
+    _hasPlaintextSecrets(key, value) {
+        if (!this.vault || !SECRET_FIELDS[key]) return false;
+        return SECRET_FIELDS[key].some(field => typeof value[field] === 'string');
+    }
+
+    /**
+     * Internal: decrypt sealed fields (SIP password, private key) right before use.
+     * @private
+     * @param {Object} value SIP account or certificate bundle, possibly containing envelopes
+     * @returns {Object} Copy with plaintext secrets
+     * @throws {Error} If the value contains envelopes but no vault is configured
+     */
+    _openCredentials(value) {
+        if (!value || typeof value !== 'object') return value;
+        const sealed = Object.values(value).some(v => BticinoCredentialVault.isSealed(v));
+        if (!sealed) return value;
+        if (!this.vault) throw new Error('Credentials are encrypted: a vault (options.vault) is required to open them');
+        return this.vault.openFields(value);
+    }
+
+    /**
+     * Internal: save a state entry through the configured store.
+     * Never throws: failures are logged and reported with 'stateSaveFailed' so persistence
+     * problems don't break auth flows; 'stateSaved' is emitted once the store has written it.
+     * @private
+     * @param {string} key State key
+     * @param {any} value Value to save
+     * @returns {Promise<void>}
+     */
+    _persistState(key, value) {
+        const store = this.opts.store;
+        if (!store) return Promise.resolve();
+        return Promise.resolve()
+            .then(() => store.set(key, value))
+            .then(() => {
+                try { this.emit('stateSaved', key); } catch (e) { this._error('emit(stateSaved) error:', e && e.message); }
+            }, (err) => {
+                this._error(`Failed saving ${key} to state store:`, err && err.message);
+                try { this.emit('stateSaveFailed', key, err); } catch (e) { this._error('emit(stateSaveFailed) error:', e && e.message); }
+            });
+    }
+
     /**
      * Internal: perform scheduled refresh (logs errors, does not throw to caller).
      * @private
@@ -713,20 +897,30 @@ class BticinoAuthentication extends EventEmitter {
      * Create a SIP listener for receiving doorbell notifications.
      * Requires prior device registration and certificate provisioning.
      * 
-     * @param {Object} sipAccount - SIP account from deviceRegistered event or saved data
+     * @param {Object} [sipAccount] - SIP account from deviceRegistered event or saved data
+     *   (defaults to the account registered/restored from the state store when omitted)
      * @param {string} sipAccount.sipUri - SIP URI (e.g., "user_clientId@gateway.bs.iotleg.com")
      * @param {string} sipAccount.sipPassword - SIP password
      * @param {string} sipAccount.plantId - Plant ID
      * @param {string} [sipAccount.gatewayId] - Gateway ID (optional)
-     * @param {Object} certs - Certificates from certificatesCreated event or saved data
+     * @param {Object} [certs] - Certificates from certificatesCreated event or saved data
+     *   (defaults to the certificates provisioned/restored from the state store when omitted)
      * @param {string} certs.cert - Certificate PEM string
      * @param {string} certs.key - Private key PEM string
      * @param {Object} [opts] - Listener options
      * @param {boolean} [opts.debug] - Enable debug logging (inherits from auth if not specified)
-     * @param {boolean} [opts.keepAlive=true] - Re-register periodically
+     * @param {boolean} [opts.keepAlive=true] - Re-register before the registration expires, CRLF pings while registered
      * @param {boolean} [opts.autoReconnect=true] - Reconnect on disconnect
-     * @param {number} [opts.keepAliveInterval] - Keep-alive interval in ms (default: from config.js)
+     * @param {number} [opts.keepAliveInterval] - CRLF ping interval in ms (default: from config.js)
+     * @param {number} [opts.pongTimeout] - Max wait for the pong in ms before reconnecting (default: from config.js)
+     * @param {number} [opts.registerRefresh] - Fraction of the granted expiry after which to re-register (default: from config.js)
      * @param {number} [opts.reconnectDelay] - Reconnect delay in ms (default: from config.js)
+     * @param {boolean} [opts.autoReject] - Reject unanswered calls with 486 (default: true)
+     * @param {number} [opts.autoRejectDelay] - Delay before auto-reject in ms (default: 2000)
+     * @param {boolean} [opts.snapshotOnRing] - Emit 'sip:snapshot' with the first video keyframe of each ring
+     * @param {number} [opts.snapshotTimeout] - Max wait for the keyframe in ms (default: 5000)
+     * @param {string} [opts.mediaAddress] - Local IP address for media sockets
+     * @param {Array<Object>} [opts.modules] - Plant modules (`api.getModules(plantId)`) used to name callers
      * @returns {BticinoSipListener} Configured SIP listener instance
      * @throws {Error} If sipAccount or certs are invalid
      * 
@@ -742,6 +936,14 @@ class BticinoAuthentication extends EventEmitter {
      * await listener.register();
      */
     createSipListener(sipAccount, certs, opts = {}) {
+        // Fall back to state registered in this session or restored from the store
+        if (sipAccount === undefined) sipAccount = this._sipAccount;
+        if (certs === undefined) certs = this._certificates;
+
+        // Decrypt vault-sealed secrets only now, right before handing them to the listener
+        sipAccount = this._openCredentials(sipAccount);
+        certs = this._openCredentials(certs);
+
         // Validate sipAccount
         if (!sipAccount || typeof sipAccount !== 'object') {
             throw new Error('Invalid sipAccount: must be an object');
@@ -795,7 +997,15 @@ class BticinoAuthentication extends EventEmitter {
                 keepAlive: opts.keepAlive !== undefined ? opts.keepAlive : true,
                 autoReconnect: opts.autoReconnect !== undefined ? opts.autoReconnect : true,
                 keepAliveInterval: opts.keepAliveInterval || config.SIP_KEEPALIVE_INTERVAL,
-                reconnectDelay: opts.reconnectDelay || config.SIP_RECONNECT_DELAY
+                ...(opts.registerRefresh !== undefined && { registerRefresh: opts.registerRefresh }),
+                ...(opts.pongTimeout !== undefined && { pongTimeout: opts.pongTimeout }),
+                reconnectDelay: opts.reconnectDelay || config.SIP_RECONNECT_DELAY,
+                autoReject: opts.autoReject !== undefined ? opts.autoReject : true,
+                ...(opts.autoRejectDelay !== undefined && { autoRejectDelay: opts.autoRejectDelay }),
+                snapshotOnRing: Boolean(opts.snapshotOnRing),
+                ...(opts.snapshotTimeout !== undefined && { snapshotTimeout: opts.snapshotTimeout }),
+                ...(opts.mediaAddress !== undefined && { mediaAddress: opts.mediaAddress }),
+                ...(opts.modules !== undefined && { modules: opts.modules })
             }
         );
 
@@ -804,8 +1014,18 @@ class BticinoAuthentication extends EventEmitter {
             'connected',
             'disconnected',
             'registered',
+            'registrationFailed',
+            'unregistered',
             'invite',
             'message',
+            'notification',
+            'lockStatusChanged',
+            'missedCall',
+            'gatewayIpChanged',
+            'topologyChanged',
+            'answeringMachineMessage',
+            'snapshot',
+            'snapshotError',
             'error',
             'certificatesUpdated',
             'certificateUpdateError'
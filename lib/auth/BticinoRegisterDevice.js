@@ -113,7 +113,7 @@ async function BticinoRegisterDevice(auth, api, options = {}) {
         registrationHappened = true;
         // Emit registered event
         try {
-          emitter.emit('registered', { gatewayId, sipClientId, result: res });
+          emitter.emit('registered', { gatewayId, plantId, sipClientId, result: res });
         } catch (e) {
           _error('Failed emitting registered event:', e && e.message);
         }
@@ -43,9 +43,13 @@ module.exports = {
   SIP_PORT: 5228,
   SIP_DOMAIN: 'gateway.bs.iotleg.com',
   SIP_TRANSPORT: 'tls',
+  SIP_CLIENT_USER_AGENT: 'bticino-client/1.0',       // User-Agent header of BticinoSipClient requests
+  SIP_LISTENER_USER_AGENT: 'BticinoSipListener/1.0',  // User-Agent header of BticinoSipListener requests
   
   // SIP Listener Defaults
-  SIP_KEEPALIVE_INTERVAL: 2 * 60 * 1000,  // 2 minutes (reduced from 5 to prevent ETIMEDOUT)
+  SIP_KEEPALIVE_INTERVAL: 2 * 60 * 1000,  // CRLF ping every 80-100% of 2 minutes (RFC 5626: 95-120 s over TCP)
+  SIP_PONG_TIMEOUT: 10 * 1000,             // Flow failed when the pong is later (RFC 5626 §4.4.1)
   SIP_RECONNECT_DELAY: 10 * 1000,          // 10 seconds
-  SIP_REGISTER_EXPIRES: 600                // 10 minutes
+  SIP_REGISTER_EXPIRES: 600,               // 10 minutes
+  SIP_REGISTER_REFRESH: 0.5                // Re-REGISTER at this fraction of the granted expiry
 };
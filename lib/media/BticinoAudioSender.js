@@ -0,0 +1,218 @@
+/**
+ * BTicino Audio Sender - Paced RTP/SRTP audio toward the door station
+ *
+ * Writable stream accepting 16-bit PCM (LE, 8000 Hz mono) or pre-encoded G.711.
+ * Audio is cut into `ptime` frames (default 20 ms = 160 samples), encoded, wrapped
+ * in RTP and optionally protected with SRTP, then sent on a real-time clock:
+ *
+ * - SSRC, initial sequence number and timestamp are random (RFC 3550)
+ * - the sequence number increments by one per packet, the timestamp by the
+ *   number of samples per frame
+ * - when the input runs dry, sending pauses; on resume the timestamp skips the
+ *   silent interval and the marker bit flags the start of the talkspurt
+ *
+ * Writes are accepted until about `maxBufferMs` of audio is queued, then the
+ * stream applies backpressure until the pacer has caught up.
+ */
+
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { performance } = require('perf_hooks');
+const { buildRtpPacket } = require('./BticinoRtp');
+const { encodeUlaw, encodeAlaw } = require('./BticinoG711');
+
+const CODECS = {
+  PCMU: { encode: encodeUlaw, silence: 0xff },
+  PCMA: { encode: encodeAlaw, silence: 0xd5 }
+};
+
+class BticinoAudioSender extends Writable {
+  /**
+   * @param {Function} send Transport: `(packet: Buffer) => void`
+   * @param {Object} opts Options
+   * @param {string} [opts.codec='PCMA'] 'PCMU' or 'PCMA'
+   * @param {number} opts.payloadType Negotiated RTP payload type
+   * @param {string} [opts.input='pcm'] Input format: 'pcm' (s16le 8 kHz mono) or 'g711' (already encoded)
+   * @param {number} [opts.ptime=20] Packet duration (ms)
+   * @param {number} [opts.clockRate=8000] RTP clock rate
+   * @param {BticinoSrtpContext} [opts.srtp] SRTP context (local key) when the stream is secured
+   * @param {number} [opts.ssrc] SSRC (random by default)
+   * @param {number} [opts.maxBufferMs=500] Queued audio before backpressure (ms)
+   */
+  constructor(send, opts = {}) {
+    super();
+    if (typeof send !== 'function') throw new Error('BticinoAudioSender requires a send function');
+
+    const codecName = (opts.codec || 'PCMA').toUpperCase();
+    this.codec = CODECS[codecName];
+    if (!this.codec) throw new Error(`Unsupported audio codec: ${opts.codec}`);
+    if (!Number.isInteger(opts.payloadType)) throw new Error('BticinoAudioSender requires opts.payloadType');
+
+    this._send = send;
+    this.payloadType = opts.payloadType;
+    this.input = opts.input || 'pcm';
+    this.ptime = opts.ptime || 20;
+    this.clockRate = opts.clockRate || 8000;
+    this.srtp = opts.srtp || null;
+
+    this.samplesPerFrame = Math.round(this.clockRate * this.ptime / 1000);
+    this._frameBytes = this.input === 'pcm' ? this.samplesPerFrame * 2 : this.samplesPerFrame;
+    this._maxQueued = Math.ceil((opts.maxBufferMs || 500) / this.ptime) * this._frameBytes;
+
+    // RTP state (random initial values, RFC 3550 5.1)
+    const random = crypto.randomBytes(10);
+    this.ssrc = opts.ssrc !== undefined ? opts.ssrc >>> 0 : random.readUInt32BE(0);
+    this.sequenceNumber = random.readUInt16BE(4);
+    this.timestamp = random.readUInt32BE(6);
+
+    this._queue = [];
+    this._queuedBytes = 0;
+    this._pendingCallback = null;
+    this._finalCallback = null;
+    this._timer = null;
+    this._nextSendTime = null;
+    this._lastSendTime = null;
+    this._marker = true;
+    this.stats = { packetsSent: 0, bytesSent: 0 };
+  }
+
+  _write(chunk, encoding, callback) {
+    this._queue.push(chunk);
+    this._queuedBytes += chunk.length;
+
+    if (!this._timer) this._resume();
+
+    if (this._queuedBytes > this._maxQueued) {
+      this._pendingCallback = callback;
+    } else {
+      callback();
+    }
+  }
+
+  _final(callback) {
+    // Pad the last partial frame with silence so nothing is lost
+    const remainder = this._queuedBytes % this._frameBytes;
+    if (remainder) {
+      const fill = this.input === 'pcm' ? 0 : this.codec.silence;
+      this._queue.push(Buffer.alloc(this._frameBytes - remainder, fill));
+      this._queuedBytes += this._frameBytes - remainder;
+    }
+    if (this._queuedBytes === 0) return callback();
+    this._finalCallback = callback;
+    if (!this._timer) this._resume();
+  }
+
+  _destroy(err, callback) {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._queue = [];
+    this._queuedBytes = 0;
+    callback(err);
+  }
+
+  /**
+   * Restart the pacer after an underrun (or at the beginning).
+   * @private
+   */
+  _resume() {
+    const now = performance.now();
+    if (this._lastSendTime !== null) {
+      // Account for the silent gap in the RTP timestamp
+      const missedFrames = Math.max(0, Math.round((now - this._lastSendTime) / this.ptime) - 1);
+      if (missedFrames > 0) {
+        this.timestamp = (this.timestamp + missedFrames * this.samplesPerFrame) >>> 0;
+        this._marker = true;
+      }
+    }
+    this._nextSendTime = now;
+    this._schedule();
+  }
+
+  /**
+   * @private
+   */
+  _schedule() {
+    const delay = Math.max(0, this._nextSendTime - performance.now());
+    this._timer = setTimeout(() => this._tick(), delay);
+  }
+
+  /**
+   * Send one frame and schedule the next one.
+   * @private
+   */
+  _tick() {
+    this._timer = null;
+    if (this._queuedBytes < this._frameBytes) return; // not a full frame yet: next write resumes
+
+    const frame = this._takeFrame();
+    const payload = this.input === 'pcm' ? this.codec.encode(frame) : frame;
+    let packet = buildRtpPacket({
+      payloadType: this.payloadType,
+      sequenceNumber: this.sequenceNumber,
+      timestamp: this.timestamp,
+      ssrc: this.ssrc,
+      payload,
+      marker: this._marker
+    });
+    if (this.srtp) packet = this.srtp.encryptRtp(packet);
+
+    try {
+      this._send(packet);
+      this.stats.packetsSent++;
+      this.stats.bytesSent += packet.length;
+    } catch (err) {
+      this.destroy(err);
+      return;
+    }
+
+    this._marker = false;
+    this.sequenceNumber = (this.sequenceNumber + 1) & 0xffff;
+    this.timestamp = (this.timestamp + this.samplesPerFrame) >>> 0;
+
+    const now = performance.now();
+    this._lastSendTime = now;
+    this._nextSendTime += this.ptime;
+    // After an event loop stall, resynchronize instead of bursting
+    if (now - this._nextSendTime > 5 * this.ptime) this._nextSendTime = now;
+
+    this._releaseCallbacks();
+    // Underrun: pause until the next write
+    if (this._queuedBytes >= this._frameBytes) this._schedule();
+  }
+
+  /**
+   * @private
+   */
+  _takeFrame() {
+    const frame = Buffer.alloc(this._frameBytes);
+    let offset = 0;
+    while (offset < this._frameBytes) {
+      const head = this._queue[0];
+      const take = Math.min(head.length, this._frameBytes - offset);
+      head.copy(frame, offset, 0, take);
+      offset += take;
+      if (take === head.length) this._queue.shift();
+      else this._queue[0] = head.subarray(take);
+    }
+    this._queuedBytes -= this._frameBytes;
+    return frame;
+  }
+
+  /**
+   * @private
+   */
+  _releaseCallbacks() {
+    if (this._pendingCallback && this._queuedBytes <= this._maxQueued) {
+      const callback = this._pendingCallback;
+      this._pendingCallback = null;
+      callback();
+    }
+    if (this._finalCallback && this._queuedBytes === 0) {
+      const callback = this._finalCallback;
+      this._finalCallback = null;
+      callback();
+    }
+  }
+}
+
+module.exports = { BticinoAudioSender };
@@ -0,0 +1,111 @@
+/**
+ * BTicino G.711 - μ-law (PCMU) and A-law (PCMA) codecs
+ *
+ * Converts between 8-bit G.711 samples and 16-bit signed little-endian PCM
+ * (8000 Hz mono), the format door station audio is negotiated in.
+ */
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+function ulawToLinear(byte) {
+  const u = ~byte & 0xff;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+  return sign ? -magnitude : magnitude;
+}
+
+function linearToUlaw(sample) {
+  let sign = 0;
+  if (sample < 0) {
+    sign = 0x80;
+    sample = -sample;
+  }
+  if (sample > ULAW_CLIP) sample = ULAW_CLIP;
+  sample += ULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (sample >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function alawToLinear(byte) {
+  const a = byte ^ 0x55;
+  const sign = a & 0x80;
+  const exponent = (a >> 4) & 0x07;
+  const mantissa = a & 0x0f;
+  let magnitude = exponent === 0
+    ? (mantissa << 4) + 8
+    : ((mantissa << 4) + 0x108) << (exponent - 1);
+  return sign ? magnitude : -magnitude;
+}
+
+function linearToAlaw(sample) {
+  let sign = 0x80;
+  if (sample < 0) {
+    sign = 0;
+    sample = -sample - 1;
+  }
+  if (sample > 32767) sample = 32767;
+
+  let result;
+  if (sample < 256) {
+    result = sample >> 4;
+  } else {
+    let exponent = 1;
+    while (exponent < 7 && sample >= (256 << exponent)) exponent++;
+    result = (exponent << 4) | ((sample >> (exponent + 3)) & 0x0f);
+  }
+  return (result | sign) ^ 0x55;
+}
+
+function decode(buf, toLinear) {
+  const pcm = Buffer.alloc(buf.length * 2);
+  for (let i = 0; i < buf.length; i++) pcm.writeInt16LE(toLinear(buf[i]), i * 2);
+  return pcm;
+}
+
+function encode(pcm, fromLinear) {
+  const samples = pcm.length >> 1;
+  const out = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) out[i] = fromLinear(pcm.readInt16LE(i * 2));
+  return out;
+}
+
+/**
+ * Decode μ-law samples to 16-bit PCM (LE).
+ * @param {Buffer} buf μ-law payload
+ * @returns {Buffer}
+ */
+const decodeUlaw = (buf) => decode(buf, ulawToLinear);
+
+/**
+ * Decode A-law samples to 16-bit PCM (LE).
+ * @param {Buffer} buf A-law payload
+ * @returns {Buffer}
+ */
+const decodeAlaw = (buf) => decode(buf, alawToLinear);
+
+/**
+ * Encode 16-bit PCM (LE) to μ-law.
+ * @param {Buffer} pcm PCM samples
+ * @returns {Buffer}
+ */
+const encodeUlaw = (pcm) => encode(pcm, linearToUlaw);
+
+/**
+ * Encode 16-bit PCM (LE) to A-law.
+ * @param {Buffer} pcm PCM samples
+ * @returns {Buffer}
+ */
+const encodeAlaw = (pcm) => encode(pcm, linearToAlaw);
+
+module.exports = {
+  decodeUlaw,
+  decodeAlaw,
+  encodeUlaw,
+  encodeAlaw
+};
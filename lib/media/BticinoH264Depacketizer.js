@@ -0,0 +1,175 @@
+/**
+ * BTicino H.264 Depacketizer - RTP payload to Annex B access units (RFC 6184)
+ *
+ * Handles single NAL unit packets, STAP-A aggregation and FU-A fragmentation
+ * (packetization-mode 0 and 1). Access units are completed on the RTP marker bit
+ * or a timestamp change and returned as Annex B byte streams (start code prefixed)
+ * ready for a decoder or an `.h264` file.
+ *
+ * The most recent SPS/PPS are remembered and prepended to keyframes that do not
+ * carry them, so every IDR access unit is decodable on its own.
+ */
+
+const START_CODE = Buffer.from([0x00, 0x00, 0x00, 0x01]);
+
+/**
+ * H.264 NAL unit types used here.
+ * @constant {Object}
+ */
+const NAL_TYPES = Object.freeze({
+  SLICE: 1,
+  IDR: 5,
+  SEI: 6,
+  SPS: 7,
+  PPS: 8,
+  AUD: 9,
+  STAP_A: 24,
+  FU_A: 28
+});
+
+class BticinoH264Depacketizer {
+  constructor() {
+    this._nals = [];          // NAL units of the current access unit
+    this._timestamp = null;   // RTP timestamp of the current access unit
+    this._fragments = null;   // FU-A fragments being reassembled
+    this._lastSeq = null;
+    this._corrupted = false;  // packet loss inside the current access unit
+    this.sps = null;
+    this.pps = null;
+  }
+
+  /**
+   * Feed one RTP packet.
+   *
+   * @param {Object} packet Parsed RTP packet (see parseRtpPacket)
+   * @returns {Array<Object>} Completed access units:
+   *   `{data: Buffer, timestamp, keyframe, nalTypes: Array<number>}` (usually 0 or 1)
+   */
+  push(packet) {
+    const frames = [];
+
+    // Timestamp change without marker: previous access unit is complete
+    if (this._timestamp !== null && packet.timestamp !== this._timestamp) {
+      const frame = this._flush();
+      if (frame) frames.push(frame);
+    }
+
+    // Sequence gap: drop partial FU-A and mark the access unit as damaged
+    if (this._lastSeq !== null && packet.sequenceNumber !== ((this._lastSeq + 1) & 0xffff)) {
+      this._fragments = null;
+      if (this._nals.length) this._corrupted = true;
+    }
+    this._lastSeq = packet.sequenceNumber;
+    this._timestamp = packet.timestamp;
+
+    this._depacketize(packet.payload);
+
+    if (packet.marker) {
+      const frame = this._flush();
+      if (frame) frames.push(frame);
+    }
+    return frames;
+  }
+
+  /**
+   * Discard any partial state (e.g. when a stream restarts).
+   */
+  reset() {
+    this._nals = [];
+    this._timestamp = null;
+    this._fragments = null;
+    this._lastSeq = null;
+    this._corrupted = false;
+  }
+
+  /**
+   * @private
+   */
+  _depacketize(payload) {
+    if (!payload || payload.length < 1) return;
+    const type = payload[0] & 0x1f;
+
+    if (type >= 1 && type <= 23) {
+      this._addNal(payload);
+    } else if (type === NAL_TYPES.STAP_A) {
+      let offset = 1;
+      while (offset + 2 <= payload.length) {
+        const size = payload.readUInt16BE(offset);
+        offset += 2;
+        if (size === 0 || offset + size > payload.length) break;
+        this._addNal(payload.subarray(offset, offset + size));
+        offset += size;
+      }
+    } else if (type === NAL_TYPES.FU_A) {
+      if (payload.length < 2) return;
+      const indicator = payload[0];
+      const header = payload[1];
+      const start = Boolean(header & 0x80);
+      const end = Boolean(header & 0x40);
+
+      if (start) {
+        const nalHeader = (indicator & 0xe0) | (header & 0x1f);
+        this._fragments = [Buffer.from([nalHeader]), payload.subarray(2)];
+      } else if (this._fragments) {
+        this._fragments.push(payload.subarray(2));
+      }
+      // Fragments without a start (lost first packet) are ignored
+
+      if (end && this._fragments) {
+        this._addNal(Buffer.concat(this._fragments));
+        this._fragments = null;
+      }
+    }
+    // STAP-B, MTAP and FU-B (interleaved mode) are not used by door stations
+  }
+
+  /**
+   * @private
+   */
+  _addNal(nal) {
+    const type = nal[0] & 0x1f;
+    if (type === NAL_TYPES.SPS) this.sps = Buffer.from(nal);
+    if (type === NAL_TYPES.PPS) this.pps = Buffer.from(nal);
+    this._nals.push(Buffer.from(nal));
+  }
+
+  /**
+   * @private
+   */
+  _flush() {
+    const nals = this._nals;
+    const timestamp = this._timestamp;
+    const corrupted = this._corrupted;
+    this._nals = [];
+    this._fragments = null;
+    this._corrupted = false;
+
+    if (!nals.length || corrupted) return null;
+
+    const nalTypes = nals.map(n => n[0] & 0x1f);
+    const keyframe = nalTypes.includes(NAL_TYPES.IDR);
+
+    // Make keyframes self-contained
+    if (keyframe) {
+      if (!nalTypes.includes(NAL_TYPES.PPS) && this.pps) { nals.unshift(this.pps); nalTypes.unshift(NAL_TYPES.PPS); }
+      if (!nalTypes.includes(NAL_TYPES.SPS) && this.sps) { nals.unshift(this.sps); nalTypes.unshift(NAL_TYPES.SPS); }
+    }
+
+    const parts = [];
+    for (const nal of nals) parts.push(START_CODE, nal);
+
+    return {
+      data: Buffer.concat(parts),
+      timestamp,
+      keyframe,
+      // Decodable: an IDR with parameter sets available
+      decodable: !keyframe || (nalTypes.includes(NAL_TYPES.SPS) && nalTypes.includes(NAL_TYPES.PPS)),
+      nalTypes
+    };
+  }
+}
+
+module.exports = {
+  BticinoH264Depacketizer,
+  NAL_TYPES
+};
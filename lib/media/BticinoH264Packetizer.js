@@ -0,0 +1,72 @@
+/**
+ * BTicino H.264 Packetizer - Annex B access units to RTP payloads (RFC 6184)
+ *
+ * Counterpart of BticinoH264Depacketizer, used when re-serving the door camera:
+ * NAL units that fit the MTU are sent as single NAL unit packets, larger ones
+ * are split into FU-A fragments (packetization-mode=1).
+ */
+
+const DEFAULT_MTU = 1200;
+
+/**
+ * Split an Annex B byte stream into NAL units (start codes removed).
+ * @param {Buffer} data Annex B access unit
+ * @returns {Array<Buffer>}
+ */
+function splitAnnexB(data) {
+  const nals = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && (data[i + 2] === 1 || (data[i + 2] === 0 && data[i + 3] === 1))) {
+      const codeLength = data[i + 2] === 1 ? 3 : 4;
+      if (start >= 0) nals.push(data.subarray(start, i));
+      start = i + codeLength;
+      i = start;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < data.length) nals.push(data.subarray(start));
+  return nals.filter(n => n.length > 0);
+}
+
+/**
+ * Packetize NAL units of one access unit into RTP payloads.
+ * The marker bit belongs on the last payload returned.
+ *
+ * @param {Array<Buffer>|Buffer} nals NAL units (or an Annex B access unit)
+ * @param {number} [mtu=1200] Maximum payload size
+ * @returns {Array<Buffer>} RTP payloads in sending order
+ */
+function packetizeH264(nals, mtu = DEFAULT_MTU) {
+  const units = Buffer.isBuffer(nals) ? splitAnnexB(nals) : nals;
+  const payloads = [];
+
+  for (const nal of units) {
+    if (nal.length <= mtu) {
+      payloads.push(nal);
+      continue;
+    }
+
+    // FU-A: indicator keeps F/NRI with type 28, header carries S/E and the NAL type
+    const indicator = (nal[0] & 0xe0) | 28;
+    const type = nal[0] & 0x1f;
+    const chunk = mtu - 2;
+    for (let offset = 1; offset < nal.length; offset += chunk) {
+      const start = offset === 1 ? 0x80 : 0;
+      const end = offset + chunk >= nal.length ? 0x40 : 0;
+      payloads.push(Buffer.concat([
+        Buffer.from([indicator, start | end | type]),
+        nal.subarray(offset, offset + chunk)
+      ]));
+    }
+  }
+  return payloads;
+}
+
+module.exports = {
+  splitAnnexB,
+  packetizeH264,
+  DEFAULT_MTU
+};
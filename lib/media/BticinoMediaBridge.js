@@ -0,0 +1,690 @@
+/**
+ * BTicino Media Bridge - Re-serve the door camera over RTSP and WebRTC (WHEP)
+ *
+ * Takes the media of an answered call (a {@link BticinoMediaSession}) and serves it
+ * to local viewers such as Home Assistant, an NVR or a browser:
+ *
+ * - RTSP (RFC 2326) at `rtsp://<host>:<rtspPort>/<path>`: H.264 video (PT 96) and
+ *   PCMA audio (PT 8), RTP interleaved over the RTSP TCP connection
+ * - WHEP (optional) at `http://<host>:<whepPort>/whep/<path>`: WebRTC playback.
+ *   Needs the optional `werift` package (`npm install werift`); without it start()
+ *   rejects with a BticinoMissingDependencyError
+ *
+ * The servers listen on the loopback interface by default. Before listening on
+ * another interface, set `auth` (HTTP Basic credentials required by RTSP and WHEP)
+ * or explicitly opt out with `allowAnonymous`. CORS headers are only sent to the
+ * `origin` configured for browser players.
+ *
+ * Viewers start on the next keyframe. When a viewer connects while no call is
+ * attached, `demand` is emitted and DESCRIBE waits up to `sourceTimeout` for
+ * {@link BticinoMediaBridge#attach} so the application can answer/place a call on demand.
+ *
+ * @class BticinoMediaBridge
+ * @extends EventEmitter
+ *
+ * @emits listening - Servers started: {rtspUrl, whepUrl}
+ * @emits demand - A viewer wants media but no source is attached
+ * @emits clientConnected - Viewer connected: {type: 'rtsp'|'whep', id, remoteAddress}
+ * @emits clientDisconnected - Viewer left: {type, id}
+ * @emits idle - Last viewer left
+ * @emits sourceEnded - The attached media session stopped
+ *
+ * @example
+ * const bridge = new BticinoMediaBridge({
+ *   host: '0.0.0.0',
+ *   auth: { username: 'viewer', password: process.env.BRIDGE_PASSWORD },
+ *   rtspPort: 8554,
+ *   whepPort: 8889
+ * });
+ * await bridge.start();
+ * auth.on('sip:invite', async (callInfo, call) => {
+ *   const media = await call.answerWithMedia();
+ *   bridge.attach(media);
+ * });
+ * // ffplay rtsp://viewer:<password>@localhost:8554/door
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const express = require('express');
+const { serializeSdp } = require('../sip/BticinoSdp');
+const { buildRtpPacket } = require('./BticinoRtp');
+const { packetizeH264, splitAnnexB, DEFAULT_MTU } = require('./BticinoH264Packetizer');
+const { encodeAlaw } = require('./BticinoG711');
+
+const VIDEO_PAYLOAD_TYPE = 96;
+const AUDIO_PAYLOAD_TYPE = 8;
+const MAX_REQUEST_SIZE = 64 * 1024;
+const MAX_CLIENT_BACKLOG = 2 * 1024 * 1024;
+const RTSP_SESSION_TIMEOUT = 60;
+const AUTH_REALM = 'bticino-door-entry';
+const LOOPBACK_HOSTS = ['localhost', '::1'];
+
+const WEBRTC_UNAVAILABLE_MESSAGE =
+  "WebRTC (WHEP) needs the optional 'werift' package. Install it with: npm install werift";
+
+/**
+ * An optional package needed by the requested feature is not installed.
+ */
+class BticinoMissingDependencyError extends Error {
+  /**
+   * @param {string} moduleName Package to install
+   * @param {string} message Error message (says how to install it)
+   */
+  constructor(moduleName, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = 'MODULE_NOT_FOUND';
+    this.moduleName = moduleName;
+  }
+}
+
+const TRACKS = {
+  video: { id: 0, payloadType: VIDEO_PAYLOAD_TYPE },
+  audio: { id: 1, payloadType: AUDIO_PAYLOAD_TYPE }
+};
+
+/**
+ * Load the optional WebRTC stack.
+ * @private
+ * @returns {Object} werift module
+ * @throws {BticinoMissingDependencyError} When werift is not installed
+ */
+function loadWerift() {
+  try {
+    return require('werift');
+  } catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND' && /'werift'/.test(err.message)) {
+      throw new BticinoMissingDependencyError('werift', WEBRTC_UNAVAILABLE_MESSAGE);
+    }
+    throw err;
+  }
+}
+
+function isLoopback(host) {
+  return LOOPBACK_HOSTS.includes(host) || /^127\./.test(host) || host === '::ffff:127.0.0.1';
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Check an `Authorization: Basic` header against the configured credentials.
+ * @private
+ */
+function checkBasicAuth(header, auth) {
+  const match = /^Basic\s+(\S+)$/i.exec(header || '');
+  if (!match) return false;
+  const expected = `${auth.username}:${auth.password}`;
+  return crypto.timingSafeEqual(sha256(Buffer.from(match[1], 'base64').toString()), sha256(expected));
+}
+
+/**
+ * Parse an RTSP request head.
+ * @private
+ */
+function parseRtspRequest(head, body) {
+  const [requestLine, ...lines] = head.split('\r\n');
+  const [method, url] = requestLine.split(' ');
+  const headers = {};
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return { method, url, headers, body };
+}
+
+/**
+ * RTP state of one track sent to one viewer.
+ * @private
+ */
+function createTrackState(kind, extra = {}) {
+  const random = crypto.randomBytes(6);
+  return {
+    payloadType: TRACKS[kind].payloadType,
+    ssrc: random.readUInt32BE(0),
+    sequenceNumber: random.readUInt16BE(4),
+    ...extra
+  };
+}
+
+function nextPacket(track, payload, timestamp, marker) {
+  const packet = buildRtpPacket({
+    payloadType: track.payloadType,
+    sequenceNumber: track.sequenceNumber,
+    timestamp,
+    ssrc: track.ssrc,
+    payload,
+    marker
+  });
+  track.sequenceNumber = (track.sequenceNumber + 1) & 0xffff;
+  return packet;
+}
+
+class BticinoMediaBridge extends EventEmitter {
+  /**
+   * @param {Object} [opts] Options
+   * @param {string} [opts.host='127.0.0.1'] Interface to listen on
+   * @param {{username: string, password: string}} [opts.auth] Credentials viewers must send
+   *   (HTTP Basic, on RTSP and WHEP)
+   * @param {boolean} [opts.allowAnonymous=false] Listen on a non-loopback interface without `auth`
+   * @param {string} [opts.origin] Origin allowed to call WHEP from a browser (CORS, default: none)
+   * @param {number} [opts.rtspPort=8554] RTSP port (0 = any free port)
+   * @param {number|null} [opts.whepPort=null] WHEP HTTP port (null = disabled)
+   * @param {string} [opts.path='door'] Stream path (`rtsp://host:port/<path>`, `/whep/<path>`)
+   * @param {boolean} [opts.audio=true] Also serve the door station audio (PCMA)
+   * @param {number} [opts.sourceTimeout=10000] How long DESCRIBE waits for a source (ms)
+   * @param {number} [opts.mtu=1200] Max RTP payload size
+   * @param {boolean} [opts.debug] Enable debug logging
+   */
+  constructor(opts = {}) {
+    super();
+    this.opts = {
+      host: '127.0.0.1',
+      auth: null,
+      allowAnonymous: false,
+      origin: null,
+      rtspPort: 8554,
+      whepPort: null,
+      path: 'door',
+      audio: true,
+      sourceTimeout: 10000,
+      mtu: DEFAULT_MTU,
+      debug: false,
+      ...opts
+    };
+
+    this.source = null;
+    this._sourceListeners = null;
+    this._sps = null;
+    this._pps = null;
+
+    this._rtspServer = null;
+    this._httpServer = null;
+    this._werift = null;
+    this._viewers = new Map(); // id -> viewer { type, id, tracks, waitingKeyframe, send(kind, packet), close() }
+
+    // Logging
+    this._log = (...args) => { if (this.opts.debug) console.log('[MediaBridge]', ...args); };
+    this._warn = (...args) => { if (this.opts.debug) console.warn('[MediaBridge]', ...args); };
+    this._error = (...args) => console.error('[MediaBridge]', ...args);
+  }
+
+  /**
+   * RTSP URL of the stream (after start()).
+   * @returns {string|null}
+   */
+  get rtspUrl() {
+    if (!this._rtspServer) return null;
+    return `rtsp://${this._publicHost()}:${this._rtspServer.address().port}/${this.opts.path}`;
+  }
+
+  /**
+   * WHEP endpoint URL (after start(), when enabled).
+   * @returns {string|null}
+   */
+  get whepUrl() {
+    if (!this._httpServer) return null;
+    return `http://${this._publicHost()}:${this._httpServer.address().port}/whep/${this.opts.path}`;
+  }
+
+  /**
+   * Number of connected viewers.
+   * @returns {number}
+   */
+  get viewerCount() {
+    return this._viewers.size;
+  }
+
+  /**
+   * Start the RTSP server (and the WHEP endpoint when whepPort is set).
+   * @returns {Promise<void>}
+   * @throws {Error} When listening on a non-loopback interface without `auth` or `allowAnonymous`
+   * @throws {BticinoMissingDependencyError} When WHEP is enabled but werift is not installed
+   */
+  async start() {
+    if (this._rtspServer) return;
+
+    const { auth, host } = this.opts;
+    if (auth && (typeof auth.username !== 'string' || typeof auth.password !== 'string')) {
+      throw new Error('opts.auth requires a username and a password');
+    }
+    if (!auth && !this.opts.allowAnonymous && !isLoopback(host)) {
+      throw new Error(`Refusing to serve the door camera on ${host} without opts.auth (set allowAnonymous to override)`);
+    }
+    const whepEnabled = this.opts.whepPort !== null && this.opts.whepPort !== undefined;
+    if (whepEnabled) this._werift = loadWerift();
+
+    this._rtspServer = net.createServer((socket) => this._handleRtspConnection(socket));
+    await new Promise((resolve, reject) => {
+      this._rtspServer.once('error', reject);
+      this._rtspServer.listen(this.opts.rtspPort, this.opts.host, () => {
+        this._rtspServer.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    if (whepEnabled) {
+      const app = this._createWhepApp();
+      await new Promise((resolve, reject) => {
+        this._httpServer = app.listen(this.opts.whepPort, this.opts.host, resolve);
+        this._httpServer.once('error', reject);
+      });
+    }
+
+    this._log(`RTSP: ${this.rtspUrl}${this.whepUrl ? `, WHEP: ${this.whepUrl}` : ''}`);
+    this.emit('listening', { rtspUrl: this.rtspUrl, whepUrl: this.whepUrl });
+  }
+
+  /**
+   * Disconnect all viewers and close the servers.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.detach();
+    for (const viewer of [...this._viewers.values()]) viewer.close();
+    this._viewers.clear();
+
+    const close = (server) => new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    const servers = [this._rtspServer, this._httpServer];
+    this._rtspServer = null;
+    this._httpServer = null;
+    await Promise.all(servers.map(close));
+  }
+
+  /**
+   * Use a media session as the source for all viewers (replaces the current one).
+   * @param {BticinoMediaSession} source Media session of an answered call
+   */
+  attach(source) {
+    if (!source || !source.video) throw new Error('attach() requires a BticinoMediaSession');
+    this.detach();
+
+    const onVideo = (frame) => this._handleVideoFrame(frame);
+    const onAudio = (frame) => this._handleAudioFrame(frame);
+    const onStopped = () => {
+      this.detach();
+      this.emit('sourceEnded');
+    };
+    source.video.on('data', onVideo);
+    if (source.audio) source.audio.on('data', onAudio);
+    source.once('stopped', onStopped);
+
+    this.source = source;
+    this._sourceListeners = { onVideo, onAudio, onStopped };
+    // Viewers must resynchronize on the new stream
+    for (const viewer of this._viewers.values()) viewer.waitingKeyframe = true;
+    this._log('Source attached');
+    this.emit('sourceAttached');
+  }
+
+  /**
+   * Stop forwarding the current source (viewers stay connected).
+   */
+  detach() {
+    if (!this.source) return;
+    const { onVideo, onAudio, onStopped } = this._sourceListeners;
+    this.source.video.removeListener('data', onVideo);
+    if (this.source.audio) this.source.audio.removeListener('data', onAudio);
+    this.source.removeListener('stopped', onStopped);
+    this.source = null;
+    this._sourceListeners = null;
+    this._log('Source detached');
+  }
+
+  // ===== Media forwarding =====
+
+  _handleVideoFrame(frame) {
+    const nals = packetizeH264(frame.data, this.opts.mtu);
+    if (frame.keyframe) this._rememberParameterSets(frame.data);
+
+    for (const viewer of this._viewers.values()) {
+      const track = viewer.tracks.video;
+      if (!track || !viewer.playing) continue;
+      if (viewer.waitingKeyframe) {
+        if (!frame.keyframe) continue;
+        viewer.waitingKeyframe = false;
+      }
+      nals.forEach((payload, i) => {
+        viewer.send('video', nextPacket(track, payload, frame.timestamp, i === nals.length - 1));
+      });
+    }
+  }
+
+  _handleAudioFrame(frame) {
+    if (!this.opts.audio || frame.codec !== 'pcm_s16le') return;
+    const payload = encodeAlaw(frame.data);
+    for (const viewer of this._viewers.values()) {
+      const track = viewer.tracks.audio;
+      if (!track || !viewer.playing || viewer.waitingKeyframe) continue;
+      viewer.send('audio', nextPacket(track, payload, frame.timestamp, false));
+    }
+  }
+
+  _rememberParameterSets(annexB) {
+    for (const nal of splitAnnexB(annexB)) {
+      const type = nal[0] & 0x1f;
+      if (type === 7) this._sps = Buffer.from(nal);
+      if (type === 8) this._pps = Buffer.from(nal);
+    }
+  }
+
+  _waitForSource() {
+    if (this.source) return Promise.resolve(true);
+    this.emit('demand');
+    return new Promise((resolve) => {
+      const onAttached = () => { clearTimeout(timer); resolve(true); };
+      const timer = setTimeout(() => {
+        this.removeListener('sourceAttached', onAttached);
+        resolve(false);
+      }, this.opts.sourceTimeout);
+      this.once('sourceAttached', onAttached);
+    });
+  }
+
+  _addViewer(viewer) {
+    this._viewers.set(viewer.id, viewer);
+    this.emit('clientConnected', { type: viewer.type, id: viewer.id, remoteAddress: viewer.remoteAddress });
+  }
+
+  _removeViewer(viewer) {
+    if (!this._viewers.delete(viewer.id)) return;
+    this.emit('clientDisconnected', { type: viewer.type, id: viewer.id });
+    if (this._viewers.size === 0) this.emit('idle');
+  }
+
+  // ===== RTSP =====
+
+  /**
+   * Session description served on DESCRIBE.
+   * @private
+   */
+  _describe() {
+    const videoFmtp = ['packetization-mode=1'];
+    if (this._sps && this._pps) {
+      videoFmtp.push(`profile-level-id=${this._sps.subarray(1, 4).toString('hex').toUpperCase()}`);
+      videoFmtp.push(`sprop-parameter-sets=${this._sps.toString('base64')},${this._pps.toString('base64')}`);
+    }
+
+    const media = [{
+      type: 'video',
+      port: 0,
+      protocol: 'RTP/AVP',
+      formats: [VIDEO_PAYLOAD_TYPE],
+      codecs: [{ payloadType: VIDEO_PAYLOAD_TYPE, name: 'H264', clockRate: 90000, fmtp: videoFmtp.join(';') }],
+      attributes: [{ name: 'control', value: `trackID=${TRACKS.video.id}` }]
+    }];
+    if (this.opts.audio) {
+      media.push({
+        type: 'audio',
+        port: 0,
+        protocol: 'RTP/AVP',
+        formats: [AUDIO_PAYLOAD_TYPE],
+        codecs: [{ payloadType: AUDIO_PAYLOAD_TYPE, name: 'PCMA', clockRate: 8000 }],
+        attributes: [{ name: 'control', value: `trackID=${TRACKS.audio.id}` }]
+      });
+    }
+
+    return serializeSdp({
+      origin: { username: '-', sessionId: String(Date.now()), sessionVersion: '1', address: this._publicHost() },
+      sessionName: 'BTicino Door',
+      connection: { address: '0.0.0.0' },
+      attributes: [{ name: 'control', value: '*' }],
+      media
+    });
+  }
+
+  _handleRtspConnection(socket) {
+    const viewer = {
+      type: 'rtsp',
+      id: crypto.randomBytes(8).toString('hex'),
+      remoteAddress: socket.remoteAddress,
+      tracks: {},
+      playing: false,
+      waitingKeyframe: true,
+      send: (kind, packet) => {
+        const track = viewer.tracks[kind];
+        if (socket.destroyed) return;
+        // Slow viewer: skip media until it catches up, then restart on a keyframe
+        if (socket.writableLength > MAX_CLIENT_BACKLOG) {
+          viewer.waitingKeyframe = true;
+          return;
+        }
+        const header = Buffer.from([0x24, track.channel, 0, 0]);
+        header.writeUInt16BE(packet.length, 2);
+        socket.write(Buffer.concat([header, packet]));
+      },
+      close: () => socket.destroy()
+    };
+    let buffer = Buffer.alloc(0);
+
+    this._log(`RTSP client connected: ${socket.remoteAddress}`);
+    this._addViewer(viewer);
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length) {
+        // Interleaved data from the client (RTCP receiver reports): ignored
+        if (buffer[0] === 0x24) {
+          if (buffer.length < 4) return;
+          const length = 4 + buffer.readUInt16BE(2);
+          if (buffer.length < length) return;
+          buffer = buffer.subarray(length);
+          continue;
+        }
+
+        const headerEnd = buffer.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+          if (buffer.length > MAX_REQUEST_SIZE) socket.destroy();
+          return;
+        }
+        const head = buffer.subarray(0, headerEnd).toString();
+        const lengthMatch = head.match(/\r\ncontent-length:\s*(\d+)/i);
+        const total = headerEnd + 4 + (lengthMatch ? parseInt(lengthMatch[1], 10) : 0);
+        if (buffer.length < total) return;
+
+        const request = parseRtspRequest(head, buffer.subarray(headerEnd + 4, total).toString());
+        buffer = buffer.subarray(total);
+        this._handleRtspRequest(viewer, socket, request).catch((err) => {
+          this._error('RTSP request failed:', err.message);
+          socket.destroy();
+        });
+      }
+    });
+
+    socket.on('error', (err) => this._warn('RTSP socket error:', err.message));
+    socket.on('close', () => {
+      this._log(`RTSP client disconnected: ${socket.remoteAddress}`);
+      this._removeViewer(viewer);
+    });
+  }
+
+  async _handleRtspRequest(viewer, socket, request) {
+    const cseq = request.headers['cseq'];
+    const reply = (statusCode, statusText, headers = {}, body = '') => {
+      let response = `RTSP/1.0 ${statusCode} ${statusText}\r\nCSeq: ${cseq}\r\nServer: bticino-door-entry\r\n`;
+      for (const [name, value] of Object.entries(headers)) response += `${name}: ${value}\r\n`;
+      response += `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+      if (!socket.destroyed) socket.write(response);
+    };
+    const sessionHeader = { Session: `${viewer.id};timeout=${RTSP_SESSION_TIMEOUT}` };
+
+    this._log(`RTSP ${request.method} ${request.url}`);
+
+    const requestPath = (request.url || '').replace(/^rtsp:\/\/[^/]+/i, '').split('?')[0].replace(/^\/+/, '');
+    if (request.method !== 'OPTIONS' && requestPath.split('/')[0] !== this.opts.path && request.url !== '*') {
+      return reply(404, 'Not Found');
+    }
+    if (this.opts.auth && request.method !== 'OPTIONS' && !checkBasicAuth(request.headers['authorization'], this.opts.auth)) {
+      return reply(401, 'Unauthorized', { 'WWW-Authenticate': `Basic realm="${AUTH_REALM}"` });
+    }
+
+    switch (request.method) {
+      case 'OPTIONS':
+        return reply(200, 'OK', { Public: 'OPTIONS, DESCRIBE, SETUP, PLAY, PAUSE, TEARDOWN, GET_PARAMETER' });
+
+      case 'DESCRIBE': {
+        if (!(await this._waitForSource())) {
+          return reply(503, 'Service Unavailable');
+        }
+        const base = request.url.endsWith('/') ? request.url : `${request.url}/`;
+        return reply(200, 'OK', { 'Content-Type': 'application/sdp', 'Content-Base': base }, this._describe());
+      }
+
+      case 'SETUP': {
+        const trackMatch = request.url.match(/trackID=(\d+)/);
+        const kind = Object.keys(TRACKS).find(k => trackMatch && TRACKS[k].id === parseInt(trackMatch[1], 10));
+        if (!kind || (kind === 'audio' && !this.opts.audio)) return reply(404, 'Not Found');
+
+        const transport = request.headers['transport'] || '';
+        const interleaved = transport.match(/interleaved=(\d+)(?:-(\d+))?/);
+        if (!/RTP\/AVP\/TCP/i.test(transport) || !interleaved) {
+          // Only RTP over the RTSP connection: works through NAT and firewalls
+          return reply(461, 'Unsupported Transport');
+        }
+        const channel = parseInt(interleaved[1], 10);
+        const rtcpChannel = interleaved[2] !== undefined ? parseInt(interleaved[2], 10) : channel + 1;
+        viewer.tracks[kind] = createTrackState(kind, { channel });
+        return reply(200, 'OK', {
+          Transport: `RTP/AVP/TCP;unicast;interleaved=${channel}-${rtcpChannel}`,
+          ...sessionHeader
+        });
+      }
+
+      case 'PLAY':
+        if (!Object.keys(viewer.tracks).length) return reply(455, 'Method Not Valid in This State');
+        viewer.playing = true;
+        viewer.waitingKeyframe = true;
+        return reply(200, 'OK', { Range: 'npt=0.000-', ...sessionHeader });
+
+      case 'PAUSE':
+        viewer.playing = false;
+        return reply(200, 'OK', sessionHeader);
+
+      case 'TEARDOWN':
+        viewer.playing = false;
+        viewer.tracks = {};
+        return reply(200, 'OK', sessionHeader);
+
+      case 'GET_PARAMETER':
+      case 'SET_PARAMETER':
+        // Keep-alive
+        return reply(200, 'OK', sessionHeader);
+
+      default:
+        return reply(501, 'Not Implemented');
+    }
+  }
+
+  // ===== WHEP (WebRTC) =====
+
+  _createWhepApp() {
+    const app = express();
+    const endpoint = `/whep/${this.opts.path}`;
+
+    if (this.opts.origin) {
+      app.use((req, res, next) => {
+        res.set('Access-Control-Allow-Origin', this.opts.origin);
+        res.set('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+        res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.set('Access-Control-Expose-Headers', 'Location');
+        res.set('Vary', 'Origin');
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+        next();
+      });
+    }
+
+    if (this.opts.auth) {
+      app.use((req, res, next) => {
+        if (checkBasicAuth(req.get('Authorization'), this.opts.auth)) return next();
+        res.set('WWW-Authenticate', `Basic realm="${AUTH_REALM}"`).sendStatus(401);
+      });
+    }
+
+    app.post(endpoint, express.text({ type: ['application/sdp', 'text/plain'] }), (req, res) => {
+      this._handleWhepOffer(req, res).catch((err) => {
+        this._error('WHEP offer failed:', err.message);
+        if (!res.headersSent) res.status(500).type('text/plain').send(err.message);
+      });
+    });
+
+    app.delete(`${endpoint}/:id`, (req, res) => {
+      const viewer = this._viewers.get(req.params.id);
+      if (!viewer || viewer.type !== 'whep') return res.sendStatus(404);
+      viewer.close();
+      res.sendStatus(200);
+    });
+
+    return app;
+  }
+
+  async _handleWhepOffer(req, res) {
+    if (typeof req.body !== 'string' || !req.body.startsWith('v=')) {
+      return res.status(400).type('text/plain').send('Expected an SDP offer (Content-Type: application/sdp)');
+    }
+    if (!(await this._waitForSource())) {
+      return res.status(503).type('text/plain').send('No door station stream available');
+    }
+
+    const { RTCPeerConnection, RTCRtpCodecParameters, MediaStreamTrack } = this._werift;
+    const pc = new RTCPeerConnection({
+      codecs: {
+        video: [new RTCRtpCodecParameters({
+          mimeType: 'video/H264',
+          clockRate: 90000,
+          parameters: 'level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42e01f'
+        })],
+        audio: [new RTCRtpCodecParameters({ mimeType: 'audio/PCMA', clockRate: 8000, channels: 1 })]
+      }
+    });
+
+    await pc.setRemoteDescription({ type: 'offer', sdp: req.body });
+
+    const viewer = {
+      type: 'whep',
+      id: crypto.randomBytes(8).toString('hex'),
+      remoteAddress: req.socket.remoteAddress,
+      tracks: {},
+      playing: true,
+      waitingKeyframe: true,
+      send: (kind, packet) => viewer.tracks[kind].track.writeRtp(packet),
+      close: () => pc.close()
+    };
+
+    // Attach our tracks to the viewer's recvonly transceivers
+    for (const transceiver of pc.getTransceivers()) {
+      const kind = transceiver.kind;
+      if (!TRACKS[kind] || viewer.tracks[kind] || (kind === 'audio' && !this.opts.audio)) continue;
+      const track = new MediaStreamTrack({ kind });
+      transceiver.setDirection('sendonly');
+      transceiver.sender.replaceTrack(track);
+      viewer.tracks[kind] = createTrackState(kind, { track });
+    }
+    if (!viewer.tracks.video) {
+      pc.close();
+      return res.status(400).type('text/plain').send('Offer has no video transceiver');
+    }
+
+    await pc.setLocalDescription(await pc.createAnswer());
+
+    pc.connectionStateChange.subscribe((state) => {
+      if (['failed', 'closed', 'disconnected'].includes(state)) this._removeViewer(viewer);
+    });
+    this._addViewer(viewer);
+
+    res.status(201)
+      .set('Location', `/whep/${this.opts.path}/${viewer.id}`)
+      .type('application/sdp')
+      .send(pc.localDescription.sdp);
+  }
+
+  _publicHost() {
+    return this.opts.host === '0.0.0.0' ? '127.0.0.1' : this.opts.host;
+  }
+}
+
+module.exports = {
+  BticinoMediaBridge,
+  BticinoMissingDependencyError,
+  WEBRTC_UNAVAILABLE_MESSAGE
+};
@@ -0,0 +1,352 @@
+/**
+ * BTicino Media Session - Receive door station video and audio (RTP/SRTP over UDP)
+ *
+ * Opens one UDP socket per negotiated stream, builds the SDP answer advertising
+ * those sockets, decrypts SRTP with the SDES keys from the offer and depacketizes
+ * the payloads:
+ *
+ * - `video` Readable (object mode): H.264 access units
+ *   `{data: Buffer (Annex B), timestamp, keyframe, decodable, nalTypes}`
+ * - `audio` Readable (object mode): audio frames
+ *   `{data: Buffer, codec, sampleRate, timestamp, sequenceNumber}` where `data` is
+ *   16-bit PCM (LE) for PCMU/PCMA and the raw payload for other codecs
+ *
+ * - `audioOut` Writable (when audio is negotiated sendrecv/sendonly): PCM or G.711
+ *   sent back to the door station as paced RTP/SRTP (see BticinoAudioSender)
+ *
+ * Live media is never allowed to pile up: when a stream is not consumed, frames
+ * beyond its highWaterMark are dropped (counted in `stats`).
+ *
+ * For calls we place ourselves, create the session without an offer: start()
+ * then returns a local SDP offer, and setAnswer() applies the remote answer.
+ *
+ * @class BticinoMediaSession
+ * @extends EventEmitter
+ *
+ * @emits started - Sockets bound, local description ready: (answer, or offer for outgoing calls)
+ * @emits keyframe - H.264 keyframe received: (frame)
+ * @emits error - Socket or audio send error; always logged, emitted only when listened to
+ *   (decrypt errors are counted in stats)
+ * @emits stopped - Sockets closed
+ *
+ * @example
+ * listener.on('invite', async (callInfo, call) => {
+ *   const media = new BticinoMediaSession(callInfo.sdp, { address: '192.168.1.10' });
+ *   const answer = await media.start();
+ *   media.video.on('data', frame => fs.appendFileSync('door.h264', frame.data));
+ *   call.on('ended', () => media.stop());
+ *   await call.answer(answer);
+ * });
+ */
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const { Readable } = require('stream');
+const { buildSdpAnswer, buildSdpOffer, answerDirection, parseSdp } = require('../sip/BticinoSdp');
+const { parseRtpPacket, isRtcpPacket } = require('./BticinoRtp');
+const { BticinoSrtpContext } = require('./BticinoSrtp');
+const { BticinoH264Depacketizer } = require('./BticinoH264Depacketizer');
+const { decodeUlaw, decodeAlaw } = require('./BticinoG711');
+const { BticinoAudioSender } = require('./BticinoAudioSender');
+
+const AUDIO_DECODERS = {
+  pcmu: decodeUlaw,
+  pcma: decodeAlaw
+};
+
+const SENDING_DIRECTIONS = ['sendrecv', 'sendonly'];
+
+class BticinoMediaSession extends EventEmitter {
+  /**
+   * Create a media session for an SDP offer.
+   *
+   * @param {Object|string|null} offer SDP offer (callInfo.sdp or text), or null to make
+   *   the offer ourselves (outgoing calls)
+   * @param {Object} opts Options
+   * @param {string} opts.address Local IP address to bind and advertise
+   * @param {number} [opts.audioPort=0] Local audio port (0 = any free port)
+   * @param {number} [opts.videoPort=0] Local video port (0 = any free port)
+   * @param {Array<string>} [opts.audioCodecs=['PCMA','PCMU']] Accepted audio codecs
+   * @param {Array<string>} [opts.videoCodecs=['H264']] Accepted video codecs
+   * @param {string} [opts.audioDirection='recvonly'] Audio direction we support ('sendrecv' for two-way audio)
+   * @param {string} [opts.audioInput='pcm'] Format written to `audioOut`: 'pcm' (s16le 8 kHz mono) or 'g711'
+   * @param {string} [opts.videoDirection='recvonly'] Video direction we support
+   * @param {number} [opts.highWaterMark=64] Max buffered frames per stream before dropping
+   * @param {boolean} [opts.debug] Enable debug logging
+   */
+  constructor(offer, opts = {}) {
+    super();
+    if (!opts.address) throw new Error('BticinoMediaSession requires opts.address');
+
+    this.offerer = !offer;
+    this.offer = typeof offer === 'string' ? parseSdp(offer) : (offer || null);
+    this.opts = {
+      audioPort: 0,
+      videoPort: 0,
+      audioCodecs: ['PCMA', 'PCMU'],
+      videoCodecs: ['H264'],
+      audioDirection: 'recvonly',
+      videoDirection: 'recvonly',
+      audioInput: 'pcm',
+      highWaterMark: 64,
+      debug: false,
+      ...opts
+    };
+
+    this.answer = null;
+    this.video = new Readable({ objectMode: true, highWaterMark: this.opts.highWaterMark, read() {} });
+    this.audio = new Readable({ objectMode: true, highWaterMark: this.opts.highWaterMark, read() {} });
+    this.audioOut = null;
+    this.stats = {
+      audio: { packets: 0, frames: 0, dropped: 0, decryptErrors: 0 },
+      video: { packets: 0, frames: 0, dropped: 0, decryptErrors: 0 }
+    };
+
+    this._streams = {}; // type -> { socket, local, remoteMedia, srtp, localCrypto, codecs, depacketizer, remote }
+    this._started = false;
+
+    // Logging
+    this._log = (...args) => { if (this.opts.debug) console.log('[MediaSession]', ...args); };
+    this._warn = (...args) => { if (this.opts.debug) console.warn('[MediaSession]', ...args); };
+    this._error = (...args) => console.error('[MediaSession]', ...args);
+  }
+
+  /**
+   * Bind the UDP sockets and build the local session description.
+   * @returns {Promise<Object>} SDP answer (pass to call.answer()), or the SDP offer
+   *   when the session was created without one
+   * @throws {Error} `ENEGOTIATION` if an accepted stream has no usable SRTP key
+   */
+  async start() {
+    if (this._started) return this.offerer ? this.offer : this.answer;
+    this._started = true;
+
+    // Bind first so the description can advertise the real ports
+    const ports = {};
+    for (const type of ['audio', 'video']) {
+      if (!this.offerer && !this.offer.media.some(m => m.type === type && m.port !== 0)) continue;
+      if (!this.opts[`${type}Codecs`].length) continue; // stream not wanted: rejected in the answer
+      const socket = await this._bind(this.opts[`${type}Port`]);
+      this._streams[type] = { socket };
+      ports[type] = socket.address().port;
+    }
+
+    const local = {
+      address: this.opts.address,
+      audio: ports.audio && { port: ports.audio, codecs: this.opts.audioCodecs, direction: this.opts.audioDirection },
+      video: ports.video && { port: ports.video, codecs: this.opts.videoCodecs, direction: this.opts.videoDirection }
+    };
+
+    if (this.offerer) {
+      this.offer = buildSdpOffer(local);
+      this.emit('started', this.offer);
+      return this.offer;
+    }
+
+    this.answer = buildSdpAnswer(this.offer, local);
+    for (const [type, stream] of Object.entries(this._streams)) {
+      const index = this.offer.media.findIndex(m => m.type === type && m.port !== 0);
+      this._setupStream(type, stream, this.answer.media[index], this.offer.media[index]);
+    }
+
+    this.emit('started', this.answer);
+    return this.answer;
+  }
+
+  /**
+   * Apply the remote SDP answer to our offer (sessions created without an offer).
+   * Streams the remote side rejected are closed.
+   *
+   * @param {Object|string} answer SDP answer (parsed or text)
+   * @throws {Error} If the session is not an offerer or was not started, or `ENEGOTIATION`
+   *   if the answer picks a crypto tag we did not offer or carries no usable key
+   */
+  setAnswer(answer) {
+    if (!this.offerer) throw new Error('setAnswer() is only valid for sessions created without an offer');
+    if (!this._started) throw new Error('setAnswer() requires start() first');
+
+    this.answer = typeof answer === 'string' ? parseSdp(answer) : answer;
+    for (const [type, stream] of Object.entries(this._streams)) {
+      const index = this.offer.media.findIndex(m => m.type === type);
+      this._setupStream(type, stream, this.offer.media[index], this.answer.media[index]);
+    }
+  }
+
+  /**
+   * Close the sockets and end the streams.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const streams = Object.values(this._streams);
+    this._streams = {};
+    if (this.audioOut && !this.audioOut.destroyed) this.audioOut.destroy();
+    await Promise.all(streams.map(({ socket }) => new Promise(resolve => {
+      try { socket.close(resolve); } catch (_) { resolve(); }
+    })));
+    if (!this.video.readableEnded) this.video.push(null);
+    if (!this.audio.readableEnded) this.audio.push(null);
+    if (this._started) {
+      this._started = false;
+      this.emit('stopped');
+    }
+  }
+
+  /**
+   * Remote RTP address per stream (latched from the first packet received).
+   * @param {string} type 'audio' or 'video'
+   * @returns {{address: string, port: number}|null}
+   */
+  getRemote(type) {
+    const stream = this._streams[type];
+    return stream ? stream.remote : null;
+  }
+
+  // ===== Private Methods =====
+
+  /**
+   * Configure a bound stream from the negotiated local/remote media descriptions.
+   * @private
+   */
+  _setupStream(type, stream, local, remoteMedia) {
+    if (!local || !remoteMedia || local.port === 0 || remoteMedia.port === 0) {
+      // Stream rejected: release the socket
+      stream.socket.close();
+      delete this._streams[type];
+      return;
+    }
+
+    // The answer holds the negotiated codecs and crypto tag
+    const negotiated = this.offerer ? remoteMedia : local;
+    stream.local = local;
+    stream.remoteMedia = remoteMedia;
+    stream.codecs = new Map(negotiated.codecs.map(c => [c.payloadType, c]));
+    stream.remote = { address: (remoteMedia.connection || {}).address, port: remoteMedia.port };
+
+    // Incoming packets are protected with the remote key, outgoing ones with ours
+    if (negotiated.crypto.length) {
+      const tag = negotiated.crypto[0].tag;
+      const remoteCrypto = remoteMedia.crypto.find(c => c.tag === tag);
+      const localCrypto = local.crypto.find(c => c.tag === tag);
+      if (!remoteCrypto || !remoteCrypto.key || !localCrypto || !localCrypto.key) {
+        const err = new Error(`${type}: no usable SRTP key for crypto tag ${tag} on both sides`);
+        err.code = 'ENEGOTIATION';
+        throw err;
+      }
+      stream.localCrypto = localCrypto;
+      stream.srtp = new BticinoSrtpContext(remoteCrypto.key, remoteCrypto.suite);
+    }
+
+    const direction = this.offerer ? answerDirection(remoteMedia.direction, local.direction) : local.direction;
+    if (type === 'video') stream.depacketizer = new BticinoH264Depacketizer();
+    if (type === 'audio' && SENDING_DIRECTIONS.includes(direction)) {
+      this.audioOut = this._createAudioSender(stream);
+    }
+
+    stream.socket.on('message', (msg, rinfo) => this._handlePacket(type, msg, rinfo));
+    this._log(`${type}: listening on ${this.opts.address}:${local.port}${stream.srtp ? ' (SRTP)' : ''}`);
+  }
+
+  _bind(port) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      socket.bind(port, this.opts.address, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (err) => {
+          this._error('Socket error:', err.message);
+          this._emitError(err);
+        });
+        resolve(socket);
+      });
+    });
+  }
+
+  _createAudioSender(stream) {
+    const codec = [...stream.codecs.values()].find(c => ['PCMU', 'PCMA'].includes(c.name.toUpperCase()));
+    if (!codec) {
+      this._warn('audio: no G.711 codec negotiated, sending disabled');
+      return null;
+    }
+
+    // Outgoing packets are protected with our own key
+    const localCrypto = stream.localCrypto;
+    const sender = new BticinoAudioSender((packet) => {
+      const { address, port } = stream.remote;
+      if (!address || !port) return;
+      stream.socket.send(packet, port, address);
+    }, {
+      codec: codec.name,
+      payloadType: codec.payloadType,
+      clockRate: codec.clockRate,
+      input: this.opts.audioInput,
+      ptime: stream.local.ptime || stream.remoteMedia.ptime || 20,
+      srtp: localCrypto ? new BticinoSrtpContext(localCrypto.key, localCrypto.suite) : null
+    });
+    sender.on('error', (err) => {
+      this._error('Audio send error:', err.message);
+      this._emitError(err);
+    });
+    return sender;
+  }
+
+  // Media errors must not crash a process that never subscribed to them
+  _emitError(err) {
+    if (this.listenerCount('error') > 0) this.emit('error', err);
+  }
+
+  _handlePacket(type, msg, rinfo) {
+    const stream = this._streams[type];
+    if (!stream || isRtcpPacket(msg)) return; // RTCP (rtcp-mux) is not used
+
+    const stats = this.stats[type];
+    stats.packets++;
+
+    let packet;
+    try {
+      packet = parseRtpPacket(stream.srtp ? stream.srtp.decryptRtp(msg) : msg);
+    } catch (err) {
+      stats.decryptErrors++;
+      this._warn(`${type}: dropping packet: ${err.message}`);
+      return;
+    }
+
+    // Symmetric RTP: send back to where the media comes from
+    if (stream.remote.address !== rinfo.address || stream.remote.port !== rinfo.port) {
+      stream.remote = { address: rinfo.address, port: rinfo.port };
+    }
+
+    const codec = stream.codecs.get(packet.payloadType);
+    if (!codec) return; // not negotiated (e.g. comfort noise)
+
+    if (type === 'video') {
+      for (const frame of stream.depacketizer.push(packet)) {
+        stats.frames++;
+        if (frame.keyframe) this.emit('keyframe', frame);
+        this._pushFrame(this.video, stats, frame);
+      }
+    } else {
+      const name = codec.name.toLowerCase();
+      if (name === 'telephone-event') return;
+      const decoder = AUDIO_DECODERS[name];
+      stats.frames++;
+      this._pushFrame(this.audio, stats, {
+        data: decoder ? decoder(packet.payload) : Buffer.from(packet.payload),
+        codec: decoder ? 'pcm_s16le' : codec.name,
+        sampleRate: codec.clockRate,
+        timestamp: packet.timestamp,
+        sequenceNumber: packet.sequenceNumber
+      });
+    }
+  }
+
+  _pushFrame(readable, stats, frame) {
+    if (readable.readableEnded || readable.destroyed) return;
+    if (readable.readableLength >= readable.readableHighWaterMark) {
+      stats.dropped++;
+      return;
+    }
+    readable.push(frame);
+  }
+}
+
+module.exports = { BticinoMediaSession };
@@ -0,0 +1,121 @@
+/**
+ * BTicino RTP - RTP packet parsing and building (RFC 3550)
+ *
+ * Minimal, allocation-light helpers used by the media session and the SRTP context.
+ * Payloads are returned as views on the original buffer (no copy).
+ */
+
+const RTP_VERSION = 2;
+const RTP_HEADER_SIZE = 12;
+
+/**
+ * Length of the RTP header (fixed header + CSRCs + extension).
+ * @param {Buffer} buf RTP packet
+ * @returns {number} Header length in bytes
+ * @throws {Error} If the packet is truncated
+ */
+function rtpHeaderLength(buf) {
+  if (buf.length < RTP_HEADER_SIZE) throw new Error('RTP packet too short');
+  const csrcCount = buf[0] & 0x0f;
+  let length = RTP_HEADER_SIZE + csrcCount * 4;
+  if (buf[0] & 0x10) {
+    if (buf.length < length + 4) throw new Error('RTP header extension truncated');
+    length += 4 + buf.readUInt16BE(length + 2) * 4;
+  }
+  if (buf.length < length) throw new Error('RTP header truncated');
+  return length;
+}
+
+/**
+ * Check whether a datagram is RTCP (RFC 5761 demultiplexing for rtcp-mux).
+ * @param {Buffer} buf Datagram
+ * @returns {boolean}
+ */
+function isRtcpPacket(buf) {
+  if (buf.length < 2) return false;
+  const packetType = buf[1];
+  return packetType >= 192 && packetType <= 223;
+}
+
+/**
+ * Parse an RTP packet.
+ *
+ * @param {Buffer} buf RTP packet
+ * @returns {Object} `{version, padding, extension, marker, payloadType, sequenceNumber,
+ *   timestamp, ssrc, csrcs, headerExtension, headerLength, payload}`
+ * @throws {Error} If the packet is malformed
+ */
+function parseRtpPacket(buf) {
+  const version = buf[0] >> 6;
+  if (version !== RTP_VERSION) throw new Error(`Unsupported RTP version: ${version}`);
+
+  const headerLength = rtpHeaderLength(buf);
+  const csrcCount = buf[0] & 0x0f;
+  const csrcs = [];
+  for (let i = 0; i < csrcCount; i++) {
+    csrcs.push(buf.readUInt32BE(RTP_HEADER_SIZE + i * 4));
+  }
+
+  let headerExtension = null;
+  if (buf[0] & 0x10) {
+    const offset = RTP_HEADER_SIZE + csrcCount * 4;
+    headerExtension = {
+      profile: buf.readUInt16BE(offset),
+      data: buf.subarray(offset + 4, headerLength)
+    };
+  }
+
+  let end = buf.length;
+  const padding = Boolean(buf[0] & 0x20);
+  if (padding) {
+    end -= buf[buf.length - 1];
+    if (end < headerLength) throw new Error('Invalid RTP padding');
+  }
+
+  return {
+    version,
+    padding,
+    extension: Boolean(headerExtension),
+    marker: Boolean(buf[1] & 0x80),
+    payloadType: buf[1] & 0x7f,
+    sequenceNumber: buf.readUInt16BE(2),
+    timestamp: buf.readUInt32BE(4),
+    ssrc: buf.readUInt32BE(8),
+    csrcs,
+    headerExtension,
+    headerLength,
+    payload: buf.subarray(headerLength, end)
+  };
+}
+
+/**
+ * Build an RTP packet.
+ *
+ * @param {Object} packet
+ * @param {number} packet.payloadType Payload type (0-127)
+ * @param {number} packet.sequenceNumber 16-bit sequence number
+ * @param {number} packet.timestamp 32-bit timestamp
+ * @param {number} packet.ssrc 32-bit SSRC
+ * @param {Buffer} packet.payload Payload
+ * @param {boolean} [packet.marker=false] Marker bit
+ * @param {Array<number>} [packet.csrcs] CSRC list
+ * @returns {Buffer}
+ */
+function buildRtpPacket({ payloadType, sequenceNumber, timestamp, ssrc, payload, marker = false, csrcs = [] }) {
+  const header = Buffer.alloc(RTP_HEADER_SIZE + csrcs.length * 4);
+  header[0] = (RTP_VERSION << 6) | (csrcs.length & 0x0f);
+  header[1] = (marker ? 0x80 : 0) | (payloadType & 0x7f);
+  header.writeUInt16BE(sequenceNumber & 0xffff, 2);
+  header.writeUInt32BE(timestamp >>> 0, 4);
+  header.writeUInt32BE(ssrc >>> 0, 8);
+  csrcs.forEach((csrc, i) => header.writeUInt32BE(csrc >>> 0, RTP_HEADER_SIZE + i * 4));
+  return Buffer.concat([header, payload]);
+}
+
+module.exports = {
+  parseRtpPacket,
+  buildRtpPacket,
+  rtpHeaderLength,
+  isRtcpPacket,
+  RTP_HEADER_SIZE
+};
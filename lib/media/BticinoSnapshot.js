@@ -0,0 +1,92 @@
+/**
+ * BTicino Snapshot - Capture the first video keyframe of a ringing call
+ *
+ * Accepts the door station video as early media (183 Session Progress with a
+ * recvonly SDP answer), waits for the first decodable H.264 IDR access unit and
+ * releases the media sockets again. The call itself is left ringing, so the
+ * application (or the listener's auto-reject) still decides how it ends.
+ */
+
+const { BticinoMediaSession } = require('./BticinoMediaSession');
+
+const DEFAULT_SNAPSHOT_TIMEOUT = 5000;
+
+/**
+ * Capture a keyframe from a ringing call.
+ *
+ * @param {BticinoSipCall} call Ringing call
+ * @param {Object} offer Parsed SDP offer (callInfo.sdp)
+ * @param {Object} opts Options
+ * @param {string} opts.address Local IP address for the media socket
+ * @param {number} [opts.timeout=5000] Max time to wait for a keyframe (ms)
+ * @param {boolean} [opts.debug] Enable debug logging
+ * @returns {Promise<Object>} Access unit `{data: Buffer (Annex B, SPS/PPS included), timestamp, nalTypes}`
+ * @throws {Error} If the offer has no usable video, the media socket fails, the call leaves the early state
+ *   or the timeout expires
+ */
+async function captureSnapshot(call, offer, opts = {}) {
+  const { address, timeout = DEFAULT_SNAPSHOT_TIMEOUT, debug = false } = opts;
+
+  const media = new BticinoMediaSession(offer, {
+    address,
+    audioCodecs: [],
+    videoDirection: 'recvonly',
+    highWaterMark: 1,
+    debug
+  });
+
+  try {
+    const answer = await media.start();
+    if (!answer.media.some(m => m.type === 'video' && m.port !== 0)) {
+      throw new Error('Offer has no acceptable H.264 video stream');
+    }
+    if (!call.isEarly) {
+      throw new Error(`Call is ${call.state}`);
+    }
+
+    // Keyframes are delivered as events; the stream itself is not needed
+    media.video.resume();
+    call.progress(answer);
+
+    return await new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        media.removeListener('keyframe', onKeyframe);
+        media.removeListener('error', onError);
+        call.removeListener('answered', onLeftEarly);
+        call.removeListener('ended', onLeftEarly);
+      };
+      const onKeyframe = (frame) => {
+        if (!frame.decodable) return;
+        cleanup();
+        resolve(frame);
+      };
+      const onError = (err) => {
+        cleanup();
+        reject(err);
+      };
+      const onLeftEarly = () => {
+        cleanup();
+        reject(new Error(`Call is ${call.state}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        const err = new Error(`No keyframe received within ${timeout}ms`);
+        err.code = 'ETIMEDOUT';
+        reject(err);
+      }, timeout);
+
+      media.on('keyframe', onKeyframe);
+      media.once('error', onError);
+      call.once('answered', onLeftEarly);
+      call.once('ended', onLeftEarly);
+    });
+  } finally {
+    await media.stop();
+  }
+}
+
+module.exports = {
+  captureSnapshot,
+  DEFAULT_SNAPSHOT_TIMEOUT
+};
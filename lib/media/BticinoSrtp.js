@@ -0,0 +1,207 @@
+/**
+ * BTicino SRTP - Secure RTP for SDES-keyed media (RFC 3711, RFC 4568)
+ *
+ * Implements the AES_CM_128_HMAC_SHA1_80 and AES_CM_128_HMAC_SHA1_32 suites offered
+ * by the door station in `a=crypto` lines: session key derivation, AES counter mode
+ * encryption, HMAC-SHA1 authentication and rollover counter (ROC) tracking per SSRC.
+ *
+ * One context protects one direction: decrypt incoming packets with the remote
+ * (offer) key, encrypt outgoing packets with the local (answer) key.
+ *
+ * @example
+ * const srtp = new BticinoSrtpContext(offer.media[1].crypto[0].key, 'AES_CM_128_HMAC_SHA1_80');
+ * const rtp = srtp.decryptRtp(datagram);
+ */
+
+const crypto = require('crypto');
+const { rtpHeaderLength } = require('./BticinoRtp');
+
+/**
+ * Supported SDES crypto suites.
+ * @constant {Object}
+ */
+const SRTP_PROFILES = Object.freeze({
+  AES_CM_128_HMAC_SHA1_80: { keyLength: 16, saltLength: 14, authKeyLength: 20, tagLength: 10 },
+  AES_CM_128_HMAC_SHA1_32: { keyLength: 16, saltLength: 14, authKeyLength: 20, tagLength: 4 }
+});
+
+// Key derivation labels (RFC 3711 4.3.1)
+const LABEL_RTP_ENCRYPTION = 0x00;
+const LABEL_RTP_AUTH = 0x01;
+const LABEL_RTP_SALT = 0x02;
+
+/**
+ * AES-CM pseudo-random function used for session key derivation (kdr = 0).
+ * @param {Buffer} masterKey 16-byte master key
+ * @param {Buffer} masterSalt 14-byte master salt
+ * @param {number} label Key derivation label
+ * @param {number} length Output length in bytes
+ * @returns {Buffer}
+ */
+function deriveSessionKey(masterKey, masterSalt, label, length) {
+  // x = key_id XOR master_salt, key_id = label || index DIV kdr (48 bits, zero for kdr = 0)
+  const iv = Buffer.alloc(16);
+  masterSalt.copy(iv, 0);
+  iv[7] ^= label;
+  const cipher = crypto.createCipheriv('aes-128-ctr', masterKey, iv);
+  return cipher.update(Buffer.alloc(length));
+}
+
+/**
+ * Derive the SRTP session keys from a master key and salt.
+ * @param {Buffer} masterKey 16-byte master key
+ * @param {Buffer} masterSalt 14-byte master salt
+ * @param {string} [suite='AES_CM_128_HMAC_SHA1_80']
+ * @returns {{cipherKey: Buffer, cipherSalt: Buffer, authKey: Buffer}}
+ */
+function deriveSrtpKeys(masterKey, masterSalt, suite = 'AES_CM_128_HMAC_SHA1_80') {
+  const profile = SRTP_PROFILES[suite];
+  if (!profile) throw new Error(`Unsupported SRTP suite: ${suite}`);
+  return {
+    cipherKey: deriveSessionKey(masterKey, masterSalt, LABEL_RTP_ENCRYPTION, profile.keyLength),
+    cipherSalt: deriveSessionKey(masterKey, masterSalt, LABEL_RTP_SALT, profile.saltLength),
+    authKey: deriveSessionKey(masterKey, masterSalt, LABEL_RTP_AUTH, profile.authKeyLength)
+  };
+}
+
+class BticinoSrtpContext {
+  /**
+   * Create an SRTP context for one direction of a stream.
+   *
+   * @param {string|Buffer} keyMaterial Base64 SDES inline key (master key || master salt) or raw bytes
+   * @param {string} [suite='AES_CM_128_HMAC_SHA1_80'] Crypto suite from the `a=crypto` line
+   * @throws {Error} If the suite is unsupported or the key material has the wrong length
+   */
+  constructor(keyMaterial, suite = 'AES_CM_128_HMAC_SHA1_80') {
+    const profile = SRTP_PROFILES[suite];
+    if (!profile) throw new Error(`Unsupported SRTP suite: ${suite}`);
+
+    const raw = Buffer.isBuffer(keyMaterial) ? keyMaterial : Buffer.from(String(keyMaterial), 'base64');
+    if (raw.length !== profile.keyLength + profile.saltLength) {
+      throw new Error(`Invalid SRTP key material: expected ${profile.keyLength + profile.saltLength} bytes, got ${raw.length}`);
+    }
+
+    this.suite = suite;
+    this.profile = profile;
+    const keys = deriveSrtpKeys(raw.subarray(0, profile.keyLength), raw.subarray(profile.keyLength), suite);
+    Object.defineProperty(this, '_keys', { value: keys, enumerable: false });
+
+    // Per-SSRC rollover state: { roc, highestSeq }
+    this._streams = new Map();
+  }
+
+  /**
+   * Decrypt and authenticate an SRTP packet.
+   * @param {Buffer} packet SRTP packet
+   * @returns {Buffer} Plain RTP packet
+   * @throws {Error} If authentication fails or the packet is malformed
+   */
+  decryptRtp(packet) {
+    const { tagLength } = this.profile;
+    if (packet.length < 12 + tagLength) throw new Error('SRTP packet too short');
+
+    const authenticated = packet.subarray(0, packet.length - tagLength);
+    const tag = packet.subarray(packet.length - tagLength);
+    const headerLength = rtpHeaderLength(authenticated);
+    const seq = authenticated.readUInt16BE(2);
+    const ssrc = authenticated.readUInt32BE(8);
+
+    const state = this._streams.get(ssrc);
+    const roc = state ? this._estimateRoc(state, seq) : 0;
+
+    const expected = this._authTag(authenticated, roc);
+    if (!crypto.timingSafeEqual(expected, tag)) {
+      throw new Error('SRTP authentication failed');
+    }
+
+    // Update rollover state only for authenticated packets
+    if (!state) {
+      this._streams.set(ssrc, { roc, highestSeq: seq });
+    } else if (roc > state.roc) {
+      state.roc = roc;
+      state.highestSeq = seq;
+    } else if (roc === state.roc && seq > state.highestSeq) {
+      state.highestSeq = seq;
+    }
+
+    const plain = Buffer.from(authenticated);
+    this._transform(plain, headerLength, ssrc, roc, seq);
+    return plain;
+  }
+
+  /**
+   * Encrypt and authenticate an RTP packet.
+   * @param {Buffer} packet Plain RTP packet
+   * @returns {Buffer} SRTP packet
+   */
+  encryptRtp(packet) {
+    const headerLength = rtpHeaderLength(packet);
+    const seq = packet.readUInt16BE(2);
+    const ssrc = packet.readUInt32BE(8);
+
+    // Sender side: the ROC increments when the sequence number wraps
+    let state = this._streams.get(ssrc);
+    if (!state) {
+      state = { roc: 0, highestSeq: seq };
+      this._streams.set(ssrc, state);
+    } else {
+      if (seq < state.highestSeq && state.highestSeq - seq > 0x8000) state.roc = (state.roc + 1) >>> 0;
+      state.highestSeq = seq;
+    }
+
+    const out = Buffer.from(packet);
+    this._transform(out, headerLength, ssrc, state.roc, seq);
+    return Buffer.concat([out, this._authTag(out, state.roc)]);
+  }
+
+  /**
+   * Guess the ROC of a received packet (RFC 3711 Appendix A).
+   * @private
+   */
+  _estimateRoc(state, seq) {
+    const { roc, highestSeq } = state;
+    if (highestSeq < 0x8000) {
+      if (seq - highestSeq > 0x8000) return roc === 0 ? 0 : roc - 1;
+      return roc;
+    }
+    if (highestSeq - 0x8000 > seq) return (roc + 1) >>> 0;
+    return roc;
+  }
+
+  /**
+   * AES-CM encrypt/decrypt the payload in place.
+   * IV = (k_s * 2^16) XOR (SSRC * 2^64) XOR (i * 2^16), i = ROC * 2^16 + SEQ
+   * @private
+   */
+  _transform(buf, offset, ssrc, roc, seq) {
+    const iv = Buffer.alloc(16);
+    this._keys.cipherSalt.copy(iv, 0);
+    iv.writeUInt32BE((iv.readUInt32BE(4) ^ ssrc) >>> 0, 4);
+    iv.writeUInt32BE((iv.readUInt32BE(8) ^ roc) >>> 0, 8);
+    iv.writeUInt16BE(iv.readUInt16BE(12) ^ seq, 12);
+
+    const cipher = crypto.createCipheriv('aes-128-ctr', this._keys.cipherKey, iv);
+    const payload = buf.subarray(offset);
+    cipher.update(payload).copy(payload);
+  }
+
+  /**
+   * HMAC-SHA1 over the authenticated portion and the ROC, truncated to the tag length.
+   * @private
+   */
+  _authTag(authenticated, roc) {
+    const rocBuf = Buffer.alloc(4);
+    rocBuf.writeUInt32BE(roc >>> 0);
+    return crypto.createHmac('sha1', this._keys.authKey)
+      .update(authenticated)
+      .update(rocBuf)
+      .digest()
+      .subarray(0, this.profile.tagLength);
+  }
+}
+
+module.exports = {
+  BticinoSrtpContext,
+  deriveSrtpKeys,
+  SRTP_PROFILES
+};
@@ -0,0 +1,100 @@
+/**
+ * BTicino Caller ID - Who is ringing
+ *
+ * Parses the caller of an INVITE (From header) into an identity: address (SIP user),
+ * numeric id, display name and call type, and maps it to a plant module from
+ * `BticinoApiClient.getModules(plantId)` so a ring can be reported as "Front gate"
+ * rather than as a raw SIP URI.
+ *
+ * Call types:
+ * - panel: an entrance panel (door station)
+ * - internal: another internal unit / app of the plant (intercom call)
+ * - switchboard: the concierge / switchboard
+ * - unknown: anything else
+ *
+ * The type comes from the matched module's `device` when there is one, otherwise from
+ * the SIP user and display name.
+ */
+
+const { extractUri } = require('./BticinoSipCall');
+
+const CALLER_KINDS = ['panel', 'internal', 'switchboard', 'unknown'];
+
+// Naming of the caller (SIP user, display name or module device) by call type
+const KIND_PATTERNS = [
+  ['switchboard', /switchboard|concierge|centralino|porter|guard/i],
+  ['panel', /^(ep|pe)[._-]?\d*$|panel|entrance|door|outdoor|external|posto[._-]?esterno|^diy$/i],
+  ['internal', /^(pi|ip|iu)[._-]?\d*$|^app|internal|indoor|handset|monitor|unit|classe|c100|c300/i]
+];
+
+function classifyKind(...names) {
+  for (const [kind, pattern] of KIND_PATTERNS) {
+    if (names.some(name => name && pattern.test(String(name)))) return kind;
+  }
+  return 'unknown';
+}
+
+// Values a module may be addressed by (case-insensitive)
+function moduleKeys(module) {
+  return [module.id, module.entityId, module.address, module.sipAddress, module.sipUser, module.sipUri]
+    .filter(v => v !== undefined && v !== null && v !== '')
+    .map(v => String(v).replace(/^sips?:/i, '').split('@')[0].toLowerCase());
+}
+
+/**
+ * Find the module a caller belongs to: by address / id first, then by display name.
+ * @param {{user: string|null, id: string|null, displayName: string|null}} caller Parsed caller
+ * @param {Array<Object>} modules Modules from `getModules(plantId)`
+ * @returns {Object|null}
+ */
+function findCallerModule(caller, modules) {
+  if (!Array.isArray(modules)) return null;
+  const keys = [caller.user, caller.id].filter(Boolean).map(k => String(k).toLowerCase());
+  const byAddress = modules.find(m => m && moduleKeys(m).some(k => keys.includes(k)));
+  if (byAddress) return byAddress;
+  if (!caller.displayName) return null;
+  const wanted = caller.displayName.trim().toLowerCase();
+  return modules.find(m => m && [m.name, m.label, m.customName]
+    .some(n => n && String(n).trim().toLowerCase() === wanted)) || null;
+}
+
+/**
+ * Parse the caller identity of an INVITE.
+ *
+ * @param {string} from From header value, e.g. `"Entrance" <sip:ep_2@gateway.bs.iotleg.com>;tag=1`
+ * @param {Array<Object>} [modules] Plant modules (`getModules(plantId)`) to map the caller to
+ * @returns {{uri: string|null, user: string|null, host: string|null, id: string|null,
+ *   displayName: string|null, kind: string, name: string|null, module: Object|null}}
+ *   `name` is the module name when matched, else the display name or SIP user
+ */
+function parseCallerIdentity(from, modules) {
+  const value = String(from || '');
+  const uri = extractUri(value);
+  const nameMatch = value.match(/^\s*"((?:[^"\\]|\\.)*)"/) || value.match(/^\s*([^<"]+?)\s*</);
+  const displayName = nameMatch ? nameMatch[1].replace(/\\(.)/g, '$1').trim() || null : null;
+
+  const addr = uri ? uri.replace(/^sips?:/i, '') : '';
+  const at = addr.indexOf('@');
+  const user = at > 0 ? addr.slice(0, at) : null;
+  const host = (at >= 0 ? addr.slice(at + 1) : addr).split(/[;:?]/)[0] || null;
+  const digits = user ? user.match(/(\d+)$/) : null;
+
+  const caller = { uri, user, host, id: digits ? digits[1] : null, displayName };
+  const module = findCallerModule(caller, modules);
+  const moduleName = module ? module.name || module.label || module.customName || null : null;
+
+  return {
+    ...caller,
+    kind: module && module.device && classifyKind(module.device) !== 'unknown'
+      ? classifyKind(module.device)
+      : classifyKind(user, displayName),
+    name: moduleName || displayName || user,
+    module
+  };
+}
+
+module.exports = {
+  CALLER_KINDS,
+  parseCallerIdentity,
+  findCallerModule
+};
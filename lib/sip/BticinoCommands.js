@@ -0,0 +1,291 @@
+/**
+ * BTicino Commands - Catalogue of gateway JSON-RPC methods
+ *
+ * Describes the JSON-RPC methods used by the Door Entry app, with argument
+ * validation and the `params` layout the gateway expects. Devices are addressed
+ * through a receiver object, `{ plant: { coal: { id: <device id> }, id: <plant id> } }`,
+ * the same one `lock.setStatus` (gate open) uses.
+ *
+ * Commands are sent with `runCommand(target, name, args)` or the wrappers below, where
+ * `target` is anything with a `call(method, params, opts)` method: a connected
+ * BticinoSipClient or BticinoSipListener.
+ *
+ * Only `lock.setStatus` has been observed on the wire so far. The other entries
+ * (`lock.getStatus`, `light.setStatus`, `actuator.setStatus`, `answeringMachine.*`) are
+ * **experimental**: they follow the same receiver/status pattern but their method names
+ * and params are unconfirmed, and are flagged `experimental: true`. `defineCommand()`
+ * adds or overrides catalogue entries should a gateway use different names.
+ */
+
+const COMMANDS = {};
+
+/**
+ * Add (or replace) a catalogue entry.
+ *
+ * @param {string} name Command name (e.g. 'openLock')
+ * @param {Object} spec Command specification
+ * @param {string} spec.method JSON-RPC method
+ * @param {string} [spec.description] Human readable description
+ * @param {Object} [spec.args] Arguments: `{ name: { type, required, enum, default } }`
+ * @param {Function} spec.params Build the JSON-RPC params from validated arguments
+ * @param {boolean} [spec.expectResponse=true] Wait for a JSON-RPC response (false: the SIP 2xx is enough)
+ * @param {boolean} [spec.experimental=false] Method name / params not confirmed against a gateway yet
+ */
+function defineCommand(name, spec) {
+  if (!spec || typeof spec.method !== 'string') throw new Error(`Command ${name} needs a JSON-RPC method`);
+  if (typeof spec.params !== 'function') throw new Error(`Command ${name} needs a params builder`);
+  COMMANDS[name] = { name, args: {}, expectResponse: true, experimental: false, description: '', ...spec };
+}
+
+/**
+ * Receiver addressing a device of the plant.
+ * @param {string} id Device id
+ * @param {string|null} [plantId] Plant id (the gateway accepts null)
+ * @returns {Object}
+ */
+function receiver(id, plantId = null) {
+  return { plant: { coal: { id: id || null }, id: plantId || null } };
+}
+
+const DEVICE_ARGS = {
+  id: { type: 'string', required: true },
+  plantId: { type: 'string' }
+};
+
+defineCommand('openLock', {
+  method: 'lock.setStatus',
+  description: 'Open a door lock / gate',
+  args: DEVICE_ARGS,
+  params: ({ id, plantId }) => [{ receiver: receiver(id, plantId), status: 'open' }],
+  expectResponse: false
+});
+
+defineCommand('getLockStatus', {
+  method: 'lock.getStatus',
+  description: 'Query the state of a door lock / gate',
+  args: DEVICE_ARGS,
+  params: ({ id, plantId }) => [{ receiver: receiver(id, plantId) }],
+  experimental: true
+});
+
+defineCommand('setStairLight', {
+  method: 'light.setStatus',
+  description: 'Switch the staircase light (usually a timed pulse on the building side)',
+  args: { ...DEVICE_ARGS, status: { type: 'string', enum: ['on', 'off'], default: 'on' } },
+  params: ({ id, plantId, status }) => [{ receiver: receiver(id, plantId), status }],
+  expectResponse: false,
+  experimental: true
+});
+
+defineCommand('setActuator', {
+  method: 'actuator.setStatus',
+  description: 'Drive an auxiliary actuator (relay)',
+  args: { ...DEVICE_ARGS, status: { type: 'string', enum: ['on', 'off', 'pulse'], default: 'pulse' } },
+  params: ({ id, plantId, status }) => [{ receiver: receiver(id, plantId), status }],
+  expectResponse: false,
+  experimental: true
+});
+
+defineCommand('getAnsweringMachine', {
+  method: 'answeringMachine.getStatus',
+  description: 'Query whether the answering machine (video memory) is enabled',
+  args: { plantId: { type: 'string' } },
+  params: ({ plantId }) => [{ receiver: { plant: { id: plantId || null } } }],
+  experimental: true
+});
+
+defineCommand('setAnsweringMachine', {
+  method: 'answeringMachine.setStatus',
+  description: 'Enable or disable the answering machine (video memory)',
+  args: { enabled: { type: 'boolean', required: true }, plantId: { type: 'string' } },
+  params: ({ enabled, plantId }) => [{ receiver: { plant: { id: plantId || null } }, status: enabled ? 'on' : 'off' }],
+  expectResponse: false,
+  experimental: true
+});
+
+// Lock states as reported by the gateway, normalized to open / closed
+const OPEN_LOCK_STATES = ['open', 'opened', 'unlocked', 'on'];
+const CLOSED_LOCK_STATES = ['closed', 'close', 'locked', 'off'];
+
+/**
+ * Extract lock states from a `lock.getStatus` result or a lock notification's params.
+ *
+ * Accepts a single entry or an array of them; each entry carries a `status` (or `state`)
+ * and identifies the lock through a receiver (`receiver.plant.coal.id`), `coal.id` or `id`.
+ *
+ * @param {Object|Array<Object>} payload JSON-RPC result / params
+ * @param {string} [gateId] Lock id to use when an entry does not name one (e.g. the queried lock)
+ * @returns {Array<{gateId: string|null, status: string, open: boolean|null}>} `open` is null
+ *   for a state that is neither open nor closed
+ */
+function parseLockStatus(payload, gateId = null) {
+  const entries = Array.isArray(payload) ? payload : [payload];
+  const states = [];
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') continue;
+    const raw = entry.status !== undefined ? entry.status : entry.state;
+    if (typeof raw !== 'string') continue;
+
+    const coal = (entry.receiver && entry.receiver.plant && entry.receiver.plant.coal) || entry.coal;
+    const id = (coal && coal.id) || entry.id || gateId;
+    const status = raw.toLowerCase();
+    let open = null;
+    if (OPEN_LOCK_STATES.includes(status)) open = true;
+    else if (CLOSED_LOCK_STATES.includes(status)) open = false;
+    states.push({ gateId: id || null, status, open });
+  }
+  return states;
+}
+
+/**
+ * Validate arguments against a command's `args` spec and apply defaults.
+ * @param {Object} command Catalogue entry
+ * @param {Object} [args] Arguments
+ * @returns {Object} Validated arguments
+ * @throws {Error} On a missing, mistyped or out-of-range argument
+ */
+function validateArgs(command, args = {}) {
+  if (!args || typeof args !== 'object') throw new Error(`${command.name}: arguments must be an object`);
+  const validated = {};
+  for (const [key, spec] of Object.entries(command.args)) {
+    let value = args[key];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) throw new Error(`${command.name}: ${key} is required`);
+      if (spec.default === undefined) continue;
+      value = spec.default;
+    }
+    if (spec.type && typeof value !== spec.type) {
+      throw new Error(`${command.name}: ${key} must be a ${spec.type}`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      throw new Error(`${command.name}: ${key} must be one of ${spec.enum.join(', ')}`);
+    }
+    validated[key] = value;
+  }
+  const unknown = Object.keys(args).filter(key => !(key in command.args));
+  if (unknown.length) throw new Error(`${command.name}: unknown argument ${unknown.join(', ')}`);
+  return validated;
+}
+
+/**
+ * Resolve a catalogue entry and build its JSON-RPC method and params.
+ * @param {string} name Command name
+ * @param {Object} [args] Arguments
+ * @returns {{method: string, params: *, expectResponse: boolean}}
+ * @throws {Error} Unknown command or invalid arguments
+ */
+function buildCommand(name, args) {
+  const command = COMMANDS[name];
+  if (!command) throw new Error(`Unknown command "${name}" (known: ${Object.keys(COMMANDS).join(', ')})`);
+  return {
+    method: command.method,
+    params: command.params(validateArgs(command, args)),
+    expectResponse: command.expectResponse
+  };
+}
+
+/**
+ * Validate and send a catalogue command.
+ *
+ * @param {{call: Function}} target Connected BticinoSipClient / BticinoSipListener
+ * @param {string} name Command name (see COMMANDS)
+ * @param {Object} [args] Arguments
+ * @param {Object} [opts] Options passed to `call()` (e.g. `timeoutMs`)
+ * @returns {Promise<*>} JSON-RPC result (undefined for commands answered by the SIP 2xx only)
+ */
+async function runCommand(target, name, args, opts = {}) {
+  const { method, params, expectResponse } = buildCommand(name, args);
+  return target.call(method, params, { expectResponse, ...opts });
+}
+
+/**
+ * Open a door lock / gate.
+ * @param {{call: Function}} target Connected client or listener
+ * @param {string} id Lock device id
+ * @param {Object} [opts] `{ plantId, timeoutMs }`
+ * @returns {Promise<*>}
+ */
+function openLock(target, id, opts = {}) {
+  const { plantId, ...callOpts } = opts;
+  return runCommand(target, 'openLock', { id, plantId }, callOpts);
+}
+
+/**
+ * Query a door lock / gate. Experimental: `lock.getStatus` has not been seen on the wire.
+ * @param {{call: Function}} target Connected client or listener
+ * @param {string} id Lock device id
+ * @param {Object} [opts] `{ plantId, timeoutMs }`
+ * @returns {Promise<{gateId: string, status: string|null, open: boolean|null, result: *}>} Normalized
+ *   state (see parseLockStatus) and the raw JSON-RPC `result`
+ */
+async function getLockStatus(target, id, opts = {}) {
+  const { plantId, ...callOpts } = opts;
+  const result = await runCommand(target, 'getLockStatus', { id, plantId }, callOpts);
+  const states = parseLockStatus(result, id);
+  const state = states.find(s => s.gateId === id) || states[0];
+  return { gateId: id, status: state ? state.status : null, open: state ? state.open : null, result };
+}
+
+/**
+ * Switch the staircase light. Experimental: `light.setStatus` has not been seen on the wire.
+ * @param {{call: Function}} target Connected client or listener
+ * @param {string} id Light actuator id
+ * @param {Object} [opts] `{ status: 'on'|'off', plantId, timeoutMs }`
+ * @returns {Promise<*>}
+ */
+function setStairLight(target, id, opts = {}) {
+  const { plantId, status, ...callOpts } = opts;
+  return runCommand(target, 'setStairLight', { id, plantId, status }, callOpts);
+}
+
+/**
+ * Drive an auxiliary actuator. Experimental: `actuator.setStatus` has not been seen on the wire.
+ * @param {{call: Function}} target Connected client or listener
+ * @param {string} id Actuator id
+ * @param {Object} [opts] `{ status: 'on'|'off'|'pulse', plantId, timeoutMs }`
+ * @returns {Promise<*>}
+ */
+function setActuator(target, id, opts = {}) {
+  const { plantId, status, ...callOpts } = opts;
+  return runCommand(target, 'setActuator', { id, plantId, status }, callOpts);
+}
+
+/**
+ * Query the answering machine. Experimental: `answeringMachine.getStatus` has not been seen on the wire.
+ * @param {{call: Function}} target Connected client or listener
+ * @param {Object} [opts] `{ plantId, timeoutMs }`
+ * @returns {Promise<*>}
+ */
+function getAnsweringMachine(target, opts = {}) {
+  const { plantId, ...callOpts } = opts;
+  return runCommand(target, 'getAnsweringMachine', { plantId }, callOpts);
+}
+
+/**
+ * Enable or disable the answering machine. Experimental: `answeringMachine.setStatus` has not been
+ * seen on the wire.
+ * @param {{call: Function}} target Connected client or listener
+ * @param {boolean} enabled New state
+ * @param {Object} [opts] `{ plantId, timeoutMs }`
+ * @returns {Promise<*>}
+ */
+function setAnsweringMachine(target, enabled, opts = {}) {
+  const { plantId, ...callOpts } = opts;
+  return runCommand(target, 'setAnsweringMachine', { enabled, plantId }, callOpts);
+}
+
+module.exports = {
+  COMMANDS,
+  defineCommand,
+  receiver,
+  parseLockStatus,
+  validateArgs,
+  buildCommand,
+  runCommand,
+  openLock,
+  getLockStatus,
+  setStairLight,
+  setActuator,
+  getAnsweringMachine,
+  setAnsweringMachine
+};
@@ -2,7 +2,8 @@
  * BTicino Gate Opener - SIP MESSAGE implementation
  *
  * High-level functions for opening gates/doors via SIP MESSAGE with JSON-RPC 2.0 payload.
- * Replicates the gate-open command used by the official Door Entry mobile app.
+ * Replicates the gate-open command used by the official Door Entry mobile app, plus the
+ * staircase light and auxiliary actuator commands (see BticinoCommands).
  *
  * Requirements:
  * - Valid TLS client certificate (from certificate provisioning)
@@ -14,17 +15,96 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('../config/config');
+const { BticinoCredentialVault } = require('../store/BticinoCredentialVault');
+const { BticinoCommandRejectedError, BticinoLockRejectedError } = require('./BticinoSipErrors');
+const { buildJsonRpcRequest } = require('./BticinoJsonRpc');
+const { buildCommand } = require('./BticinoCommands');
 
-// Extracted SIP client and helpers
+// Extracted SIP client; its helpers live in the shared user agent core
 const {
   getLocalIP,
   buildGateOpenPayload,
   buildSipMessage,
-  calculateHa1,
-  BticinoSipClient
-} = require('./BticinoSipClient.js');
+  calculateHa1
+} = require('./BticinoSipUserAgent');
+const { BticinoSipClient } = require('./BticinoSipClient');
+
+/**
+ * Resolve gate references to lock ids.
+ *
+ * Each reference is a device id, a friendly name (matched case-insensitively against
+ * the `name` of `locks`, as returned by `BticinoApiClient.getLocks()`) or a lock object.
+ * Without `locks`, string references are used as ids.
+ *
+ * @param {string|Object|Array<string|Object>} gates Gate reference(s)
+ * @param {Array<Object>} [locks] Known locks: `[{ id, name }]`
+ * @returns {Array<{id: string, name: string|null}>}
+ * @throws {Error} If a name matches no known lock
+ */
+function resolveGates(gates, locks) {
+  const refs = Array.isArray(gates) ? gates : [gates];
+  if (refs.length === 0) throw new Error('At least one gate is required');
 
-// BticinoSipClient and helpers were moved to lib/BticinoSipClient.js
+  return refs.map((ref) => {
+    if (ref && typeof ref === 'object') {
+      if (!ref.id) throw new Error('Gate objects must have an id');
+      return { id: ref.id, name: ref.name || null };
+    }
+    if (!ref) throw new Error('Gate id or name must not be empty');
+    if (!Array.isArray(locks)) return { id: String(ref), name: null };
+
+    const wanted = String(ref).trim().toLowerCase();
+    const lock = locks.find(l => l.id === ref) ||
+      locks.find(l => l.name && String(l.name).trim().toLowerCase() === wanted);
+    if (!lock) {
+      const known = locks.map(l => l.name || l.id).join(', ') || 'none';
+      throw new Error(`Unknown gate "${ref}" (known locks: ${known})`);
+    }
+    return { id: lock.id, name: lock.name || null };
+  });
+}
+
+/**
+ * Turn the final response to a gate command into the openGate() result.
+ * A JSON-RPC error in the response body means the gateway refused to open the lock.
+ *
+ * @param {{id: string, name: string|null}} gate Gate the command was sent to
+ * @param {Object} response Final 2xx `{ statusCode, statusText, body, rttMs, authRequired }`
+ * @returns {{gateId: string, name: string|null, statusCode: number, statusText: string, body: string, rpc: Object|null, rttMs: number, authRequired: boolean}}
+ * @throws {BticinoLockRejectedError} If the JSON-RPC response carries an error
+ */
+function buildGateResult(gate, response) {
+  const rpc = parseRpcBody(response.body);
+  const result = {
+    gateId: gate.id,
+    name: gate.name,
+    statusCode: response.statusCode,
+    statusText: response.statusText,
+    body: response.body || '',
+    rpc,
+    rttMs: response.rttMs,
+    authRequired: !!response.authRequired
+  };
+
+  if (rpc && rpc.error) {
+    const reason = rpc.error.message || JSON.stringify(rpc.error);
+    throw new BticinoLockRejectedError(`Gate ${gate.name || gate.id} refused to open: ${reason}`, {
+      code: rpc.error.code !== undefined ? rpc.error.code : result.statusCode,
+      response: result
+    });
+  }
+  return result;
+}
+
+// JSON-RPC response carried by a 2xx body, or null
+function parseRpcBody(body) {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch (_) {
+    return null; // Not JSON: keep the raw body only
+  }
+}
 
 /**
  * Open a gate or door using SIP MESSAGE with JSON-RPC 2.0 protocol.
@@ -33,26 +113,48 @@ const {
  * at a specified plant location. This function must be called after device registration
  * and certificate provisioning.
  *
+ * Several gates (e.g. a pedestrian door and a driveway gate) can be opened in one go:
+ * pass an array and the commands are sent one after the other over the same connection.
+ * Gates can be referenced by friendly name when the plant's locks are known
+ * (`opts.locks` from `BticinoApiClient.getLocks()`, or `opts.api` to look them up).
+ *
+ * By default a TLS connection is opened for the call and closed afterwards. Pass
+ * `opts.channel` (a connected BticinoSipListener or BticinoSipClient) to send the command
+ * over an existing connection instead: the promise then settles as soon as the final
+ * SIP response arrives, without a TLS handshake.
+ *
  * Authentication is performed using mTLS (client certificate + private key) and SIP digest authentication.
  * The SIP MESSAGE payload contains a JSON-RPC 2.0 request to the door opening service.
  *
  * @async
- * @param {string} gateId - Device ID of the gate/door opener to activate
+ * @param {string|Object|Array<string|Object>} gateId - Device ID or friendly name of the gate/door opener
+ *   to activate, a lock object from getLocks(), or an array of them
  * @param {string} plantId - Plant UUID where the gate is located
- * @param {string|Buffer} cert - TLS client certificate in PEM format
- * @param {string|Buffer} key - TLS private key in PEM format
- * @param {Object} sipAccount - SIP account details
+ * @param {string|Buffer} cert - TLS client certificate in PEM format (unused with `opts.channel`)
+ * @param {string|Buffer|Object} key - TLS private key in PEM format (or a vault envelope when `opts.vault` is set)
+ * @param {Object} sipAccount - SIP account details (unused with `opts.channel`)
  * @param {string} sipAccount.sipUri - SIP URI (e.g., "user_clientId@gateway.bs.iotleg.com")
- * @param {string} sipAccount.sipPassword - SIP password for digest authentication
+ * @param {string|Object} sipAccount.sipPassword - SIP password for digest authentication (or a vault envelope)
  * @param {string} [sipAccount.domain] - SIP domain (extracted from sipUri if not provided)
  * @param {string} [sipAccount.username] - SIP username (extracted from sipUri if not provided)
  * @param {string} [sipAccount.userOid] - User OID for constructing SIP username
  * @param {string} [sipAccount.clientId] - Client ID for constructing SIP username
  * @param {Object} [opts] - Options
  * @param {boolean} [opts.debug] - Enable debug logging (default: false)
- * @param {number} [opts.timeout] - Connection timeout in milliseconds (default: 30000)
- * @returns {Promise<Object>} Server response containing operation result
- * @throws {Error} If connection fails, credentials are invalid, or door opening fails
+ * @param {number} [opts.timeout] - Max wait for the final response to each command, on the connection
+ *   opened for the call (ms, default: 20000; a channel keeps its own `timeoutMs`)
+ * @param {BticinoCredentialVault} [opts.vault] - Vault used to decrypt a sealed private key / SIP password
+ * @param {Array<Object>} [opts.locks] - Known locks (`[{ id, name }]`) to resolve gate names
+ * @param {BticinoApiClient} [opts.api] - API client used to fetch the plant's locks when names are given
+ * @param {BticinoSipListener|BticinoSipClient} [opts.channel] - Connected SIP listener/client to send the
+ *   command over (left open)
+ * @returns {Promise<Object|Array<Object>>} For a single gate, the result of the command:
+ *   `{ gateId, name, statusCode, statusText, body, rpc, rttMs, authRequired }` (`rpc` is the
+ *   parsed JSON-RPC response body, if any). For an array, one `{ gateId, name, success, response?, error? }`
+ *   entry per gate, `response` being that result
+ * @throws {BticinoSipError} Typed failure for a single gate (see BticinoSipErrors): BticinoSipAuthError,
+ *   BticinoSipTimeoutError, BticinoGatewayOfflineError, BticinoLockRejectedError
+ * @throws {Error} If connection fails, credentials are missing or a gate name is unknown
  * 
  * @example
  * // Open a gate after device registration
@@ -64,7 +166,16 @@ const {
  *   sipAccount,           // from device registration
  *   { debug: true }
  * );
- * console.log('Gate opened:', result);
+ * console.log(`Gate opened (${result.statusCode}) in ${result.rttMs} ms`);
+ *
+ * @example
+ * // Open two gates by name
+ * const locks = await api.getLocks(plantId);
+ * const results = await openGate(['Pedestrian door', 'Driveway gate'], plantId, certPEM, keyPEM, sipAccount, { locks });
+ *
+ * @example
+ * // Reuse the registered doorbell listener connection
+ * await openGate('gate_123', plantId, null, null, null, { channel: listener });
  */
 async function openGate(gateId, plantId, cert, key, sipAccount, opts = {}) {
   const _log = (...a) => console.log(...a);
@@ -75,8 +186,175 @@ async function openGate(gateId, plantId, cert, key, sipAccount, opts = {}) {
 
   // Minimal validation: gateId required. gatewayId and plantId are optional
   // and may be derived from the provided `sipAccount` when possible.
-  if (!gateId) throw new Error('gateId (first parameter) is required');
+  if (!gateId || (Array.isArray(gateId) && gateId.length === 0)) {
+    throw new Error('gateId (first parameter) is required');
+  }
 
+  // Resolve friendly names to lock ids (fetching the plant's locks when needed)
+  let locks = opts.locks;
+  const refs = Array.isArray(gateId) ? gateId : [gateId];
+  const hasNames = refs.some(ref => typeof ref === 'string');
+  if (!locks && opts.api && hasNames) {
+    if (!plantId) throw new Error('plantId is required to look up gates by name');
+    locks = await opts.api.getLocks(plantId);
+  }
+  const gates = resolveGates(gateId, locks);
+
+  // Reuse an open connection when given one, otherwise connect just for this call
+  const channel = opts.channel || null;
+  const client = channel ? null : createGateClient(gates[0].id, plantId, cert, key, sipAccount, opts);
+  try {
+    if (client) await client.connect();
+
+    // Each command resolves on its final SIP response (407 challenges are answered in between)
+    const send = async (gate) => {
+      const target = client || channel;
+      const response = typeof target.sendGateOpenCommand === 'function'
+        ? await target.sendGateOpenCommand(gate.id)
+        : await target.sendCommand(buildGateOpenPayload(gate.id), { gateId: gate.id });
+      return buildGateResult(gate, response);
+    };
+
+    const results = [];
+    for (const gate of gates) {
+      _log(`Attempting to send gate open command${gate.name ? ` (${gate.name})` : ''}...`);
+      if (!Array.isArray(gateId)) {
+        results.push(await send(gate));
+        continue;
+      }
+      // Several gates: one failing gate must not keep the others closed
+      try {
+        const response = await send(gate);
+        results.push({ gateId: gate.id, name: gate.name, success: true, response });
+      } catch (err) {
+        _warn(`Failed to open gate ${gate.name || gate.id}:`, err.message);
+        results.push({ gateId: gate.id, name: gate.name, success: false, error: err });
+      }
+    }
+
+    return Array.isArray(gateId) ? results : results[0];
+  } catch (err) {
+    _error('Error:', err && err.message ? err.message : err);
+    _error(err && err.stack ? err.stack : err);
+    // Re-throw so callers can handle errors programmatically
+    throw err;
+  } finally {
+    // ALWAYS try to close our own SIP client connection (best-effort); a channel stays open
+    try {
+      if (client && typeof client.disconnect === 'function') {
+        // call and await disconnect; swallow secondary errors to avoid masking the original error
+        await client.disconnect().catch(() => {});
+        if (client._log) client._log('\nSIP client disconnected (finally)');
+      }
+    } catch (e) {
+      // ignore
+    }
+  }
+}
+
+/**
+ * Switch the staircase light relay using SIP MESSAGE with JSON-RPC 2.0 protocol.
+ * Experimental: `light.setStatus` has not been seen on the wire (see BticinoCommands).
+ *
+ * Same transport, digest authentication and parameters as openGate(): a TLS connection
+ * is opened for the call, or `opts.channel` is used when given.
+ *
+ * @async
+ * @param {string} lightId - Device ID of the staircase light actuator
+ * @param {string} plantId - Plant UUID
+ * @param {string|Buffer} cert - TLS client certificate in PEM format (unused with `opts.channel`)
+ * @param {string|Buffer|Object} key - TLS private key in PEM format (or a vault envelope when `opts.vault` is set)
+ * @param {Object} sipAccount - SIP account details, as for openGate() (unused with `opts.channel`)
+ * @param {Object} [opts] - Options of openGate(), plus:
+ * @param {string} [opts.status='on'] - 'on' or 'off'
+ * @returns {Promise<Object>} `{ deviceId, status, statusCode, statusText, body, rpc, rttMs, authRequired }`
+ * @throws {BticinoSipError} Typed failure (see BticinoSipErrors); BticinoCommandRejectedError when the
+ *   gateway refuses the command (JSON-RPC error, 486/600/603)
+ * @throws {Error} If the arguments are invalid, connection fails or credentials are missing
+ *
+ * @example
+ * await switchStairLight('light_123', plantId, certPEM, keyPEM, sipAccount);
+ */
+async function switchStairLight(lightId, plantId, cert, key, sipAccount, opts = {}) {
+  const { status = 'on' } = opts;
+  return sendDeviceCommand('setStairLight', { id: lightId, status }, plantId, cert, key, sipAccount, opts);
+}
+
+/**
+ * Drive an auxiliary actuator (relay output) using SIP MESSAGE with JSON-RPC 2.0 protocol.
+ * Experimental: `actuator.setStatus` has not been seen on the wire (see BticinoCommands).
+ *
+ * Same transport, digest authentication and parameters as openGate(): a TLS connection
+ * is opened for the call, or `opts.channel` is used when given.
+ *
+ * @async
+ * @param {string} actuatorId - Device ID of the auxiliary actuator
+ * @param {string} plantId - Plant UUID
+ * @param {string|Buffer} cert - TLS client certificate in PEM format (unused with `opts.channel`)
+ * @param {string|Buffer|Object} key - TLS private key in PEM format (or a vault envelope when `opts.vault` is set)
+ * @param {Object} sipAccount - SIP account details, as for openGate() (unused with `opts.channel`)
+ * @param {Object} [opts] - Options of openGate(), plus:
+ * @param {string} [opts.status='pulse'] - 'pulse' (momentary), 'on' or 'off'
+ * @returns {Promise<Object>} `{ deviceId, status, statusCode, statusText, body, rpc, rttMs, authRequired }`
+ * @throws {BticinoSipError} Typed failure (see BticinoSipErrors); BticinoCommandRejectedError when the
+ *   gateway refuses the command (JSON-RPC error, 486/600/603)
+ * @throws {Error} If the arguments are invalid, connection fails or credentials are missing
+ *
+ * @example
+ * await activateActuator('aux_1', plantId, null, null, null, { channel: listener });
+ */
+async function activateActuator(actuatorId, plantId, cert, key, sipAccount, opts = {}) {
+  const { status = 'pulse' } = opts;
+  return sendDeviceCommand('setActuator', { id: actuatorId, status }, plantId, cert, key, sipAccount, opts);
+}
+
+/**
+ * Send one catalogue command the way openGate() sends the gate command.
+ * @private
+ */
+async function sendDeviceCommand(commandName, args, plantId, cert, key, sipAccount, opts) {
+  // Invalid arguments fail before any connection is made
+  const { method, params } = buildCommand(commandName, args);
+  const body = buildJsonRpcRequest(method, params);
+
+  const channel = opts.channel || null;
+  const client = channel ? null : createGateClient(null, plantId, cert, key, sipAccount, opts);
+  try {
+    if (client) await client.connect();
+    if (opts.debug) console.log(`Sending ${method} (${args.status}) to ${args.id}...`);
+
+    const response = await (client || channel).sendCommand(body);
+
+    const rpc = parseRpcBody(response.body);
+    const result = {
+      deviceId: args.id,
+      status: args.status,
+      statusCode: response.statusCode,
+      statusText: response.statusText,
+      body: response.body || '',
+      rpc,
+      rttMs: response.rttMs,
+      authRequired: !!response.authRequired
+    };
+    if (rpc && rpc.error) {
+      const reason = rpc.error.message || JSON.stringify(rpc.error);
+      throw new BticinoCommandRejectedError(`Device ${args.id} refused ${method}: ${reason}`, {
+        code: rpc.error.code !== undefined ? rpc.error.code : result.statusCode,
+        response: result
+      });
+    }
+    return result;
+  } finally {
+    // Close our own connection; a channel stays open
+    if (client) await client.disconnect().catch(() => {});
+  }
+}
+
+/**
+ * Build the short-lived SIP client used by openGate() when no channel is given.
+ * @private
+ */
+function createGateClient(gateId, plantId, cert, key, sipAccount, opts) {
   // cert and key must be provided separately
   if (!cert || !key) {
     throw new Error('certificate and private key parameters are required');
@@ -86,6 +364,14 @@ async function openGate(gateId, plantId, cert, key, sipAccount, opts = {}) {
     throw new Error('sipAccount (fifth parameter) is required and must be an object');
   }
 
+  // Decrypt vault-sealed secrets only for the lifetime of this call
+  if (opts.vault) {
+    key = opts.vault.open(key, 'key');
+    sipAccount = opts.vault.openFields(sipAccount);
+  } else if (BticinoCredentialVault.isSealed(key) || BticinoCredentialVault.isSealed(sipAccount.sipPassword)) {
+    throw new Error('Credentials are encrypted: pass opts.vault to open them');
+  }
+
   // Build sipConfig from sipAccount
   const sipUri = sipAccount.sipUri || '';
   const domain = (sipUri.split('@')[1] || sipAccount.domain || '').trim();
@@ -123,41 +409,20 @@ async function openGate(gateId, plantId, cert, key, sipAccount, opts = {}) {
 
   // Create client passing gateId, plantId, gatewayId directly
   const certsParam = { cert, key };
-  const client = new BticinoSipClient(sipConfig, gateId, plantId, gatewayId, { debug: !!opts.debug }, certsParam);
-  try {
-    // Connect to the server
-    await client.connect();
-
-    // Wait a bit to observe responses
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Send the MESSAGE command directly (no REGISTER).
-    // The server may reply with 407 if authentication is required.
-    client._log('\nAttempting to send gate open command...');
-    await client.sendGateOpenCommand();
-
-    // Wait for response and authentication handling
-    await new Promise(resolve => setTimeout(resolve, 5000));
-
-  } catch (err) {
-    _error('Error:', err && err.message ? err.message : err);
-    _error(err && err.stack ? err.stack : err);
-    // Re-throw so callers can handle errors programmatically
-    throw err;
-  } finally {
-    // ALWAYS try to close the SIP client connection (best-effort)
-    try {
-      if (client && typeof client.disconnect === 'function') {
-        // call and await disconnect; swallow secondary errors to avoid masking the original error
-        await client.disconnect().catch(() => {});
-        if (client._log) client._log('\nSIP client disconnected (finally)');
-      }
-    } catch (e) {
-      // ignore
-    }
-  }
+  const clientOpts = { debug: !!opts.debug, ...(opts.timeout ? { timeoutMs: opts.timeout } : {}) };
+  return new BticinoSipClient(sipConfig, gateId, plantId, gatewayId, clientOpts, certsParam);
 }
 
 // (No direct-run behavior) This module exports functions only; callers must invoke `openGate` explicitly.
 
-module.exports = { BticinoSipClient, buildGateOpenPayload, buildSipMessage, calculateHa1, openGate };
+module.exports = {
+  BticinoSipClient,
+  buildGateOpenPayload,
+  buildSipMessage,
+  calculateHa1,
+  openGate,
+  switchStairLight,
+  activateActuator,
+  resolveGates,
+  buildGateResult
+};
@@ -0,0 +1,222 @@
+/**
+ * BTicino Digest - SIP digest authentication (RFC 2617, RFC 7616, RFC 3261 §22)
+ *
+ * Answers the WWW-Authenticate (401) and Proxy-Authenticate (407) challenges of the
+ * SIP server for {@link BticinoSipUserAgent}:
+ *
+ * - qop `auth`, `auth-int` (the body is part of the hash) or none (RFC 2069 form, no nc / cnonce)
+ * - algorithms MD5, MD5-sess, SHA-256 and SHA-256-sess
+ * - nonce count: `nc` counts the requests sent with each nonce (00000001, 00000002, ...)
+ * - `stale=true`: the nonce expired but the credentials were right, the request is retried
+ * - the last challenge is kept (`challenge`), so a refresh REGISTER carries credentials up front
+ *
+ * @example
+ * const digest = new BticinoDigest({ username, password });
+ * const challenge = parseChallenge(response.headers['proxy-authenticate']);
+ * const value = digest.authorize('MESSAGE', 'sip:diy@gateway.bs.iotleg.com', challenge, body);
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Supported algorithms by upper-cased name: token, hash function and whether HA1 is per session (`-sess`).
+ * @constant {Object}
+ */
+const ALGORITHMS = Object.freeze({
+  'MD5': { name: 'MD5', hash: 'md5', session: false },
+  'MD5-SESS': { name: 'MD5-sess', hash: 'md5', session: true },
+  'SHA-256': { name: 'SHA-256', hash: 'sha256', session: false },
+  'SHA-256-SESS': { name: 'SHA-256-sess', hash: 'sha256', session: true }
+});
+
+// Nonces whose count is remembered (the server hands out a new one every few minutes)
+const MAX_NONCES = 16;
+
+function hash(algorithm, value) {
+  return crypto.createHash(ALGORITHMS[algorithm].hash).update(value).digest('hex');
+}
+
+// Upper-cased algorithm name, MD5 when the challenge has none
+function normalizeAlgorithm(algorithm) {
+  return algorithm ? String(algorithm).toUpperCase() : 'MD5';
+}
+
+/**
+ * Parse a WWW-Authenticate / Proxy-Authenticate value.
+ * @param {string} header e.g. `Digest realm="gw", nonce="abc", qop="auth,auth-int", stale=TRUE`
+ * @returns {{realm: string, nonce: string, opaque: string|null, algorithm: string, qop: Array<string>, stale: boolean, params: Object}|null}
+ *   `null` if it is not a Digest challenge
+ */
+function parseChallenge(header) {
+  const match = /^\s*Digest\s+/i.exec(header || '');
+  if (!match) return null;
+
+  const params = {};
+  const re = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))\s*(?:,|$)/g;
+  const rest = header.slice(match[0].length);
+  let param;
+  while ((param = re.exec(rest)) !== null) {
+    params[param[1].toLowerCase()] = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+  }
+
+  return {
+    realm: params.realm,
+    nonce: params.nonce,
+    opaque: params.opaque !== undefined ? params.opaque : null,
+    algorithm: normalizeAlgorithm(params.algorithm),
+    qop: params.qop ? params.qop.split(',').map(q => q.trim().toLowerCase()).filter(Boolean) : [],
+    stale: String(params.stale).toLowerCase() === 'true',
+    params
+  };
+}
+
+/**
+ * First challenge we can answer among the challenges of a response (a server may offer
+ * SHA-256 and MD5, RFC 8760); challenges are listed in the server's order of preference.
+ * @param {Array<string>} headers WWW-Authenticate / Proxy-Authenticate values
+ * @returns {Object|null} Parsed challenge (see parseChallenge())
+ */
+function pickChallenge(headers) {
+  for (const header of headers) {
+    const challenge = parseChallenge(header);
+    if (challenge && challenge.nonce && ALGORITHMS[challenge.algorithm]) return challenge;
+  }
+  return null;
+}
+
+/**
+ * HA1 = H(username:realm:password); for the `-sess` algorithms H(H(username:realm:password):nonce:cnonce).
+ * @param {string} username
+ * @param {string} realm
+ * @param {string} password
+ * @param {Object} [opts]
+ * @param {string} [opts.algorithm='MD5'] Digest algorithm (see ALGORITHMS)
+ * @param {string} [opts.nonce] Server nonce (`-sess` only)
+ * @param {string} [opts.cnonce] Client nonce (`-sess` only)
+ * @returns {string|null} Hex digest, or null without complete credentials
+ */
+function calculateHa1(username, realm, password, opts = {}) {
+  if (!username || !realm || !password) return null;
+  const algorithm = normalizeAlgorithm(opts.algorithm);
+  const ha1 = hash(algorithm, `${username}:${realm}:${password}`);
+  return ALGORITHMS[algorithm].session ? hash(algorithm, `${ha1}:${opts.nonce}:${opts.cnonce}`) : ha1;
+}
+
+/**
+ * Digest `response` value from HA1.
+ * @param {Object} params
+ * @param {string} params.ha1 HA1 (see calculateHa1())
+ * @param {string} [params.algorithm='MD5'] Digest algorithm
+ * @param {string} params.method SIP method
+ * @param {string} params.uri Request-URI
+ * @param {string} params.nonce Server nonce
+ * @param {string} [params.nc] Nonce count (8 hex digits), with qop
+ * @param {string} [params.cnonce] Client nonce, with qop
+ * @param {string} [params.qop] 'auth', 'auth-int' or none
+ * @param {string} [params.body=''] Message body (`auth-int`)
+ * @returns {string} Hex digest
+ */
+function calculateResponse({ ha1, algorithm, method, uri, nonce, nc, cnonce, qop, body = '' }) {
+  algorithm = normalizeAlgorithm(algorithm);
+  const a2 = qop === 'auth-int' ? `${method}:${uri}:${hash(algorithm, body)}` : `${method}:${uri}`;
+  const ha2 = hash(algorithm, a2);
+  if (qop) {
+    return hash(algorithm, `${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`);
+  }
+  return hash(algorithm, `${ha1}:${nonce}:${ha2}`);
+}
+
+/**
+ * MD5 digest response with positional parameters (the signature of the earlier helper).
+ * @returns {string} Hex digest
+ */
+function calculateDigestResponse(ha1, method, uri, nonce, nc, cnonce, qop) {
+  return calculateResponse({ ha1, method, uri, nonce, nc, cnonce, qop });
+}
+
+class BticinoDigest {
+  /**
+   * @param {Object} credentials SIP account
+   * @param {string} credentials.username
+   * @param {string} credentials.password
+   * @param {string} [credentials.realm] Realm for HA1 (default: the realm of each challenge)
+   */
+  constructor(credentials = {}) {
+    this.username = credentials.username;
+    this.password = credentials.password;
+    this.realm = credentials.realm || null;
+    /** Last challenge kept with setChallenge(), answered up front by authorize() */
+    this.challenge = null;
+    this._nonceCounts = new Map();
+  }
+
+  /**
+   * Keep a challenge for later requests (e.g. the registrar's, for the next REGISTER).
+   * @param {Object|null} challenge Parsed challenge (see parseChallenge())
+   */
+  setChallenge(challenge) {
+    this.challenge = challenge;
+  }
+
+  /**
+   * Requests sent so far with a nonce.
+   * @param {string} nonce
+   * @returns {number}
+   */
+  nonceCount(nonce) {
+    return this._nonceCounts.get(nonce) || 0;
+  }
+
+  /**
+   * Credentials answering a challenge: the Authorization / Proxy-Authorization value.
+   * Each call counts one more request for the nonce (`nc`).
+   * @param {string} method SIP method
+   * @param {string} uri Request-URI
+   * @param {Object} [challenge] Parsed challenge (default: the one kept with setChallenge())
+   * @param {string} [body=''] Message body, hashed with qop=auth-int
+   * @returns {string|null} Header value, or null if the challenge cannot be answered (unknown algorithm)
+   */
+  authorize(method, uri, challenge = this.challenge, body = '') {
+    if (!challenge || !challenge.nonce || !ALGORITHMS[challenge.algorithm]) return null;
+    const { realm, nonce, opaque, algorithm } = challenge;
+
+    // qop=auth when offered, auth-int otherwise; no qop: RFC 2069 response without nc / cnonce
+    const qop = challenge.qop.includes('auth') ? 'auth' : (challenge.qop.includes('auth-int') ? 'auth-int' : null);
+    const cnonce = qop || ALGORITHMS[algorithm].session ? crypto.randomBytes(8).toString('hex') : null;
+    const nc = this._nextCount(nonce).toString(16).padStart(8, '0');
+
+    const ha1 = calculateHa1(this.username, this.realm || realm, this.password, { algorithm, nonce, cnonce });
+    const response = calculateResponse({ ha1, algorithm, method, uri, nonce, nc, cnonce, qop, body });
+
+    let value = `Digest realm="${realm}", nonce="${nonce}", algorithm=${ALGORITHMS[algorithm].name}, username="${this.username}", ` +
+      `uri="${uri}", response="${response}"`;
+    if (opaque !== null) value += `, opaque="${opaque}"`;
+    if (cnonce) value += `, cnonce="${cnonce}"`;
+    if (qop) value += `, nc=${nc}, qop=${qop}`;
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _nextCount(nonce) {
+    const count = this.nonceCount(nonce) + 1;
+    this._nonceCounts.delete(nonce);
+    this._nonceCounts.set(nonce, count);
+    // Forget the oldest nonces
+    while (this._nonceCounts.size > MAX_NONCES) {
+      this._nonceCounts.delete(this._nonceCounts.keys().next().value);
+    }
+    return count;
+  }
+}
+
+module.exports = {
+  BticinoDigest,
+  ALGORITHMS,
+  parseChallenge,
+  pickChallenge,
+  calculateHa1,
+  calculateResponse,
+  calculateDigestResponse
+};
@@ -0,0 +1,209 @@
+/**
+ * BTicino JSON-RPC - JSON-RPC 2.0 over SIP MESSAGE
+ *
+ * The gateway speaks JSON-RPC 2.0 in MESSAGE bodies. A response either comes back
+ * in the body of the SIP 2xx, or later in a MESSAGE sent by the gateway. This layer
+ * correlates both with the request `id`:
+ *
+ * - `call(method, params)` sends a request and resolves with its `result`, or rejects
+ *   with a BticinoJsonRpcError carrying the JSON-RPC `error` object
+ * - inbound MESSAGE bodies are fed through `handleMessage(body)`; responses settle the
+ *   matching call, requests without an `id` are emitted as 'notification'
+ *
+ * The transport is a function sending one MESSAGE body and resolving with the SIP final
+ * response (`{ statusCode, body, ... }`), e.g. `body => listener.sendMessage(body)`.
+ * Each call is sent at once, without waiting for earlier ones: replies are matched by id.
+ *
+ * @emits notification - JSON-RPC notification from the gateway: `{ method, params, message }`
+ * @emits request - JSON-RPC request from the gateway (has an `id`): `{ id, method, params, message }`
+ * @emits unmatched - Response with an unknown `id` (late, or for another client): `{ id, message }`
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { BticinoJsonRpcError, BticinoSipTimeoutError } = require('./BticinoSipErrors');
+
+const DEFAULT_RPC_TIMEOUT = 10000;
+
+/**
+ * Build a JSON-RPC 2.0 request body.
+ * @param {string} method Method name (e.g. 'lock.setStatus')
+ * @param {Array|Object} [params] Parameters
+ * @param {string|null} [id] Request id; `null` builds a notification
+ * @returns {string} JSON body
+ */
+function buildJsonRpcRequest(method, params, id = generateRpcId()) {
+  const request = { jsonrpc: '2.0', method };
+  if (id !== null) request.id = id;
+  if (params !== undefined) request.params = params;
+  return JSON.stringify(request);
+}
+
+/**
+ * Parse a MESSAGE body as JSON-RPC 2.0.
+ * @param {string} body Message body
+ * @returns {Array<Object>|null} Messages (a batch yields several), or null if the body is not JSON-RPC
+ */
+function parseJsonRpc(body) {
+  if (!body || typeof body !== 'string') return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (_) {
+    return null;
+  }
+  const messages = (Array.isArray(parsed) ? parsed : [parsed])
+    .filter(m => m && typeof m === 'object' && (m.jsonrpc === '2.0' || 'result' in m || 'error' in m || 'method' in m));
+  return messages.length ? messages : null;
+}
+
+// Numeric string ids, like the official app
+function generateRpcId() {
+  return crypto.randomInt(100000000).toString();
+}
+
+class BticinoJsonRpc extends EventEmitter {
+  /**
+   * @param {Function} send Transport: `(body: string) => Promise<{statusCode, body}>` (SIP final response)
+   * @param {Object} [opts] Options
+   * @param {number} [opts.timeoutMs=10000] Max wait for the JSON-RPC response after the SIP 2xx (ms)
+   * @param {boolean} [opts.debug] Enable debug logging
+   */
+  constructor(send, opts = {}) {
+    super();
+    if (typeof send !== 'function') throw new Error('BticinoJsonRpc requires a send function');
+    this._send = send;
+    this.opts = { timeoutMs: DEFAULT_RPC_TIMEOUT, debug: false, ...opts };
+    this._pending = new Map(); // id -> { method, resolve, reject, timer }
+
+    this._log = (...args) => { if (this.opts.debug) console.log('[JsonRpc]', ...args); };
+    this._warn = (...args) => { if (this.opts.debug) console.warn('[JsonRpc]', ...args); };
+  }
+
+  /**
+   * Number of calls waiting for their response.
+   * @type {number}
+   */
+  get pendingCount() {
+    return this._pending.size;
+  }
+
+  /**
+   * Call a JSON-RPC method on the gateway.
+   *
+   * @param {string} method Method name
+   * @param {Array|Object} [params] Parameters
+   * @param {Object} [opts] Options
+   * @param {number} [opts.timeoutMs] Max wait for the response after the SIP 2xx (default: constructor option)
+   * @param {boolean} [opts.expectResponse=true] When false, a SIP 2xx without a JSON-RPC response
+   *   settles the call (with `undefined`); for commands the gateway only acknowledges
+   * @returns {Promise<*>} The `result` member of the response
+   * @throws {BticinoJsonRpcError} JSON-RPC error response (`code`, `message`, `data`)
+   * @throws {BticinoSipError} SIP failure sending the request, or timeout waiting for the response
+   */
+  call(method, params, opts = {}) {
+    let id = generateRpcId();
+    while (this._pending.has(id)) id = generateRpcId();
+
+    const settled = new Promise((resolve, reject) => {
+      this._pending.set(id, { method, resolve, reject, timer: null });
+    });
+    const body = buildJsonRpcRequest(method, params, id);
+    this._log(`→ ${method} (${id})`);
+
+    // The response may arrive in the 2xx or in a later MESSAGE
+    Promise.resolve().then(() => this._send(body)).then((response) => {
+      const pending = this._pending.get(id);
+      if (!pending) return; // already answered by an inbound MESSAGE
+      if (response && response.body) this.handleMessage(response.body);
+      if (!this._pending.has(id)) return;
+      if (opts.expectResponse === false) {
+        this._pending.delete(id);
+        pending.resolve(undefined);
+        return;
+      }
+      const timeoutMs = opts.timeoutMs || this.opts.timeoutMs;
+      pending.timer = setTimeout(() => {
+        this._pending.delete(id);
+        pending.reject(new BticinoSipTimeoutError(`Timeout waiting for JSON-RPC response to ${method} (${timeoutMs} ms)`, {
+          response
+        }));
+      }, timeoutMs);
+    }, (err) => {
+      const pending = this._pending.get(id);
+      if (!pending) return;
+      this._pending.delete(id);
+      pending.reject(err);
+    });
+
+    return settled;
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response expected).
+   * @param {string} method Method name
+   * @param {Array|Object} [params] Parameters
+   * @returns {Promise<Object>} SIP final response
+   */
+  notify(method, params) {
+    return Promise.resolve().then(() => this._send(buildJsonRpcRequest(method, params, null)));
+  }
+
+  /**
+   * Handle a MESSAGE body received from the gateway (or carried by a SIP 2xx).
+   * @param {string} body Message body
+   * @param {Object} [message] SIP message it came with (passed to the events)
+   * @returns {boolean} True if the body was JSON-RPC
+   */
+  handleMessage(body, message = null) {
+    const messages = parseJsonRpc(body);
+    if (!messages) return false;
+
+    for (const rpc of messages) {
+      if (rpc.method !== undefined) {
+        const event = rpc.id === undefined || rpc.id === null ? 'notification' : 'request';
+        this._log(`← ${event} ${rpc.method}`);
+        this.emit(event, { id: rpc.id, method: rpc.method, params: rpc.params, message });
+        continue;
+      }
+
+      const id = rpc.id === undefined || rpc.id === null ? null : String(rpc.id);
+      const pending = id !== null ? this._pending.get(id) : null;
+      if (!pending) {
+        this._warn(`Response for unknown id ${rpc.id}`);
+        this.emit('unmatched', { id: rpc.id, message: rpc });
+        continue;
+      }
+
+      this._pending.delete(id);
+      clearTimeout(pending.timer);
+      if (rpc.error) {
+        this._log(`← ${pending.method} (${id}) error ${rpc.error.code}`);
+        pending.reject(new BticinoJsonRpcError(rpc.error, pending.method));
+      } else {
+        this._log(`← ${pending.method} (${id})`);
+        pending.resolve(rpc.result);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Reject every pending call (e.g. when the connection closes).
+   * @param {Error} err Rejection reason
+   */
+  rejectAll(err) {
+    for (const pending of this._pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(err);
+    }
+    this._pending.clear();
+  }
+}
+
+module.exports = {
+  BticinoJsonRpc,
+  buildJsonRpcRequest,
+  parseJsonRpc,
+  DEFAULT_RPC_TIMEOUT
+};
@@ -0,0 +1,123 @@
+/**
+ * BTicino Notifications - Classification of MESSAGE bodies sent by the gateway
+ *
+ * Besides JSON-RPC responses, the gateway pushes notifications in MESSAGE bodies, either
+ * as JSON-RPC notifications (`{ jsonrpc, method, params }`) or as plain JSON objects naming
+ * their type (`type`, `event` or `notification` member). Known types are turned into typed
+ * listener events:
+ *
+ * - missedCall: a doorbell ring nobody answered
+ * - gatewayIpChanged: the gateway got a new IP address
+ * - topologyChanged: devices were added to / removed from the plant
+ * - answeringMachineMessage: the answering machine (video memory) recorded a visitor
+ *
+ * The names are matched loosely (case, separators) as they vary between firmware versions.
+ * `defineNotification()` adds or overrides types.
+ */
+
+const NOTIFICATIONS = {};
+
+/**
+ * Add (or replace) a notification type.
+ *
+ * @param {string} type Notification type (e.g. 'missedCall')
+ * @param {Object} spec Type specification
+ * @param {string} [spec.event] Listener event name (default: the type)
+ * @param {RegExp} spec.match Matched against the notification name (method / type)
+ * @param {Function} [spec.fields] Extract normalized fields from the notification data
+ */
+function defineNotification(type, spec) {
+  if (!spec || !(spec.match instanceof RegExp)) throw new Error(`Notification ${type} needs a match pattern`);
+  NOTIFICATIONS[type] = { type, event: type, fields: () => ({}), ...spec };
+}
+
+// First non-empty value among the given keys
+function pick(data, ...keys) {
+  for (const key of keys) {
+    if (data[key] !== undefined && data[key] !== null && data[key] !== '') return data[key];
+  }
+  return null;
+}
+
+defineNotification('missedCall', {
+  match: /missed[._-]?call/i,
+  fields: data => ({
+    caller: pick(data, 'caller', 'from', 'callerId', 'source'),
+    time: pick(data, 'time', 'timestamp', 'date')
+  })
+});
+
+defineNotification('gatewayIpChanged', {
+  match: /(^|[._-]|gateway)ip[._-]?(address[._-]?)?chang|network[._-]?changed/i,
+  fields: data => ({
+    ip: pick(data, 'ip', 'newIp', 'address', 'ipAddress'),
+    previousIp: pick(data, 'previousIp', 'oldIp', 'previousAddress')
+  })
+});
+
+defineNotification('topologyChanged', {
+  match: /topology/i,
+  fields: data => ({
+    plantId: pick(data, 'plantId', 'plant')
+  })
+});
+
+defineNotification('answeringMachineMessage', {
+  match: /(answering[._-]?machine|video[._-]?memory|voicemail)[._-]?(new[._-]?)?(message|record)/i,
+  fields: data => ({
+    messageId: pick(data, 'messageId', 'id', 'recordId'),
+    caller: pick(data, 'caller', 'from', 'callerId'),
+    time: pick(data, 'time', 'timestamp', 'date')
+  })
+});
+
+/**
+ * Parse a MESSAGE body as JSON.
+ * @param {string} body Message body
+ * @returns {*} Parsed value, or null if the body is not JSON
+ */
+function parseJsonBody(body) {
+  if (!body || typeof body !== 'string') return null;
+  const text = body.trim();
+  if (!text.startsWith('{') && !text.startsWith('[')) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Classify the notifications carried by a parsed MESSAGE body.
+ *
+ * JSON-RPC responses (`result` / `error`) are not notifications and are skipped.
+ *
+ * @param {*} json Parsed body (see parseJsonBody); a batch yields one entry per notification
+ * @returns {Array<{type: string, event: string, name: string, data: Object}>} Known notifications,
+ *   with the type's normalized fields merged in
+ */
+function classifyNotifications(json) {
+  if (!json || typeof json !== 'object') return [];
+  const entries = Array.isArray(json) ? json : [json];
+  const notifications = [];
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object' || 'result' in entry || 'error' in entry) continue;
+    const name = pick(entry, 'method', 'type', 'event', 'notification');
+    if (typeof name !== 'string') continue;
+
+    const spec = Object.values(NOTIFICATIONS).find(n => n.match.test(name));
+    if (!spec) continue;
+    const rawData = entry.method !== undefined ? entry.params : entry;
+    // JSON-RPC params are often a one-element array
+    const data = (Array.isArray(rawData) ? rawData[0] : rawData) || {};
+    notifications.push({ type: spec.type, event: spec.event, name, data, ...spec.fields(data) });
+  }
+  return notifications;
+}
+
+module.exports = {
+  NOTIFICATIONS,
+  defineNotification,
+  parseJsonBody,
+  classifyNotifications
+};
@@ -0,0 +1,574 @@
+/**
+ * BTicino SDP - Session Description Protocol parsing and offer/answer generation
+ *
+ * Parses the SDP offer carried by doorbell INVITEs into a structured object
+ * (codecs, ports, direction, ICE and SDES-SRTP attributes), serializes it back,
+ * builds a compatible answer from a local capability description, and builds
+ * offers for calls we place ourselves.
+ *
+ * Parsed structure:
+ * ```
+ * {
+ *   version, origin: {username, sessionId, sessionVersion, netType, addrType, address},
+ *   sessionName, connection: {netType, addrType, address}, timing: {start, stop},
+ *   bandwidth: [{type, value}], direction, iceUfrag, icePwd, fingerprint, setup,
+ *   attributes: [{name, value}],            // attributes not listed below
+ *   media: [{
+ *     type, port, numPorts, protocol, formats: [pt],
+ *     connection, bandwidth, direction, mid, ptime, rtcp: {port, address}, rtcpMux,
+ *     codecs: [{payloadType, name, clockRate, channels, fmtp}],
+ *     crypto: [{tag, suite, keyParams, key, sessionParams}],
+ *     candidates: [string], iceUfrag, icePwd, fingerprint, setup,
+ *     attributes: [{name, value}]
+ *   }]
+ * }
+ * ```
+ * Media-level `connection` and `direction` fall back to the session-level values.
+ */
+
+const crypto = require('crypto');
+
+// SDES crypto suites the media layer can handle, by preference
+const SUPPORTED_CRYPTO_SUITES = ['AES_CM_128_HMAC_SHA1_80', 'AES_CM_128_HMAC_SHA1_32'];
+
+// Static payload types (RFC 3551) that may appear without rtpmap
+const STATIC_PAYLOAD_TYPES = {
+  0: { name: 'PCMU', clockRate: 8000 },
+  3: { name: 'GSM', clockRate: 8000 },
+  8: { name: 'PCMA', clockRate: 8000 },
+  9: { name: 'G722', clockRate: 8000 },
+  18: { name: 'G729', clockRate: 8000 },
+  26: { name: 'JPEG', clockRate: 90000 },
+  34: { name: 'H263', clockRate: 90000 }
+};
+
+// Codecs we can offer, with the payload types used in our offers
+const OFFER_CODECS = {
+  pcmu: { payloadType: 0, name: 'PCMU', clockRate: 8000 },
+  pcma: { payloadType: 8, name: 'PCMA', clockRate: 8000 },
+  h264: { payloadType: 96, name: 'H264', clockRate: 90000, fmtp: 'profile-level-id=42801F;packetization-mode=1' },
+  'telephone-event': { payloadType: 101, name: 'telephone-event', clockRate: 8000, fmtp: '0-15' }
+};
+
+// ===== Parsing =====
+
+/**
+ * Parse an `a=fmtp` parameter string into an object.
+ * @param {string} fmtp e.g. `profile-level-id=42801F;packetization-mode=1`
+ * @returns {Object} e.g. `{ 'profile-level-id': '42801F', 'packetization-mode': '1' }`
+ */
+function parseFmtp(fmtp) {
+  const params = {};
+  if (!fmtp) return params;
+  for (const part of fmtp.split(';')) {
+    const item = part.trim();
+    if (!item) continue;
+    const eq = item.indexOf('=');
+    if (eq === -1) params[item] = true;
+    else params[item.slice(0, eq).trim()] = item.slice(eq + 1).trim();
+  }
+  return params;
+}
+
+function parseCrypto(value) {
+  // 1 AES_CM_128_HMAC_SHA1_80 inline:KEY|2^20|1:32 [session params]
+  const [tag, suite, keyParams, ...sessionParams] = value.trim().split(/\s+/);
+  const inline = (keyParams || '').match(/^inline:([^|]+)/);
+  return {
+    tag: parseInt(tag, 10),
+    suite,
+    keyParams,
+    key: inline ? inline[1] : null,
+    sessionParams: sessionParams.join(' ') || null
+  };
+}
+
+function parseConnection(value) {
+  const [netType, addrType, address] = value.split(/\s+/);
+  return { netType, addrType, address: address ? address.split('/')[0] : address };
+}
+
+/**
+ * Handle attributes common to session and media level.
+ * @returns {boolean} true when the attribute was consumed
+ */
+function applyCommonAttribute(target, name, value) {
+  switch (name) {
+    case 'sendrecv':
+    case 'sendonly':
+    case 'recvonly':
+    case 'inactive':
+      target.direction = name;
+      return true;
+    case 'ice-ufrag':
+      target.iceUfrag = value;
+      return true;
+    case 'ice-pwd':
+      target.icePwd = value;
+      return true;
+    case 'fingerprint':
+      target.fingerprint = value;
+      return true;
+    case 'setup':
+      target.setup = value;
+      return true;
+    default:
+      return false;
+  }
+}
+
+function applyMediaAttribute(media, name, value) {
+  if (applyCommonAttribute(media, name, value)) return;
+
+  switch (name) {
+    case 'rtpmap': {
+      const match = value.match(/^(\d+)\s+([^/]+)\/(\d+)(?:\/(\d+))?/);
+      if (!match) break;
+      const codec = getCodec(media, parseInt(match[1], 10));
+      codec.name = match[2];
+      codec.clockRate = parseInt(match[3], 10);
+      if (match[4]) codec.channels = parseInt(match[4], 10);
+      return;
+    }
+    case 'fmtp': {
+      const match = value.match(/^(\d+)\s+(.*)$/);
+      if (!match) break;
+      getCodec(media, parseInt(match[1], 10)).fmtp = match[2].trim();
+      return;
+    }
+    case 'crypto':
+      media.crypto.push(parseCrypto(value));
+      return;
+    case 'candidate':
+      media.candidates.push(value);
+      return;
+    case 'mid':
+      media.mid = value;
+      return;
+    case 'ptime':
+      media.ptime = parseInt(value, 10);
+      return;
+    case 'rtcp': {
+      const [port, ...rest] = value.split(/\s+/);
+      media.rtcp = { port: parseInt(port, 10) };
+      if (rest.length >= 3) media.rtcp.address = rest[2];
+      return;
+    }
+    case 'rtcp-mux':
+      media.rtcpMux = true;
+      return;
+  }
+  media.attributes.push({ name, value });
+}
+
+function getCodec(media, payloadType) {
+  let codec = media.codecs.find(c => c.payloadType === payloadType);
+  if (!codec) {
+    codec = { payloadType, name: null, clockRate: null };
+    media.codecs.push(codec);
+  }
+  return codec;
+}
+
+/**
+ * Parse an SDP document.
+ *
+ * @param {string} text SDP body (CRLF or LF line endings)
+ * @returns {Object} Parsed session description (see module docs)
+ * @throws {Error} If the text is not an SDP document
+ */
+function parseSdp(text) {
+  if (!text || typeof text !== 'string' || !/^\s*v=/.test(text)) {
+    throw new Error('Invalid SDP: missing v= line');
+  }
+
+  const session = {
+    version: 0,
+    origin: null,
+    sessionName: '-',
+    connection: null,
+    timing: { start: 0, stop: 0 },
+    bandwidth: [],
+    direction: null,
+    attributes: [],
+    media: []
+  };
+  let media = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.length < 2 || line[1] !== '=') continue;
+    const type = line[0];
+    const value = line.slice(2);
+
+    switch (type) {
+      case 'v':
+        session.version = parseInt(value, 10);
+        break;
+      case 'o': {
+        const [username, sessionId, sessionVersion, netType, addrType, address] = value.split(/\s+/);
+        session.origin = { username, sessionId, sessionVersion, netType, addrType, address };
+        break;
+      }
+      case 's':
+        session.sessionName = value;
+        break;
+      case 't': {
+        const [start, stop] = value.split(/\s+/);
+        session.timing = { start: parseInt(start, 10) || 0, stop: parseInt(stop, 10) || 0 };
+        break;
+      }
+      case 'c':
+        (media || session).connection = parseConnection(value);
+        break;
+      case 'b': {
+        const [bwType, bwValue] = value.split(':');
+        (media || session).bandwidth.push({ type: bwType, value: parseInt(bwValue, 10) });
+        break;
+      }
+      case 'm': {
+        const [mediaType, portSpec, protocol, ...formats] = value.split(/\s+/);
+        const [port, numPorts] = portSpec.split('/');
+        media = {
+          type: mediaType,
+          port: parseInt(port, 10),
+          protocol,
+          formats: formats.map(f => (/^\d+$/.test(f) ? parseInt(f, 10) : f)),
+          connection: null,
+          bandwidth: [],
+          direction: null,
+          codecs: [],
+          crypto: [],
+          candidates: [],
+          attributes: []
+        };
+        if (numPorts) media.numPorts = parseInt(numPorts, 10);
+        session.media.push(media);
+        break;
+      }
+      case 'a': {
+        const colon = value.indexOf(':');
+        const name = colon === -1 ? value : value.slice(0, colon);
+        const attrValue = colon === -1 ? null : value.slice(colon + 1);
+        if (media) applyMediaAttribute(media, name, attrValue);
+        else if (!applyCommonAttribute(session, name, attrValue)) session.attributes.push({ name, value: attrValue });
+        break;
+      }
+      default:
+        // i=, u=, e=, p=, z=, k=, r= are not needed
+        break;
+    }
+  }
+
+  // Resolve inherited values, static payload types and codec order (m-line order)
+  for (const m of session.media) {
+    m.connection = m.connection || session.connection;
+    m.direction = m.direction || session.direction || 'sendrecv';
+    for (const pt of m.formats) {
+      if (typeof pt !== 'number') continue;
+      const codec = getCodec(m, pt);
+      if (!codec.name && STATIC_PAYLOAD_TYPES[pt]) Object.assign(codec, STATIC_PAYLOAD_TYPES[pt]);
+    }
+    m.codecs.sort((a, b) => m.formats.indexOf(a.payloadType) - m.formats.indexOf(b.payloadType));
+  }
+  session.direction = session.direction || 'sendrecv';
+
+  return session;
+}
+
+// ===== Serialization =====
+
+/**
+ * Serialize a session description (as returned by parseSdp or buildSdpAnswer).
+ *
+ * @param {Object} sdp Session description
+ * @returns {string} SDP text with CRLF line endings
+ */
+function serializeSdp(sdp) {
+  const lines = [];
+  const o = sdp.origin || {};
+  lines.push(`v=${sdp.version || 0}`);
+  lines.push(`o=${o.username || '-'} ${o.sessionId || 0} ${o.sessionVersion || 0} ${o.netType || 'IN'} ${o.addrType || 'IP4'} ${o.address || '0.0.0.0'}`);
+  lines.push(`s=${sdp.sessionName || '-'}`);
+  if (sdp.connection) lines.push(serializeConnection(sdp.connection));
+  for (const bw of sdp.bandwidth || []) lines.push(`b=${bw.type}:${bw.value}`);
+  const timing = sdp.timing || {};
+  lines.push(`t=${timing.start || 0} ${timing.stop || 0}`);
+  pushCommonAttributes(lines, sdp, sdp.direction && sdp.direction !== 'sendrecv');
+  pushAttributes(lines, sdp.attributes);
+
+  for (const m of sdp.media || []) {
+    const port = m.numPorts ? `${m.port}/${m.numPorts}` : `${m.port}`;
+    lines.push(`m=${m.type} ${port} ${m.protocol} ${m.formats.join(' ')}`);
+    if (m.connection && m.connection !== sdp.connection) lines.push(serializeConnection(m.connection));
+    for (const bw of m.bandwidth || []) lines.push(`b=${bw.type}:${bw.value}`);
+    if (m.mid !== undefined) lines.push(`a=mid:${m.mid}`);
+    if (m.rtcp) lines.push(`a=rtcp:${m.rtcp.port}${m.rtcp.address ? ` IN IP4 ${m.rtcp.address}` : ''}`);
+    if (m.rtcpMux) lines.push('a=rtcp-mux');
+    for (const codec of m.codecs || []) {
+      if (!m.formats.includes(codec.payloadType)) continue;
+      if (codec.name) {
+        lines.push(`a=rtpmap:${codec.payloadType} ${codec.name}/${codec.clockRate}${codec.channels > 1 ? `/${codec.channels}` : ''}`);
+      }
+      if (codec.fmtp) lines.push(`a=fmtp:${codec.payloadType} ${codec.fmtp}`);
+    }
+    if (m.ptime) lines.push(`a=ptime:${m.ptime}`);
+    for (const c of m.crypto || []) {
+      lines.push(`a=crypto:${c.tag} ${c.suite} ${c.keyParams}${c.sessionParams ? ` ${c.sessionParams}` : ''}`);
+    }
+    pushCommonAttributes(lines, m, m.direction !== sdp.direction);
+    for (const candidate of m.candidates || []) lines.push(`a=candidate:${candidate}`);
+    pushAttributes(lines, m.attributes);
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+function serializeConnection(c) {
+  return `c=${c.netType || 'IN'} ${c.addrType || 'IP4'} ${c.address}`;
+}
+
+function pushCommonAttributes(lines, target, withDirection) {
+  if (target.iceUfrag) lines.push(`a=ice-ufrag:${target.iceUfrag}`);
+  if (target.icePwd) lines.push(`a=ice-pwd:${target.icePwd}`);
+  if (target.fingerprint) lines.push(`a=fingerprint:${target.fingerprint}`);
+  if (target.setup) lines.push(`a=setup:${target.setup}`);
+  if (withDirection && target.direction) lines.push(`a=${target.direction}`);
+}
+
+function pushAttributes(lines, attributes) {
+  for (const { name, value } of attributes || []) {
+    lines.push(value === null || value === undefined ? `a=${name}` : `a=${name}:${value}`);
+  }
+}
+
+// ===== Answer generation =====
+
+/**
+ * Direction to answer with, given the offered direction and what we want to do.
+ * @param {string} offered Offer direction
+ * @param {string} [local='sendrecv'] Local capability
+ * @returns {string}
+ */
+function answerDirection(offered, local = 'sendrecv') {
+  const canSend = local === 'sendrecv' || local === 'sendonly';
+  const canRecv = local === 'sendrecv' || local === 'recvonly';
+  const send = canSend && (offered === 'sendrecv' || offered === 'recvonly');
+  const recv = canRecv && (offered === 'sendrecv' || offered === 'sendonly');
+  if (send && recv) return 'sendrecv';
+  if (send) return 'sendonly';
+  if (recv) return 'recvonly';
+  return 'inactive';
+}
+
+/**
+ * Generate an SDES master key + salt (30 bytes for AES_CM_128) as base64.
+ * @returns {string}
+ */
+function generateSrtpKey() {
+  return crypto.randomBytes(30).toString('base64');
+}
+
+function normalizeCodecList(codecs) {
+  return (codecs || []).map(c => (typeof c === 'string' ? { name: c } : c));
+}
+
+function codecMatches(wanted, offered) {
+  if (!offered.name || wanted.name.toLowerCase() !== offered.name.toLowerCase()) return false;
+  if (wanted.clockRate && wanted.clockRate !== offered.clockRate) return false;
+  return true;
+}
+
+/**
+ * Build an SDP answer for an offer.
+ *
+ * Each offered m-line is accepted when the local description has the same media
+ * type and at least one common codec; otherwise it is rejected (port 0). Offered
+ * payload type numbers and fmtp parameters are kept. For RTP/SAVP offers a SDES
+ * crypto line is answered with a freshly generated key for the first supported suite.
+ *
+ * @param {Object|string} offer Parsed offer (or SDP text)
+ * @param {Object} local Local capabilities
+ * @param {string} local.address Local IP address for c=/o=
+ * @param {Object} [local.audio] `{ port, codecs: ['PCMU', 'PCMA', 'telephone-event'], direction, ptime }`
+ * @param {Object} [local.video] `{ port, codecs: ['H264'], direction }`
+ * @param {string} [local.username='-'] Origin username
+ * @param {string} [local.sessionName='-'] Session name
+ * @returns {Object} Answer session description (use serializeSdp for the text).
+ *   Accepted media carry `crypto[0].key` with the local SRTP key for the media layer.
+ */
+function buildSdpAnswer(offer, local = {}) {
+  const parsedOffer = typeof offer === 'string' ? parseSdp(offer) : offer;
+  if (!local.address) throw new Error('buildSdpAnswer requires local.address');
+
+  const sessionId = String(Date.now());
+  const answer = {
+    version: 0,
+    origin: {
+      username: local.username || '-',
+      sessionId,
+      sessionVersion: sessionId,
+      netType: 'IN',
+      addrType: 'IP4',
+      address: local.address
+    },
+    sessionName: local.sessionName || '-',
+    connection: { netType: 'IN', addrType: 'IP4', address: local.address },
+    timing: { start: 0, stop: 0 },
+    bandwidth: [],
+    direction: 'sendrecv',
+    attributes: [],
+    media: []
+  };
+
+  for (const offered of parsedOffer.media) {
+    const capability = local[offered.type];
+    const wanted = normalizeCodecList(capability && capability.codecs);
+    const codecs = offered.codecs.filter(c => wanted.some(w => codecMatches(w, c)));
+    // telephone-event alone is not a usable audio stream
+    const usable = codecs.some(c => c.name.toLowerCase() !== 'telephone-event');
+
+    const secure = /SAVP/.test(offered.protocol);
+    const offeredCrypto = SUPPORTED_CRYPTO_SUITES
+      .map(suite => offered.crypto.find(c => c.suite === suite))
+      .find(Boolean);
+
+    const media = {
+      type: offered.type,
+      port: 0,
+      protocol: offered.protocol,
+      formats: [],
+      connection: null,
+      bandwidth: [],
+      direction: 'inactive',
+      codecs: [],
+      crypto: [],
+      candidates: [],
+      attributes: []
+    };
+    if (offered.mid !== undefined) media.mid = offered.mid;
+
+    if (!capability || !capability.port || !usable || (secure && !offeredCrypto)) {
+      // Rejected stream: port 0, keep one format to stay syntactically valid
+      media.formats = offered.formats.slice(0, 1);
+      answer.media.push(media);
+      continue;
+    }
+
+    media.port = capability.port;
+    media.codecs = codecs.map(c => ({ ...c }));
+    media.formats = media.codecs.map(c => c.payloadType);
+    media.direction = answerDirection(offered.direction, capability.direction);
+    if (offered.rtcpMux) media.rtcpMux = true;
+    if (capability.ptime) media.ptime = capability.ptime;
+    if (secure) {
+      const key = generateSrtpKey();
+      media.crypto.push({
+        tag: offeredCrypto.tag,
+        suite: offeredCrypto.suite,
+        keyParams: `inline:${key}`,
+        key,
+        sessionParams: null
+      });
+    }
+    answer.media.push(media);
+  }
+
+  return answer;
+}
+
+// ===== Offer generation =====
+
+/**
+ * Build an SDP offer (outgoing calls).
+ *
+ * One m-line is generated per stream in `local` (audio first). Codec names are
+ * mapped to fixed payload types (PCMU 0, PCMA 8, H264 96, telephone-event 101);
+ * codec objects with an explicit payloadType are used as given. With `secure`
+ * (default) streams use RTP/SAVP with an AES_CM_128_HMAC_SHA1_80 SDES key.
+ *
+ * @param {Object} local Local capabilities
+ * @param {string} local.address Local IP address for c=/o=
+ * @param {Object} [local.audio] `{ port, codecs: ['PCMA', 'PCMU'], direction, ptime }`
+ * @param {Object} [local.video] `{ port, codecs: ['H264'], direction }`
+ * @param {boolean} [local.secure=true] Offer SRTP (RTP/SAVP with SDES)
+ * @param {string} [local.username='-'] Origin username
+ * @param {string} [local.sessionName='-'] Session name
+ * @returns {Object} Offer session description (use serializeSdp for the text).
+ *   Secure media carry `crypto[0].key` with the local SRTP key for the media layer.
+ */
+function buildSdpOffer(local = {}) {
+  if (!local.address) throw new Error('buildSdpOffer requires local.address');
+  const secure = local.secure !== false;
+
+  const sessionId = String(Date.now());
+  const offer = {
+    version: 0,
+    origin: {
+      username: local.username || '-',
+      sessionId,
+      sessionVersion: sessionId,
+      netType: 'IN',
+      addrType: 'IP4',
+      address: local.address
+    },
+    sessionName: local.sessionName || '-',
+    connection: { netType: 'IN', addrType: 'IP4', address: local.address },
+    timing: { start: 0, stop: 0 },
+    bandwidth: [],
+    direction: 'sendrecv',
+    attributes: [],
+    media: []
+  };
+
+  for (const type of ['audio', 'video']) {
+    const capability = local[type];
+    if (!capability || !capability.port) continue;
+
+    const codecs = normalizeCodecList(capability.codecs).map((c) => {
+      if (Number.isInteger(c.payloadType)) return { clockRate: 8000, ...c };
+      const known = OFFER_CODECS[c.name.toLowerCase()];
+      if (!known) throw new Error(`No payload type known for codec ${c.name}: pass { name, payloadType, clockRate }`);
+      return { ...known };
+    });
+    if (!codecs.length) continue;
+
+    const media = {
+      type,
+      port: capability.port,
+      protocol: secure ? 'RTP/SAVP' : 'RTP/AVP',
+      formats: codecs.map(c => c.payloadType),
+      connection: null,
+      bandwidth: [],
+      direction: capability.direction || 'sendrecv',
+      codecs,
+      crypto: [],
+      candidates: [],
+      attributes: []
+    };
+    if (capability.ptime) media.ptime = capability.ptime;
+    if (secure) {
+      const key = generateSrtpKey();
+      media.crypto.push({
+        tag: 1,
+        suite: SUPPORTED_CRYPTO_SUITES[0],
+        keyParams: `inline:${key}`,
+        key,
+        sessionParams: null
+      });
+    }
+    offer.media.push(media);
+  }
+
+  return offer;
+}
+
+module.exports = {
+  parseSdp,
+  serializeSdp,
+  buildSdpAnswer,
+  buildSdpOffer,
+  parseFmtp,
+  answerDirection,
+  SUPPORTED_CRYPTO_SUITES
+};
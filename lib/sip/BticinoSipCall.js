@@ -0,0 +1,559 @@
+/**
+ * BTicino SIP Call - Call (dialog) handle
+ *
+ * Represents one INVITE received by {@link BticinoSipListener} and the SIP dialog
+ * it creates. The listener emits an instance together with the `invite` event so
+ * applications can decide what to do with the call:
+ *
+ * - `ring()`          send 180 Ringing
+ * - `progress(sdp)`   send 183 Session Progress with SDP (early media)
+ * - `answer(sdp)`     send 200 OK with an SDP answer and wait for the ACK
+ * - `answerWithMedia()` open a media session (video, two-way audio) and answer with it
+ * - `reject(code)`    send a final error response (default 486 Busy Here)
+ * - `hangup()`        terminate the call (BYE once confirmed, reject before)
+ *
+ * Dialog state follows RFC 3261 (UAS side): the local To-tag is generated per call,
+ * the route set comes from the INVITE Record-Route headers, the remote target from
+ * its Contact, and in-dialog requests use an increasing local CSeq. The 2xx is
+ * retransmitted (T1 doubling up to T2) until the ACK arrives; without an ACK after
+ * 64*T1 the call is torn down with a BYE.
+ *
+ * Calls we place ourselves ({@link BticinoSipUserAgent#viewCamera}) use the same handle
+ * once the INVITE was answered: `direction` is 'outgoing', the dialog comes from the
+ * 2xx (UAC side) and the call starts out confirmed, so only hangup() applies.
+ *
+ * @class BticinoSipCall
+ * @extends EventEmitter
+ *
+ * @emits ringing - 180 Ringing sent
+ * @emits progress - 183 Session Progress (early media) sent
+ * @emits answered - 200 OK sent, waiting for ACK
+ * @emits confirmed - ACK received, dialog confirmed (media can flow)
+ * @emits ended - Call terminated: {reason, statusCode?}
+ *
+ * @example
+ * listener.on('invite', (callInfo, call) => {
+ *   call.on('ended', ({ reason }) => console.log('Call ended:', reason));
+ *   call.answer(localSdp).then(() => console.log('Call confirmed'));
+ * });
+ */
+
+const EventEmitter = require('events');
+const { serializeSdp } = require('./BticinoSdp');
+const { BticinoMediaSession } = require('../media/BticinoMediaSession');
+const { splitHeaderList, generateBranch, generateTag } = require('./BticinoSipMessage');
+const config = require('../config/config');
+
+// RFC 3261 timer values (ms)
+const T1 = 500;
+const T2 = 4000;
+
+/**
+ * Call states.
+ * @constant {Object}
+ */
+const CALL_STATES = Object.freeze({
+  INCOMING: 'incoming',       // INVITE received, no response yet
+  RINGING: 'ringing',         // 180 sent
+  ANSWERED: 'answered',       // 200 sent, waiting for ACK
+  CONFIRMED: 'confirmed',     // ACK received
+  TERMINATING: 'terminating', // BYE sent, waiting for response
+  ENDED: 'ended'
+});
+
+// ===== Header helpers =====
+
+/**
+ * Extract the URI from a name-addr or addr-spec header value.
+ * @param {string} value e.g. `"Door" <sip:door@host>;tag=1`
+ * @returns {string|null}
+ */
+function extractUri(value) {
+  if (!value) return null;
+  const angle = value.match(/<([^>]+)>/);
+  if (angle) return angle[1];
+  return value.split(';')[0].trim() || null;
+}
+
+/**
+ * Extract the `tag` parameter from a From/To header value.
+ * @param {string} value
+ * @returns {string|null}
+ */
+function extractTag(value) {
+  if (!value) return null;
+  const afterUri = value.includes('>') ? value.slice(value.lastIndexOf('>')) : value;
+  const match = afterUri.match(/;\s*tag=([^;\s,]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse the sequence number and method of a CSeq header.
+ * @param {string} value e.g. `102 INVITE`
+ * @returns {{seq:number, method:string}}
+ */
+function parseCSeq(value) {
+  const [seq, method] = String(value || '').trim().split(/\s+/);
+  return { seq: parseInt(seq, 10) || 0, method: (method || '').toUpperCase() };
+}
+
+// ===== Call =====
+
+class BticinoSipCall extends EventEmitter {
+  /**
+   * Create a call handle for an incoming INVITE.
+   * Instances are created by {@link BticinoSipListener}; applications receive them
+   * through the `invite` event.
+   *
+   * @param {BticinoSipUserAgent} listener Listener (or client) owning the connection
+   * @param {Object} invite Parsed INVITE message (received, or sent for outgoing calls)
+   * @param {Object} [opts] Options
+   * @param {Object} [opts.offer] Parsed SDP offer of the INVITE
+   * @param {Object} [opts.response] Parsed 2xx to our INVITE: creates an outgoing, confirmed call
+   */
+  constructor(listener, invite, opts = {}) {
+    super();
+    this._listener = listener;
+    this.invite = invite;
+    this.offer = opts.offer || null;
+    this.media = null;
+
+    const headers = invite.headers;
+    this.callId = headers['call-id'];
+
+    if (opts.response) {
+      // Dialog identifiers (UAC side: local = From, remote = To of the 2xx)
+      const response = opts.response.headers;
+      this.direction = 'outgoing';
+      this.state = CALL_STATES.CONFIRMED;
+      this.localTag = extractTag(headers['from']);
+      this.remoteTag = extractTag(response['to']);
+      this.localUri = extractUri(headers['from']);
+      this.remoteUri = extractUri(headers['to']);
+      this.remoteTarget = extractUri(response['contact']) || invite.uri;
+      this.routeSet = splitHeaderList(response['record-route']).reverse();
+      this.remoteCSeq = 0;
+      this.localCSeq = parseCSeq(headers['cseq']).seq;
+      this.remoteSdp = opts.response.body || '';
+      this.localSdp = invite.body || null;
+    } else {
+      // Dialog identifiers (UAS side: local = To, remote = From)
+      this.direction = 'incoming';
+      this.state = CALL_STATES.INCOMING;
+      this.localTag = generateTag();
+      this.remoteTag = extractTag(headers['from']);
+      this.localUri = extractUri(headers['to']);
+      this.remoteUri = extractUri(headers['from']);
+      this.remoteTarget = extractUri(headers['contact']) || this.remoteUri;
+      this.routeSet = splitHeaderList(headers['record-route']);
+      this.remoteCSeq = parseCSeq(headers['cseq']).seq;
+      this.localCSeq = 0;
+      this.remoteSdp = invite.body || '';
+      this.localSdp = null;
+    }
+
+    this._lastResponse = null; // { statusCode, statusText, opts } for INVITE retransmissions
+    this._retransmitTimer = null;
+    this._ackTimeout = null;
+    this._byeAfterAck = false;
+    this._byeAuthAttempts = 0;
+    this._pending = {}; // { ack: {resolve,reject}, bye: {resolve} }
+  }
+
+  /**
+   * True when the call has not received a final response yet.
+   * @returns {boolean}
+   */
+  get isEarly() {
+    return this.state === CALL_STATES.INCOMING || this.state === CALL_STATES.RINGING;
+  }
+
+  /**
+   * True once the call has ended.
+   * @returns {boolean}
+   */
+  get isEnded() {
+    return this.state === CALL_STATES.ENDED;
+  }
+
+  /**
+   * Send 180 Ringing.
+   * @throws {Error} If a final response was already sent
+   */
+  ring() {
+    this._assertEarly('ring');
+    this._respond(180, 'Ringing');
+    this.state = CALL_STATES.RINGING;
+    this.emit('ringing');
+  }
+
+  /**
+   * Send 183 Session Progress with an SDP answer to receive early media.
+   * The call keeps ringing; it still has to be answered or rejected.
+   *
+   * @param {string|Object} sdp Local SDP answer (text, or an object from buildSdpAnswer)
+   * @throws {Error} If a final response was already sent or sdp is missing
+   */
+  progress(sdp) {
+    this._assertEarly('progress');
+    if (sdp && typeof sdp === 'object') sdp = serializeSdp(sdp);
+    if (!sdp || typeof sdp !== 'string') throw new Error('progress(sdp) requires an SDP string or object');
+
+    this._respond(183, 'Session Progress', { body: sdp, contentType: 'application/sdp' });
+    this.state = CALL_STATES.RINGING;
+    this.emit('progress');
+  }
+
+  /**
+   * Accept the call with a 200 OK carrying the local SDP answer.
+   * The 200 OK is retransmitted until the ACK arrives.
+   *
+   * @param {string|Object} sdp Local SDP answer (text, or an object from buildSdpAnswer)
+   * @returns {Promise<BticinoSipCall>} Resolves when the ACK confirms the dialog,
+   *   rejects if no ACK arrives within 64*T1 (the call is then hung up)
+   * @throws {Error} If a final response was already sent or sdp is missing
+   */
+  answer(sdp) {
+    this._assertEarly('answer');
+    if (sdp && typeof sdp === 'object') sdp = serializeSdp(sdp);
+    if (!sdp || typeof sdp !== 'string') throw new Error('answer(sdp) requires an SDP string or object');
+
+    this.localSdp = sdp;
+    this._respond(200, 'OK', { body: sdp, contentType: 'application/sdp' });
+    this.state = CALL_STATES.ANSWERED;
+    this.emit('answered');
+
+    const promise = new Promise((resolve, reject) => {
+      this._pending.ack = { resolve, reject };
+    });
+    // Callers may ignore the promise; never let an ACK timeout become an unhandled rejection
+    promise.catch(() => {});
+
+    this._startRetransmit();
+    return promise;
+  }
+
+  /**
+   * Answer the call with a media session: video and audio are received, and audio
+   * written to `media.audioOut` is sent back to the door station.
+   * The media session is stopped automatically when the call ends.
+   *
+   * @param {Object} [opts] BticinoMediaSession options (address defaults to the listener's media address)
+   * @returns {Promise<BticinoMediaSession>} Resolves once the ACK confirms the call
+   * @throws {Error} If the INVITE carried no SDP offer or the call is no longer ringing;
+   *   `ENEGOTIATION` (the call is rejected with 488) if the offer has no usable SRTP key
+   */
+  async answerWithMedia(opts = {}) {
+    this._assertEarly('answerWithMedia');
+    if (!this.offer) throw new Error('answerWithMedia() requires an SDP offer in the INVITE');
+
+    const media = new BticinoMediaSession(this.offer, {
+      audioDirection: 'sendrecv',
+      debug: this._listener.opts.debug,
+      ...opts,
+      address: opts.address || this._listener.opts.mediaAddress || this._listener._localIP()
+    });
+    let answer;
+    try {
+      answer = await media.start();
+    } catch (err) {
+      await media.stop();
+      if (err.code === 'ENEGOTIATION' && this.isEarly) this.reject(488);
+      throw err;
+    }
+
+    if (!this.isEarly) {
+      await media.stop();
+      throw new Error(`Cannot answer call ${this.callId}: call is ${this.state}`);
+    }
+
+    this.media = media;
+    this.once('ended', () => media.stop());
+    await this.answer(answer);
+    return media;
+  }
+
+  /**
+   * Reject the call with a final error response.
+   * @param {number} [statusCode=486] SIP status code (4xx-6xx)
+   * @param {string} [statusText] Reason phrase (defaults to the standard phrase)
+   * @throws {Error} If a final response was already sent
+   */
+  reject(statusCode = 486, statusText) {
+    this._assertEarly('reject');
+    if (statusCode < 300 || statusCode > 699) throw new Error(`Invalid reject status code: ${statusCode}`);
+    this._respond(statusCode, statusText || REASON_PHRASES[statusCode] || 'Rejected');
+    this._end('rejected', { statusCode });
+  }
+
+  /**
+   * Terminate the call.
+   * Before answering this rejects the INVITE (486); after answering a BYE is sent
+   * (deferred until the ACK when it has not arrived yet).
+   *
+   * @returns {Promise<void>} Resolves once the call has ended
+   */
+  hangup() {
+    if (this.isEnded) return Promise.resolve();
+    if (this.isEarly) {
+      this.reject(486, 'Busy Here');
+      return Promise.resolve();
+    }
+
+    const ended = new Promise((resolve) => this.once('ended', () => resolve()));
+    if (this.state === CALL_STATES.ANSWERED) {
+      // A UAS must not send BYE before the ACK: defer it
+      this._byeAfterAck = true;
+    } else if (this.state === CALL_STATES.CONFIRMED) {
+      this._sendBye();
+    }
+    return ended;
+  }
+
+  // ===== Internal: driven by the listener =====
+
+  /**
+   * Handle an in-dialog request routed here by the listener.
+   * @private
+   * @param {Object} message Parsed SIP request
+   */
+  _handleRequest(message) {
+    const { seq } = parseCSeq(message.headers['cseq']);
+
+    switch (message.method) {
+      case 'ACK':
+        this._handleAck();
+        break;
+
+      case 'INVITE':
+        if (seq === this.remoteCSeq) {
+          // Retransmission of the original INVITE: repeat the last response
+          if (this._lastResponse) this._respond(this._lastResponse.statusCode, this._lastResponse.statusText, this._lastResponse.opts);
+        } else if (seq < this.remoteCSeq) {
+          this._listener._sendResponse(500, 'Server Internal Error', message, { tag: this.localTag });
+        } else {
+          this.remoteCSeq = seq;
+          if (this.state === CALL_STATES.CONFIRMED && this.localSdp) {
+            // Session refresh / re-INVITE: keep the current session description
+            this._listener._sendResponse(200, 'OK', message, {
+              tag: this.localTag,
+              contact: this._listener._contactHeader(),
+              body: this.localSdp,
+              contentType: 'application/sdp'
+            });
+          } else {
+            this._listener._sendResponse(491, 'Request Pending', message, { tag: this.localTag });
+          }
+        }
+        break;
+
+      case 'BYE':
+        this._listener._sendResponse(200, 'OK', message, { tag: this.localTag });
+        if (this._pending.ack) {
+          this._pending.ack.reject(new Error('Call ended before ACK'));
+          this._pending.ack = null;
+        }
+        this._end('remote-bye');
+        break;
+
+      case 'CANCEL':
+        this._listener._sendResponse(200, 'OK', message, { tag: this.localTag });
+        if (this.isEarly) {
+          this._respond(487, 'Request Terminated');
+          this._end('cancelled', { statusCode: 487 });
+        }
+        break;
+
+      case 'INFO':
+      case 'OPTIONS':
+        this._listener._sendResponse(200, 'OK', message, { tag: this.localTag });
+        break;
+
+      default:
+        this._listener._sendResponse(501, 'Not Implemented', message, { tag: this.localTag });
+    }
+  }
+
+  /**
+   * Handle a response to a request we sent inside the dialog (BYE).
+   * @private
+   * @param {Object} message Parsed SIP response
+   */
+  _handleResponse(message) {
+    const { method } = parseCSeq(message.headers['cseq']);
+    if (method !== 'BYE' || message.statusCode < 200) return;
+
+    // Same challenge handling as the user agent's own requests
+    const ua = this._listener;
+    const challenge = ua._challengeOf(message);
+    if (ua._shouldAuthenticate(challenge, this._byeAuthAttempts)) {
+      this._byeAuthAttempts++;
+      const credentials = ua._digestAuthorization('BYE', this.remoteTarget, challenge);
+      if (credentials) {
+        this._sendBye(ua._authHeaders(message.statusCode, credentials));
+        return;
+      }
+    }
+    this._end('local-bye', { statusCode: message.statusCode });
+  }
+
+  /**
+   * Tear the call down without signalling (transport closed, listener disconnecting).
+   * @private
+   * @param {string} reason
+   */
+  _terminate(reason) {
+    if (this.isEnded) return;
+    if (this._pending.ack) {
+      this._pending.ack.reject(new Error(`Call terminated: ${reason}`));
+      this._pending.ack = null;
+    }
+    this._end(reason);
+  }
+
+  /**
+   * @private
+   */
+  _handleAck() {
+    if (this.state !== CALL_STATES.ANSWERED) return; // ACK for a non-2xx final response or duplicate
+    this._stopRetransmit();
+    this.state = CALL_STATES.CONFIRMED;
+    this.emit('confirmed');
+    if (this._pending.ack) {
+      this._pending.ack.resolve(this);
+      this._pending.ack = null;
+    }
+    if (this._byeAfterAck) this._sendBye();
+  }
+
+  /**
+   * Send a response to the INVITE, remembering it for retransmissions.
+   * @private
+   */
+  _respond(statusCode, statusText, opts = {}) {
+    this._lastResponse = { statusCode, statusText, opts };
+    const dialogForming = statusCode < 300;
+    this._listener._sendResponse(statusCode, statusText, this.invite, {
+      ...opts,
+      tag: this.localTag,
+      contact: dialogForming ? this._listener._contactHeader() : null,
+      recordRoute: dialogForming
+    });
+  }
+
+  /**
+   * Build and send a BYE using the dialog state.
+   * @private
+   * @param {Object} [auth] Digest retry: `{ authorization }` (401) or `{ proxyAuth }` (407)
+   */
+  _sendBye(auth = {}) {
+    this._byeAfterAck = false;
+    this.state = CALL_STATES.TERMINATING;
+    this.localCSeq += 1;
+
+    const cfg = this._listener.sipConfig;
+    const localIP = this._listener._localIP();
+    const localPort = cfg.localPort || 5060;
+    const userAgent = cfg.userAgent || config.SIP_LISTENER_USER_AGENT;
+
+    let msg = `BYE ${this.remoteTarget} SIP/2.0\r\n`;
+    msg += `Via: SIP/2.0/TLS ${localIP}:${localPort};branch=${generateBranch()};rport\r\n`;
+    msg += `Max-Forwards: 70\r\n`;
+    for (const route of this.routeSet) {
+      msg += `Route: ${route}\r\n`;
+    }
+    msg += `From: <${this.localUri}>;tag=${this.localTag}\r\n`;
+    msg += `To: <${this.remoteUri}>${this.remoteTag ? `;tag=${this.remoteTag}` : ''}\r\n`;
+    msg += `Call-ID: ${this.callId}\r\n`;
+    msg += `CSeq: ${this.localCSeq} BYE\r\n`;
+    msg += `User-Agent: ${userAgent}\r\n`;
+    if (auth.authorization) msg += `Authorization: ${auth.authorization}\r\n`;
+    if (auth.proxyAuth) msg += `Proxy-Authorization: ${auth.proxyAuth}\r\n`;
+    msg += `Content-Length: 0\r\n\r\n`;
+
+    // Each BYE (and its authenticated retry) runs in its own client transaction; Timer F ends the call
+    this._listener._transactions.sendRequest(msg, {
+      onResponse: message => this._handleResponse(message),
+      onTimeout: () => this._end('local-bye', { timeout: true })
+    });
+  }
+
+  /**
+   * Retransmit the 2xx until the ACK arrives (RFC 3261 13.3.1.4).
+   * @private
+   */
+  _startRetransmit() {
+    let interval = T1;
+    const tick = () => {
+      if (this.state !== CALL_STATES.ANSWERED) return;
+      this._respond(200, 'OK', this._lastResponse.opts);
+      interval = Math.min(interval * 2, T2);
+      this._retransmitTimer = setTimeout(tick, interval);
+    };
+    this._retransmitTimer = setTimeout(tick, interval);
+
+    this._ackTimeout = setTimeout(() => {
+      if (this.state !== CALL_STATES.ANSWERED) return;
+      this._stopRetransmit();
+      if (this._pending.ack) {
+        const err = new Error('No ACK received for 200 OK');
+        err.code = 'ETIMEDOUT';
+        this._pending.ack.reject(err);
+        this._pending.ack = null;
+      }
+      // Dialog is confirmed but the session must be terminated with a BYE
+      this.state = CALL_STATES.CONFIRMED;
+      this._sendBye();
+    }, 64 * T1);
+  }
+
+  /**
+   * @private
+   */
+  _stopRetransmit() {
+    if (this._retransmitTimer) { clearTimeout(this._retransmitTimer); this._retransmitTimer = null; }
+    if (this._ackTimeout) { clearTimeout(this._ackTimeout); this._ackTimeout = null; }
+  }
+
+  /**
+   * @private
+   */
+  _end(reason, extra = {}) {
+    if (this.isEnded) return;
+    this._stopRetransmit();
+    this.state = CALL_STATES.ENDED;
+    this.emit('ended', { reason, ...extra });
+  }
+
+  /**
+   * @private
+   */
+  _assertEarly(action) {
+    if (!this.isEarly) {
+      throw new Error(`Cannot ${action}() call ${this.callId}: call is ${this.state}`);
+    }
+  }
+}
+
+const REASON_PHRASES = {
+  403: 'Forbidden',
+  404: 'Not Found',
+  480: 'Temporarily Unavailable',
+  486: 'Busy Here',
+  487: 'Request Terminated',
+  488: 'Not Acceptable Here',
+  500: 'Server Internal Error',
+  503: 'Service Unavailable',
+  600: 'Busy Everywhere',
+  603: 'Decline'
+};
+
+module.exports = {
+  BticinoSipCall,
+  CALL_STATES,
+  // Export helpers for reuse and testing
+  splitHeaderList,
+  extractUri,
+  extractTag,
+  parseCSeq
+};
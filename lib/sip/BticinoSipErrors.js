@@ -0,0 +1,98 @@
+/**
+ * BTicino SIP Errors - Typed failures for commands sent to the gateway
+ *
+ * Lets callers tell why a command (e.g. gate open) did not go through:
+ *
+ * - BticinoSipAuthError: digest credentials refused (401/407 after the retry, 403)
+ * - BticinoSipTimeoutError: no final response in time
+ * - BticinoGatewayOfflineError: the gateway is not reachable/registered (404, 408, 480, 503, ...)
+ * - BticinoCommandRejectedError: the gateway answered but refused a command
+ *   (JSON-RPC error, 486/600/603); BticinoLockRejectedError when that command is the
+ *   gate open command (openGate(), sendGateOpenCommand())
+ * - BticinoJsonRpcError: JSON-RPC error response to a call (see BticinoJsonRpc)
+ *
+ * All extend BticinoSipError. `code` keeps the values used before these classes
+ * existed (the SIP status code, or 'ETIMEDOUT' / 'ECONNABORTED'), `statusCode` is
+ * the final SIP status when there was one and `response` the final response.
+ */
+
+class BticinoSipError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} [details]
+   * @param {number|string} [details.code] Status code or error code (defaults to statusCode)
+   * @param {number} [details.statusCode] Final SIP status code
+   * @param {Object} [details.response] Final response `{ statusCode, statusText, headers, body, ... }`
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = details.statusCode || (details.response && details.response.statusCode) || null;
+    this.code = details.code !== undefined ? details.code : this.statusCode;
+    this.response = details.response || null;
+  }
+}
+
+class BticinoSipAuthError extends BticinoSipError {}
+
+class BticinoSipTimeoutError extends BticinoSipError {
+  constructor(message = 'Timeout waiting for SIP response', details = {}) {
+    super(message, { code: 'ETIMEDOUT', ...details });
+  }
+}
+
+class BticinoGatewayOfflineError extends BticinoSipError {}
+
+class BticinoCommandRejectedError extends BticinoSipError {}
+
+class BticinoLockRejectedError extends BticinoCommandRejectedError {}
+
+class BticinoJsonRpcError extends BticinoSipError {
+  /**
+   * @param {Object} error JSON-RPC error object `{ code, message, data }`
+   * @param {string} [method] Method that was called
+   */
+  constructor(error = {}, method = null) {
+    super(`JSON-RPC error${method ? ` calling ${method}` : ''}: ${error.message || 'unknown error'} (${error.code})`, {
+      code: error.code
+    });
+    this.method = method;
+    this.data = error.data !== undefined ? error.data : null;
+    this.rpcError = error;
+  }
+}
+
+// Final status codes by failure type
+const AUTH_STATUS_CODES = [401, 403, 407];
+const OFFLINE_STATUS_CODES = [404, 408, 410, 480, 502, 503, 504];
+const REJECTED_STATUS_CODES = [486, 600, 603];
+
+/**
+ * Build the typed error for a non-2xx final response.
+ * @param {Object} response Final response `{ statusCode, statusText, ... }`
+ * @param {Object} [opts]
+ * @param {boolean} [opts.lock=false] The request was the gate open command: a refusal
+ *   is a BticinoLockRejectedError
+ * @returns {BticinoSipError}
+ */
+function errorFromResponse(response, { lock = false } = {}) {
+  const { statusCode, statusText } = response;
+  const message = `SIP request failed with status ${statusCode} ${statusText}`;
+  if (AUTH_STATUS_CODES.includes(statusCode)) return new BticinoSipAuthError(message, { response });
+  if (OFFLINE_STATUS_CODES.includes(statusCode)) return new BticinoGatewayOfflineError(message, { response });
+  if (REJECTED_STATUS_CODES.includes(statusCode)) {
+    return lock ? new BticinoLockRejectedError(message, { response }) : new BticinoCommandRejectedError(message, { response });
+  }
+  return new BticinoSipError(message, { response });
+}
+
+module.exports = {
+  BticinoSipError,
+  BticinoSipAuthError,
+  BticinoSipTimeoutError,
+  BticinoGatewayOfflineError,
+  BticinoCommandRejectedError,
+  BticinoLockRejectedError,
+  BticinoJsonRpcError,
+  errorFromResponse
+};
@@ -0,0 +1,131 @@
+/**
+ * BTicino SIP Framer - SIP message framing over a stream transport (TLS/TCP)
+ *
+ * A `data` chunk read from the socket is not a SIP message: TCP/TLS may split one
+ * message across chunks or coalesce several into one. The framer buffers bytes and
+ * cuts whole messages using the end of the headers and `Content-Length`
+ * (RFC 3261 §18.3, mandatory on stream transports; compact form `l` accepted).
+ *
+ * CRLF keepalives between messages (RFC 5626 §4.4.1) are not messages: a double CRLF
+ * is a ping, a single CRLF a pong. They are reported as 'keepalive' events. The two
+ * CRLFs of a ping may arrive in different chunks, so a lone CRLF ending a chunk is
+ * held until the next one tells which it was - unless `expectPong` is set (a ping of
+ * ours in flight), in which case it is reported as a pong right away.
+ *
+ * @emits message - Whole SIP message (Buffer, headers and body), in arrival order
+ * @emits keepalive - CRLF keepalive: 'ping' (CRLFCRLF) or 'pong' (CRLF)
+ * @emits malformed - Bytes dropped to resynchronize: { reason, bytes }
+ */
+
+const EventEmitter = require('events');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const DEFAULT_MAX_HEADER_SIZE = 64 * 1024;
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+class BticinoSipFramer extends EventEmitter {
+  /**
+   * @param {Object} [opts] Options
+   * @param {number} [opts.maxHeaderSize=65536] Max bytes before the end of the headers
+   * @param {number} [opts.maxBodySize=1048576] Max Content-Length accepted
+   */
+  constructor(opts = {}) {
+    super();
+    this.opts = { maxHeaderSize: DEFAULT_MAX_HEADER_SIZE, maxBodySize: DEFAULT_MAX_BODY_SIZE, ...opts };
+    this._buffer = Buffer.alloc(0);
+
+    /**
+     * A ping of ours is waiting for its pong: a lone CRLF ending a chunk is that pong.
+     * @type {boolean}
+     */
+    this.expectPong = false;
+  }
+
+  /**
+   * Bytes buffered waiting for the rest of a message.
+   * @type {number}
+   */
+  get pending() {
+    return this._buffer.length;
+  }
+
+  /**
+   * Feed bytes read from the socket. Emits every message completed by them.
+   * @param {Buffer|string} chunk Data chunk
+   */
+  push(chunk) {
+    const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+    this._buffer = this._buffer.length ? Buffer.concat([this._buffer, data]) : data;
+
+    while (this._buffer.length) {
+      // Keepalives (or stray CRLFs) between messages
+      if (this._buffer.subarray(0, 4).equals(HEADER_END)) {
+        this._consume(4);
+        this.emit('keepalive', 'ping');
+        continue;
+      }
+      if (this._buffer.subarray(0, 2).equals(CRLF)) {
+        // What follows may still be the second CRLF of a ping split across chunks
+        const rest = this._buffer.subarray(2);
+        if (rest.length < 2 && CRLF.subarray(0, rest.length).equals(rest) && (rest.length || !this.expectPong)) return;
+        // Otherwise a pong, alone or ahead of the next message
+        this._consume(2);
+        this.emit('keepalive', 'pong');
+        continue;
+      }
+
+      const headerEnd = this._buffer.indexOf(HEADER_END);
+      if (headerEnd < 0) {
+        if (this._buffer.length > this.opts.maxHeaderSize) this._drop('Headers too large', this._buffer.length);
+        return;
+      }
+
+      const length = parseContentLength(this._buffer.subarray(0, headerEnd).toString());
+      if (length === null || length > this.opts.maxBodySize) {
+        this._drop(length === null ? 'Invalid Content-Length' : 'Body too large', headerEnd + 4);
+        continue;
+      }
+
+      const total = headerEnd + 4 + length;
+      if (this._buffer.length < total) return; // rest of the body still in flight
+
+      const message = this._buffer.subarray(0, total);
+      this._consume(total);
+      this.emit('message', Buffer.from(message));
+    }
+  }
+
+  /**
+   * Drop buffered bytes (e.g. when the connection is re-established).
+   */
+  reset() {
+    this._buffer = Buffer.alloc(0);
+  }
+
+  _consume(bytes) {
+    this._buffer = this._buffer.subarray(bytes);
+  }
+
+  _drop(reason, bytes) {
+    this._consume(bytes);
+    this.emit('malformed', { reason, bytes });
+  }
+}
+
+/**
+ * Read Content-Length from a header section. A missing header means no body.
+ * @param {string} head Start line and headers
+ * @returns {number|null} Body length, or null if the header is invalid
+ */
+function parseContentLength(head) {
+  const match = head.match(/\r\n(?:content-length|l)[ \t]*:[ \t]*([^\r\n]*)/i);
+  if (!match) return 0;
+  const value = match[1].trim();
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+module.exports = {
+  BticinoSipFramer,
+  parseContentLength
+};
@@ -3,18 +3,32 @@
  * 
  * Establishes a persistent TLS connection to the BTicino SIP server and listens
  * for incoming INVITE requests (doorbell rings) and MESSAGE notifications.
+ * The listener role on top of {@link BticinoSipUserAgent}, which owns the connection,
+ * transactions, digest authentication and outgoing requests.
  * 
  * Automatically handles:
- * - SIP REGISTER/re-register with digest authentication
- * - Keep-alive pings to maintain connection (default: every 2 minutes)
+ * - SIP REGISTER with digest authentication, refreshed at half the expiry the server granted,
+ *   unregistered on disconnect()
+ * - RFC 5626 flow keepalive: CRLF ping about every 2 minutes (or the server's Flow-Timer); no pong
+ *   within 10s means the connection is dead and it is replaced at once
  * - TCP keepalive probes (60s interval, OS kernel managed - zero overhead)
  * - Socket idle timeout detection (10 minutes with recovery attempt)
  * - Automatic reconnection on disconnect
  * - Graceful certificate updates during active connections
  * - Network error handling (ETIMEDOUT, ECONNRESET) with auto-reconnect
+ * - Message framing over the TLS stream (split / coalesced messages, CRLF keepalives, see {@link BticinoSipFramer})
+ * - RFC 3261 transactions (see {@link BticinoSipTransactionLayer}): responses matched by Via branch and CSeq,
+ *   concurrent requests, retransmitted INVITEs absorbed (one 'invite' event per ring)
+ * - SIP dialogs for incoming calls (see {@link BticinoSipCall}): answer, reject, hang up
+ * - Outgoing MESSAGE commands over the same connection (e.g. gate open, see sendGateOpenCommand() / sendMessage())
+ * - Live view over the same connection (see viewCamera())
+ * - JSON-RPC calls and notifications over MESSAGE (see `listener.rpc`, {@link BticinoJsonRpc})
+ * - Lock state: getLockStatus() queries, 'lockStatusChanged' from the gateway's lock notifications
+ * - Typed events for known MESSAGE notifications (missed call, IP / topology change, answering machine)
+ * - Caller identity of each ring (door station, internal unit, switchboard), mapped to plant module names
  * 
  * @class BticinoSipListener
- * @extends EventEmitter
+ * @extends BticinoSipUserAgent
  * 
  * @param {Object} sipConfig - SIP configuration
  * @param {string} sipConfig.server - SIP server hostname
@@ -28,209 +42,67 @@
  * @param {string} certs.privateKeyPem - Private key in PEM format
  * @param {Object} [opts] - Options
  * @param {boolean} [opts.debug] - Enable debug logging
- * @param {boolean} [opts.keepAlive] - Enable keep-alive (default: true)
+ * @param {boolean} [opts.keepAlive] - Refresh the registration and ping the server (default: true)
  * @param {boolean} [opts.autoReconnect] - Auto-reconnect on disconnect (default: true)
- * @param {number} [opts.keepAliveInterval] - Keep-alive interval in ms
+ * @param {number} [opts.keepAliveInterval] - CRLF ping interval in ms
+ * @param {number} [opts.pongTimeout] - Max wait for the pong in ms (default: 10000)
+ * @param {number} [opts.registerRefresh] - Fraction of the granted expiry after which to re-register (default: 0.5)
  * @param {number} [opts.reconnectDelay] - Reconnect delay in ms
+ * @param {boolean} [opts.autoReject] - Reject unanswered calls with 486 (default: true)
+ * @param {number} [opts.autoRejectDelay] - Delay before auto-reject in ms (default: 2000)
+ * @param {boolean} [opts.snapshotOnRing] - Capture the first video keyframe of each ring (default: false)
+ * @param {number} [opts.snapshotTimeout] - Max wait for the keyframe in ms (default: 5000)
+ * @param {string} [opts.mediaAddress] - Local IP for media sockets (default: sipConfig.localIP or first interface)
+ * @param {Array<Object>} [opts.modules] - Plant modules (`BticinoApiClient.getModules(plantId)`) to name callers
  * 
  * @emits connected - TLS connection established
  * @emits disconnected - Connection lost (may auto-reconnect)
- * @emits registered - SIP REGISTER successful
- * @emits invite - Incoming INVITE (doorbell ring): {timestamp, from, to, callId}
- * @emits message - Incoming MESSAGE: {from, to, body}
+ * @emits registered - SIP REGISTER successful: {expires, expiresAt}
+ * @emits registrationFailed - REGISTER rejected (403, 404, ...): {statusCode, statusText}
+ * @emits unregistered - Registration removed (disconnect())
+ * @emits invite - Incoming INVITE (doorbell ring): (callInfo {timestamp, from, to, callId, sdp, caller}, call BticinoSipCall)
+ * @emits message - Incoming MESSAGE (every one, also when a typed event follows): {from, body, timestamp, headers, json, types}
+ * @emits notification - JSON-RPC notification from the gateway: {method, params, message}
+ * @emits lockStatusChanged - Lock state reported by the gateway: {gateId, status, open, method, timestamp}
+ * @emits missedCall - Unanswered ring reported by the gateway: {type, name, data, caller, time, from, timestamp}
+ * @emits gatewayIpChanged - Gateway IP address changed: {type, name, data, ip, previousIp, from, timestamp}
+ * @emits topologyChanged - Plant devices changed: {type, name, data, plantId, from, timestamp}
+ * @emits answeringMachineMessage - Visitor recorded: {type, name, data, messageId, caller, time, from, timestamp}
+ * @emits snapshot - Keyframe captured on ring (snapshotOnRing): {callId, keyframe, timestamp, from}
+ * @emits snapshotError - Snapshot failed (snapshotOnRing): {callId, error}
  * @emits certificatesUpdated - Certificates updated successfully
  * @emits certificateUpdateError - Failed to update certificates
  * @emits error - Error occurred: {message, code}
  */
 
 
-const tls = require('tls');
-const crypto = require('crypto');
-const os = require('os');
-const EventEmitter = require('events');
+
 const config = require('../config/config');
+const { BticinoSipCall } = require('./BticinoSipCall');
+const { parseSdp } = require('./BticinoSdp');
+const { captureSnapshot, DEFAULT_SNAPSHOT_TIMEOUT } = require('../media/BticinoSnapshot');
+const { parseLockStatus } = require('./BticinoCommands');
+const { parseJsonBody, classifyNotifications } = require('./BticinoNotifications');
+const { parseCallerIdentity } = require('./BticinoCallerId');
+const { parseSipMessage } = require('./BticinoSipMessage');
+const {
+  BticinoSipUserAgent,
+  buildSipResponse,
+  buildRegisterMessage,
+  buildMessageRequest
+} = require('./BticinoSipUserAgent');
 
-// Default SIP configuration from central config
-const DEFAULT_SIP_SERVER = config.SIP_SERVER;
-const DEFAULT_SIP_PORT = config.SIP_PORT;
-const DEFAULT_SIP_DOMAIN = config.SIP_DOMAIN;
+// Default listener configuration from central config
+const DEFAULT_USER_AGENT = config.SIP_LISTENER_USER_AGENT;
 const DEFAULT_KEEPALIVE_INTERVAL = config.SIP_KEEPALIVE_INTERVAL;
+const DEFAULT_REGISTER_REFRESH = config.SIP_REGISTER_REFRESH;
+const DEFAULT_PONG_TIMEOUT = config.SIP_PONG_TIMEOUT;
 const DEFAULT_RECONNECT_DELAY = config.SIP_RECONNECT_DELAY;
-const DEFAULT_REGISTER_EXPIRES = config.SIP_REGISTER_EXPIRES;
-
-// ===== Utility Functions =====
-
-function getLocalIP() {
-  const interfaces = os.networkInterfaces();
-  for (const name of Object.keys(interfaces)) {
-    for (const iface of interfaces[name]) {
-      if (iface.family === 'IPv4' && !iface.internal) {
-        return iface.address;
-      }
-    }
-  }
-  return '127.0.0.1';
-}
-
-function generateBranch() {
-  return 'z9hG4bK.' + crypto.randomBytes(8).toString('hex');
-}
-
-function generateCallID() {
-  return crypto.randomBytes(8).toString('hex');
-}
-
-function generateTag() {
-  return crypto.randomBytes(8).toString('hex');
-}
-
-function calculateHa1(username, realm, password) {
-  if (!username || !realm || !password) return null;
-  return crypto.createHash('md5').update(`${username}:${realm}:${password}`).digest('hex');
-}
-
-function calculateDigestResponse(ha1, method, uri, nonce, nc, cnonce, qop) {
-  const ha2 = crypto.createHash('md5').update(`${method}:${uri}`).digest('hex');
-  
-  if (qop) {
-    return crypto.createHash('md5')
-      .update(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
-      .digest('hex');
-  }
-  return crypto.createHash('md5').update(`${ha1}:${nonce}:${ha2}`).digest('hex');
-}
-
-// ===== SIP Message Builders =====
-
-function buildRegisterMessage(sipConfig, opts = {}) {
-  const {
-    branch = generateBranch(),
-    callId = generateCallID(),
-    tag = generateTag(),
-    cseq = 1,
-    expires = DEFAULT_REGISTER_EXPIRES,
-    proxyAuth = null
-  } = opts;
-
-  const localIP = sipConfig.localIP || getLocalIP();
-  const localPort = sipConfig.localPort || 5060;
-  const { username, domain, userAgent = 'BticinoSipListener/1.0' } = sipConfig;
-
-  const contact = `<sip:${username}@${localIP}:${localPort};transport=tls>`;
-
-  let msg = `REGISTER sip:${domain} SIP/2.0\r\n`;
-  msg += `Via: SIP/2.0/TLS ${localIP}:${localPort};branch=${branch};rport\r\n`;
-  msg += `From: <sip:${username}@${domain}>;tag=${tag}\r\n`;
-  msg += `To: <sip:${username}@${domain}>\r\n`;
-  msg += `Call-ID: ${callId}\r\n`;
-  msg += `CSeq: ${cseq} REGISTER\r\n`;
-  msg += `Contact: ${contact};expires=${expires}\r\n`;
-  msg += `Max-Forwards: 70\r\n`;
-  msg += `User-Agent: ${userAgent}\r\n`;
-  msg += `Supported: replaces, outbound, gruu, path\r\n`;
-  
-  if (proxyAuth) {
-    msg += `Proxy-Authorization: ${proxyAuth}\r\n`;
-  }
-  
-  msg += `Content-Length: 0\r\n\r\n`;
-  
-  return msg;
-}
-
-function parseSipMessage(data) {
-  const text = data.toString();
-  const lines = text.split('\r\n');
-  const firstLine = lines[0];
-  
-  const result = {
-    raw: text,
-    headers: {},
-    body: ''
-  };
-  
-  // Check if it's a request or response
-  const responseMatch = firstLine.match(/^SIP\/2\.0 (\d+) (.+)$/);
-  const requestMatch = firstLine.match(/^(\w+) (.+) SIP\/2\.0$/);
-  
-  if (responseMatch) {
-    result.type = 'response';
-    result.statusCode = parseInt(responseMatch[1]);
-    result.statusText = responseMatch[2];
-  } else if (requestMatch) {
-    result.type = 'request';
-    result.method = requestMatch[1];
-    result.uri = requestMatch[2];
-  } else {
-    result.type = 'unknown';
-  }
-  
-  // Parse headers
-  let bodyStart = -1;
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i];
-    if (line === '') {
-      bodyStart = i + 1;
-      break;
-    }
-    const colonIndex = line.indexOf(':');
-    if (colonIndex > 0) {
-      const name = line.substring(0, colonIndex).trim().toLowerCase();
-      const value = line.substring(colonIndex + 1).trim();
-      result.headers[name] = value;
-    }
-  }
-  
-  // Extract body
-  if (bodyStart > 0 && bodyStart < lines.length) {
-    result.body = lines.slice(bodyStart).join('\r\n');
-  }
-  
-  return result;
-}
-
-function buildSipResponse(statusCode, statusText, originalMessage, opts = {}) {
-  const { tag = generateTag() } = opts;
-  
-  let response = `SIP/2.0 ${statusCode} ${statusText}\r\n`;
-  
-  // Copy Via headers
-  if (originalMessage.headers['via']) {
-    response += `Via: ${originalMessage.headers['via']}\r\n`;
-  }
-  
-  // Copy From
-  if (originalMessage.headers['from']) {
-    response += `From: ${originalMessage.headers['from']}\r\n`;
-  }
-  
-  // Copy To (add tag if not present)
-  if (originalMessage.headers['to']) {
-    let to = originalMessage.headers['to'];
-    if (!to.includes('tag=')) {
-      to += `;tag=${tag}`;
-    }
-    response += `To: ${to}\r\n`;
-  }
-  
-  // Copy Call-ID
-  if (originalMessage.headers['call-id']) {
-    response += `Call-ID: ${originalMessage.headers['call-id']}\r\n`;
-  }
-  
-  // Copy CSeq
-  if (originalMessage.headers['cseq']) {
-    response += `CSeq: ${originalMessage.headers['cseq']}\r\n`;
-  }
-  
-  response += `Content-Length: 0\r\n\r\n`;
-  
-  return response;
-}
+const DEFAULT_AUTO_REJECT_DELAY = 2000;
 
 // ===== Main Listener Class =====
 
-class BticinoSipListener extends EventEmitter {
+class BticinoSipListener extends BticinoSipUserAgent {
   /**
    * Create a SIP listener instance for receiving incoming calls/messages.
    * 
@@ -247,182 +119,53 @@ class BticinoSipListener extends EventEmitter {
    * @param {string} certs.privateKeyPem - Private key PEM (or alias 'key')
    * @param {Object} [opts] - Options
    * @param {boolean} [opts.debug] - Enable debug logging
-   * @param {boolean} [opts.keepAlive=true] - Re-register periodically
+   * @param {boolean} [opts.keepAlive=true] - Re-register before the registration expires, CRLF pings while registered
    * @param {boolean} [opts.autoReconnect=true] - Reconnect on disconnect
-   * @param {number} [opts.keepAliveInterval] - Keep-alive interval (ms, default: from config.js)
+   * @param {number} [opts.keepAliveInterval] - CRLF ping interval, 80-100% of it in practice (ms, default: from config.js)
+   * @param {number} [opts.pongTimeout] - Max wait for the pong before the connection counts as dead (ms, default: from config.js)
+   * @param {number} [opts.registerRefresh=0.5] - Re-register after this fraction of the granted expiry (default: from config.js)
    * @param {number} [opts.reconnectDelay] - Reconnect delay (ms, default: from config.js)
+   * @param {boolean} [opts.autoReject=true] - Reject calls still ringing after autoRejectDelay (486 Busy Here)
+   * @param {number} [opts.autoRejectDelay=2000] - Delay before auto-reject (ms)
+   * @param {boolean} [opts.snapshotOnRing=false] - Accept early video and emit 'snapshot' with the first keyframe
+   * @param {number} [opts.snapshotTimeout=5000] - Max wait for the keyframe (ms)
+   * @param {string} [opts.mediaAddress] - Local IP address for media sockets
+   * @param {number} [opts.timeoutMs=32000] - Max wait for the final response to a command (ms)
    */
   constructor(sipConfig, certs, opts = {}) {
-    super();
-    
-    // Apply defaults from central config
-    this.sipConfig = {
-      server: DEFAULT_SIP_SERVER,
-      port: DEFAULT_SIP_PORT,
-      domain: DEFAULT_SIP_DOMAIN,
-      ...sipConfig
-    };
-    
-    // Support both naming conventions for certificates
-    this.certs = {
-      certPEM: certs.certPEM || certs.cert,
-      privateKeyPem: certs.privateKeyPem || certs.key
-    };
-    
-    this.opts = {
+    super({ ...sipConfig, userAgent: (sipConfig && sipConfig.userAgent) || DEFAULT_USER_AGENT }, certs, {
       debug: false,
       keepAlive: true,
       autoReconnect: true,
       keepAliveInterval: DEFAULT_KEEPALIVE_INTERVAL,
+      registerRefresh: DEFAULT_REGISTER_REFRESH,
+      pongTimeout: DEFAULT_PONG_TIMEOUT,
       reconnectDelay: DEFAULT_RECONNECT_DELAY,
+      autoReject: true,
+      autoRejectDelay: DEFAULT_AUTO_REJECT_DELAY,
+      snapshotOnRing: false,
+      snapshotTimeout: DEFAULT_SNAPSHOT_TIMEOUT,
       ...opts
-    };
-    
-    // State
-    this.socket = null;
-    this.registered = false;
-    this.authChallenge = null;
-    this._closing = false;
+    });
     
-    // REGISTER state
-    this._registerTag = null;
-    this._registerCallId = null;
-    this._registerCSeq = 1;
-    this._localTag = generateTag();
+    // Plant modules used to name callers (see setModules())
+    this.modules = Array.isArray(this.opts.modules) ? this.opts.modules : null;
     
     // Timers
-    this._keepAliveInterval = null;
+    this._refreshTimeout = null;
+    this._pingTimeout = null;
     this._reconnectTimeout = null;
     
+    // Flow state: a pong seen on this connection, no pong in time (see _sendPing())
+    this._flowVerified = false;
+    this._flowFailed = false;
+    
     // Logging
     this._log = (...args) => { if (this.opts.debug) console.log('[SipListener]', ...args); };
     this._warn = (...args) => { if (this.opts.debug) console.warn('[SipListener]', ...args); };
     this._error = (...args) => console.error('[SipListener]', ...args);
   }
 
-  /**
-   * Connect to the SIP server via TLS.
-   * @returns {Promise<void>}
-   */
-  connect() {
-    return new Promise((resolve, reject) => {
-      if (this._closing) {
-        return reject(new Error('Listener is closing'));
-      }
-      
-      this._log(`Connecting to ${this.sipConfig.server}:${this.sipConfig.port}...`);
-      
-      const tlsOptions = {
-        host: this.sipConfig.server,
-        port: this.sipConfig.port,
-        rejectUnauthorized: false,
-        requestCert: false
-      };
-
-      // Client certificate for mTLS
-      if (this.certs.certPEM && this.certs.privateKeyPem) {
-        tlsOptions.cert = this.certs.certPEM;
-        tlsOptions.key = this.certs.privateKeyPem;
-        this._log('Using client certificate for mTLS');
-      } else if (this.certs.cert && this.certs.key) {
-        tlsOptions.cert = this.certs.cert;
-        tlsOptions.key = this.certs.key;
-        this._log('Using client certificate for mTLS');
-      } else {
-        return reject(new Error('Client certificate/key not provided'));
-      }
-
-      this.socket = tls.connect(tlsOptions, () => {
-        this._log('TLS connection established');
-        const cipher = this.socket.getCipher();
-        if (cipher && cipher.name) {
-          this._log('  Cipher:', cipher.name);
-        }
-        this._log('  Protocol:', this.socket.getProtocol());
-        
-        // Enable TCP keepalive (handled by OS kernel - zero memory overhead)
-        this.socket.setKeepAlive(true, 60000); // Probe every 60 seconds of inactivity
-        
-        // Set socket timeout for idle detection (10 minutes)
-        this.socket.setTimeout(10 * 60 * 1000);
-        
-        this._log('TCP keepalive enabled (60s interval)');
-        this.emit('connected');
-        resolve();
-      });
-
-      this.socket.on('data', (data) => this._handleData(data));
-      
-      this.socket.on('error', (err) => {
-        // Better error categorization - less noisy logs for network errors
-        const isNetworkError = ['ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'ECONNREFUSED'].includes(err.code);
-        
-        if (isNetworkError) {
-          this._warn(`Network error (${err.code}) - will auto-reconnect`);
-        } else {
-          this._error('Socket error:', err.message);
-        }
-        
-        this.emit('error', err);
-        reject(err);
-      });
-      
-      // Socket timeout handler (idle detection)
-      this.socket.on('timeout', () => {
-        this._warn('Socket idle timeout (10min) - sending keepalive REGISTER');
-        
-        // Instead of disconnecting, try to re-register first
-        if (this.registered) {
-          this.register().catch(() => {
-            this._warn('Keepalive REGISTER failed - forcing reconnection');
-            if (this.socket && !this.socket.destroyed) {
-              this.socket.destroy();
-            }
-          });
-        } else {
-          if (this.socket && !this.socket.destroyed) {
-            this.socket.destroy();
-          }
-        }
-      });
-
-      this.socket.on('end', () => {
-        this._log('Connection ended by server');
-      });
-
-      this.socket.on('close', () => {
-        this._log('Connection closed');
-        this._stopKeepAlive();
-        this.registered = false;
-        this.emit('disconnected');
-        
-        if (this.opts.autoReconnect && !this._closing) {
-          this._scheduleReconnect();
-        }
-      });
-    });
-  }
-
-  /**
-   * Send SIP REGISTER to the server.
-   * @returns {Promise<void>}
-   */
-  async register() {
-    this._log('Sending REGISTER...');
-    
-    this._registerTag = generateTag();
-    this._registerCallId = generateCallID();
-    this._registerCSeq = 1;
-    
-    const registerMsg = buildRegisterMessage(this.sipConfig, {
-      tag: this._registerTag,
-      callId: this._registerCallId,
-      cseq: this._registerCSeq
-    });
-    
-    this._sendRaw(registerMsg);
-  }
-
   /**
    * Update certificates and gracefully restart the connection.
    * This will disconnect, update certs, and reconnect automatically.
@@ -449,7 +192,7 @@ class BticinoSipListener extends EventEmitter {
     if (!newCerts.key || typeof newCerts.key !== 'string') {
       throw new Error('Invalid newCerts: missing or invalid key');
     }
-
+    
     this._log('Updating certificates and restarting connection...');
     
     // Store new certificates
@@ -457,7 +200,7 @@ class BticinoSipListener extends EventEmitter {
       certPEM: newCerts.cert,
       privateKeyPem: newCerts.key
     };
-
+    
     // If connected, perform graceful restart
     if (this.socket && !this.socket.destroyed) {
       const wasRegistered = this.registered;
@@ -504,115 +247,101 @@ class BticinoSipListener extends EventEmitter {
   }
 
   /**
-   * Disconnect from the SIP server.
+   * Send an out-of-dialog MESSAGE over the listener connection (e.g. a gate command).
+   * Same as sendCommand(): resolves as soon as the final response arrives; a 401/407
+   * challenge is answered once with digest credentials. Commands reuse the registered
+   * connection instead of opening a new TLS session each time.
+   * 
+   * @param {string} body - Message body (the JSON-RPC payload for gate commands)
+   * @param {Object} [opts] - Options, as for sendCommand() (`to`, `contentType`, `timeoutMs`)
+   * @returns {Promise<{statusCode: number, statusText: string, headers: Object, body: string, rttMs: number, authRequired: boolean}>}
+   * @throws {BticinoSipError} Typed failure (see BticinoSipErrors): non-2xx final response
+   *   (`err.code` is the status code), timeout (`ETIMEDOUT`) or disconnect (`ECONNABORTED`)
+   * 
+   * @example
+   * const { buildGateOpenPayload } = require('./BticinoSipClient');
+   * await listener.sendMessage(buildGateOpenPayload(gateId));
+   */
+  sendMessage(body, opts = {}) {
+    return this.sendCommand(body, opts);
+  }
+
+  /**
+   * Set the plant modules used to name callers (`callInfo.caller.name`).
+   * @param {Array<Object>|null} modules - Modules from `BticinoApiClient.getModules(plantId)`
+   */
+  setModules(modules) {
+    this.modules = Array.isArray(modules) ? modules : null;
+  }
+
+  /**
+   * Fetch and set the plant modules used to name callers.
+   * @param {BticinoApiClient} api - API client
+   * @param {string} plantId - Plant UUID
+   * @returns {Promise<Array<Object>>} The modules
+   */
+  async loadModules(api, plantId) {
+    if (!plantId) throw new Error('plantId is required');
+    const modules = await api.getModules(plantId);
+    this.setModules(modules);
+    return this.modules || [];
+  }
+
+  /**
+   * Disconnect from the SIP server (no reconnection).
    * @returns {Promise<void>}
    */
   async disconnect() {
     if (this._closing) return;
-    this._closing = true;
-    
-    this._log('Disconnecting...');
-    this._stopKeepAlive();
+    this._cancelRefresh();
+    this._cancelPing();
     this._cancelReconnect();
-    
-    return new Promise((resolve) => {
-      if (!this.socket || this.socket.destroyed) {
-        return resolve();
-      }
-      
-      const cleanup = () => {
-        if (this._closeTimeout) {
-          clearTimeout(this._closeTimeout);
-          this._closeTimeout = null;
-        }
-      };
-      
-      this.socket.once('close', () => {
-        cleanup();
-        resolve();
-      });
-      
-      // Safety timeout
-      this._closeTimeout = setTimeout(() => {
-        try { this.socket.destroy(); } catch (_) {}
-        resolve();
-      }, 3000);
-      
-      try {
-        this.socket.end();
-      } catch (_) {
-        resolve();
-      }
-    });
+    return super.disconnect();
   }
 
-  // ===== Private Methods =====
+  // ===== Role hooks =====
 
-  _handleData(data) {
-    const message = parseSipMessage(data);
+  _onConnected() {
+    // Enable TCP keepalive (handled by OS kernel - zero memory overhead)
+    this.socket.setKeepAlive(true, 60000); // Probe every 60 seconds of inactivity
     
-    this._log('Received:', message.type, message.method || message.statusCode);
+    // Set socket timeout for idle detection (10 minutes)
+    this.socket.setTimeout(10 * 60 * 1000);
+    this.socket.on('timeout', () => this._handleIdleTimeout());
     
-    if (message.type === 'response') {
-      this._handleResponse(message);
-    } else if (message.type === 'request') {
-      this._handleRequest(message);
-    }
+    this._log('TCP keepalive enabled (60s interval)');
   }
 
-  _handleResponse(message) {
-    this._log(`Response: ${message.statusCode} ${message.statusText}`);
+  _onSocketError(err) {
+    // Better error categorization - less noisy logs for network errors
+    const isNetworkError = ['ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'ECONNREFUSED'].includes(err.code);
     
-    // 401/407 - Authentication required
-    if (message.statusCode === 401 || message.statusCode === 407) {
-      const authHeader = message.headers['www-authenticate'] || message.headers['proxy-authenticate'];
-      if (authHeader) {
-        this.authChallenge = this._parseAuthChallenge(authHeader);
-        this._log('Auth challenge received, sending authenticated REGISTER...');
-        this._sendAuthenticatedRegister();
-      }
-      return;
+    if (isNetworkError) {
+      this._warn(`Network error (${err.code}) - will auto-reconnect`);
+    } else {
+      this._error('Socket error:', err.message);
     }
     
-    // 200 OK for REGISTER
-    if (message.statusCode === 200) {
-      if (message.headers['cseq'] && message.headers['cseq'].includes('REGISTER')) {
-        this._log('REGISTER successful');
-        this.registered = true;
-        this.emit('registered');
-        
-        if (this.opts.keepAlive) {
-          this._startKeepAlive();
-        }
-      }
-    }
+    this.emit('error', err);
   }
 
-  _handleRequest(message) {
-    this._log(`Request: ${message.method}`);
+  _onSocketClose() {
+    this._cancelRefresh();
+    this._cancelPing();
+    this._flowVerified = false;
     
-    switch (message.method) {
-      case 'INVITE':
-        this._handleInvite(message);
-        break;
-        
-      case 'BYE':
-      case 'CANCEL':
-        this._sendResponse(200, 'OK', message);
-        this._log(`${message.method} handled, sent 200 OK`);
-        break;
-        
-      case 'OPTIONS':
-        this._sendResponse(200, 'OK', message);
-        this._log('OPTIONS ping, sent 200 OK');
-        break;
-        
-      case 'MESSAGE':
-        this._handleMessage(message);
-        break;
-        
-      default:
-        this._log(`Unhandled method: ${message.method}`);
+    // Failover: a dead flow is replaced right away, other closes wait reconnectDelay
+    const delay = this._flowFailed ? 0 : this.opts.reconnectDelay;
+    this._flowFailed = false;
+    if (this.opts.autoReconnect && !this._closing) {
+      this._scheduleReconnect(delay);
+    }
+  }
+
+  _onRegistered(expires) {
+    if (this.opts.keepAlive) {
+      this._scheduleRefresh(expires);
+      this._schedulePing();
     }
   }
 
@@ -623,117 +352,219 @@ class BticinoSipListener extends EventEmitter {
       to: message.headers['to'],
       callId: message.headers['call-id'],
       timestamp: new Date().toISOString(),
+      caller: parseCallerIdentity(message.headers['from'], this.modules),
       body: message.body,
+      sdp: this._parseOffer(message),
       headers: message.headers,
       rawMessage: message.raw
     };
     
-    // 🔔 Emit doorbell event!
-    this.emit('invite', callInfo);
+    this._log(`Ring from ${callInfo.caller.name || callInfo.from} (${callInfo.caller.kind})`);
+    const call = this._trackCall(new BticinoSipCall(this, message, { offer: callInfo.sdp }));
+    
+    // 🔔 Emit doorbell event! Handlers may answer/reject the call synchronously
+    this.emit('invite', callInfo, call);
     
     // Send 180 Ringing
-    this._sendResponse(180, 'Ringing', message);
+    if (call.state === 'incoming') {
+      call.ring();
+    }
     
-    // After 2s, send 486 Busy Here (we're just listening, not answering)
-    setTimeout(() => {
-      this._sendResponse(486, 'Busy Here', message);
-    }, 2000);
+    // 📸 Grab a picture of the visitor from early media
+    const snapshot = this.opts.snapshotOnRing && call.isEarly && callInfo.sdp
+      ? this._captureSnapshot(call, callInfo)
+      : null;
+    
+    // Reject calls nobody answered (we're just listening by default)
+    if (this.opts.autoReject) {
+      setTimeout(async () => {
+        if (snapshot) await snapshot;
+        if (call.isEarly) call.reject(486, 'Busy Here');
+      }, this.opts.autoRejectDelay);
+    }
   }
 
   _handleMessage(message) {
+    const json = parseJsonBody(message.body);
+    const notifications = classifyNotifications(json);
     const msgInfo = {
       from: message.headers['from'],
       body: message.body,
       timestamp: new Date().toISOString(),
-      headers: message.headers
+      headers: message.headers,
+      json,
+      types: notifications.map(n => n.type)
     };
     
     this.emit('message', msgInfo);
     this._sendResponse(200, 'OK', message);
+    
+    // JSON-RPC responses settle pending rpc.call()s, notifications are re-emitted
+    this.rpc.handleMessage(message.body, message);
+    
+    // Known notification types get their own event
+    for (const notification of notifications) {
+      this._log(`Notification: ${notification.type} (${notification.name})`);
+      this.emit(notification.event, { ...notification, from: msgInfo.from, timestamp: msgInfo.timestamp });
+    }
   }
 
-  _sendResponse(statusCode, statusText, originalMessage) {
-    const response = buildSipResponse(statusCode, statusText, originalMessage, { 
-      tag: this._localTag 
-    });
-    this._sendRaw(response);
+  _handleNotification(notification) {
+    super._handleNotification(notification);
+    if (typeof notification.method !== 'string' || !notification.method.startsWith('lock.')) return;
+    
+    // Lock notifications carry the new state, one entry per lock
+    const timestamp = new Date().toISOString();
+    for (const state of parseLockStatus(notification.params)) {
+      this._log(`Lock ${state.gateId} is now ${state.status}`);
+      this.emit('lockStatusChanged', { ...state, method: notification.method, timestamp });
+    }
   }
 
-  _sendRaw(message) {
-    if (!this.socket || this.socket.destroyed) {
-      this._error('Cannot send: socket not connected');
+  // ===== Private Methods =====
+
+  _handleIdleTimeout() {
+    this._warn('Socket idle timeout (10min) - sending keepalive REGISTER');
+    const socket = this.socket;
+    const dropConnection = () => {
+      if (socket && !socket.destroyed) socket.destroy();
+    };
+
+    // Instead of disconnecting, try to re-register first
+    if (!this.registered) {
+      dropConnection();
       return;
     }
-    this._log('Sending:', message.split('\r\n')[0]);
-    this.socket.write(message);
+    // register() resolves once the REGISTER is sent: the outcome comes as an event
+    this._awaitRegistration().then((registered) => {
+      if (registered) return;
+      this._warn('Keepalive REGISTER failed - forcing reconnection');
+      dropConnection();
+    });
+    this.register().catch(dropConnection);
   }
 
-  _sendAuthenticatedRegister() {
-    if (!this.authChallenge) return;
-    
-    this._registerCSeq++;
-    const { realm, nonce, opaque, qop } = this.authChallenge;
-    const nc = '00000001';
-    const cnonce = crypto.randomBytes(8).toString('hex');
-    const uri = `sip:${this.sipConfig.domain}`;
-    
-    const ha1 = calculateHa1(
-      this.sipConfig.username,
-      this.sipConfig.realm || realm,
-      this.sipConfig.password
-    );
-    
-    const response = calculateDigestResponse(ha1, 'REGISTER', uri, nonce, nc, cnonce, qop);
-    
-    const proxyAuth = `Digest realm="${realm}", nonce="${nonce}", algorithm=MD5, ` +
-      `opaque="${opaque}", username="${this.sipConfig.username}", uri="${uri}", ` +
-      `response="${response}", cnonce="${cnonce}", nc=${nc}, qop=${qop}`;
-    
-    const registerMsg = buildRegisterMessage(this.sipConfig, {
-      tag: this._registerTag,
-      callId: this._registerCallId,
-      cseq: this._registerCSeq,
-      proxyAuth
+  /**
+   * Outcome of the REGISTER about to be sent.
+   * @private
+   * @returns {Promise<boolean>} true on 'registered', false when refused ('registrationFailed')
+   *   or unanswered within Timer F (64*T1)
+   */
+  _awaitRegistration() {
+    return new Promise((resolve) => {
+      const settle = (registered) => {
+        clearTimeout(timer);
+        this.removeListener('registered', onRegistered);
+        this.removeListener('registrationFailed', onFailed);
+        resolve(registered);
+      };
+      const onRegistered = () => settle(true);
+      const onFailed = () => settle(false);
+      const timer = setTimeout(() => settle(false), 64 * this._transactions.T1);
+      if (timer.unref) timer.unref();
+      this.once('registered', onRegistered);
+      this.once('registrationFailed', onFailed);
     });
-    
-    this._sendRaw(registerMsg);
   }
 
-  _parseAuthChallenge(header) {
-    return {
-      realm: header.match(/realm="([^"]+)"/)?.[1],
-      nonce: header.match(/nonce="([^"]+)"/)?.[1],
-      opaque: header.match(/opaque="([^"]+)"/)?.[1],
-      algorithm: header.match(/algorithm=(\w+)/)?.[1] || 'MD5',
-      qop: header.match(/qop="([^"]+)"/)?.[1]
-    };
+  async _captureSnapshot(call, callInfo) {
+    try {
+      const frame = await captureSnapshot(call, callInfo.sdp, {
+        address: this.opts.mediaAddress || this._localIP(),
+        timeout: this.opts.snapshotTimeout,
+        debug: this.opts.debug
+      });
+      this._log(`Snapshot captured for call ${call.callId} (${frame.data.length} bytes)`);
+      this.emit('snapshot', {
+        callId: call.callId,
+        keyframe: frame.data,
+        timestamp: new Date().toISOString(),
+        from: callInfo.from
+      });
+    } catch (err) {
+      this._warn(`Snapshot failed for call ${call.callId}:`, err.message);
+      this.emit('snapshotError', { callId: call.callId, error: err });
+    }
+  }
+
+  _parseOffer(message) {
+    const contentType = message.headers['content-type'] || '';
+    if (!message.body || (contentType && !contentType.includes('application/sdp'))) {
+      return null;
+    }
+    try {
+      return parseSdp(message.body);
+    } catch (err) {
+      this._warn('Could not parse INVITE SDP:', err.message);
+      return null;
+    }
   }
 
-  _startKeepAlive() {
-    if (this._keepAliveInterval) return;
+  // Re-register after a fraction of the granted expiry
+  _scheduleRefresh(expires) {
+    this._cancelRefresh();
+    const delay = expires * 1000 * this.opts.registerRefresh;
     
-    this._keepAliveInterval = setInterval(() => {
+    this._refreshTimeout = setTimeout(() => {
+      this._refreshTimeout = null;
       if (this.socket && !this.socket.destroyed && this.registered) {
-        this._log('Keep-alive: re-registering...');
+        this._log('Refreshing registration...');
         this.register();
       }
-    }, this.opts.keepAliveInterval);
+    }, delay);
     
-    this._log(`Keep-alive started (${this.opts.keepAliveInterval / 1000}s interval)`);
+    this._log(`Registration refresh in ${Math.round(delay / 1000)}s (granted ${expires}s)`);
+  }
+
+  _cancelRefresh() {
+    if (this._refreshTimeout) {
+      clearTimeout(this._refreshTimeout);
+      this._refreshTimeout = null;
+    }
+  }
+
+  // Next CRLF ping after 80-100% of the interval: the server's Flow-Timer, else keepAliveInterval (RFC 5626 §4.4.1)
+  _schedulePing() {
+    this._cancelPing();
+    const interval = this.flowTimer ? this.flowTimer * 1000 : this.opts.keepAliveInterval;
+    this._pingTimeout = setTimeout(() => this._sendPing(), interval * (0.8 + Math.random() * 0.2));
+  }
+
+  async _sendPing() {
+    this._pingTimeout = null;
+    try {
+      const rttMs = await this.ping(this.opts.pongTimeout);
+      this._flowVerified = true;
+      this._log(`Keep-alive pong (${rttMs} ms)`);
+      this._schedulePing();
+    } catch (err) {
+      if (err.code !== 'ETIMEDOUT') return; // connection already gone
+      
+      // Only a registrar doing outbound (or one that answered before) owes us a pong;
+      // otherwise the pings just keep the NAT binding open
+      if (!this.outbound && !this._flowVerified) {
+        this._schedulePing();
+        return;
+      }
+      this._warn(`No pong within ${this.opts.pongTimeout / 1000}s - connection dead, reconnecting`);
+      this._flowFailed = true;
+      if (this.socket && !this.socket.destroyed) {
+        this.socket.destroy();
+      }
+    }
   }
 
-  _stopKeepAlive() {
-    if (this._keepAliveInterval) {
-      clearInterval(this._keepAliveInterval);
-      this._keepAliveInterval = null;
-      this._log('Keep-alive stopped');
+  _cancelPing() {
+    if (this._pingTimeout) {
+      clearTimeout(this._pingTimeout);
+      this._pingTimeout = null;
     }
   }
 
-  _scheduleReconnect() {
+  _scheduleReconnect(delay = this.opts.reconnectDelay) {
     if (this._reconnectTimeout || this._closing) return;
     
-    this._log(`Reconnecting in ${this.opts.reconnectDelay / 1000}s...`);
+    this._log(`Reconnecting in ${delay / 1000}s...`);
     
     this._reconnectTimeout = setTimeout(async () => {
       this._reconnectTimeout = null;
@@ -744,7 +575,7 @@ class BticinoSipListener extends EventEmitter {
         this._error('Reconnect failed:', err.message);
         this._scheduleReconnect();
       }
-    }, this.opts.reconnectDelay);
+    }, delay);
   }
 
   _cancelReconnect() {
@@ -760,5 +591,6 @@ module.exports = {
   // Export utilities for testing
   parseSipMessage,
   buildSipResponse,
-  buildRegisterMessage
+  buildRegisterMessage,
+  buildMessageRequest
 };
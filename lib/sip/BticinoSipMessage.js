@@ -0,0 +1,366 @@
+/**
+ * BTicino SIP Message - Parser and serializer for SIP messages (RFC 3261 §7)
+ *
+ * `parseSipMessage()` keeps every header line, in order (`headerList`), and a map of
+ * lowercase names to values (`headers`) where repeated headers (Via, Route, Record-Route,
+ * ...) are combined as one comma-separated list, as RFC 3261 §7.3.1 allows. Compact
+ * header names (`v`, `f`, `t`, `i`, `m`, `l`, ...) are expanded and folded lines
+ * (continuation lines starting with whitespace) are unfolded.
+ *
+ * `getHeaders()` returns the individual values of a header (one per Via hop, Route
+ * entry, ...), `parseNameAddr()` / `parseVia()` split them into URI, display name and
+ * parameters, and `serializeSipMessage()` writes a message back, one line per value,
+ * with a correct Content-Length.
+ *
+ * `generateBranch()`, `generateCallID()` and `generateTag()` make the random Via branch
+ * (with the RFC 3261 magic cookie), Call-ID and From/To tag of new requests and dialogs.
+ */
+
+const crypto = require('crypto');
+
+// RFC 3261 §7.3.3 and later extensions
+const COMPACT_FORMS = Object.freeze({
+  a: 'accept-contact',
+  b: 'referred-by',
+  c: 'content-type',
+  d: 'request-disposition',
+  e: 'content-encoding',
+  f: 'from',
+  i: 'call-id',
+  j: 'reject-contact',
+  k: 'supported',
+  l: 'content-length',
+  m: 'contact',
+  n: 'identity-info',
+  o: 'event',
+  r: 'refer-to',
+  s: 'subject',
+  t: 'to',
+  u: 'allow-events',
+  v: 'via',
+  x: 'session-expires',
+  y: 'identity'
+});
+
+// Headers whose value is a comma-separated list (RFC 3261 §7.3.1); others (From, To,
+// WWW-Authenticate, Date, ...) may contain commas that do not separate values
+const LIST_HEADERS = [
+  'via', 'route', 'record-route', 'contact', 'allow', 'supported', 'require',
+  'proxy-require', 'unsupported', 'accept', 'accept-encoding', 'accept-language',
+  'allow-events', 'content-encoding', 'path', 'service-route'
+];
+
+// Canonical spelling of names that are not plain Title-Case
+const HEADER_NAMES = {
+  'call-id': 'Call-ID',
+  'cseq': 'CSeq',
+  'www-authenticate': 'WWW-Authenticate',
+  'mime-version': 'MIME-Version'
+};
+
+/**
+ * Canonical header name: compact forms expanded, e.g. `v` -> `Via`, `call-id` -> `Call-ID`.
+ * @param {string} name Header name (any case)
+ * @returns {string}
+ */
+function formatHeaderName(name) {
+  const lower = expandHeaderName(name);
+  if (HEADER_NAMES[lower]) return HEADER_NAMES[lower];
+  return lower.replace(/(^|-)([a-z])/g, (_, dash, ch) => dash + ch.toUpperCase());
+}
+
+// Lowercase long form of a header name
+function expandHeaderName(name) {
+  const lower = String(name).trim().toLowerCase();
+  return COMPACT_FORMS[lower] || lower;
+}
+
+/**
+ * Split a comma-separated header list, ignoring commas inside <> and quotes.
+ * @param {string} value Header value (e.g. combined Record-Route)
+ * @returns {Array<string>}
+ */
+function splitHeaderList(value) {
+  if (!value) return [];
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  let inAngle = false;
+  let escaped = false;
+  for (const ch of value) {
+    if (escaped) escaped = false;
+    else if (ch === '\\' && inQuotes) escaped = true;
+    else if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === '<' && !inQuotes) inAngle = true;
+    else if (ch === '>' && !inQuotes) inAngle = false;
+    if (ch === ',' && !inQuotes && !inAngle) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a SIP message.
+ *
+ * @param {Buffer|string} data One whole message (see BticinoSipFramer)
+ * @returns {{raw: string, type: string, method?: string, uri?: string, statusCode?: number,
+ *   statusText?: string, headers: Object<string, string>, headerList: Array<{name: string, value: string}>,
+ *   body: string}} `type` is 'request', 'response' or 'unknown'; `headers` is keyed by lowercase long
+ *   name, repeated headers combined with ', '; `headerList` has one entry per header line, names canonical
+ */
+function parseSipMessage(data) {
+  const text = data.toString();
+  let headerEnd = text.indexOf('\r\n\r\n');
+  let separator = 4;
+  if (headerEnd < 0 && text.indexOf('\n\n') >= 0) {
+    headerEnd = text.indexOf('\n\n');
+    separator = 2;
+  }
+  const head = headerEnd >= 0 ? text.slice(0, headerEnd) : text;
+  const lines = head.split(/\r?\n/);
+  const firstLine = lines[0];
+
+  const result = {
+    raw: text,
+    headers: {},
+    headerList: [],
+    body: headerEnd >= 0 ? text.slice(headerEnd + separator) : ''
+  };
+
+  // Check if it's a request or response
+  const responseMatch = firstLine.match(/^SIP\/2\.0 (\d+) ?(.*)$/);
+  const requestMatch = firstLine.match(/^(\w+) (.+) SIP\/2\.0$/);
+
+  if (responseMatch) {
+    result.type = 'response';
+    result.statusCode = parseInt(responseMatch[1]);
+    result.statusText = responseMatch[2];
+  } else if (requestMatch) {
+    result.type = 'request';
+    result.method = requestMatch[1];
+    result.uri = requestMatch[2];
+  } else {
+    result.type = 'unknown';
+  }
+
+  // Header lines, with folded continuation lines appended to the previous one
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^[ \t]/.test(line)) {
+      const last = result.headerList[result.headerList.length - 1];
+      if (last) last.value = `${last.value} ${line.trim()}`.trim();
+      continue;
+    }
+    const colonIndex = line.indexOf(':');
+    if (colonIndex <= 0) continue;
+    result.headerList.push({
+      name: formatHeaderName(line.substring(0, colonIndex)),
+      value: line.substring(colonIndex + 1).trim()
+    });
+  }
+
+  // Repeated headers (Via, Record-Route, ...) are combined as a comma-separated list
+  for (const { name, value } of result.headerList) {
+    const key = name.toLowerCase();
+    result.headers[key] = result.headers[key] !== undefined ? `${result.headers[key]}, ${value}` : value;
+  }
+
+  return result;
+}
+
+/**
+ * Individual values of a header, in message order: one entry per header line, list
+ * headers (Via, Route, Record-Route, Contact, ...) also split at their commas.
+ *
+ * @param {Object} message Parsed message (or any `{ headerList }` / `{ headers }` object)
+ * @param {string} name Header name (any case, compact form accepted)
+ * @returns {Array<string>}
+ */
+function getHeaders(message, name) {
+  const key = expandHeaderName(name);
+  const values = Array.isArray(message.headerList)
+    ? message.headerList.filter(h => h.name.toLowerCase() === key).map(h => h.value)
+    : (message.headers && message.headers[key] !== undefined ? [message.headers[key]] : []);
+  if (!LIST_HEADERS.includes(key)) return values;
+  return values.flatMap(value => (value.trim() === '*' ? ['*'] : splitHeaderList(value)));
+}
+
+/**
+ * Parse `;name=value` parameters (a parameter without value maps to `null`).
+ * @param {string} value e.g. `;tag=abc;lr`
+ * @returns {Object<string, string|null>} Keys lowercased
+ */
+function parseParams(value) {
+  const params = {};
+  for (const part of splitParams(value || '')) {
+    const eq = part.indexOf('=');
+    const key = (eq >= 0 ? part.slice(0, eq) : part).trim().toLowerCase();
+    if (!key) continue;
+    let val = eq >= 0 ? part.slice(eq + 1).trim() : null;
+    if (val && val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1);
+    params[key] = val;
+  }
+  return params;
+}
+
+// Split at ';' outside quotes
+function splitParams(value) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const ch of value) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ';' && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.filter(p => p.trim());
+}
+
+/**
+ * Parse a name-addr / addr-spec value (From, To, Contact, Route entry, ...).
+ *
+ * Parameters after `>` belong to the header (e.g. `tag`); in an addr-spec without `<>`
+ * every `;` parameter is a header parameter (RFC 3261 §20.10).
+ *
+ * @param {string} value e.g. `"Door" <sip:door@host;transport=tls>;tag=1`
+ * @returns {{displayName: string|null, uri: string|null, params: Object<string, string|null>}}
+ */
+function parseNameAddr(value) {
+  const text = String(value || '').trim();
+  const open = findUnquoted(text, '<');
+  if (open >= 0) {
+    const close = text.indexOf('>', open);
+    const rawName = text.slice(0, open).trim();
+    let displayName = rawName || null;
+    if (displayName && displayName.startsWith('"') && displayName.endsWith('"')) {
+      displayName = displayName.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return {
+      displayName,
+      uri: text.slice(open + 1, close >= 0 ? close : undefined).trim() || null,
+      params: close >= 0 ? parseParams(text.slice(close + 1)) : {}
+    };
+  }
+  const semi = text.indexOf(';');
+  return {
+    displayName: null,
+    uri: (semi >= 0 ? text.slice(0, semi) : text).trim() || null,
+    params: semi >= 0 ? parseParams(text.slice(semi)) : {}
+  };
+}
+
+// Index of a character outside double quotes, or -1
+function findUnquoted(text, char) {
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"' && text[i - 1] !== '\\') inQuotes = !inQuotes;
+    else if (text[i] === char && !inQuotes) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse one Via value.
+ * @param {string} value e.g. `SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.abc;rport`
+ * @returns {{protocol: string, transport: string, host: string, port: number|null, params: Object}|null}
+ */
+function parseVia(value) {
+  const match = String(value || '').trim().match(/^([^/\s]+\s*\/\s*[^/\s]+)\s*\/\s*(\S+)\s+([^;]+)(.*)$/);
+  if (!match) return null;
+  const sentBy = match[3].trim();
+  const ipv6 = sentBy.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  const [host, port] = ipv6 ? [ipv6[1], ipv6[2]] : sentBy.split(':');
+  return {
+    protocol: match[1].replace(/\s+/g, ''),
+    transport: match[2].toUpperCase(),
+    host,
+    port: port ? parseInt(port, 10) : null,
+    params: parseParams(match[4])
+  };
+}
+
+/**
+ * Via branch of a new transaction (RFC 3261 §8.1.1.7: starts with the magic cookie).
+ * @returns {string}
+ */
+function generateBranch() {
+  return 'z9hG4bK.' + crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Call-ID of a new dialog or out-of-dialog request.
+ * @returns {string}
+ */
+function generateCallID() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * From/To tag identifying our side of a dialog.
+ * @returns {string}
+ */
+function generateTag() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Serialize a SIP message.
+ *
+ * Headers come from `headerList` (order kept) or from a `headers` object whose values
+ * may be arrays (one line per value). Content-Length is always written last and computed
+ * from the body; a Content-Length given in the headers is ignored.
+ *
+ * @param {Object} message Message
+ * @param {string} [message.method] Request method (with `uri`)
+ * @param {string} [message.uri] Request-URI
+ * @param {number} [message.statusCode] Response status (with `statusText`)
+ * @param {string} [message.statusText] Reason phrase
+ * @param {Array<{name: string, value: string}>} [message.headerList] Header lines
+ * @param {Object<string, string|Array<string>>} [message.headers] Headers (when no headerList)
+ * @param {string} [message.body] Body
+ * @returns {string}
+ */
+function serializeSipMessage(message) {
+  let text = message.method
+    ? `${message.method} ${message.uri} SIP/2.0\r\n`
+    : `SIP/2.0 ${message.statusCode} ${message.statusText || ''}\r\n`;
+
+  const list = Array.isArray(message.headerList)
+    ? message.headerList
+    : Object.entries(message.headers || {}).flatMap(([name, value]) =>
+      (Array.isArray(value) ? value : [value]).map(v => ({ name, value: v })));
+
+  for (const { name, value } of list) {
+    if (value === undefined || value === null) continue;
+    if (expandHeaderName(name) === 'content-length') continue;
+    text += `${formatHeaderName(name)}: ${value}\r\n`;
+  }
+
+  const body = message.body || '';
+  return `${text}Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+}
+
+module.exports = {
+  COMPACT_FORMS,
+  parseSipMessage,
+  serializeSipMessage,
+  getHeaders,
+  parseNameAddr,
+  parseVia,
+  parseParams,
+  splitHeaderList,
+  formatHeaderName,
+  generateBranch,
+  generateCallID,
+  generateTag
+};
@@ -0,0 +1,281 @@
+/**
+ * BTicino SIP Transactions - RFC 3261 §17 client and server transactions
+ *
+ * Owned by {@link BticinoSipUserAgent} (listener and client). Every request we
+ * send runs in a client transaction: responses are matched to it by the branch of the
+ * top Via and the CSeq (§17.1.3), so any number of requests can be in flight on one
+ * connection. Every request we receive opens a server transaction (§17.2.3):
+ * retransmissions of the request are absorbed (the last response is sent again)
+ * instead of reaching the application twice.
+ *
+ * The transport is TLS, which is reliable: requests and final responses are not
+ * retransmitted by the transaction (timers A, E, G unused) and timers D, I, J, K are
+ * zero. The timers that remain, all 64*T1:
+ *
+ * - Timer B: INVITE client transaction with no response at all (a ringing INVITE is cancelled by the caller)
+ * - Timer F: non-INVITE client transaction with no final response
+ * - Timer H: INVITE server transaction waiting for the ACK of a non-2xx final response
+ * - Timer L: INVITE server transaction absorbing INVITE retransmissions after a 2xx (RFC 6026 "Accepted")
+ *
+ * The ACK of a 2xx is a separate transaction and goes to the dialog (see {@link BticinoSipCall}).
+ */
+
+const { parseSipMessage, getHeaders, parseVia } = require('./BticinoSipMessage');
+const { parseCSeq } = require('./BticinoSipCall');
+
+// RFC 3261 T1 (ms)
+const T1 = 500;
+
+/**
+ * Transaction states (RFC 3261 §17, RFC 6026 for 'accepted').
+ * @constant {Object}
+ */
+const TRANSACTION_STATES = Object.freeze({
+  CALLING: 'calling',         // INVITE sent, no response yet
+  TRYING: 'trying',           // non-INVITE request sent or received, no response yet
+  PROCEEDING: 'proceeding',   // provisional response
+  ACCEPTED: 'accepted',       // INVITE answered with a 2xx (server side)
+  COMPLETED: 'completed',     // INVITE rejected, waiting for the ACK (server side)
+  TERMINATED: 'terminated'
+});
+
+/**
+ * Key of the transaction a request or response belongs to: top Via branch and CSeq.
+ * The ACK of a non-2xx response belongs to the INVITE transaction. The Call-ID is part of
+ * the key too: identical for every message of a transaction, it keeps apart peers that
+ * reuse a branch.
+ * @param {Object} message Parsed SIP message
+ * @returns {string}
+ */
+function transactionKey(message) {
+  const via = parseVia(getHeaders(message, 'Via')[0] || '');
+  const branch = via && via.params.branch ? via.params.branch : '';
+  const { seq, method } = parseCSeq(message.headers['cseq']);
+  return [branch, message.headers['call-id'] || '', seq, method === 'ACK' ? 'INVITE' : method].join(' ');
+}
+
+class BticinoClientTransaction {
+  /**
+   * Created by {@link BticinoSipTransactionLayer#sendRequest}.
+   * @param {BticinoSipTransactionLayer} layer Owning layer
+   * @param {string} raw Serialized request
+   * @param {Object} handlers `{ onResponse(message, transaction), onTimeout(transaction) }`
+   */
+  constructor(layer, raw, handlers = {}) {
+    this._layer = layer;
+    this.request = parseSipMessage(raw);
+    this.key = transactionKey(this.request);
+    this.method = parseCSeq(this.request.headers['cseq']).method;
+    this.state = this.method === 'INVITE' ? TRANSACTION_STATES.CALLING : TRANSACTION_STATES.TRYING;
+    this._handlers = handlers;
+    // Timer B (INVITE) / Timer F (non-INVITE)
+    this._timer = layer._startTimer(() => this._timeout(), 64 * layer.T1);
+  }
+
+  /**
+   * @private
+   */
+  _receive(message) {
+    if (message.statusCode < 200) {
+      if (this.method === 'INVITE') this._layer._stopTimer(this._timer); // Timer B only runs while 'calling'
+      this.state = TRANSACTION_STATES.PROCEEDING;
+    } else {
+      this._terminate();
+    }
+    if (this._handlers.onResponse) this._handlers.onResponse(message, this);
+  }
+
+  /**
+   * @private
+   */
+  _timeout() {
+    this._terminate();
+    if (this._handlers.onTimeout) this._handlers.onTimeout(this);
+  }
+
+  /**
+   * @private
+   */
+  _terminate() {
+    this._layer._stopTimer(this._timer);
+    this.state = TRANSACTION_STATES.TERMINATED;
+    this._layer._client.delete(this.key);
+  }
+}
+
+class BticinoServerTransaction {
+  /**
+   * Created by {@link BticinoSipTransactionLayer#receiveRequest}.
+   * @param {BticinoSipTransactionLayer} layer Owning layer
+   * @param {Object} request Parsed request
+   */
+  constructor(layer, request) {
+    this._layer = layer;
+    this.request = request;
+    this.key = transactionKey(request);
+    this.method = request.method;
+    this.state = this.method === 'INVITE' ? TRANSACTION_STATES.PROCEEDING : TRANSACTION_STATES.TRYING;
+    this.lastResponse = null;
+    // A request the application never answers is forgotten after 64*T1
+    this._timer = layer._startTimer(() => this._terminate(), 64 * layer.T1);
+  }
+
+  /**
+   * @private
+   */
+  _respond(statusCode, raw) {
+    if (this.state !== TRANSACTION_STATES.TRYING && this.state !== TRANSACTION_STATES.PROCEEDING) return;
+    this.lastResponse = raw;
+    this._layer._stopTimer(this._timer);
+    if (statusCode < 200) {
+      this.state = TRANSACTION_STATES.PROCEEDING;
+      this._timer = this._layer._startTimer(() => this._terminate(), 64 * this._layer.T1);
+    } else if (this.method !== 'INVITE') {
+      this._terminate(); // Timer J
+    } else {
+      // Timer L after a 2xx, Timer H while waiting for the ACK of an error response
+      this.state = statusCode < 300 ? TRANSACTION_STATES.ACCEPTED : TRANSACTION_STATES.COMPLETED;
+      this._timer = this._layer._startTimer(() => this._terminate(), 64 * this._layer.T1);
+    }
+  }
+
+  /**
+   * Retransmission of the request: repeat the last response (not the 2xx, the dialog retransmits it).
+   * @private
+   */
+  _retransmit() {
+    if (this.lastResponse && this.state !== TRANSACTION_STATES.ACCEPTED) this._layer._send(this.lastResponse);
+  }
+
+  /**
+   * @private
+   */
+  _terminate() {
+    this._layer._stopTimer(this._timer);
+    this.state = TRANSACTION_STATES.TERMINATED;
+    this._layer._server.delete(this.key);
+  }
+}
+
+class BticinoSipTransactionLayer {
+  /**
+   * @param {Function} send Writes a serialized message to the transport
+   * @param {Object} [opts] Options
+   * @param {number} [opts.T1=500] RFC 3261 T1 (ms); timers B, F, H and L last 64*T1
+   */
+  constructor(send, opts = {}) {
+    this._send = send;
+    this.T1 = opts.T1 || T1;
+    this._client = new Map();
+    this._server = new Map();
+  }
+
+  /**
+   * Number of live client and server transactions.
+   * @type {number}
+   */
+  get size() {
+    return this._client.size + this._server.size;
+  }
+
+  /**
+   * Send a request in a new client transaction. ACKs are not transactions: send them directly.
+   * @param {string} raw Serialized request
+   * @param {Object} [handlers] Callbacks
+   * @param {Function} [handlers.onResponse] `(message, transaction)` for each response (provisional and final)
+   * @param {Function} [handlers.onTimeout] `(transaction)` when Timer B / F fires
+   * @returns {BticinoClientTransaction}
+   */
+  sendRequest(raw, handlers = {}) {
+    const transaction = new BticinoClientTransaction(this, raw, handlers);
+    this._client.set(transaction.key, transaction);
+    this._send(raw);
+    return transaction;
+  }
+
+  /**
+   * Hand a received response to its client transaction.
+   * @param {Object} message Parsed SIP response
+   * @returns {boolean} True if a transaction took it; otherwise it is a stray or a 2xx retransmission
+   */
+  receiveResponse(message) {
+    const transaction = this._client.get(transactionKey(message));
+    if (!transaction) return false;
+    transaction._receive(message);
+    return true;
+  }
+
+  /**
+   * Match a received request to a server transaction, opening one for a new request.
+   * @param {Object} message Parsed SIP request
+   * @returns {boolean} True if the request was absorbed (retransmission, ACK of an error response):
+   *   the application must not see it
+   */
+  receiveRequest(message) {
+    const transaction = this._server.get(transactionKey(message));
+
+    if (message.method === 'ACK') {
+      // The ACK of an error response ends the INVITE transaction (Timer I); the ACK of a 2xx is for the dialog
+      if (!transaction || transaction.state !== TRANSACTION_STATES.COMPLETED) return false;
+      transaction._terminate();
+      return true;
+    }
+
+    if (transaction) {
+      transaction._retransmit();
+      return true;
+    }
+    const created = new BticinoServerTransaction(this, message);
+    this._server.set(created.key, created);
+    return false;
+  }
+
+  /**
+   * Send a response to a received request through its server transaction.
+   * @param {Object} request Parsed request being answered
+   * @param {number} statusCode Status code of the response
+   * @param {string} raw Serialized response
+   */
+  sendResponse(request, statusCode, raw) {
+    const transaction = this._server.get(transactionKey(request));
+    this._send(raw);
+    if (transaction) transaction._respond(statusCode, raw);
+  }
+
+  /**
+   * Drop every transaction without notifying (connection closed: the owner fails its requests).
+   */
+  clear() {
+    for (const transaction of [...this._client.values(), ...this._server.values()]) {
+      this._stopTimer(transaction._timer);
+      transaction.state = TRANSACTION_STATES.TERMINATED;
+    }
+    this._client.clear();
+    this._server.clear();
+  }
+
+  /**
+   * @private
+   */
+  _startTimer(fn, ms) {
+    const timer = setTimeout(fn, ms);
+    // Transaction housekeeping never keeps the process alive
+    if (timer.unref) timer.unref();
+    return timer;
+  }
+
+  /**
+   * @private
+   */
+  _stopTimer(timer) {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  BticinoSipTransactionLayer,
+  BticinoClientTransaction,
+  BticinoServerTransaction,
+  TRANSACTION_STATES,
+  transactionKey
+};
@@ -0,0 +1,1284 @@
+/**
+ * BTicino SIP User Agent - shared SIP core of the listener and the command client
+ *
+ * One TLS connection to the BTicino SIP server and everything sent or received on it:
+ *
+ * - Transport: mTLS connect / disconnect, message framing ({@link BticinoSipFramer}), CRLF keepalive
+ *   ping() / pong (RFC 5626 §4.4.1)
+ * - RFC 3261 transactions ({@link BticinoSipTransactionLayer}): responses matched by Via branch and CSeq
+ * - Digest authentication (401 / 407) of REGISTER, MESSAGE, INVITE and in-dialog BYE
+ * - Registration (RFC 3261 §10): one Call-ID with increasing CSeq, expiry granted by the registrar,
+ *   423 retried with Min-Expires, unregister() (expires=0) on disconnect(); the connection is registered
+ *   as an outbound flow (RFC 5626: `+sip.instance` and `reg-id` in Contact)
+ * - Commands: MESSAGE requests to the gateway (gate open, JSON-RPC over `ua.rpc`), several in flight at once
+ * - Dialogs ({@link BticinoSipCall}): outgoing live view (viewCamera()), in-dialog requests and responses
+ *
+ * {@link BticinoSipListener} (rings, notifications, re-registration, reconnect) and
+ * {@link BticinoSipClient} (gate commands for one device) are roles on top of this class,
+ * so a registered listener also sends commands and opens live views on its connection.
+ * Roles plug in through these methods:
+ *
+ * - `_onConnected()`, `_onSocketError(err)`, `_onSocketClose()`: transport events
+ * - `_onRegistered(expires)`: 200 OK to REGISTER, with the expiry granted (s)
+ * - `_handleInvite(message)`: new incoming INVITE (default: 486 Busy Here)
+ * - `_handleMessage(message)`: incoming MESSAGE (default: 200 OK, body fed to `rpc`)
+ * - `_handleNotification(notification)`: JSON-RPC notification (default: 'notification' event)
+ *
+ * @emits connected - TLS connection established
+ * @emits disconnected - Connection closed
+ * @emits registered - SIP REGISTER successful: {expires, expiresAt}
+ * @emits registrationFailed - REGISTER rejected (403, 404, refused credentials, ...): {statusCode, statusText}
+ * @emits unregistered - Binding removed (200 OK to the expires=0 REGISTER)
+ * @emits notification - JSON-RPC notification from the gateway: {method, params, message}
+ */
+
+const tls = require('tls');
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const config = require('../config/config');
+const { BticinoSipCall, extractUri, extractTag, parseCSeq } = require('./BticinoSipCall');
+const {
+  parseSipMessage,
+  serializeSipMessage,
+  getHeaders,
+  parseNameAddr,
+  splitHeaderList,
+  generateBranch,
+  generateCallID,
+  generateTag
+} = require('./BticinoSipMessage');
+const { serializeSdp } = require('./BticinoSdp');
+const { BticinoSipError, BticinoSipTimeoutError, errorFromResponse } = require('./BticinoSipErrors');
+const { BticinoJsonRpc, buildJsonRpcRequest } = require('./BticinoJsonRpc');
+const { COMMANDS, getLockStatus } = require('./BticinoCommands');
+const { BticinoMediaSession } = require('../media/BticinoMediaSession');
+const { BticinoSipFramer } = require('./BticinoSipFramer');
+const { BticinoSipTransactionLayer } = require('./BticinoSipTransaction');
+const { BticinoDigest, parseChallenge, pickChallenge, calculateHa1, calculateDigestResponse } = require('./BticinoDigest');
+
+// Default SIP configuration from central config
+const DEFAULT_SIP_SERVER = config.SIP_SERVER;
+const DEFAULT_SIP_PORT = config.SIP_PORT;
+const DEFAULT_SIP_DOMAIN = config.SIP_DOMAIN;
+const DEFAULT_REGISTER_EXPIRES = config.SIP_REGISTER_EXPIRES;
+// User-Agent when sipConfig has none: the helpers keep the role they were written for
+const CLIENT_USER_AGENT = config.SIP_CLIENT_USER_AGENT;
+const LISTENER_USER_AGENT = config.SIP_LISTENER_USER_AGENT;
+const DEFAULT_REQUEST_TIMEOUT = 32000; // 64*T1: non-INVITE transaction timeout (RFC 3261 Timer F)
+const UNREGISTER_TIMEOUT = 2000; // Max wait for the 200 OK to unregister() when disconnecting
+const DEFAULT_PONG_TIMEOUT = config.SIP_PONG_TIMEOUT;
+const REG_ID = 1; // Our only outbound flow (RFC 5626 reg-id)
+
+// ===== Utility Functions =====
+
+// First non-internal IPv4 address (Via / Contact / media sockets)
+function getLocalIP() {
+  const interfaces = os.networkInterfaces();
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (iface.family === 'IPv4' && !iface.internal) {
+        return iface.address;
+      }
+    }
+  }
+  return '127.0.0.1';
+}
+
+// Instance URN of an account (RFC 5626 §4.1): name-based UUID, the same after every restart
+function generateInstanceId(name) {
+  const bytes = crypto.createHash('sha1').update(name).digest().subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x50;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Build the JSON-RPC payload used to open the gate (`openLock` in the command catalogue)
+function buildGateOpenPayload(gateId) {
+  const { method, params } = COMMANDS.openLock;
+  return buildJsonRpcRequest(method, params({ id: gateId }));
+}
+
+// ===== SIP Message Builders =====
+
+// Build an out-of-dialog request: MESSAGE by default, or another `method` (INVITE, CANCEL, ACK)
+function buildSipMessage(sipConfig, opts = {}) {
+  const {
+    method = 'MESSAGE',
+    to = sipConfig && sipConfig.domain ? `sip:diy@${sipConfig.domain}` : 'sip:diy',
+    requestUri = to,
+    toHeader = to,
+    from = sipConfig && sipConfig.domain && sipConfig.username ? `<sip:${sipConfig.username}@${sipConfig.domain}>` : '<sip:unknown>',
+    tag = generateTag(),
+    callId = generateCallID(),
+    cseq = 20,
+    branch = generateBranch(),
+    body = '',
+    contentType = 'text/plain',
+    route = sipConfig && sipConfig.server ? `<sip:${sipConfig.server};transport=tls;lr>` : null,
+    routes = route ? [route] : [],
+    contact = null,
+    proxyAuth = null,
+    authorization = null
+  } = opts;
+
+  const bodyLength = Buffer.byteLength(body, 'utf8');
+
+  let message = `${method} ${requestUri} SIP/2.0\r\n`;
+  const localIP = (sipConfig && sipConfig.localIP) ? sipConfig.localIP : getLocalIP();
+  const localPort = (sipConfig && sipConfig.localPort) ? sipConfig.localPort : 5060;
+  message += `Via: SIP/2.0/TLS ${localIP}:${localPort};branch=${branch};rport\r\n`;
+  message += `From: ${from};tag=${tag}\r\n`;
+  message += `To: ${toHeader}\r\n`;
+  message += `CSeq: ${cseq} ${method}\r\n`;
+  message += `Call-ID: ${callId}\r\n`;
+  message += `Max-Forwards: 70\r\n`;
+  for (const r of routes) message += `Route: ${r}\r\n`;
+  if (contact) message += `Contact: ${contact}\r\n`;
+  message += `Supported: replaces, outbound, gruu, path\r\n`;
+  message += `Date: ${new Date().toUTCString()}\r\n`;
+
+  if (bodyLength > 0) {
+    message += `Content-Type: ${contentType}\r\n`;
+    message += `Content-Length: ${bodyLength}\r\n`;
+  } else {
+    message += `Content-Length: 0\r\n`;
+  }
+
+  const userAgent = (sipConfig && sipConfig.userAgent) ? sipConfig.userAgent : CLIENT_USER_AGENT;
+  message += `User-Agent: ${userAgent}\r\n`;
+
+  if (proxyAuth) {
+    message += `Proxy-Authorization: ${proxyAuth}\r\n`;
+  }
+  if (authorization) {
+    message += `Authorization: ${authorization}\r\n`;
+  }
+
+  message += `\r\n`;
+
+  if (bodyLength > 0) {
+    message += body;
+  }
+
+  return message;
+}
+
+// Build a MESSAGE to `uri` (default: the gateway, `sip:diy@<domain>`)
+function buildMessageRequest(sipConfig, opts = {}) {
+  const { uri = `sip:diy@${sipConfig.domain}`, cseq = 1, ...rest } = opts;
+  return buildSipMessage(sipConfig, { ...rest, method: 'MESSAGE', to: uri, toHeader: `<${uri}>`, cseq });
+}
+
+function buildRegisterMessage(sipConfig, opts = {}) {
+  const {
+    branch = generateBranch(),
+    callId = generateCallID(),
+    tag = generateTag(),
+    cseq = 1,
+    expires = DEFAULT_REGISTER_EXPIRES,
+    instanceId = null,
+    regId = null,
+    proxyAuth = null,
+    authorization = null
+  } = opts;
+
+  const localIP = sipConfig.localIP || getLocalIP();
+  const localPort = sipConfig.localPort || 5060;
+  const { username, domain, userAgent = LISTENER_USER_AGENT } = sipConfig;
+
+  const contact = `<sip:${username}@${localIP}:${localPort};transport=tls>`;
+
+  let msg = `REGISTER sip:${domain} SIP/2.0\r\n`;
+  msg += `Via: SIP/2.0/TLS ${localIP}:${localPort};branch=${branch};rport\r\n`;
+  msg += `From: <sip:${username}@${domain}>;tag=${tag}\r\n`;
+  msg += `To: <sip:${username}@${domain}>\r\n`;
+  msg += `Call-ID: ${callId}\r\n`;
+  msg += `CSeq: ${cseq} REGISTER\r\n`;
+  // Outbound flow (RFC 5626 §5.2): instance and reg-id identify this connection's binding
+  let contactParams = `;expires=${expires}`;
+  if (instanceId) contactParams += `;+sip.instance="<${instanceId}>"`;
+  if (regId) contactParams += `;reg-id=${regId}`;
+  msg += `Contact: ${contact}${contactParams}\r\n`;
+  msg += `Max-Forwards: 70\r\n`;
+  msg += `User-Agent: ${userAgent}\r\n`;
+  msg += `Supported: replaces, outbound, gruu, path\r\n`;
+
+  if (proxyAuth) {
+    msg += `Proxy-Authorization: ${proxyAuth}\r\n`;
+  }
+  if (authorization) {
+    msg += `Authorization: ${authorization}\r\n`;
+  }
+
+  msg += `Content-Length: 0\r\n\r\n`;
+
+  return msg;
+}
+
+function buildSipResponse(statusCode, statusText, originalMessage, opts = {}) {
+  const {
+    tag = generateTag(),
+    contact = null,
+    recordRoute = false,
+    body = '',
+    contentType = null,
+    headers = {}
+  } = opts;
+
+  const headerList = [];
+  const copy = (name) => getHeaders(originalMessage, name).forEach(value => headerList.push({ name, value }));
+
+  // Copy every Via, in order (one line per hop)
+  copy('Via');
+
+  // Copy Record-Route (dialog-forming responses only)
+  if (recordRoute) copy('Record-Route');
+
+  copy('From');
+
+  // Copy To (add tag if not present)
+  const [to] = getHeaders(originalMessage, 'To');
+  if (to) {
+    const hasTag = parseNameAddr(to).params.tag !== undefined;
+    headerList.push({ name: 'To', value: hasTag ? to : `${to};tag=${tag}` });
+  }
+
+  copy('Call-ID');
+  copy('CSeq');
+
+  if (contact) headerList.push({ name: 'Contact', value: contact });
+  for (const [name, value] of Object.entries(headers)) {
+    headerList.push({ name, value });
+  }
+  if (body && contentType) headerList.push({ name: 'Content-Type', value: contentType });
+
+  return serializeSipMessage({ statusCode, statusText, headerList, body });
+}
+
+// ===== User Agent Class =====
+
+class BticinoSipUserAgent extends EventEmitter {
+  /**
+   * Create a SIP user agent (not connected yet).
+   *
+   * @param {Object} [sipConfig] - SIP configuration
+   * @param {string} [sipConfig.server] - SIP server hostname (default: from config.js)
+   * @param {number} [sipConfig.port] - SIP server port (default: from config.js)
+   * @param {string} [sipConfig.domain] - SIP domain (default: from config.js)
+   * @param {string} sipConfig.username - SIP username
+   * @param {string} sipConfig.password - SIP password
+   * @param {string} [sipConfig.realm] - Digest realm (default: the realm of the challenge)
+   * @param {string} [sipConfig.localIP] - Address in Via / Contact (default: first interface)
+   * @param {number} [sipConfig.localPort=5060] - Port in Via / Contact
+   * @param {string} [sipConfig.userAgent] - User-Agent header (default: the role's, from config.js)
+   * @param {string} [sipConfig.instanceId] - `+sip.instance` URN (default: a UUID derived from username and domain)
+   * @param {Object} [certs] - Client certificate for mTLS: `{ certPEM, privateKeyPem }` (or `{ cert, key }`)
+   * @param {Object} [opts] - Options
+   * @param {boolean} [opts.debug=false] - Enable debug logging
+   * @param {number} [opts.timeoutMs=32000] - Default max wait for the final response to a command (ms)
+   */
+  constructor(sipConfig = {}, certs = {}, opts = {}) {
+    super();
+
+    // Apply defaults from central config
+    this.sipConfig = {
+      server: DEFAULT_SIP_SERVER,
+      port: DEFAULT_SIP_PORT,
+      domain: DEFAULT_SIP_DOMAIN,
+      ...sipConfig
+    };
+
+    // Support both naming conventions for certificates
+    certs = certs || {};
+    this.certs = {
+      certPEM: certs.certPEM || certs.cert,
+      privateKeyPem: certs.privateKeyPem || certs.key
+    };
+
+    this.opts = { debug: false, ...opts };
+
+    // State
+    this.socket = null;
+    this.registered = false;
+    this.registrationExpiresAt = null; // ms timestamp when the binding expires (while registered)
+    this.instanceId = this.sipConfig.instanceId ||
+      generateInstanceId(`${this.sipConfig.username}@${this.sipConfig.domain}`);
+    this.outbound = false; // registrar confirmed the connection as an outbound flow (Require: outbound)
+    this.flowTimer = null; // keepalive interval the registrar asked for (s, Flow-Timer)
+    this._closing = false;
+
+    // Digest credentials (nonce counts, last REGISTER challenge)
+    this._digest = new BticinoDigest({
+      username: this.sipConfig.username,
+      password: this.sipConfig.password,
+      realm: this.sipConfig.realm
+    });
+
+    // REGISTER state: one Call-ID for every REGISTER of this user agent, CSeq counting up
+    this._registerTag = generateTag();
+    this._registerCallId = generateCallID();
+    this._registerCSeq = 0;
+    this._registerExpires = DEFAULT_REGISTER_EXPIRES; // requested; raised by a 423 Interval Too Brief
+    this._registerAuthAttempts = 0;
+    this._unregistered = null; // resolves unregister() on its final response
+    this._localTag = generateTag();
+
+    // Calls (BticinoSipCall) by Call-ID, incoming and outgoing
+    this._calls = new Map();
+    this._pendingInvite = null; // outgoing INVITE being set up (see viewCamera())
+    this._acks = new Map(); // Call-ID -> ACK sent for the 2xx (resent on 2xx retransmissions)
+
+    // Outgoing MESSAGE requests waiting for a final response, by Call-ID
+    this._requests = new Map();
+
+    // CRLF pings waiting for a pong (see ping())
+    this._pings = new Set();
+
+    // JSON-RPC over MESSAGE (responses in the 2xx body or in MESSAGEs from the gateway)
+    this.rpc = new BticinoJsonRpc(body => this.sendCommand(body), { debug: this.opts.debug });
+    this.rpc.on('notification', notification => this._handleNotification(notification));
+
+    // RFC 3261 transactions: responses matched to our requests, retransmitted requests absorbed
+    this._transactions = new BticinoSipTransactionLayer(raw => this._sendRaw(raw));
+
+    // Whole SIP messages cut from the TLS byte stream
+    this._framer = new BticinoSipFramer();
+    this._framer.on('message', message => this._handleData(message));
+    this._framer.on('keepalive', type => this._handleKeepAlive(type));
+    this._framer.on('malformed', ({ reason, bytes }) => this._warn(`Dropped ${bytes} bytes from the stream: ${reason}`));
+
+    // Logging (roles may replace these, e.g. with a prefix)
+    this._log = (...args) => { if (this.opts.debug) console.log(...args); };
+    this._warn = (...args) => { if (this.opts.debug) console.warn(...args); };
+    this._error = (...args) => { if (this.opts.debug) console.error(...args); };
+  }
+
+  /**
+   * Connect to the SIP server via TLS.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      if (this._closing) {
+        return reject(new Error('Connection is closing'));
+      }
+
+      this._log(`Connecting to ${this.sipConfig.server}:${this.sipConfig.port}...`);
+
+      const tlsOptions = {
+        host: this.sipConfig.server,
+        port: this.sipConfig.port,
+        rejectUnauthorized: false,
+        requestCert: false
+      };
+
+      // Client certificate for mTLS: never read from disk here, the caller provides it
+      if (this.certs.certPEM && this.certs.privateKeyPem) {
+        tlsOptions.cert = this.certs.certPEM;
+        tlsOptions.key = this.certs.privateKeyPem;
+        this._log('Using client certificate for mTLS');
+      } else {
+        return reject(new Error('Client certificate/key not provided'));
+      }
+
+      this.socket = tls.connect(tlsOptions, () => {
+        this._log('TLS connection established');
+        const cipher = this.socket.getCipher();
+        if (cipher && cipher.name) {
+          this._log('  Cipher:', cipher.name);
+        }
+        this._log('  Protocol:', this.socket.getProtocol());
+        this._onConnected();
+        this.emit('connected');
+        resolve();
+      });
+
+      this._framer.reset();
+      this.socket.on('data', (data) => this._framer.push(data));
+
+      this.socket.on('error', (err) => {
+        this._onSocketError(err);
+        reject(err);
+      });
+
+      this.socket.on('end', () => {
+        this._log('Connection ended by server');
+      });
+
+      this.socket.on('close', () => {
+        this._log('Connection closed');
+        this._terminateCalls('transport-closed');
+        this._rejectRequests('Connection closed');
+        this.registered = false;
+        this.registrationExpiresAt = null;
+        this.outbound = false;
+        this.flowTimer = null;
+        this._onSocketClose();
+        this.emit('disconnected');
+      });
+    });
+  }
+
+  /**
+   * Last digest challenge of the registrar (parsed, with its `statusCode`), or null.
+   * @type {Object|null}
+   */
+  get authChallenge() {
+    return this._digest.challenge;
+  }
+
+  /**
+   * Send SIP REGISTER to the server (also to refresh the registration: same Call-ID,
+   * next CSeq). A 401/407 challenge is answered with digest credentials (again when the
+   * nonce is stale), a 423 is retried with the server's Min-Expires. 'registered' is
+   * emitted on the 200 OK with the expiry the server granted, 'registrationFailed' on a
+   * final error. Once challenged, later REGISTERs carry credentials for the last challenge up front.
+   * @returns {Promise<void>}
+   */
+  async register() {
+    this._log('Sending REGISTER...');
+    this._registerAuthAttempts = 0;
+    this._sendRegister(this._registerExpires);
+  }
+
+  /**
+   * Remove the registration (REGISTER with expires=0) and wait for the server's final response.
+   * Called by disconnect(); resolves at once when not registered.
+   * @returns {Promise<void>}
+   */
+  unregister() {
+    if (!this.registered || !this.socket || this.socket.destroyed) return Promise.resolve();
+    if (this._unregistered) return this._unregistered.promise;
+
+    this._log('Sending REGISTER (expires=0)...');
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    this._unregistered = { promise, resolve };
+    this._registerAuthAttempts = 0;
+    this._sendRegister(0);
+    return promise;
+  }
+
+  /**
+   * Send a MESSAGE to the gateway and wait for its final SIP response.
+   *
+   * Used for gate commands and JSON-RPC calls (see `rpc`). A 401/407 challenge is
+   * answered once (same Call-ID, next CSeq), twice if the nonce was stale. Several commands can be in flight at
+   * once, each in its own transaction.
+   *
+   * @param {string} body - Message body (JSON-RPC request)
+   * @param {Object} [opts] - Options
+   * @param {string} [opts.to] - Request-URI (default: `sip:diy@<domain>`, the gateway)
+   * @param {string} [opts.contentType='text/plain'] - Body content type
+   * @param {number} [opts.timeoutMs] - Max wait for the final response (ms, default: the constructor's `timeoutMs`)
+   * @param {string} [opts.gateId] - Gate the command opens: used in logs, and a refusal
+   *   (486/600/603) is then a BticinoLockRejectedError
+   * @returns {Promise<{statusCode: number, statusText: string, headers: Object, body: string, rttMs: number, authRequired: boolean}>}
+   * @throws {BticinoSipError} Typed failure (see BticinoSipErrors): non-2xx final response
+   *   (`err.code` is the status code), timeout (`ETIMEDOUT`) or disconnect (`ECONNABORTED`)
+   */
+  sendCommand(body, opts = {}) {
+    if (!this.socket || this.socket.destroyed) {
+      return Promise.reject(new Error('Not connected: call connect() first'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        uri: opts.to || `sip:diy@${this.sipConfig.domain}`,
+        body,
+        contentType: opts.contentType || 'text/plain',
+        gateId: opts.gateId !== undefined ? opts.gateId : null,
+        callId: generateCallID(),
+        tag: generateTag(),
+        cseq: 1,
+        authAttempts: 0,
+        startedAt: Date.now(),
+        resolve,
+        reject,
+        timer: null
+      };
+
+      const timeoutMs = opts.timeoutMs || this.opts.timeoutMs || DEFAULT_REQUEST_TIMEOUT;
+      request.timer = setTimeout(() => {
+        const suffix = request.authAttempts ? ' after digest authentication' : '';
+        this._abortRequest(request, new BticinoSipTimeoutError(`Timeout waiting for SIP response (${timeoutMs} ms)${suffix}`));
+      }, timeoutMs);
+
+      this._requests.set(request.callId, request);
+      this._sendMessageRequest(request);
+    });
+  }
+
+  /**
+   * Send the gate open command (`openLock`) and wait for its final SIP response.
+   * @param {string} gateId - Gate to open
+   * @returns {Promise<Object>} Final 2xx, as for sendCommand()
+   * @throws {BticinoSipError} Typed failure (see BticinoSipErrors); BticinoLockRejectedError
+   *   when the gateway refuses to open
+   */
+  sendGateOpenCommand(gateId) {
+    const payload = buildGateOpenPayload(gateId);
+    this._log(`Gate open command for ${gateId}:`, payload);
+    return this.sendCommand(payload, { gateId });
+  }
+
+  /**
+   * Call a JSON-RPC method on the gateway over this connection (see `rpc`).
+   * For validated wrappers of the known methods, see BticinoCommands.
+   * @param {string} method - JSON-RPC method (e.g. 'lock.getStatus')
+   * @param {Array|Object} [params] - Parameters
+   * @param {Object} [opts] - `{ timeoutMs, expectResponse }` (see BticinoJsonRpc#call)
+   * @returns {Promise<*>} JSON-RPC result
+   * @throws {BticinoJsonRpcError} JSON-RPC error response
+   * @throws {BticinoSipError} SIP failure or timeout
+   */
+  call(method, params, opts = {}) {
+    return this.rpc.call(method, params, opts);
+  }
+
+  /**
+   * Query the current state of a lock (`lock.getStatus`, experimental: see BticinoCommands).
+   * @param {string} gateId - Lock device id
+   * @param {Object} [opts] - `{ plantId, timeoutMs }`
+   * @returns {Promise<{gateId: string, status: string|null, open: boolean|null, result: *}>}
+   */
+  getLockStatus(gateId, opts = {}) {
+    return getLockStatus(this, gateId, opts);
+  }
+
+  /**
+   * Start a live view of the entrance panel without a doorbell ring.
+   *
+   * Sends an INVITE with a local SDP offer (H.264 video, G.711 audio, SRTP), answers
+   * a 401/407 challenge with digest credentials (HA1 from the SIP account), ACKs the
+   * 2xx and resolves with the established call. `call.media` is the running
+   * {@link BticinoMediaSession} (`video`/`audio` streams, `audioOut` for two-way
+   * audio); it is stopped when the call ends. End the view with `call.hangup()`.
+   *
+   * @param {Object} [opts] Options
+   * @param {string} [opts.target] Request-URI to call (default: `sip:diy@<domain>`, the gateway)
+   * @param {string} [opts.address] Local IP for media sockets (default: sipConfig.localIP or first interface)
+   * @param {number} [opts.timeoutMs=32000] Max wait for an answer; the INVITE is then cancelled once it has a provisional response, or ends with Timer B
+   * @param {Object} [opts.media] Extra BticinoMediaSession options (codecs, ports, audioDirection)
+   * @returns {Promise<BticinoSipCall>} Confirmed outgoing call
+   * @throws {BticinoSipError} Typed error for an error response (see errorFromResponse), or
+   *   BticinoSipTimeoutError when the INVITE is not answered in time
+   * @throws {Error} `ENEGOTIATION` if the answer has no usable SRTP key (the call is hung up)
+   */
+  async viewCamera(opts = {}) {
+    if (!this.socket || this.socket.destroyed) throw new Error('Not connected: call connect() first');
+    if (this._pendingInvite && !this._pendingInvite.settled) throw new Error('Another outgoing call is being set up');
+
+    const media = new BticinoMediaSession(null, {
+      audioDirection: 'sendrecv',
+      debug: this.opts.debug,
+      ...opts.media,
+      address: opts.address || this._localIP()
+    });
+    const offer = await media.start();
+
+    try {
+      const { request, response } = await this._sendInvite(
+        opts.target || `sip:diy@${this.sipConfig.domain}`,
+        serializeSdp(offer),
+        opts.timeoutMs || 64 * this._transactions.T1
+      );
+      const call = this._createCall(request, response);
+      try {
+        media.setAnswer(response.body);
+      } catch (err) {
+        // The dialog is up but its answer is unusable: end it with a BYE
+        call.hangup();
+        throw err;
+      }
+      call.media = media;
+      call.once('ended', () => media.stop());
+      this._log(`📹 Live view established (${call.callId})`);
+      return call;
+    } catch (err) {
+      await media.stop();
+      throw err;
+    }
+  }
+
+  /**
+   * Send a CRLF keepalive ping (RFC 5626 §4.4.1) and wait for the server's pong.
+   * @param {number} [timeoutMs=10000] - Max wait for the pong (ms, default: from config.js)
+   * @returns {Promise<number>} Round trip time (ms)
+   * @throws {BticinoSipTimeoutError} No pong in time (`ETIMEDOUT`); the flow has failed
+   */
+  ping(timeoutMs = DEFAULT_PONG_TIMEOUT) {
+    if (!this.socket || this.socket.destroyed) {
+      return Promise.reject(new Error('Not connected: call connect() first'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const ping = { sentAt: Date.now(), resolve, reject, timer: null };
+      ping.timer = setTimeout(() => {
+        this._pings.delete(ping);
+        this._framer.expectPong = this._pings.size > 0;
+        reject(new BticinoSipTimeoutError(`No pong within ${timeoutMs} ms`));
+      }, timeoutMs);
+      this._pings.add(ping);
+      this._framer.expectPong = true; // a lone CRLF is then our pong, not half a ping
+      this.socket.write('\r\n\r\n');
+    });
+  }
+
+  /**
+   * Get an active call by Call-ID.
+   * @param {string} callId - SIP Call-ID
+   * @returns {BticinoSipCall|undefined}
+   */
+  getCall(callId) {
+    return this._calls.get(callId);
+  }
+
+  /**
+   * Disconnect from the SIP server. Established calls are hung up and requests
+   * still waiting for a response are rejected (`ECONNABORTED`).
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this._closing) return;
+    this._closing = true;
+
+    this._log('Disconnecting...');
+
+    // Best effort: hang up established calls and remove the registration before closing the transport
+    for (const call of this._calls.values()) {
+      if (call.state === 'confirmed') call.hangup();
+    }
+    let unregisterTimer;
+    await Promise.race([
+      this.unregister(),
+      new Promise(resolve => { unregisterTimer = setTimeout(resolve, UNREGISTER_TIMEOUT); })
+    ]);
+    clearTimeout(unregisterTimer);
+    this._settleUnregister();
+    this._terminateCalls('disconnect');
+    this._rejectRequests('Disconnected');
+
+    return new Promise((resolve) => {
+      if (!this.socket || this.socket.destroyed) {
+        return resolve();
+      }
+
+      const cleanup = () => {
+        if (this._closeTimeout) {
+          clearTimeout(this._closeTimeout);
+          this._closeTimeout = null;
+        }
+      };
+
+      this.socket.once('close', () => {
+        cleanup();
+        resolve();
+      });
+
+      // Safety timeout
+      this._closeTimeout = setTimeout(() => {
+        try { this.socket.destroy(); } catch (_) {}
+        resolve();
+      }, 3000);
+
+      try {
+        this.socket.end();
+      } catch (_) {
+        resolve();
+      }
+    });
+  }
+
+  // ===== Role hooks =====
+
+  /**
+   * TLS connection established (before 'connected').
+   * @protected
+   */
+  _onConnected() {}
+
+  /**
+   * Socket error (connect() rejects with it).
+   * @protected
+   */
+  _onSocketError(err) {
+    this._error('Socket error:', err.message);
+  }
+
+  /**
+   * Connection closed: calls and requests already failed (before 'disconnected').
+   * @protected
+   */
+  _onSocketClose() {}
+
+  /**
+   * 200 OK to REGISTER (before 'registered').
+   * @protected
+   * @param {number} expires - Expiry granted by the registrar (s)
+   */
+  _onRegistered(expires) {}
+
+  /**
+   * New incoming INVITE (not a retransmission, not in a dialog). Nobody answers calls here.
+   * @protected
+   */
+  _handleInvite(message) {
+    this._sendResponse(486, 'Busy Here', message);
+    this._log('INVITE rejected, sent 486');
+  }
+
+  /**
+   * Incoming MESSAGE: JSON-RPC responses settle pending rpc.call()s, notifications are re-emitted.
+   * @protected
+   */
+  _handleMessage(message) {
+    this._sendResponse(200, 'OK', message);
+    if (!this.rpc.handleMessage(message.body, message)) {
+      this._log('Non JSON-RPC MESSAGE ignored');
+    }
+  }
+
+  /**
+   * JSON-RPC notification from the gateway.
+   * @protected
+   */
+  _handleNotification(notification) {
+    this.emit('notification', notification);
+  }
+
+  // ===== Private Methods =====
+
+  _handleKeepAlive(type) {
+    // RFC 5626: answer a ping (CRLFCRLF) with a pong (CRLF)
+    if (type === 'ping' && this.socket && !this.socket.destroyed) {
+      this.socket.write('\r\n');
+    }
+
+    // A pong answers every ping in flight
+    if (type === 'pong') {
+      for (const ping of this._pings) {
+        clearTimeout(ping.timer);
+        ping.resolve(Date.now() - ping.sentAt);
+      }
+      this._pings.clear();
+      this._framer.expectPong = false;
+    }
+  }
+
+  // One whole SIP message, cut from the stream by the framer
+  _handleData(data) {
+    const message = parseSipMessage(data);
+
+    this._log('Received:', message.type, message.method || message.statusCode);
+
+    if (message.type === 'response') {
+      this._handleResponse(message);
+    } else if (message.type === 'request') {
+      this._handleRequest(message);
+    }
+  }
+
+  _handleResponse(message) {
+    this._log(`Response: ${message.statusCode} ${message.statusText}`);
+
+    // Responses to our REGISTER / MESSAGE / INVITE / BYE requests, matched to their transaction
+    if (this._transactions.receiveResponse(message)) return;
+
+    // 2xx retransmission of an INVITE we ACKed: our ACK was lost
+    const callId = message.headers['call-id'];
+    if (this._calls.has(callId)) {
+      const { method } = parseCSeq(message.headers['cseq']);
+      if (method === 'INVITE' && message.statusCode >= 200 && message.statusCode < 300 && this._acks.has(callId)) {
+        this._sendRaw(this._acks.get(callId));
+      }
+      return;
+    }
+
+    this._log('Response matches no transaction, ignored');
+  }
+
+  _handleRequest(message) {
+    this._log(`Request: ${message.method}`);
+
+    // Retransmissions (answered again by their transaction) and ACKs of our error responses
+    if (this._transactions.receiveRequest(message)) {
+      this._log(`${message.method} absorbed by its transaction`);
+      return;
+    }
+
+    // Requests within an existing call (ACK, BYE, CANCEL, re-INVITE, ...)
+    const call = this._calls.get(message.headers['call-id']);
+    if (call && message.method !== 'MESSAGE') {
+      call._handleRequest(message);
+      return;
+    }
+
+    switch (message.method) {
+      case 'INVITE':
+        this._handleInvite(message);
+        break;
+
+      case 'ACK':
+        // ACK for a call that already ended: nothing to do
+        break;
+
+      case 'BYE':
+      case 'CANCEL':
+        this._sendResponse(481, 'Call/Transaction Does Not Exist', message);
+        this._log(`${message.method} for unknown call, sent 481`);
+        break;
+
+      case 'OPTIONS':
+        this._sendResponse(200, 'OK', message);
+        this._log('OPTIONS ping, sent 200 OK');
+        break;
+
+      case 'MESSAGE':
+        this._handleMessage(message);
+        break;
+
+      default:
+        this._log(`Unhandled method: ${message.method}`);
+    }
+  }
+
+  _handleRegisterResponse(message, expires) {
+    const { statusCode, statusText } = message;
+    if (statusCode < 200) return;
+
+    // 401/407 - Authentication required
+    if (statusCode === 401 || statusCode === 407) {
+      const challenge = this._challengeOf(message);
+      if (this._shouldAuthenticate(challenge, this._registerAuthAttempts)) {
+        this._registerAuthAttempts++;
+        this._digest.setChallenge(challenge);
+        this._log('Auth challenge received, sending authenticated REGISTER...');
+        this._sendRegister(expires);
+        return;
+      }
+    }
+
+    // 423 - Interval Too Brief: retry with the registrar's minimum
+    const minExpires = parseInt(message.headers['min-expires'], 10);
+    if (statusCode === 423 && expires > 0 && minExpires > expires) {
+      this._log(`REGISTER expiry too brief, retrying with Min-Expires ${minExpires}s`);
+      this._registerExpires = minExpires;
+      this._registerAuthAttempts = 0; // a new request: its challenge is answered again
+      this._sendRegister(minExpires);
+      return;
+    }
+
+    if (statusCode >= 300) {
+      this._warn(`REGISTER failed: ${statusCode} ${statusText}`);
+      if (expires === 0) {
+        this._settleUnregister();
+        return;
+      }
+      this.registered = false;
+      this.registrationExpiresAt = null;
+      this.emit('registrationFailed', { statusCode, statusText });
+      return;
+    }
+
+    if (expires === 0) {
+      this._log('Unregistered');
+      this.registered = false;
+      this.registrationExpiresAt = null;
+      this._settleUnregister();
+      this.emit('unregistered');
+      return;
+    }
+
+    // RFC 5626 §4.2.1: the registrar takes the connection as our flow, maybe with its keepalive interval
+    this.outbound = splitHeaderList(message.headers['require']).some(tag => tag.toLowerCase() === 'outbound');
+    const flowTimer = parseInt(message.headers['flow-timer'], 10);
+    this.flowTimer = Number.isNaN(flowTimer) ? null : flowTimer;
+
+    const granted = this._grantedExpires(message, expires);
+    this._log(`REGISTER successful (expires in ${granted}s)`);
+    this.registered = true;
+    this.registrationExpiresAt = Date.now() + granted * 1000;
+    this._onRegistered(granted);
+    this.emit('registered', { expires: granted, expiresAt: this.registrationExpiresAt });
+  }
+
+  // REGISTER on the registration's Call-ID with the next CSeq, credentials up front once challenged
+  _sendRegister(expires) {
+    this._registerCSeq++;
+    const credentials = this._digestAuthorization('REGISTER', `sip:${this.sipConfig.domain}`);
+
+    const registerMsg = buildRegisterMessage(this.sipConfig, {
+      tag: this._registerTag,
+      callId: this._registerCallId,
+      cseq: this._registerCSeq,
+      expires,
+      instanceId: this.instanceId,
+      regId: REG_ID,
+      ...(credentials ? this._authHeaders(this.authChallenge.statusCode, credentials) : {})
+    });
+
+    this._transactions.sendRequest(registerMsg, {
+      onResponse: message => this._handleRegisterResponse(message, expires),
+      onTimeout: () => {
+        this._warn('No response to REGISTER (Timer F)');
+        if (expires === 0) this._settleUnregister();
+      }
+    });
+  }
+
+  // Expiry granted to our binding (s): its Contact `expires`, else the Expires header, else what we asked
+  _grantedExpires(message, requested) {
+    const ours = parseNameAddr(this._contactHeader()).uri.split(';')[0];
+    for (const value of getHeaders(message, 'Contact')) {
+      for (const contact of splitHeaderList(value)) {
+        const { uri, params } = parseNameAddr(contact);
+        if (uri && uri.split(';')[0] === ours && params.expires !== undefined) {
+          return parseInt(params.expires, 10);
+        }
+      }
+    }
+    const expires = parseInt(message.headers['expires'], 10);
+    return Number.isNaN(expires) ? requested : expires;
+  }
+
+  _settleUnregister() {
+    if (!this._unregistered) return;
+    this._unregistered.resolve();
+    this._unregistered = null;
+  }
+
+  _handleMessageResponse(request, message) {
+    if (message.statusCode < 200) return;
+
+    // Answer the first challenge (and a stale nonce); another one means the credentials are wrong
+    const challenge = this._challengeOf(message);
+    if (this._shouldAuthenticate(challenge, request.authAttempts)) {
+      request.authAttempts++;
+      request.cseq++;
+      const credentials = this._digestAuthorization('MESSAGE', request.uri, challenge, request.body);
+      this._log('MESSAGE challenged, resending with credentials...');
+      this._sendMessageRequest(request, this._authHeaders(message.statusCode, credentials));
+      return;
+    }
+
+    if (message.statusCode >= 300) {
+      this._warn(`MESSAGE${request.gateId ? ` for ${request.gateId}` : ''} failed: ${message.statusCode} ${message.statusText}`);
+    }
+    clearTimeout(request.timer);
+    this._requests.delete(request.callId);
+
+    const result = {
+      statusCode: message.statusCode,
+      statusText: message.statusText,
+      headers: message.headers,
+      body: message.body,
+      rttMs: Date.now() - request.startedAt,
+      authRequired: request.authAttempts > 0
+    };
+    if (message.statusCode < 300) {
+      request.resolve(result);
+    } else {
+      request.reject(errorFromResponse(result, { lock: request.gateId !== null }));
+    }
+  }
+
+  // Send (or resend with credentials) a MESSAGE of sendCommand(), each attempt in its own transaction
+  _sendMessageRequest(request, auth = {}) {
+    this._transactions.sendRequest(buildMessageRequest(this.sipConfig, { ...request, ...auth }), {
+      onResponse: message => this._handleMessageResponse(request, message),
+      onTimeout: () => this._abortRequest(request, new BticinoSipTimeoutError('No final response to MESSAGE (Timer F)'))
+    });
+  }
+
+  _abortRequest(request, err) {
+    if (this._requests.get(request.callId) !== request) return;
+    clearTimeout(request.timer);
+    this._requests.delete(request.callId);
+    request.reject(err);
+  }
+
+  // Fail every request in flight: commands, rpc calls, pings and the INVITE being set up
+  _rejectRequests(reason) {
+    for (const request of this._requests.values()) {
+      clearTimeout(request.timer);
+      request.reject(new BticinoSipError(reason, { code: 'ECONNABORTED' }));
+    }
+    this._requests.clear();
+    this._transactions.clear();
+    this.rpc.rejectAll(new BticinoSipError(reason, { code: 'ECONNABORTED' }));
+
+    for (const ping of this._pings) {
+      clearTimeout(ping.timer);
+      ping.reject(new BticinoSipError(reason, { code: 'ECONNABORTED' }));
+    }
+    this._pings.clear();
+    this._framer.expectPong = false;
+
+    const invite = this._pendingInvite;
+    this._pendingInvite = null;
+    if (invite && !invite.settled) {
+      clearTimeout(invite.timer);
+      invite.settled = true;
+      invite.reject(new BticinoSipError(reason, { code: 'ECONNABORTED' }));
+    }
+  }
+
+  /**
+   * Send an INVITE and run the client transaction until a final response.
+   * @private
+   * @returns {Promise<{request: Object, response: Object}>} Sent INVITE and its 2xx (both parsed)
+   */
+  _sendInvite(target, sdp, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const invite = {
+        target,
+        sdp,
+        callId: generateCallID(),
+        tag: generateTag(),
+        cseq: 1,
+        branch: null,
+        request: null,
+        authAttempts: 0,
+        provisional: false,
+        cancelled: false,
+        settled: false,
+        resolve,
+        reject,
+        timer: null
+      };
+
+      invite.timer = setTimeout(() => {
+        // No final response in time: give up. A CANCEL may only follow a provisional response
+        // (RFC 3261 9.1): without one yet, it is sent on the first 1xx, or Timer B ends the
+        // transaction. The transaction stays pending so the final response (487) is still ACKed.
+        invite.settled = true;
+        if (invite.provisional) this._cancelInvite(invite);
+        reject(new BticinoSipTimeoutError('Timeout waiting for the INVITE to be answered'));
+      }, timeoutMs);
+
+      this._pendingInvite = invite;
+      this._transmitInvite(invite);
+    });
+  }
+
+  _transmitInvite(invite, authHeaders = {}) {
+    invite.branch = generateBranch();
+    invite.provisional = false; // new transaction
+    const message = buildSipMessage(this.sipConfig, {
+      method: 'INVITE',
+      to: invite.target,
+      tag: invite.tag,
+      callId: invite.callId,
+      cseq: invite.cseq,
+      branch: invite.branch,
+      contact: this._contactHeader(),
+      body: invite.sdp,
+      contentType: 'application/sdp',
+      ...authHeaders
+    });
+    invite.request = parseSipMessage(message);
+    this._transactions.sendRequest(message, {
+      onResponse: response => this._handleInviteResponse(invite, response),
+      onTimeout: () => this._failInvite(invite, 'No response to the INVITE (Timer B)')
+    });
+  }
+
+  // Response to the pending INVITE (routed by its client transaction)
+  _handleInviteResponse(invite, message) {
+    const { statusCode } = message;
+    if (parseCSeq(message.headers['cseq']).seq !== invite.cseq) return; // stale (pre-auth) transaction
+
+    if (statusCode < 200) {
+      this._log(`INVITE: ${statusCode} ${message.statusText}`);
+      invite.provisional = true;
+      if (invite.settled) this._cancelInvite(invite); // gave up before any 1xx
+      return;
+    }
+
+    if (statusCode < 300) {
+      this._sendAck(message, invite.request);
+    } else {
+      // Non-2xx final responses are ACKed within the INVITE transaction
+      this._sendRaw(buildSipMessage(this.sipConfig, {
+        method: 'ACK',
+        to: invite.target,
+        toHeader: message.headers['to'],
+        tag: invite.tag,
+        callId: invite.callId,
+        cseq: invite.cseq,
+        branch: invite.branch
+      }));
+    }
+
+    const challenge = this._challengeOf(message);
+    if (this._shouldAuthenticate(challenge, invite.authAttempts) && !invite.settled) {
+      // Same dialog, next CSeq, with credentials; the setup timeout keeps running
+      this._log('INVITE: digest authentication required');
+      invite.authAttempts++;
+      invite.cseq += 1;
+      const credentials = this._digestAuthorization('INVITE', invite.target, challenge, invite.sdp);
+      this._transmitInvite(invite, this._authHeaders(statusCode, credentials));
+      return;
+    }
+
+    clearTimeout(invite.timer);
+    if (this._pendingInvite === invite) this._pendingInvite = null;
+
+    if (invite.settled) {
+      // Answered after we gave up (CANCEL crossed the 200): end the call right away
+      if (statusCode < 300) this._createCall(invite.request, message).hangup();
+      return;
+    }
+    if (statusCode < 300) {
+      invite.resolve({ request: invite.request, response: message });
+      return;
+    }
+
+    invite.reject(errorFromResponse(message));
+  }
+
+  // CANCEL the pending INVITE transaction (once, and only after a provisional response)
+  _cancelInvite(invite) {
+    if (invite.cancelled) return;
+    invite.cancelled = true;
+    this._transactions.sendRequest(buildSipMessage(this.sipConfig, {
+      method: 'CANCEL',
+      to: invite.target,
+      tag: invite.tag,
+      callId: invite.callId,
+      cseq: invite.cseq,
+      branch: invite.branch
+    }));
+  }
+
+  // Give up on an INVITE that got no response at all
+  _failInvite(invite, reason) {
+    clearTimeout(invite.timer);
+    if (this._pendingInvite === invite) this._pendingInvite = null;
+    if (invite.settled) return;
+    invite.settled = true;
+    invite.reject(new BticinoSipTimeoutError(reason));
+  }
+
+  // ACK a 2xx to our INVITE (a new transaction, sent along the dialog route set)
+  _sendAck(response, request) {
+    const callId = response.headers['call-id'];
+    const routeSet = splitHeaderList(response.headers['record-route']).reverse();
+
+    const ack = buildSipMessage(this.sipConfig, {
+      method: 'ACK',
+      requestUri: extractUri(response.headers['contact']) || request.uri,
+      toHeader: response.headers['to'],
+      tag: extractTag(request.headers['from']),
+      callId,
+      cseq: parseCSeq(response.headers['cseq']).seq,
+      // Without Record-Route the ACK goes through the outbound proxy like the INVITE
+      routes: routeSet.length ? routeSet : undefined
+    });
+    this._acks.set(callId, ack);
+    this._sendRaw(ack);
+  }
+
+  // Dialog handle for an answered outgoing call
+  _createCall(request, response) {
+    return this._trackCall(new BticinoSipCall(this, request, { response }));
+  }
+
+  // Route the dialog's requests and responses to the call until it ends
+  _trackCall(call) {
+    this._calls.set(call.callId, call);
+    call.once('ended', ({ reason }) => {
+      this._calls.delete(call.callId);
+      this._acks.delete(call.callId);
+      this._log(`Call ${call.callId} ended (${reason})`);
+    });
+    return call;
+  }
+
+  _terminateCalls(reason) {
+    for (const call of [...this._calls.values()]) {
+      call._terminate(reason);
+    }
+    this._calls.clear();
+  }
+
+  // ===== Connection interface used by BticinoSipCall =====
+
+  _sendResponse(statusCode, statusText, originalMessage, opts = {}) {
+    const response = buildSipResponse(statusCode, statusText, originalMessage, {
+      tag: this._localTag,
+      ...opts
+    });
+    this._transactions.sendResponse(originalMessage, statusCode, response);
+  }
+
+  _sendRaw(message) {
+    if (!this.socket || this.socket.destroyed) {
+      this._error('Cannot send: socket not connected');
+      return;
+    }
+    this._log('Sending:', message.split('\r\n')[0]);
+    this.socket.write(message);
+  }
+
+  _localIP() {
+    return this.sipConfig.localIP || getLocalIP();
+  }
+
+  _contactHeader() {
+    const localPort = this.sipConfig.localPort || 5060;
+    return `<sip:${this.sipConfig.username}@${this._localIP()}:${localPort};transport=tls>`;
+  }
+
+  /**
+   * Build a digest Authorization/Proxy-Authorization value (see BticinoDigest).
+   * @private
+   * @param {string} method - SIP method
+   * @param {string} uri - Request-URI
+   * @param {string|Object} [challenge] - Challenge to answer, header value or parsed (default: last REGISTER challenge)
+   * @param {string} [body=''] - Message body (qop=auth-int)
+   * @returns {string|null} null if there is no challenge or it cannot be answered
+   */
+  _digestAuthorization(method, uri, challenge = this._digest.challenge, body = '') {
+    if (typeof challenge === 'string') challenge = parseChallenge(challenge);
+    return this._digest.authorize(method, uri, challenge, body);
+  }
+
+  // Digest challenge of a 401/407 we can answer (first supported one), with its status code
+  _challengeOf(message) {
+    if (message.statusCode !== 401 && message.statusCode !== 407) return null;
+    const name = message.statusCode === 401 ? 'WWW-Authenticate' : 'Proxy-Authenticate';
+    const challenge = pickChallenge(getHeaders(message, name));
+    return challenge && { ...challenge, statusCode: message.statusCode };
+  }
+
+  // Answer a challenge once per request, once more when it only says our nonce went stale
+  _shouldAuthenticate(challenge, attempts) {
+    return Boolean(challenge) && (attempts === 0 || (challenge.stale && attempts === 1));
+  }
+
+  // Credentials go in Authorization for a 401, Proxy-Authorization for a 407
+  _authHeaders(statusCode, credentials) {
+    return statusCode === 401 ? { authorization: credentials } : { proxyAuth: credentials };
+  }
+}
+
+module.exports = {
+  BticinoSipUserAgent,
+  getLocalIP,
+  generateBranch,
+  generateCallID,
+  generateTag,
+  generateInstanceId,
+  calculateHa1,
+  calculateDigestResponse,
+  buildGateOpenPayload,
+  buildSipMessage,
+  buildMessageRequest,
+  buildRegisterMessage,
+  buildSipResponse,
+  DEFAULT_REQUEST_TIMEOUT
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+
+/**
+ * Envelope format version written by {@link BticinoCredentialVault}.
+ * @constant {number}
+ */
+const VAULT_VERSION = 1;
+
+/**
+ * Default scrypt cost parameters (N=2^14, r=8, p=1 → ~16 MB, tens of ms per derivation).
+ * @constant {Object}
+ */
+const DEFAULT_SCRYPT = Object.freeze({ N: 16384, r: 8, p: 1 });
+
+/**
+ * Secret fields sealed by the helpers, per persisted object.
+ * @constant {Object}
+ */
+const SECRET_FIELDS = Object.freeze({
+  sipAccount: ['sipPassword'],
+  certificates: ['key']
+});
+
+/**
+ * BticinoCredentialVault
+ * Optional encryption layer for secrets at rest: the private key PEM produced by
+ * certificate provisioning and the `sipPassword` returned by SIP account registration.
+ *
+ * Each secret is encrypted with AES-256-GCM under a key derived from a passphrase
+ * with scrypt (random salt per secret) and stored as a JSON envelope:
+ * `{ $vault: 1, kdf: 'scrypt', N, r, p, salt, iv, tag, data }` (binary fields base64).
+ * Only the secret fields are replaced, so the rest of the object stays readable.
+ *
+ * @example
+ * const vault = new BticinoCredentialVault(process.env.BTICINO_PASSPHRASE);
+ * const auth = new BticinoAuthentication({ store, vault });
+ * // sip_account.json / client-certs.json now contain envelopes instead of plaintext
+ *
+ * // Rotate the passphrase of everything already saved in the store
+ * await rotateVaultPassphrase(store, vault, new BticinoCredentialVault(newPassphrase));
+ */
+class BticinoCredentialVault {
+  /**
+   * @param {string|Buffer} passphrase Passphrase used to derive encryption keys
+   * @param {Object} [options]
+   * @param {Object} [options.scrypt] scrypt cost parameters `{ N, r, p }` (default: N=16384, r=8, p=1)
+   */
+  constructor(passphrase, options = {}) {
+    if (!passphrase || (typeof passphrase !== 'string' && !Buffer.isBuffer(passphrase))) {
+      throw new Error('passphrase is required for BticinoCredentialVault');
+    }
+    // Keep the passphrase out of enumerable properties (and therefore out of logs/JSON)
+    Object.defineProperty(this, '_passphrase', { value: passphrase, enumerable: false });
+    this.opts = { scrypt: { ...DEFAULT_SCRYPT, ...(options.scrypt || {}) } };
+    this._keyCache = new Map(); // salt(base64) → derived key
+  }
+
+  /**
+   * Check whether a value is a vault envelope.
+   * @param {any} value
+   * @returns {boolean}
+   */
+  static isSealed(value) {
+    return !!value && typeof value === 'object' && value.$vault === VAULT_VERSION
+      && typeof value.data === 'string' && typeof value.iv === 'string' && typeof value.tag === 'string';
+  }
+
+  /**
+   * Encrypt a secret string.
+   * @param {string} plaintext Secret to encrypt
+   * @param {string} [context] Optional associated data (e.g. the field name) that must match on decrypt
+   * @returns {Object} Vault envelope
+   */
+  encrypt(plaintext, context = '') {
+    if (typeof plaintext !== 'string') throw new Error('Only strings can be encrypted');
+    const { N, r, p } = this.opts.scrypt;
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = this._deriveKey(salt, { N, r, p });
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    if (context) cipher.setAAD(Buffer.from(context, 'utf8'));
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      $vault: VAULT_VERSION,
+      kdf: 'scrypt',
+      N, r, p,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a vault envelope.
+   * @param {Object} envelope Envelope produced by `encrypt()`
+   * @param {string} [context] Associated data used when encrypting
+   * @returns {string} Plaintext secret
+   * @throws {Error} If the envelope is malformed, the passphrase is wrong or data was tampered with
+   */
+  decrypt(envelope, context = '') {
+    if (!BticinoCredentialVault.isSealed(envelope)) throw new Error('Value is not a vault envelope');
+    if (envelope.kdf !== 'scrypt') throw new Error(`Unsupported vault KDF: ${envelope.kdf}`);
+
+    const salt = Buffer.from(envelope.salt, 'base64');
+    const key = this._deriveKey(salt, { N: envelope.N, r: envelope.r, p: envelope.p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    if (context) decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    try {
+      return Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (e) {
+      throw new Error('Vault decryption failed (wrong passphrase or corrupted data)');
+    }
+  }
+
+  /**
+   * Return the plaintext of a value that may or may not be sealed.
+   * @param {string|Object} value Plain string or envelope
+   * @param {string} [context] Associated data used when encrypting
+   * @returns {string|any} Plaintext (non-envelope values are returned unchanged)
+   */
+  open(value, context = '') {
+    return BticinoCredentialVault.isSealed(value) ? this.decrypt(value, context) : value;
+  }
+
+  /**
+   * Return a copy of `obj` with the given string fields encrypted.
+   * Fields that are already sealed or missing are left untouched.
+   * @param {Object} obj Source object (not mutated)
+   * @param {Array<string>} fields Field names to seal
+   * @returns {Object}
+   */
+  sealFields(obj, fields) {
+    if (!obj || typeof obj !== 'object') return obj;
+    const out = { ...obj };
+    for (const field of fields) {
+      if (typeof out[field] === 'string') out[field] = this.encrypt(out[field], field);
+    }
+    return out;
+  }
+
+  /**
+   * Return a copy of `obj` with every sealed top-level field decrypted.
+   * @param {Object} obj Source object (not mutated)
+   * @returns {Object}
+   */
+  openFields(obj) {
+    if (!obj || typeof obj !== 'object') return obj;
+    const out = { ...obj };
+    for (const [field, value] of Object.entries(out)) {
+      if (BticinoCredentialVault.isSealed(value)) out[field] = this.decrypt(value, field);
+    }
+    return out;
+  }
+
+  /**
+   * Seal the `sipPassword` of a SIP account.
+   * @param {Object} sipAccount
+   * @returns {Object}
+   */
+  sealSipAccount(sipAccount) {
+    return this.sealFields(sipAccount, SECRET_FIELDS.sipAccount);
+  }
+
+  /**
+   * Seal the private `key` of a certificate bundle `{ cert, key }`.
+   * @param {Object} certificates
+   * @returns {Object}
+   */
+  sealCertificates(certificates) {
+    return this.sealFields(certificates, SECRET_FIELDS.certificates);
+  }
+
+  /**
+   * Re-encrypt every sealed top-level field of `obj` under another vault.
+   * @param {Object} obj Object containing envelopes
+   * @param {BticinoCredentialVault} newVault Vault holding the new passphrase
+   * @returns {Object}
+   */
+  reseal(obj, newVault) {
+    if (!obj || typeof obj !== 'object') return obj;
+    const out = { ...obj };
+    for (const [field, value] of Object.entries(out)) {
+      if (BticinoCredentialVault.isSealed(value)) out[field] = newVault.encrypt(this.decrypt(value, field), field);
+    }
+    return out;
+  }
+
+  /**
+   * Internal: derive (and cache) the AES key for a salt.
+   * @private
+   * @param {Buffer} salt
+   * @param {Object} params scrypt parameters `{ N, r, p }`
+   * @returns {Buffer} 32-byte key
+   */
+  _deriveKey(salt, { N, r, p }) {
+    const cacheKey = `${salt.toString('base64')}:${N}:${r}:${p}`;
+    let key = this._keyCache.get(cacheKey);
+    if (!key) {
+      key = crypto.scryptSync(this._passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+      this._keyCache.set(cacheKey, key);
+    }
+    return key;
+  }
+}
+
+/**
+ * Re-encrypt the secrets saved in a state store under a new passphrase.
+ * Reads the SIP account and certificate bundle, decrypts their sealed fields with
+ * `oldVault`, encrypts them with `newVault` and writes them back. Plaintext secrets
+ * found in the store are sealed with `newVault` as well.
+ *
+ * @param {BticinoStateStore} store State store holding the secrets
+ * @param {BticinoCredentialVault} oldVault Vault with the current passphrase
+ * @param {BticinoCredentialVault} newVault Vault with the new passphrase
+ * @returns {Promise<Array<string>>} Keys that were rewritten
+ * @throws {Error} If decryption with the old passphrase fails (nothing is written in that case)
+ * @example
+ * await rotateVaultPassphrase(store, oldVault, new BticinoCredentialVault(newPassphrase));
+ */
+async function rotateVaultPassphrase(store, oldVault, newVault) {
+  if (!store || !oldVault || !newVault) throw new Error('store, oldVault and newVault are required');
+
+  // Decrypt everything first so a wrong old passphrase leaves the store untouched
+  const updates = [];
+  for (const [key, fields] of Object.entries(SECRET_FIELDS)) {
+    const value = await store.get(key);
+    if (!value) continue;
+    const resealed = newVault.sealFields(oldVault.reseal(value, newVault), fields);
+    updates.push([key, resealed]);
+  }
+
+  for (const [key, value] of updates) {
+    await store.set(key, value);
+  }
+  return updates.map(([key]) => key);
+}
+
+module.exports = { BticinoCredentialVault, rotateVaultPassphrase, SECRET_FIELDS };
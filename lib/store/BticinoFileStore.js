@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BticinoStateStore, STATE_KEYS } = require('./BticinoStateStore');
+
+/**
+ * Default file names, matching the files written by the examples so existing
+ * deployments can point the store at the same directory.
+ * @constant {Object}
+ */
+const DEFAULT_FILES = Object.freeze({
+  [STATE_KEYS.TOKENS]: 'token_cache.json',
+  [STATE_KEYS.SIP_ACCOUNT]: 'sip_account.json',
+  [STATE_KEYS.CERTIFICATES]: 'client-certs.json'
+});
+
+/**
+ * BticinoFileStore
+ * File-backed implementation of {@link BticinoStateStore}: one JSON file per key.
+ *
+ * Writes are atomic (temporary file + fsync + rename) so a crash never leaves a
+ * truncated credentials file behind, and files are created with `0600`
+ * permissions since they contain tokens, SIP passwords and private keys.
+ *
+ * @example
+ * const store = new BticinoFileStore(path.join(__dirname, 'state'));
+ * const auth = new BticinoAuthentication({ store });
+ * await auth.authenticate(); // loads tokens from state/token_cache.json
+ */
+class BticinoFileStore extends BticinoStateStore {
+  /**
+   * @param {string} dir Directory holding the state files (created on first write)
+   * @param {Object} [options]
+   * @param {Object} [options.files] Override file names per key (e.g. `{ tokens: 'tokens.json' }`)
+   * @param {number} [options.fileMode=0o600] Permissions for state files
+   * @param {number} [options.dirMode=0o700] Permissions for the directory when it is created
+   */
+  constructor(dir, options = {}) {
+    super();
+    if (!dir || typeof dir !== 'string') throw new Error('dir is required for BticinoFileStore');
+    this.dir = dir;
+    this.opts = {
+      fileMode: 0o600,
+      dirMode: 0o700,
+      ...options,
+      files: { ...DEFAULT_FILES, ...(options.files || {}) }
+    };
+  }
+
+  /**
+   * Resolve the absolute file path used for a key.
+   * @param {string} key State key
+   * @returns {string}
+   */
+  pathFor(key) {
+    const name = this.opts.files[key] || `${String(key).replace(/[^\w.-]/g, '_')}.json`;
+    return path.join(this.dir, name);
+  }
+
+  async get(key) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.pathFor(key), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`Failed to parse ${this.pathFor(key)}: ${e.message}`);
+    }
+  }
+
+  async set(key, value) {
+    const file = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: this.opts.dirMode });
+
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.promises.open(tmp, 'wx', this.opts.fileMode);
+    try {
+      await handle.writeFile(JSON.stringify(value, null, 2), 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      // The mode passed to open() is filtered by the umask; enforce it explicitly
+      await fs.promises.chmod(tmp, this.opts.fileMode);
+      await fs.promises.rename(tmp, file);
+    } catch (e) {
+      await fs.promises.unlink(tmp).catch(() => {});
+      throw e;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+}
+
+module.exports = { BticinoFileStore, DEFAULT_FILES };
@@ -0,0 +1,45 @@
+const { BticinoStateStore } = require('./BticinoStateStore');
+
+/**
+ * BticinoMemoryStore
+ * In-memory implementation of {@link BticinoStateStore}.
+ * Useful for tests and for short-lived processes that receive their state
+ * from somewhere else (environment, secrets manager) at startup.
+ *
+ * Values are deep-copied on read and write so callers cannot mutate the
+ * stored state by accident.
+ *
+ * @example
+ * const store = new BticinoMemoryStore({ tokens: savedTokens });
+ * const auth = new BticinoAuthentication({ store });
+ */
+class BticinoMemoryStore extends BticinoStateStore {
+  /**
+   * @param {Object} [initial] Optional initial state keyed by state key
+   */
+  constructor(initial = {}) {
+    super();
+    this._data = new Map();
+    for (const [key, value] of Object.entries(initial || {})) {
+      if (value !== undefined && value !== null) this._data.set(key, clone(value));
+    }
+  }
+
+  async get(key) {
+    return this._data.has(key) ? clone(this._data.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this._data.set(key, clone(value));
+  }
+
+  async delete(key) {
+    this._data.delete(key);
+  }
+}
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { BticinoMemoryStore };
@@ -0,0 +1,74 @@
+/**
+ * BticinoStateStore
+ * Base class describing the persistence contract used by {@link BticinoAuthentication}
+ * to load and save its long-lived state across restarts.
+ *
+ * The library persists three well-known keys (see {@link STATE_KEYS}):
+ *  - `tokens`       : enriched OAuth token object (as emitted by `tokenCreated`)
+ *  - `sipAccount`   : SIP account (sipUri, sipPassword, clientId, gatewayId, plantId, ...)
+ *  - `certificates` : client certificate bundle `{ cert, key }`
+ *
+ * Implementations must be async and store plain JSON-serializable values.
+ * `get()` resolves with `null` when a key has never been written.
+ *
+ * @example
+ * class RedisStore extends BticinoStateStore {
+ *   async get(key) { const v = await redis.get(key); return v ? JSON.parse(v) : null; }
+ *   async set(key, value) { await redis.set(key, JSON.stringify(value)); }
+ *   async delete(key) { await redis.del(key); }
+ * }
+ */
+
+/**
+ * Keys written by the library.
+ * @constant {Object}
+ */
+const STATE_KEYS = Object.freeze({
+  TOKENS: 'tokens',
+  SIP_ACCOUNT: 'sipAccount',
+  CERTIFICATES: 'certificates'
+});
+
+class BticinoStateStore {
+  /**
+   * Read a value.
+   * @param {string} key State key
+   * @returns {Promise<any|null>} Stored value or null when missing
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name}.get() not implemented`);
+  }
+
+  /**
+   * Write (replace) a value.
+   * @param {string} key State key
+   * @param {any} value JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    throw new Error(`${this.constructor.name}.set() not implemented`);
+  }
+
+  /**
+   * Remove a value. Must not fail when the key does not exist.
+   * @param {string} key State key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name}.delete() not implemented`);
+  }
+
+  /**
+   * Check whether an object implements the store contract (duck typing).
+   * @param {any} store Candidate store
+   * @returns {boolean}
+   */
+  static isStore(store) {
+    return !!store
+      && typeof store.get === 'function'
+      && typeof store.set === 'function'
+      && typeof store.delete === 'function';
+  }
+}
+
+module.exports = { BticinoStateStore, STATE_KEYS };
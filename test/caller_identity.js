@@ -0,0 +1,110 @@
+/**
+ * Test Suite: Caller identity of incoming calls
+ *
+ * This test suite validates:
+ * - From headers parsed into address, id, display name and host
+ * - Call type: entrance panel, internal unit, switchboard, unknown
+ * - Callers mapped to plant modules (address / id first, then display name), module device
+ *   deciding the call type
+ * - callInfo.caller on the listener 'invite' event, modules from opts / setModules() / loadModules()
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { parseCallerIdentity, CALLER_KINDS } = require('../lib/sip/BticinoCallerId');
+const { SIP_CONFIG, CERTS, fakeSocket } = require('./helpers/sip');
+
+console.log('🧪 Testing Caller Identity\n');
+
+const MODULES = [
+  { id: 'mod-gw', name: 'Gateway', device: 'gateway', plantId: 'plant-1' },
+  { id: 'mod-ep1', name: 'Front gate', device: 'externalUnit', address: 'ep_1', plantId: 'plant-1' },
+  { id: 'mod-ep2', name: 'Back door', device: 'externalUnit', address: 'EP_2', plantId: 'plant-1' },
+  { id: 'mod-cc', name: 'Concierge', device: 'switchboard', sipUser: 'sb_9', plantId: 'plant-1' }
+];
+
+let calls = 0;
+function buildInvite(from) {
+  let msg = 'INVITE sip:user_123456@192.168.1.10:5060;transport=tls SIP/2.0\r\n';
+  msg += 'Via: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.abc\r\n';
+  msg += `From: ${from};tag=remote1\r\n`;
+  msg += 'To: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+  msg += `Call-ID: call-${++calls}\r\nCSeq: 1 INVITE\r\n`;
+  msg += 'Content-Length: 0\r\n\r\n';
+  return Buffer.from(msg);
+}
+
+(async () => {
+  try {
+    // Test 1: Parsing
+    console.log('1️⃣ Testing From header parsing...');
+    const door = parseCallerIdentity('"Entrance \\"A\\"" <sip:ep_2@gateway.bs.iotleg.com;transport=tls>;tag=1');
+    assert.strictEqual(door.displayName, 'Entrance "A"');
+    assert.strictEqual(door.user, 'ep_2');
+    assert.strictEqual(door.id, '2');
+    assert.strictEqual(door.host, 'gateway.bs.iotleg.com');
+    assert.strictEqual(door.uri, 'sip:ep_2@gateway.bs.iotleg.com;transport=tls');
+    assert.strictEqual(door.kind, 'panel');
+    assert.strictEqual(door.name, 'Entrance "A"');
+    assert.strictEqual(door.module, null);
+
+    const bare = parseCallerIdentity('sip:pi3@gateway.bs.iotleg.com;tag=x');
+    assert.deepStrictEqual([bare.user, bare.displayName, bare.kind, bare.name], ['pi3', null, 'internal', 'pi3']);
+    assert.strictEqual(parseCallerIdentity('Portineria <sip:concierge@gw>').kind, 'switchboard');
+    assert.strictEqual(parseCallerIdentity('<sip:door@gateway.bs.iotleg.com>').kind, 'panel');
+    assert.strictEqual(parseCallerIdentity('<sip:user_654321@gateway.bs.iotleg.com>').kind, 'unknown');
+    assert.strictEqual(parseCallerIdentity(undefined).uri, null);
+    assert.ok(CALLER_KINDS.includes('unknown'));
+    console.log('✅ Address, id, display name and call type\n');
+
+    // Test 2: Module mapping
+    console.log('2️⃣ Testing module mapping...');
+    const front = parseCallerIdentity('<sip:ep_1@gateway.bs.iotleg.com>', MODULES);
+    assert.strictEqual(front.name, 'Front gate');
+    assert.strictEqual(front.module.id, 'mod-ep1');
+    const back = parseCallerIdentity('"Panel" <sip:ep_2@gateway.bs.iotleg.com>', MODULES);
+    assert.strictEqual(back.name, 'Back door', 'Address matched case-insensitively');
+    const byName = parseCallerIdentity('"back door" <sip:1001@gateway.bs.iotleg.com>', MODULES);
+    assert.strictEqual(byName.module.id, 'mod-ep2', 'Display name fallback');
+    const concierge = parseCallerIdentity('<sip:sb_9@gateway.bs.iotleg.com>', MODULES);
+    assert.deepStrictEqual([concierge.name, concierge.kind], ['Concierge', 'switchboard'], 'Module device decides the type');
+    assert.strictEqual(parseCallerIdentity('<sip:ep_7@gateway.bs.iotleg.com>', MODULES).module, null);
+    console.log('✅ Callers named after plant modules\n');
+
+    // Test 3: Listener invite event
+    console.log('3️⃣ Testing callInfo.caller...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false, autoReject: false, modules: MODULES });
+    const sent = [];
+    listener.socket = fakeSocket(sent, { parse: true });
+    const rings = [];
+    listener.on('invite', callInfo => rings.push(callInfo));
+
+    listener._handleData(buildInvite('"EP1" <sip:ep_1@gateway.bs.iotleg.com>'));
+    listener._handleData(buildInvite('<sip:ep_2@gateway.bs.iotleg.com>'));
+    assert.deepStrictEqual(rings.map(r => [r.caller.name, r.caller.kind]), [['Front gate', 'panel'], ['Back door', 'panel']]);
+    assert.ok(rings[0].from.includes('ep_1'), 'Raw From kept');
+
+    listener.setModules(null);
+    listener._handleData(buildInvite('"EP1" <sip:ep_1@gateway.bs.iotleg.com>'));
+    assert.strictEqual(rings[2].caller.name, 'EP1', 'Display name without modules');
+
+    const api = { getModules: async (plantId) => MODULES.filter(m => m.plantId === plantId) };
+    assert.strictEqual((await listener.loadModules(api, 'plant-1')).length, 4);
+    await assert.rejects(listener.loadModules(api), /plantId is required/);
+    listener._handleData(buildInvite('<sip:sb_9@gateway.bs.iotleg.com>'));
+    assert.strictEqual(rings[3].caller.name, 'Concierge');
+    for (const call of listener._calls.values()) call.reject(486, 'Busy Here');
+    console.log('✅ Ring events carry the caller identity\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All caller identity tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,125 @@
+/**
+ * Test Suite: JSON-RPC command catalogue
+ *
+ * This test suite validates:
+ * - Catalogue entries build the params layout the gateway expects (receiver/status)
+ * - Only the gate command (seen on the wire) is not flagged experimental
+ * - Argument validation: required, type, allowed values, unknown arguments, defaults
+ * - Wrappers call `target.call(method, params, opts)`, acknowledged-only commands
+ *   settle on the SIP 2xx
+ * - client.call() end-to-end over a fake connection, defineCommand() overrides
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const commands = require('../lib/sip/BticinoCommands');
+const { BticinoSipClient, buildGateOpenPayload } = require('../lib/sip/BticinoSipClient');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing Command Catalogue\n');
+
+function fakeTarget() {
+  const calls = [];
+  return { calls, call: async (method, params, opts) => { calls.push({ method, params, opts }); return 'result'; } };
+}
+
+(async () => {
+  try {
+    // Test 1: Building commands
+    console.log('1️⃣ Testing catalogue params...');
+    const open = commands.buildCommand('openLock', { id: 'gate-1' });
+    assert.strictEqual(open.method, 'lock.setStatus');
+    assert.deepStrictEqual(open.params, [{ receiver: { plant: { coal: { id: 'gate-1' }, id: null } }, status: 'open' }]);
+    assert.strictEqual(open.expectResponse, false);
+    assert.deepStrictEqual(JSON.parse(buildGateOpenPayload('gate-1')).params, open.params, 'Gate payload built from the catalogue');
+
+    const status = commands.buildCommand('getLockStatus', { id: 'gate-1', plantId: 'plant-1' });
+    assert.strictEqual(status.method, 'lock.getStatus');
+    assert.deepStrictEqual(status.params[0].receiver, { plant: { coal: { id: 'gate-1' }, id: 'plant-1' } });
+    assert.strictEqual(status.expectResponse, true);
+
+    assert.strictEqual(commands.buildCommand('setStairLight', { id: 'light-1' }).params[0].status, 'on', 'Default status');
+    assert.strictEqual(commands.buildCommand('setActuator', { id: 'aux-1' }).params[0].status, 'pulse');
+    assert.strictEqual(commands.buildCommand('setAnsweringMachine', { enabled: false }).params[0].status, 'off');
+    assert.strictEqual(commands.buildCommand('getAnsweringMachine').method, 'answeringMachine.getStatus');
+    const experimental = Object.values(commands.COMMANDS).filter(c => c.experimental).map(c => c.method);
+    assert.deepStrictEqual(experimental.sort(), [
+      'actuator.setStatus', 'answeringMachine.getStatus', 'answeringMachine.setStatus', 'light.setStatus', 'lock.getStatus'
+    ]);
+    console.log('✅ Params built for each command\n');
+
+    // Test 2: Validation
+    console.log('2️⃣ Testing argument validation...');
+    assert.throws(() => commands.buildCommand('openLock', {}), /openLock: id is required/);
+    assert.throws(() => commands.buildCommand('openLock', { id: 42 }), /id must be a string/);
+    assert.throws(() => commands.buildCommand('setActuator', { id: 'a', status: 'blink' }), /status must be one of on, off, pulse/);
+    assert.throws(() => commands.buildCommand('setAnsweringMachine', { enabled: 'yes' }), /enabled must be a boolean/);
+    assert.throws(() => commands.buildCommand('openLock', { id: 'a', force: true }), /unknown argument force/);
+    assert.throws(() => commands.buildCommand('selfDestruct'), /Unknown command "selfDestruct"/);
+    console.log('✅ Invalid arguments rejected before sending\n');
+
+    // Test 3: Wrappers
+    console.log('3️⃣ Testing wrappers...');
+    const target = fakeTarget();
+    assert.strictEqual((await commands.getLockStatus(target, 'gate-1', { timeoutMs: 500 })).result, 'result');
+    await commands.openLock(target, 'gate-1');
+    await commands.setStairLight(target, 'light-1', { status: 'off' });
+    await commands.setActuator(target, 'aux-1', { plantId: 'plant-1' });
+    await commands.setAnsweringMachine(target, true);
+    await commands.getAnsweringMachine(target);
+    assert.deepStrictEqual(target.calls.map(c => c.method), [
+      'lock.getStatus', 'lock.setStatus', 'light.setStatus', 'actuator.setStatus',
+      'answeringMachine.setStatus', 'answeringMachine.getStatus'
+    ]);
+    assert.deepStrictEqual(target.calls[0].opts, { expectResponse: true, timeoutMs: 500 });
+    assert.strictEqual(target.calls[1].opts.expectResponse, false);
+    assert.strictEqual(target.calls[2].params[0].status, 'off');
+    assert.strictEqual(target.calls[3].params[0].receiver.plant.id, 'plant-1');
+    await assert.rejects(commands.setStairLight(target, null), /id is required/);
+    assert.strictEqual(target.calls.length, 6, 'Nothing sent on validation failure');
+    console.log('✅ Wrappers validate and call the target\n');
+
+    // Test 4: client.call() over a connection
+    console.log('4️⃣ Testing client.call()...');
+    const client = new BticinoSipClient(SIP_CONFIG, null, null, null, {}, CERTS);
+    const sent = [];
+    client.socket = fakeSocket((message) => {
+      sent.push(message);
+      if (message.method !== 'MESSAGE') return;
+      const rpc = JSON.parse(message.body);
+      const body = rpc.method === 'lock.getStatus' ? JSON.stringify({ jsonrpc: '2.0', id: rpc.id, result: { status: 'closed' } }) : '';
+      setImmediate(() => client._handleData(response(message, 200, 'OK', { body })));
+    }, { parse: true });
+
+    assert.deepStrictEqual(await commands.getLockStatus(client, 'gate-1'), { gateId: 'gate-1', status: 'closed', open: false, result: { status: 'closed' } });
+    assert.strictEqual(await commands.openLock(client, 'gate-1'), undefined, 'Acknowledged by the SIP 2xx');
+    assert.deepStrictEqual(await client.call('lock.getStatus', [{ receiver: commands.receiver('gate-2') }]), { status: 'closed' });
+    assert.strictEqual(sent.filter(m => m.method === 'MESSAGE').length, 3);
+    assert.strictEqual(client.rpc.pendingCount, 0);
+    console.log('✅ Commands sent over the SIP client\n');
+
+    // Test 5: Extending the catalogue
+    console.log('5️⃣ Testing defineCommand()...');
+    commands.defineCommand('setDoorbellVolume', {
+      method: 'ringtone.setVolume',
+      args: { level: { type: 'number', required: true } },
+      params: ({ level }) => [{ volume: level }],
+      expectResponse: false
+    });
+    await commands.runCommand(target, 'setDoorbellVolume', { level: 3 });
+    assert.deepStrictEqual(target.calls[6], { method: 'ringtone.setVolume', params: [{ volume: 3 }], opts: { expectResponse: false } });
+    assert.throws(() => commands.defineCommand('broken', { method: 'x' }), /params builder/);
+    delete commands.COMMANDS.setDoorbellVolume;
+    console.log('✅ Custom commands validated and sent\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All command catalogue tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
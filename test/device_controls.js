@@ -0,0 +1,108 @@
+/**
+ * Test Suite: Staircase light and auxiliary actuator control
+ *
+ * This test suite validates:
+ * - switchStairLight() / activateActuator() send the catalogue JSON-RPC command in a MESSAGE
+ * - Default and explicit status values, invalid status rejected before sending
+ * - Results shaped like openGate(), JSON-RPC errors and 486 rejected as BticinoCommandRejectedError (not a lock error)
+ * - Listener and client channels left open, digest challenge answered by the client
+ *
+ * Messages are fed directly into the listener/client; a fake socket captures what is sent.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { switchStairLight, activateActuator } = require('../lib/sip/BticinoControls');
+const { BticinoCommandRejectedError, BticinoLockRejectedError } = require('../lib/sip/BticinoSipErrors');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing Light / Actuator Controls\n');
+
+const CHALLENGE = 'Proxy-Authenticate: Digest realm="gateway.bs.iotleg.com", nonce="n0nce", qop="auth"\r\n';
+
+(async () => {
+  try {
+    // Test 1: Over the listener connection
+    console.log('1️⃣ Testing switchStairLight() over a listener...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false });
+    const sent = [];
+    let reply = (message) => response(message, 200, 'OK');
+    listener.socket = fakeSocket((message) => {
+      sent.push(message);
+      if (message.method === 'MESSAGE') setImmediate(() => listener._handleData(reply(message)));
+    }, { parse: true });
+
+    const light = await switchStairLight('light-1', 'plant-1', null, null, null, { channel: listener });
+    const rpc = JSON.parse(sent[0].body);
+    assert.strictEqual(rpc.method, 'light.setStatus');
+    assert.deepStrictEqual(rpc.params, [{ receiver: { plant: { coal: { id: 'light-1' }, id: null } }, status: 'on' }]);
+    assert.strictEqual(light.deviceId, 'light-1');
+    assert.strictEqual(light.status, 'on');
+    assert.strictEqual(light.statusCode, 200);
+    assert.strictEqual(light.rpc, null);
+    assert.ok(light.rttMs >= 0);
+    assert.strictEqual(listener.socket.destroyed, false, 'Channel left open');
+
+    await switchStairLight('light-1', 'plant-1', null, null, null, { channel: listener, status: 'off' });
+    assert.strictEqual(JSON.parse(sent[1].body).params[0].status, 'off');
+    console.log('✅ Light command sent over the listener\n');
+
+    // Test 2: Validation and refused commands
+    console.log('2️⃣ Testing validation and rejections...');
+    await assert.rejects(switchStairLight('light-1', 'plant-1', null, null, null, { channel: listener, status: 'dim' }), /status must be one of on, off/);
+    await assert.rejects(activateActuator(null, 'plant-1', null, null, null, { channel: listener }), /id is required/);
+    await assert.rejects(activateActuator('aux-1', 'plant-1', null, null, null, {}), /certificate and private key/);
+    assert.strictEqual(sent.length, 2, 'Nothing sent for invalid arguments');
+
+    reply = (message) => response(message, 200, 'OK', {
+      body: JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(message.body).id, error: { code: -32000, message: 'Output not configured' } })
+    });
+    await assert.rejects(activateActuator('aux-9', 'plant-1', null, null, null, { channel: listener }), (err) =>
+      err instanceof BticinoCommandRejectedError && !(err instanceof BticinoLockRejectedError) &&
+      err.code === -32000 && /Output not configured/.test(err.message) && err.response.deviceId === 'aux-9');
+    reply = (message) => response(message, 486, 'Busy Here');
+    await assert.rejects(switchStairLight('light-2', 'plant-1', null, null, null, { channel: listener }), (err) =>
+      err instanceof BticinoCommandRejectedError && !(err instanceof BticinoLockRejectedError) && err.code === 486 &&
+      err.response.statusText === 'Busy Here');
+    await listener.disconnect();
+    console.log('✅ Invalid arguments and JSON-RPC errors rejected\n');
+
+    // Test 3: Over a client connection, with a digest challenge
+    console.log('3️⃣ Testing activateActuator() over a client...');
+    const client = new BticinoSipClient(SIP_CONFIG, null, 'plant-1', 'gateway', {}, CERTS);
+    const clientSent = [];
+    client.socket = fakeSocket((message) => {
+      clientSent.push(message);
+      if (message.method !== 'MESSAGE') return;
+      const challenged = !message.headers['proxy-authorization'];
+      setImmediate(() => client._handleData(challenged
+        ? response(message, 407, 'Proxy Authentication Required', { headers: CHALLENGE })
+        : response(message, 202, 'Accepted')));
+    }, { parse: true });
+
+    const aux = await activateActuator('aux-1', 'plant-1', null, null, null, { channel: client });
+    assert.strictEqual(clientSent.length, 2, 'MESSAGE resent with credentials');
+    assert.strictEqual(JSON.parse(clientSent[1].body).method, 'actuator.setStatus');
+    assert.strictEqual(JSON.parse(clientSent[1].body).params[0].status, 'pulse', 'Default pulse');
+    assert.strictEqual(aux.statusCode, 202);
+    assert.strictEqual(aux.authRequired, true);
+
+    const on = await activateActuator('aux-1', 'plant-1', null, null, null, { channel: client, status: 'on' });
+    assert.strictEqual(on.status, 'on');
+    assert.strictEqual(client.socket.destroyed, false, 'Channel left open');
+    await client.disconnect();
+    console.log('✅ Actuator command sent over the client\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All light / actuator control tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
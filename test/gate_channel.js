@@ -0,0 +1,134 @@
+/**
+ * Test Suite: Gate commands over a persistent connection
+ *
+ * This test suite validates:
+ * - listener.sendMessage() sends a MESSAGE and resolves on the final response
+ * - 407 challenge answered once with digest credentials (same Call-ID, CSeq+1)
+ * - Error responses reject with the SIP status code, disconnect rejects pending requests
+ * - openGate({ channel }) reuses a connected listener or client without reconnecting
+ *   and returns as soon as the response arrives
+ * - client.sendRaw() writes a serialized message as is; a channel with sendCommand() only
+ *   gets the gate command as a MESSAGE
+ *
+ * Messages are fed directly into the listener/client; a fake socket captures what is sent.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { openGate } = require('../lib/sip/BticinoControls');
+const { BticinoLockRejectedError } = require('../lib/sip/BticinoSipErrors');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing Gate Channel\n');
+
+const CHALLENGE = { 'Proxy-Authenticate': 'Digest realm="gateway.bs.iotleg.com", nonce="n0nce", opaque="op", qop="auth"' };
+
+(async () => {
+  try {
+    // Test 1: MESSAGE over the listener connection
+    console.log('1️⃣ Testing listener.sendMessage() with digest retry...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false });
+    const sent = [];
+    listener.socket = fakeSocket(sent, { parse: true });
+
+    const pending = listener.sendMessage('{"method":"lock.setStatus"}');
+    const [message] = sent;
+    assert.strictEqual(message.method, 'MESSAGE');
+    assert.strictEqual(message.uri, 'sip:diy@gateway.bs.iotleg.com');
+    assert.strictEqual(message.headers['route'], '<sip:vdesip.bs.iotleg.com;transport=tls;lr>');
+    assert.strictEqual(message.body, '{"method":"lock.setStatus"}');
+
+    listener._handleData(response(message, 407, 'Proxy Authentication Required', { headers: CHALLENGE }));
+    const retry = sent[1];
+    assert.ok(retry, 'MESSAGE resent after the challenge');
+    assert.strictEqual(retry.headers['call-id'], message.headers['call-id']);
+    assert.strictEqual(retry.headers['cseq'], '2 MESSAGE');
+    const auth = retry.headers['proxy-authorization'];
+    assert.ok(auth.includes('nonce="n0nce"') && auth.includes('uri="sip:diy@gateway.bs.iotleg.com"'));
+
+    listener._handleData(response(retry, 200, 'OK'));
+    const result = await pending;
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(listener._requests.size, 0);
+    console.log('✅ MESSAGE resolved on the 200 OK\n');
+
+    // Test 2: Failures
+    console.log('2️⃣ Testing error response and disconnect...');
+    const forbidden = listener.sendMessage('x');
+    const second = sent[sent.length - 1];
+    listener._handleData(response(second, 407, 'Proxy Authentication Required', { headers: CHALLENGE }));
+    listener._handleData(response(sent[sent.length - 1], 407, 'Proxy Authentication Required', { headers: CHALLENGE }));
+    await assert.rejects(forbidden, err => err.code === 407 && err.response.statusCode === 407, 'Challenged only once');
+
+    const orphan = listener.sendMessage('y');
+    await listener.disconnect();
+    await assert.rejects(orphan, err => err.code === 'ECONNABORTED');
+    await assert.rejects(listener.sendMessage('z'), /Not connected/);
+    console.log('✅ Rejected with the status code / on disconnect\n');
+
+    // Test 3: openGate over a listener channel
+    console.log('3️⃣ Testing openGate() over a connected listener...');
+    const channel = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false });
+    channel.socket = fakeSocket(msg => setImmediate(() => channel._handleData(response(msg, 200, 'OK'))), { parse: true });
+    const started = Date.now();
+    const opened = await openGate(['gate-1', 'gate-2'], null, null, null, null, { channel });
+    assert.ok(Date.now() - started < 1000, 'No fixed delays');
+    assert.deepStrictEqual(opened.map(r => [r.gateId, r.success]), [['gate-1', true], ['gate-2', true]]);
+    assert.strictEqual(channel.socket.destroyed, false, 'Channel left open');
+    console.log('✅ Commands sent over the existing connection\n');
+
+    // Test 4: openGate over a connected client
+    console.log('4️⃣ Testing openGate() over a connected client...');
+    const client = new BticinoSipClient(SIP_CONFIG, null, null, null, {}, CERTS);
+    const bodies = [];
+    client.socket = fakeSocket((msg) => {
+      bodies.push(JSON.parse(msg.body));
+      setImmediate(() => client._handleData(response(msg, 200, 'OK')));
+    }, { parse: true });
+    client.connect = () => { throw new Error('Must not reconnect'); };
+    const single = await openGate('gate-3', null, null, null, null, { channel: client });
+    assert.strictEqual(single.statusCode, 200);
+    assert.strictEqual(bodies[0].params[0].receiver.plant.coal.id, 'gate-3');
+
+    // Overlapping commands each get their own transaction
+    const overlapping = await Promise.all([client.sendGateOpenCommand('gate-4'), client.sendGateOpenCommand('gate-5')]);
+    assert.deepStrictEqual(overlapping.map(r => r.statusCode), [200, 200]);
+    assert.strictEqual(bodies.length, 3);
+    assert.strictEqual(client._requests.size, 0);
+
+    const raw = [];
+    const writer = new BticinoSipClient(SIP_CONFIG, null, null, null, {}, CERTS);
+    writer.socket = fakeSocket(raw);
+    writer.sendRaw('OPTIONS sip:diy@gateway.bs.iotleg.com SIP/2.0\r\nContent-Length: 0\r\n\r\n');
+    assert.deepStrictEqual(raw, ['OPTIONS sip:diy@gateway.bs.iotleg.com SIP/2.0\r\nContent-Length: 0\r\n\r\n'], 'Written as is');
+    assert.strictEqual(writer.sendMessage, undefined, 'No raw sendMessage() to confuse with the listener\'s');
+
+    // A channel with sendCommand() only: the gate command goes out as a MESSAGE
+    const commands = [];
+    const minimal = {
+      sendCommand: async (body, opts) => {
+        commands.push({ body: JSON.parse(body), opts });
+        return { statusCode: 200, statusText: 'OK', body: '', rttMs: 1, authRequired: false };
+      }
+    };
+    const viaCommand = await openGate('gate-6', null, null, null, null, { channel: minimal });
+    assert.strictEqual(viaCommand.gateId, 'gate-6');
+    assert.strictEqual(commands[0].body.params[0].receiver.plant.coal.id, 'gate-6');
+    assert.deepStrictEqual(commands[0].opts, { gateId: 'gate-6' }, 'Sent as the gate command');
+    minimal.sendCommand = async () => ({ statusCode: 200, statusText: 'OK', body: '{"error":{"code":-1,"message":"jammed"}}' });
+    await assert.rejects(openGate('gate-6', null, null, null, null, { channel: minimal }), BticinoLockRejectedError);
+    console.log('✅ Client reused as a command channel\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All gate channel tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,160 @@
+/**
+ * Test Suite: Gate command results and typed errors
+ *
+ * This test suite validates:
+ * - The digest retry keeps the Call-ID (CSeq+1) and the command settles on its response
+ * - openGate() result: final status, parsed JSON-RPC body, round-trip time, authRequired
+ * - Typed failures: auth refused, timeout, gateway offline, lock rejected (SIP status
+ *   or JSON-RPC error), over both the client and the listener
+ * - A refused command other than the gate command is not a lock error
+ * - opts.timeout applied to the connection openGate() opens itself
+ *
+ * Messages are fed directly into the client/listener; a fake socket captures what is sent.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { openGate } = require('../lib/sip/BticinoControls');
+const {
+  BticinoSipError,
+  BticinoSipAuthError,
+  BticinoSipTimeoutError,
+  BticinoGatewayOfflineError,
+  BticinoCommandRejectedError,
+  BticinoLockRejectedError
+} = require('../index');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing Gate Results\n');
+
+const CHALLENGE = { 'Proxy-Authenticate': 'Digest realm="gateway.bs.iotleg.com", nonce="n0nce", opaque="op", qop="auth"' };
+
+/**
+ * Client connected to a scripted gateway: `script(message, reply)` is called for each
+ * request sent, `reply(status, text, opts)` answers it asynchronously.
+ */
+function scriptedClient(script, opts = {}) {
+  const client = new BticinoSipClient(SIP_CONFIG, null, null, null, opts, CERTS);
+  const sent = [];
+  client.socket = fakeSocket((message) => {
+    sent.push(message);
+    script(message, (statusCode, statusText, extra) =>
+      setTimeout(() => client._handleData(response(message, statusCode, statusText, extra)), 5));
+  }, { parse: true });
+  return { client, sent };
+}
+
+const open = (gateId, channel) => openGate(gateId, null, null, null, null, { channel });
+
+(async () => {
+  try {
+    // Test 1: Successful open after a digest challenge
+    console.log('1️⃣ Testing structured result...');
+    const rpcResult = JSON.stringify({ jsonrpc: '2.0', id: '1', result: { status: 'open' } });
+    const { client, sent } = scriptedClient((message, reply) => {
+      if (!message.headers['proxy-authorization']) reply(407, 'Proxy Authentication Required', { headers: CHALLENGE });
+      else reply(200, 'OK', { headers: { 'Content-Type': 'application/json' }, body: rpcResult });
+    });
+    const result = await open('gate-1', client);
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[1].headers['call-id'], sent[0].headers['call-id'], 'Retry in the same Call-ID');
+    assert.strictEqual(sent[1].headers['cseq'], '2 MESSAGE');
+    assert.ok(sent[1].body.includes('"gate-1"'), 'Retry carries the same gate');
+    assert.strictEqual(result.gateId, 'gate-1');
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.statusText, 'OK');
+    assert.strictEqual(result.authRequired, true);
+    assert.deepStrictEqual(result.rpc, { jsonrpc: '2.0', id: '1', result: { status: 'open' } });
+    assert.ok(result.rttMs >= 5 && result.rttMs < 1000, `Round trip measured (${result.rttMs} ms)`);
+
+    // 202 Accepted without a body is a success too
+    const accepted = await open('gate-2', scriptedClient((m, reply) => reply(202, 'Accepted')).client);
+    assert.strictEqual(accepted.statusCode, 202);
+    assert.strictEqual(accepted.rpc, null);
+    assert.strictEqual(accepted.authRequired, false);
+    console.log('✅ Status, JSON-RPC body, RTT and auth reported\n');
+
+    // Test 2: Typed failures over the client
+    console.log('2️⃣ Testing typed errors...');
+    const refused = scriptedClient((m, reply) => reply(407, 'Proxy Authentication Required', { headers: CHALLENGE }));
+    await assert.rejects(open('gate-1', refused.client), (err) =>
+      err instanceof BticinoSipAuthError && err instanceof BticinoSipError &&
+      err.statusCode === 407 && err.code === 407 && err.response.authRequired === true);
+    assert.strictEqual(refused.sent.length, 2, 'Challenge answered once only');
+
+    const offline = scriptedClient((m, reply) => reply(480, 'Temporarily Unavailable')).client;
+    await assert.rejects(open('gate-1', offline), BticinoGatewayOfflineError);
+
+    const busy = scriptedClient((m, reply) => reply(603, 'Decline')).client;
+    await assert.rejects(open('gate-1', busy), BticinoLockRejectedError);
+    await assert.rejects(busy.sendCommand('{"jsonrpc":"2.0","id":"2","method":"light.setStatus"}'), (err) =>
+      err instanceof BticinoCommandRejectedError && !(err instanceof BticinoLockRejectedError) && err.code === 603);
+
+    const rpcError = JSON.stringify({ jsonrpc: '2.0', id: '1', error: { code: -32000, message: 'Lock not found' } });
+    const rejecting = scriptedClient((m, reply) => reply(200, 'OK', { body: rpcError })).client;
+    await assert.rejects(open('gate-9', rejecting), (err) =>
+      err instanceof BticinoLockRejectedError && err.code === -32000 &&
+      /Lock not found/.test(err.message) && err.response.rpc.error.code === -32000);
+
+    const silent = scriptedClient(() => {}, { timeoutMs: 30 }).client;
+    await assert.rejects(open('gate-1', silent), (err) =>
+      err instanceof BticinoSipTimeoutError && err.code === 'ETIMEDOUT' && err.statusCode === null);
+    assert.strictEqual(silent._requests.size, 0, 'Timed out command cleared');
+
+    // opts.timeout reaches the client openGate() connects itself (no TLS here: connect() stubbed)
+    const { connect } = BticinoSipClient.prototype;
+    let own = null;
+    BticinoSipClient.prototype.connect = async function () {
+      own = this;
+      this.socket = fakeSocket(() => {});
+    };
+    try {
+      const account = { sipUri: 'user_123456@gateway.bs.iotleg.com', sipPassword: 'secret' };
+      await assert.rejects(openGate('gate-1', 'plant-1', 'CERT', 'KEY', account, { timeout: 30 }), (err) =>
+        err instanceof BticinoSipTimeoutError && /\(30 ms\)/.test(err.message));
+      assert.strictEqual(own.opts.timeoutMs, 30);
+    } finally {
+      BticinoSipClient.prototype.connect = connect;
+    }
+
+    // Several gates: each entry carries its own result or typed error
+    const mixed = scriptedClient((message, reply) => {
+      if (message.body.includes('"gate-bad"')) reply(404, 'Not Found');
+      else reply(200, 'OK');
+    }).client;
+    const results = await open(['gate-ok', 'gate-bad'], mixed);
+    assert.strictEqual(results[0].response.statusCode, 200);
+    assert.ok(results[1].error instanceof BticinoGatewayOfflineError);
+    console.log('✅ Auth, offline, rejected and timeout told apart\n');
+
+    // Test 3: Listener channel
+    console.log('3️⃣ Testing listener results...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false });
+    listener.socket = fakeSocket((message) => {
+      const reply = message.headers['proxy-authorization']
+        ? response(message, 200, 'OK', { body: rpcResult })
+        : response(message, 407, 'Proxy Authentication Required', { headers: CHALLENGE });
+      setImmediate(() => listener._handleData(reply));
+    }, { parse: true });
+    const viaListener = await open('gate-1', listener);
+    assert.strictEqual(viaListener.authRequired, true);
+    assert.strictEqual(viaListener.rpc.result.status, 'open');
+    assert.strictEqual(typeof viaListener.rttMs, 'number');
+
+    listener.socket.write = () => {};
+    await assert.rejects(listener.sendMessage('x', { timeoutMs: 30 }), BticinoSipTimeoutError);
+    console.log('✅ Same result shape and errors over the listener\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All gate result tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
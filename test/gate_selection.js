@@ -0,0 +1,113 @@
+/**
+ * Test Suite: Gate selection (multiple locks per plant)
+ *
+ * This test suite validates:
+ * - getLocks() keeps the lock/gate modules of the requested plant
+ * - resolveGates() matches ids and friendly names, rejects unknown names
+ * - openGate() with an array opens each gate in turn over one connection
+ *   and reports a per-gate result; names are looked up through opts.api
+ *
+ * The SIP transport is replaced on the client prototype; no network is used.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const BticinoApiClient = require('../lib/api/BticinoApiClient');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { openGate, resolveGates } = require('../lib/sip/BticinoControls');
+
+console.log('🧪 Testing Gate Selection\n');
+
+const PLANT = 'plant-1';
+const MODULES = [
+  { id: 'gw-1', device: 'gateway', plantId: PLANT, name: 'Gateway' },
+  { id: 'lock-a', device: 'lock', plantId: PLANT, name: 'Pedestrian door' },
+  { id: 'lock-b', device: 'Gate', plantId: PLANT, name: 'Driveway gate' },
+  { id: 'lock-c', device: 'lock', plantId: 'plant-2', name: 'Other building' },
+  { device: 'lock', plantId: PLANT, name: 'No id' }
+];
+const SIP_ACCOUNT = { sipUri: 'user_1@abc123.bs.iotleg.com', username: 'user_1', sipPassword: 'secret' };
+
+function createApi() {
+  const api = new BticinoApiClient({ currentTokens: { access_token: 'token' }, authenticate: async () => {} });
+  api._get = async () => MODULES;
+  return api;
+}
+
+(async () => {
+  const original = {
+    connect: BticinoSipClient.prototype.connect,
+    sendGateOpenCommand: BticinoSipClient.prototype.sendGateOpenCommand,
+    disconnect: BticinoSipClient.prototype.disconnect
+  };
+  try {
+    // Test 1: Lock discovery
+    console.log('1️⃣ Testing getLocks()...');
+    const api = createApi();
+    const locks = await api.getLocks(PLANT);
+    assert.deepStrictEqual(locks.map(l => l.id), ['lock-a', 'lock-b'], 'Lock modules of the plant only');
+    assert.strictEqual(locks[1].name, 'Driveway gate');
+    assert.strictEqual(locks[1].plantId, PLANT);
+    assert.strictEqual(locks[1].module, MODULES[2]);
+    const gateways = await api.getLocks(PLANT, { deviceTypes: ['gateway'] });
+    assert.deepStrictEqual(gateways.map(l => l.id), ['gw-1'], 'Custom device types');
+    await assert.rejects(api.getLocks(), /plantId is required/);
+    console.log('✅ Locks discovered from the plant modules\n');
+
+    // Test 2: Name resolution
+    console.log('2️⃣ Testing resolveGates()...');
+    assert.deepStrictEqual(resolveGates('lock-a'), [{ id: 'lock-a', name: null }], 'Id without lock list');
+    assert.deepStrictEqual(resolveGates(['  driveway GATE ', 'lock-a'], locks), [
+      { id: 'lock-b', name: 'Driveway gate' },
+      { id: 'lock-a', name: 'Pedestrian door' }
+    ]);
+    assert.deepStrictEqual(resolveGates(locks[0]), [{ id: 'lock-a', name: 'Pedestrian door' }], 'Lock object');
+    assert.throws(() => resolveGates('Garage', locks), /Unknown gate "Garage" \(known locks: Pedestrian door, Driveway gate\)/);
+    assert.throws(() => resolveGates([]), /At least one gate/);
+    console.log('✅ Ids and friendly names resolved\n');
+
+    // Test 3: Several gates over one connection
+    console.log('3️⃣ Testing openGate() with several gates...');
+    let connections = 0;
+    const opened = [];
+    BticinoSipClient.prototype.connect = async function () { connections++; };
+    BticinoSipClient.prototype.disconnect = async function () {};
+    BticinoSipClient.prototype.sendGateOpenCommand = async function (gateId) {
+      if (gateId === 'lock-b') throw new Error('Gate is offline');
+      opened.push(gateId);
+      return { statusCode: 200, gateId };
+    };
+
+    const results = await openGate(['Driveway gate', 'Pedestrian door'], PLANT, 'CERT', 'KEY', SIP_ACCOUNT, { api: createApi() });
+    assert.strictEqual(connections, 1, 'One connection for all gates');
+    assert.deepStrictEqual(opened, ['lock-a'], 'Second gate still opened after the first failed');
+    assert.strictEqual(results.length, 2);
+    assert.deepStrictEqual(
+      results.map(r => [r.gateId, r.name, r.success]),
+      [['lock-b', 'Driveway gate', false], ['lock-a', 'Pedestrian door', true]]
+    );
+    assert.strictEqual(results[0].error.message, 'Gate is offline');
+    assert.strictEqual(results[1].response.gateId, 'lock-a');
+
+    // A single gate keeps returning the response itself
+    const single = await openGate('lock-a', PLANT, 'CERT', 'KEY', SIP_ACCOUNT);
+    assert.strictEqual(single.gateId, 'lock-a');
+    await assert.rejects(
+      openGate('Garage', PLANT, 'CERT', 'KEY', SIP_ACCOUNT, { locks }),
+      /Unknown gate "Garage"/
+    );
+    console.log('✅ Per-gate results reported\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All gate selection tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  } finally {
+    Object.assign(BticinoSipClient.prototype, original);
+  }
+})();
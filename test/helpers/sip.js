@@ -0,0 +1,102 @@
+/**
+ * Fixtures shared by the SIP test suites: account, certificates, a socket stand-in,
+ * responses built from the request they answer and requests from the gateway.
+ */
+
+
+const EventEmitter = require('events');
+const { parseSipMessage } = require('../../lib/sip/BticinoSipMessage');
+
+const SIP_CONFIG = {
+  server: 'vdesip.bs.iotleg.com',
+  domain: 'gateway.bs.iotleg.com',
+  username: 'user_123456',
+  password: 'secret',
+  localIP: '127.0.0.1'
+};
+const CERTS = { cert: 'CERT', key: 'KEY' };
+
+/**
+ * Socket stand-in for a user agent's connection.
+ * @param {Array|Function} sink - Receives each message written (array pushed to, or called)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.parse=false] - Hand over parsed messages instead of raw strings
+ * @returns {EventEmitter} end() and destroy() close it: 'close' is emitted once
+ */
+function fakeSocket(sink, { parse = false } = {}) {
+  const socket = new EventEmitter();
+  const deliver = Array.isArray(sink) ? message => sink.push(message) : sink;
+  socket.destroyed = false;
+  socket.write = raw => deliver(parse ? parseSipMessage(raw) : raw);
+  socket.destroy = () => {
+    if (socket.destroyed) return;
+    socket.destroyed = true;
+    socket.emit('close');
+  };
+  socket.end = socket.destroy;
+  return socket;
+}
+
+/**
+ * Response from the gateway to a (parsed) request.
+ * @param {Object} request - Parsed request answered (Via, From, To, Call-ID and CSeq copied)
+ * @param {number} statusCode
+ * @param {string} statusText
+ * @param {Object} [opts]
+ * @param {string|Object} [opts.headers] - Extra header lines, or `{ name: value }`
+ * @param {string} [opts.body]
+ * @param {string|null} [opts.toTag='gw'] - Tag added to To (null: none)
+ * @param {string} [opts.via] - Via (default: the request's)
+ * @returns {Buffer}
+ */
+function response(request, statusCode, statusText, { headers = '', body = '', toTag = 'gw', via = request.headers['via'] } = {}) {
+  let msg = `SIP/2.0 ${statusCode} ${statusText}\r\nVia: ${via}\r\n`;
+  msg += `From: ${request.headers['from']}\r\nTo: ${request.headers['to']}${toTag ? `;tag=${toTag}` : ''}\r\n`;
+  msg += `Call-ID: ${request.headers['call-id']}\r\nCSeq: ${request.headers['cseq']}\r\n`;
+  if (typeof headers === 'string') msg += headers;
+  else for (const [name, value] of Object.entries(headers)) msg += `${name}: ${value}\r\n`;
+  return Buffer.from(`${msg}Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+}
+
+/**
+ * Request from the door station (out of dialog, to our Contact).
+ * @param {string} method
+ * @param {string} callId - Also names the Via branch
+ * @param {Object} [opts]
+ * @param {string} [opts.body]
+ * @param {string} [opts.headers] - Extra header lines
+ * @returns {string}
+ */
+function request(method, callId, { body = '', headers = '' } = {}) {
+  let msg = `${method} sip:user_123456@127.0.0.1:5060;transport=tls SIP/2.0\r\n`;
+  msg += `Via: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.${callId}\r\n`;
+  msg += 'From: "Door" <sip:door@gateway.bs.iotleg.com>;tag=remote1\r\n';
+  msg += 'To: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+  msg += `Call-ID: ${callId}\r\nCSeq: 1 ${method}\r\n${headers}`;
+  return `${msg}Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+}
+
+let inbound = 0;
+
+/**
+ * MESSAGE from the gateway (notification or JSON-RPC response), each in a new transaction.
+ * @param {string|Object} body - Text, or an object sent as JSON
+ * @returns {Buffer}
+ */
+function gatewayMessage(body) {
+  if (typeof body !== 'string') body = JSON.stringify(body);
+  let msg = 'MESSAGE sip:user_123456@127.0.0.1:5060 SIP/2.0\r\n';
+  msg += 'Via: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.gw\r\n';
+  msg += 'From: <sip:diy@gateway.bs.iotleg.com>;tag=gw\r\nTo: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+  msg += `Call-ID: inbound-${++inbound}\r\nCSeq: 1 MESSAGE\r\nContent-Type: text/plain\r\n`;
+  return Buffer.from(`${msg}Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+}
+
+module.exports = {
+  SIP_CONFIG,
+  CERTS,
+  fakeSocket,
+  response,
+  request,
+  gatewayMessage
+};
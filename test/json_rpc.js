@@ -0,0 +1,162 @@
+/**
+ * Test Suite: JSON-RPC over SIP MESSAGE
+ *
+ * This test suite validates:
+ * - Request ids correlated with responses carried by the SIP 2xx or by a later MESSAGE
+ * - JSON-RPC error objects rejected as BticinoJsonRpcError (code, message, data)
+ * - Notifications emitted, unknown ids reported, timeouts and send failures rejected
+ * - Calls sent concurrently, each settled by its own id
+ * - Listener and client: inbound MESSAGEs answered 200 OK and fed to `rpc`
+ *
+ * Messages are fed directly into the listener/client; a fake socket captures what is sent.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoJsonRpc, buildJsonRpcRequest, parseJsonRpc } = require('../lib/sip/BticinoJsonRpc');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { BticinoJsonRpcError, BticinoSipTimeoutError, BticinoGatewayOfflineError } = require('../lib/sip/BticinoSipErrors');
+const { SIP_CONFIG, CERTS, fakeSocket, response, gatewayMessage } = require('./helpers/sip');
+
+console.log('🧪 Testing JSON-RPC\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  try {
+    // Test 1: Message helpers
+    console.log('1️⃣ Testing request building / parsing...');
+    const request = JSON.parse(buildJsonRpcRequest('lock.setStatus', [{ status: 'open' }], '42'));
+    assert.deepStrictEqual(request, { jsonrpc: '2.0', method: 'lock.setStatus', id: '42', params: [{ status: 'open' }] });
+    assert.strictEqual(JSON.parse(buildJsonRpcRequest('ping', undefined, null)).id, undefined, 'Notification has no id');
+    assert.strictEqual(parseJsonRpc('not json'), null);
+    assert.strictEqual(parseJsonRpc('{"foo":1}'), null, 'Plain JSON is not JSON-RPC');
+    assert.strictEqual(parseJsonRpc('[{"jsonrpc":"2.0","id":"1","result":1},{"jsonrpc":"2.0","method":"x"}]').length, 2, 'Batch');
+    console.log('✅ JSON-RPC 2.0 bodies\n');
+
+    // Test 2: Correlation
+    console.log('2️⃣ Testing id correlation...');
+    const bodies = [];
+    let reply = () => ({ statusCode: 200, body: '' });
+    const rpc = new BticinoJsonRpc(async (body) => {
+      bodies.push(JSON.parse(body));
+      await sleep(5);
+      return reply(JSON.parse(body));
+    }, { timeoutMs: 200 });
+
+    // Response in a later MESSAGE, out of order
+    const first = rpc.call('lock.getStatus', [{ id: 'a' }]);
+    const second = rpc.call('lock.getStatus', [{ id: 'b' }]);
+    await sleep(30);
+    assert.strictEqual(bodies.length, 2);
+    assert.notStrictEqual(bodies[0].id, bodies[1].id, 'Unique ids');
+    assert.strictEqual(rpc.pendingCount, 2);
+    rpc.handleMessage(JSON.stringify({ jsonrpc: '2.0', id: bodies[1].id, result: { status: 'closed' } }));
+    rpc.handleMessage(JSON.stringify({ jsonrpc: '2.0', id: Number(bodies[0].id), result: { status: 'open' } }));
+    assert.deepStrictEqual(await first, { status: 'open' }, 'Numeric id matched');
+    assert.deepStrictEqual(await second, { status: 'closed' });
+
+    // Response in the SIP 2xx body
+    reply = (req) => ({ statusCode: 200, body: JSON.stringify({ jsonrpc: '2.0', id: req.id, result: 'done' }) });
+    assert.strictEqual(await rpc.call('lock.setStatus', []), 'done');
+
+    // Error object
+    reply = (req) => ({ statusCode: 200, body: JSON.stringify({ jsonrpc: '2.0', id: req.id, error: { code: -32601, message: 'Method not found', data: { method: 'nope' } } }) });
+    await assert.rejects(rpc.call('nope'), (err) =>
+      err instanceof BticinoJsonRpcError && err.code === -32601 && err.method === 'nope' &&
+      err.data.method === 'nope' && /Method not found/.test(err.message));
+    console.log('✅ Responses matched by id, errors typed\n');
+
+    // Test 3: Notifications, unknown ids, failures
+    console.log('3️⃣ Testing notifications and failures...');
+    const notifications = [];
+    const unmatched = [];
+    rpc.on('notification', n => notifications.push(n));
+    rpc.on('unmatched', u => unmatched.push(u));
+    assert.strictEqual(rpc.handleMessage('{"jsonrpc":"2.0","method":"lock.statusChanged","params":{"status":"open"}}'), true);
+    assert.deepStrictEqual(notifications.map(n => [n.method, n.params.status]), [['lock.statusChanged', 'open']]);
+    rpc.handleMessage('{"jsonrpc":"2.0","id":"999","result":true}');
+    assert.strictEqual(unmatched.length, 1);
+    assert.strictEqual(rpc.handleMessage('hello'), false, 'Not JSON-RPC');
+
+    reply = () => ({ statusCode: 200, body: '' });
+    await assert.rejects(rpc.call('slow', [], { timeoutMs: 20 }), BticinoSipTimeoutError);
+    assert.strictEqual(rpc.pendingCount, 0);
+
+    const failing = new BticinoJsonRpc(async () => { throw new BticinoGatewayOfflineError('offline', { statusCode: 480 }); });
+    await assert.rejects(failing.call('x'), BticinoGatewayOfflineError);
+    assert.strictEqual(failing.pendingCount, 0);
+
+    // Calls do not wait for each other; replies settle the call with their id
+    const order = [];
+    const concurrent = new BticinoJsonRpc(async (body) => {
+      const { method } = JSON.parse(body);
+      order.push(`start ${method}`);
+      await sleep(method === 'a' ? 15 : 1);
+      order.push(`end ${method}`);
+      if (method === 'a') throw new Error('boom');
+      return { statusCode: 200, body: JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(body).id, result: method }) };
+    });
+    const results = await Promise.allSettled([concurrent.call('a'), concurrent.call('b')]);
+    assert.deepStrictEqual(order, ['start a', 'start b', 'end b', 'end a'], 'b sent while a is in flight');
+    assert.strictEqual(results[0].status, 'rejected');
+    assert.strictEqual(results[1].value, 'b');
+    console.log('✅ Notifications emitted, timeouts and failures rejected\n');
+
+    // Test 4: Listener
+    console.log('4️⃣ Testing listener.rpc...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false });
+    const sent = [];
+    listener.socket = fakeSocket((message) => {
+      sent.push(message);
+      if (message.method === 'MESSAGE') setImmediate(() => listener._handleData(response(message, 202, 'Accepted')));
+    }, { parse: true });
+    const status = listener.rpc.call('lock.getStatus', [{ id: 'gate-1' }]);
+    await sleep(20);
+    const call = JSON.parse(sent[0].body);
+    assert.strictEqual(call.method, 'lock.getStatus');
+    const events = [];
+    listener.on('notification', n => events.push(n.method));
+    listener._handleData(gatewayMessage(JSON.stringify([
+      { jsonrpc: '2.0', id: call.id, result: { status: 'closed' } },
+      { jsonrpc: '2.0', method: 'lock.statusChanged', params: { status: 'closed' } }
+    ])));
+    assert.deepStrictEqual(await status, { status: 'closed' });
+    assert.deepStrictEqual(events, ['lock.statusChanged']);
+    assert.strictEqual(sent[sent.length - 1].statusCode, 200, 'Inbound MESSAGE answered');
+
+    const dropped = listener.rpc.call('lock.getStatus');
+    await sleep(20);
+    await listener.disconnect();
+    await assert.rejects(dropped, err => err.code === 'ECONNABORTED');
+    console.log('✅ Responses and notifications from inbound MESSAGEs\n');
+
+    // Test 5: Client
+    console.log('5️⃣ Testing client.rpc...');
+    const client = new BticinoSipClient(SIP_CONFIG, null, null, null, {}, CERTS);
+    const clientSent = [];
+    client.socket = fakeSocket((message) => {
+      clientSent.push(message);
+      if (message.method === 'MESSAGE') setImmediate(() => client._handleData(response(message, 200, 'OK')));
+    }, { parse: true });
+    const pending = client.rpc.call('lock.getStatus');
+    await sleep(20);
+    const clientCall = JSON.parse(clientSent[0].body);
+    client._handleData(gatewayMessage(JSON.stringify({ jsonrpc: '2.0', id: clientCall.id, result: 'ok' })));
+    assert.strictEqual(await pending, 'ok');
+    assert.strictEqual(clientSent[clientSent.length - 1].statusCode, 200, 'Inbound MESSAGE answered');
+    await client.disconnect();
+    console.log('✅ Client correlates inbound MESSAGEs\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All JSON-RPC tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
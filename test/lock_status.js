@@ -0,0 +1,119 @@
+/**
+ * Test Suite: Lock status query and change events
+ *
+ * This test suite validates:
+ * - parseLockStatus() normalizes gateway lock states (receiver / coal / id, open / closed)
+ * - listener.getLockStatus() / client.getLockStatus() send lock.getStatus and return
+ *   `{ gateId, status, open, result }`, whether the answer comes in the 2xx or a later MESSAGE
+ * - 'lockStatusChanged' emitted for lock notifications in inbound MESSAGEs, not for others
+ *
+ * Messages are fed directly into the listener/client; a fake socket captures what is sent.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { parseLockStatus, receiver } = require('../lib/sip/BticinoCommands');
+const { SIP_CONFIG, CERTS, fakeSocket, response, gatewayMessage } = require('./helpers/sip');
+
+console.log('🧪 Testing Lock Status\n');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  try {
+    // Test 1: Normalizing states
+    console.log('1️⃣ Testing parseLockStatus()...');
+    assert.deepStrictEqual(parseLockStatus({ receiver: receiver('gate-1'), status: 'OPEN' }),
+      [{ gateId: 'gate-1', status: 'open', open: true }]);
+    assert.deepStrictEqual(parseLockStatus([{ coal: { id: 'a' }, state: 'locked' }, { id: 'b', status: 'jammed' }]), [
+      { gateId: 'a', status: 'locked', open: false },
+      { gateId: 'b', status: 'jammed', open: null }
+    ]);
+    assert.deepStrictEqual(parseLockStatus({ status: 'closed' }, 'gate-2'), [{ gateId: 'gate-2', status: 'closed', open: false }], 'Queried id used');
+    assert.deepStrictEqual(parseLockStatus(null), []);
+    assert.deepStrictEqual(parseLockStatus({ foo: 1 }), []);
+    console.log('✅ Lock states normalized\n');
+
+    // Test 2: Query over the listener
+    console.log('2️⃣ Testing listener.getLockStatus()...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false });
+    const sent = [];
+    let answerInBody = true;
+    listener.socket = fakeSocket((message) => {
+      sent.push(message);
+      if (message.method !== 'MESSAGE') return;
+      const rpc = JSON.parse(message.body);
+      const body = answerInBody ? JSON.stringify({ jsonrpc: '2.0', id: rpc.id, result: [{ receiver: receiver('gate-1'), status: 'closed' }] }) : '';
+      setImmediate(() => listener._handleData(response(message, 200, 'OK', { body })));
+    }, { parse: true });
+
+    const closed = await listener.getLockStatus('gate-1');
+    const query = JSON.parse(sent[0].body);
+    assert.strictEqual(query.method, 'lock.getStatus');
+    assert.deepStrictEqual(query.params, [{ receiver: receiver('gate-1') }]);
+    assert.deepStrictEqual(closed, {
+      gateId: 'gate-1', status: 'closed', open: false,
+      result: [{ receiver: receiver('gate-1'), status: 'closed' }]
+    });
+
+    // Answer in a later MESSAGE
+    answerInBody = false;
+    const pending = listener.getLockStatus('gate-1', { timeoutMs: 500 });
+    await sleep(20);
+    const later = JSON.parse(sent[sent.length - 1].body);
+    listener._handleData(gatewayMessage({ jsonrpc: '2.0', id: later.id, result: { status: 'open' } }));
+    const open = await pending;
+    assert.strictEqual(open.status, 'open');
+    assert.strictEqual(open.open, true);
+    await assert.rejects(listener.getLockStatus(''), /id is required/);
+    console.log('✅ Lock state queried over the listener\n');
+
+    // Test 3: Change events
+    console.log('3️⃣ Testing lockStatusChanged...');
+    const changes = [];
+    const notifications = [];
+    listener.on('lockStatusChanged', change => changes.push(change));
+    listener.on('notification', n => notifications.push(n.method));
+    listener._handleData(gatewayMessage({ jsonrpc: '2.0', method: 'lock.statusChanged', params: [{ receiver: receiver('gate-1'), status: 'open' }] }));
+    listener._handleData(gatewayMessage({ jsonrpc: '2.0', method: 'lock.statusChanged', params: { coal: { id: 'gate-1' }, status: 'closed' } }));
+    listener._handleData(gatewayMessage({ jsonrpc: '2.0', method: 'light.statusChanged', params: { id: 'light-1', status: 'on' } }));
+    assert.deepStrictEqual(changes.map(c => [c.gateId, c.status, c.open, c.method]), [
+      ['gate-1', 'open', true, 'lock.statusChanged'],
+      ['gate-1', 'closed', false, 'lock.statusChanged']
+    ]);
+    assert.ok(changes[0].timestamp);
+    assert.deepStrictEqual(notifications, ['lock.statusChanged', 'lock.statusChanged', 'light.statusChanged'], 'Notifications still emitted');
+    await listener.disconnect();
+    console.log('✅ Lock notifications emitted as lockStatusChanged\n');
+
+    // Test 4: Query over the client
+    console.log('4️⃣ Testing client.getLockStatus()...');
+    const client = new BticinoSipClient(SIP_CONFIG, 'gate-7', null, null, {}, CERTS);
+    const clientSent = [];
+    client.socket = fakeSocket((message) => {
+      clientSent.push(message);
+      if (message.method !== 'MESSAGE') return;
+      const rpc = JSON.parse(message.body);
+      const body = JSON.stringify({ jsonrpc: '2.0', id: rpc.id, result: { status: 'unlocked' } });
+      setImmediate(() => client._handleData(response(message, 200, 'OK', { body })));
+    }, { parse: true });
+    const state = await client.getLockStatus();
+    assert.strictEqual(state.gateId, 'gate-7', 'Defaults to the constructor gate');
+    assert.strictEqual(state.open, true);
+    assert.strictEqual(JSON.parse(clientSent[0].body).params[0].receiver.plant.coal.id, 'gate-7');
+    await client.disconnect();
+    console.log('✅ Lock state queried over the client\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All lock status tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
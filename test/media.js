@@ -0,0 +1,251 @@
+/**
+ * Test Suite: RTP/SRTP Media Receiver
+ *
+ * This test suite validates:
+ * - SRTP session key derivation (RFC 3711 B.3 test vectors)
+ * - SRTP encrypt/decrypt round trip, tamper detection and ROC rollover
+ * - H.264 depacketization (single NAL, STAP-A, FU-A) into Annex B access units
+ * - G.711 μ-law/A-law conversion
+ * - End-to-end: a local RTP sender streaming SRTP to a BticinoMediaSession
+ * - Socket errors emitted only to listeners (no crash without one)
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { BticinoMediaSession, BticinoSrtpContext, BticinoH264Depacketizer, parseSdp } = require('../index');
+const { deriveSrtpKeys } = require('../lib/media/BticinoSrtp');
+const { buildRtpPacket, parseRtpPacket } = require('../lib/media/BticinoRtp');
+const { encodeAlaw, decodeAlaw, encodeUlaw, decodeUlaw } = require('../lib/media/BticinoG711');
+
+console.log('🧪 Testing Media (RTP/SRTP)\n');
+
+const VIDEO_KEY = 'QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVo1Njc4';
+const AUDIO_KEY = 'd0RmdmcmVCspeEc3QGZiNWpVLFJhQX1cfHAwJSoj';
+
+// H.264 test NAL units
+const SPS = Buffer.from([0x67, 0x42, 0x80, 0x1f, 0xda, 0x01]);
+const PPS = Buffer.from([0x68, 0xce, 0x06, 0xe2]);
+const IDR = Buffer.concat([Buffer.from([0x65]), Buffer.alloc(3000, 0xab)]);
+const P_SLICE = Buffer.from([0x41, 0x9a, 0x02, 0x03]);
+
+/**
+ * Packetize an access unit the way a door station does: parameter sets in a
+ * STAP-A, large NAL units as FU-A, marker on the last packet.
+ */
+function packetizeAccessUnit(nals, mtu = 1200) {
+  const payloads = [];
+  const small = nals.filter(n => n.length <= mtu);
+  const large = nals.filter(n => n.length > mtu);
+
+  if (small.length > 1) {
+    const parts = [Buffer.from([0x18])];
+    for (const nal of small) {
+      const size = Buffer.alloc(2);
+      size.writeUInt16BE(nal.length);
+      parts.push(size, nal);
+    }
+    payloads.push(Buffer.concat(parts));
+  } else if (small.length === 1) {
+    payloads.push(small[0]);
+  }
+
+  for (const nal of large) {
+    const indicator = (nal[0] & 0xe0) | 28;
+    const type = nal[0] & 0x1f;
+    for (let offset = 1; offset < nal.length; offset += mtu) {
+      const start = offset === 1 ? 0x80 : 0;
+      const end = offset + mtu >= nal.length ? 0x40 : 0;
+      payloads.push(Buffer.concat([Buffer.from([indicator, start | end | type]), nal.subarray(offset, offset + mtu)]));
+    }
+  }
+  return payloads;
+}
+
+function buildOffer(port) {
+  return [
+    'v=0',
+    'o=- 1 1 IN IP4 127.0.0.1',
+    's=Talk',
+    'c=IN IP4 127.0.0.1',
+    't=0 0',
+    `m=audio ${port} RTP/SAVP 8 101`,
+    'a=rtpmap:8 PCMA/8000',
+    'a=rtpmap:101 telephone-event/8000',
+    `a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${AUDIO_KEY}`,
+    `m=video ${port + 2} RTP/SAVP 96`,
+    'a=rtpmap:96 H264/90000',
+    'a=fmtp:96 packetization-mode=1',
+    `a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${VIDEO_KEY}`,
+    'a=sendonly',
+    ''
+  ].join('\r\n');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  try {
+    // Test 1: Key derivation
+    console.log('1️⃣ Testing SRTP key derivation (RFC 3711 B.3)...');
+    const keys = deriveSrtpKeys(
+      Buffer.from('E1F97A0D3E018BE0D64FA32C06DE4139', 'hex'),
+      Buffer.from('0EC675AD498AFEEBB6960B3AABE6', 'hex')
+    );
+    assert.strictEqual(keys.cipherKey.toString('hex'), 'c61e7a93744f39ee10734afe3ff7a087');
+    assert.strictEqual(keys.cipherSalt.toString('hex'), '30cbbc08863d8c85d49db34a9ae1');
+    assert.strictEqual(keys.authKey.toString('hex'), 'cebe321f6ff7716b6fd4ab49af256a156d38baa4');
+    console.log('✅ Session keys match the RFC test vectors\n');
+
+    // Test 2: SRTP round trip
+    console.log('2️⃣ Testing SRTP protect/unprotect...');
+    const sender = new BticinoSrtpContext(VIDEO_KEY);
+    const receiver = new BticinoSrtpContext(VIDEO_KEY);
+    const payload = Buffer.from('hello door station');
+    for (const seq of [65534, 65535, 0, 1]) {
+      const plain = buildRtpPacket({ payloadType: 96, sequenceNumber: seq, timestamp: 1000, ssrc: 0x1234, payload });
+      const protectedPacket = sender.encryptRtp(plain);
+      assert.strictEqual(protectedPacket.length, plain.length + 10, '80-bit auth tag');
+      assert.ok(!protectedPacket.includes(payload), 'Payload must be encrypted');
+      assert.deepStrictEqual(receiver.decryptRtp(protectedPacket), plain);
+    }
+    assert.strictEqual(receiver._streams.get(0x1234).roc, 1, 'ROC incremented after sequence wrap');
+
+    const tampered = sender.encryptRtp(buildRtpPacket({ payloadType: 96, sequenceNumber: 2, timestamp: 1000, ssrc: 0x1234, payload }));
+    tampered[20] ^= 0xff;
+    assert.throws(() => receiver.decryptRtp(tampered), /authentication failed/);
+    assert.throws(() => new BticinoSrtpContext('c2hvcnQ='), /Invalid SRTP key material/);
+    console.log('✅ Round trip, tamper detection and rollover OK\n');
+
+    // Test 3: H.264 depacketizer
+    console.log('3️⃣ Testing H.264 depacketizer...');
+    const depacketizer = new BticinoH264Depacketizer();
+    let seq = 100;
+    const feed = (nals, timestamp) => {
+      const payloads = packetizeAccessUnit(nals);
+      const frames = [];
+      payloads.forEach((p, i) => {
+        frames.push(...depacketizer.push({ payload: p, sequenceNumber: seq++, timestamp, marker: i === payloads.length - 1 }));
+      });
+      return frames;
+    };
+    const [keyframe] = feed([SPS, PPS, IDR], 3000);
+    assert.ok(keyframe.keyframe && keyframe.decodable);
+    assert.deepStrictEqual(keyframe.nalTypes, [7, 8, 5]);
+    assert.deepStrictEqual(keyframe.data, Buffer.concat([
+      Buffer.from([0, 0, 0, 1]), SPS, Buffer.from([0, 0, 0, 1]), PPS, Buffer.from([0, 0, 0, 1]), IDR
+    ]));
+
+    const [pFrame] = feed([P_SLICE], 6000);
+    assert.strictEqual(pFrame.keyframe, false);
+    assert.deepStrictEqual(pFrame.nalTypes, [1]);
+
+    const [bareIdr] = feed([IDR], 9000);
+    assert.deepStrictEqual(bareIdr.nalTypes, [7, 8, 5], 'Cached SPS/PPS prepended to keyframes');
+
+    // Lost FU-A fragment: access unit dropped
+    const payloads = packetizeAccessUnit([IDR]);
+    const lost = [];
+    payloads.forEach((p, i) => {
+      if (i === 1) { seq++; return; }
+      lost.push(...depacketizer.push({ payload: p, sequenceNumber: seq++, timestamp: 12000, marker: i === payloads.length - 1 }));
+    });
+    assert.strictEqual(lost.length, 0, 'Damaged access unit is not emitted');
+    console.log('✅ Single NAL, STAP-A and FU-A reassembled\n');
+
+    // Test 4: G.711
+    console.log('4️⃣ Testing G.711...');
+    const pcm = Buffer.alloc(320);
+    for (let i = 0; i < 160; i++) pcm.writeInt16LE(Math.round(8000 * Math.sin(i / 5)), i * 2);
+    for (const [encode, decode] of [[encodeAlaw, decodeAlaw], [encodeUlaw, decodeUlaw]]) {
+      const encoded = encode(pcm);
+      assert.strictEqual(encoded.length, 160);
+      const decoded = decode(encoded);
+      for (let i = 0; i < 160; i++) {
+        const diff = Math.abs(decoded.readInt16LE(i * 2) - pcm.readInt16LE(i * 2));
+        assert.ok(diff <= 256, `Quantization error too large: ${diff}`);
+      }
+    }
+    console.log('✅ μ-law and A-law conversion OK\n');
+
+    // Test 5: End-to-end with a local RTP sender
+    console.log('5️⃣ Testing media session with a local SRTP sender...');
+    const senderSocket = dgram.createSocket('udp4');
+    await new Promise(resolve => senderSocket.bind(0, '127.0.0.1', resolve));
+    const offer = buildOffer(senderSocket.address().port);
+
+    const session = new BticinoMediaSession(parseSdp(offer), { address: '127.0.0.1' });
+    const answer = await session.start();
+    const [audioAnswer, videoAnswer] = answer.media;
+    assert.ok(audioAnswer.port > 0 && videoAnswer.port > 0, 'Sockets bound and advertised');
+    assert.strictEqual(videoAnswer.direction, 'recvonly');
+    assert.strictEqual(audioAnswer.crypto[0].suite, 'AES_CM_128_HMAC_SHA1_80');
+
+    const videoFrames = [];
+    const audioFrames = [];
+    let keyframeEvents = 0;
+    session.video.on('data', frame => videoFrames.push(frame));
+    session.audio.on('data', frame => audioFrames.push(frame));
+    session.on('keyframe', () => keyframeEvents++);
+
+    const videoSrtp = new BticinoSrtpContext(VIDEO_KEY);
+    const audioSrtp = new BticinoSrtpContext(AUDIO_KEY);
+    const send = (packet, port) => new Promise(resolve => senderSocket.send(packet, port, '127.0.0.1', resolve));
+
+    let videoSeq = 1;
+    for (const [nals, timestamp] of [[[SPS, PPS, IDR], 90000], [[P_SLICE], 93000]]) {
+      const aus = packetizeAccessUnit(nals);
+      for (let i = 0; i < aus.length; i++) {
+        const rtp = buildRtpPacket({ payloadType: 96, sequenceNumber: videoSeq++, timestamp, ssrc: 0xdead, payload: aus[i], marker: i === aus.length - 1 });
+        await send(videoSrtp.encryptRtp(rtp), videoAnswer.port);
+      }
+    }
+    const alaw = encodeAlaw(pcm);
+    await send(audioSrtp.encryptRtp(buildRtpPacket({ payloadType: 8, sequenceNumber: 7, timestamp: 160, ssrc: 0xbeef, payload: alaw })), audioAnswer.port);
+    // Garbage must be counted, not crash the session
+    await send(Buffer.from('not rtp at all, definitely not'), audioAnswer.port);
+
+    for (let i = 0; i < 50 && (videoFrames.length < 2 || audioFrames.length < 1 || session.stats.audio.decryptErrors < 1); i++) {
+      await sleep(20);
+    }
+
+    assert.strictEqual(videoFrames.length, 2);
+    assert.ok(videoFrames[0].keyframe);
+    assert.ok(videoFrames[0].data.includes(IDR));
+    assert.strictEqual(keyframeEvents, 1);
+    assert.strictEqual(audioFrames.length, 1);
+    assert.strictEqual(audioFrames[0].codec, 'pcm_s16le');
+    assert.strictEqual(audioFrames[0].data.length, 320);
+    assert.strictEqual(session.stats.audio.decryptErrors, 1);
+    assert.strictEqual(session.getRemote('video').port, senderSocket.address().port);
+
+    // A socket error nobody listens to is logged, not thrown
+    session._streams.audio.socket.emit('error', new Error('EHOSTUNREACH'));
+    const errors = [];
+    session.on('error', err => errors.push(err.message));
+    session._streams.audio.socket.emit('error', new Error('ENETDOWN'));
+    assert.deepStrictEqual(errors, ['ENETDOWN'], 'Emitted to listeners');
+
+    let stopped = false;
+    session.on('stopped', () => { stopped = true; });
+    await session.stop();
+    senderSocket.close();
+    assert.ok(stopped, 'stopped event emitted');
+    assert.strictEqual(session.getRemote('video'), null, 'Sockets released');
+    console.log('✅ SRTP media decrypted, depacketized and streamed\n');
+
+    // Sanity: the RTP builder/parser agree
+    const parsed = parseRtpPacket(buildRtpPacket({ payloadType: 0, sequenceNumber: 1, timestamp: 2, ssrc: 3, payload: Buffer.from([1]), marker: true }));
+    assert.ok(parsed.marker && parsed.ssrc === 3 && parsed.payload[0] === 1);
+
+    console.log('='.repeat(60));
+    console.log('✅ All media tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
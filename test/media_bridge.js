@@ -0,0 +1,398 @@
+/**
+ * Test Suite: Media Bridge (RTSP / WHEP)
+ *
+ * This test suite validates:
+ * - H.264 packetization (single NAL / FU-A) round-trips through the depacketizer
+ * - RTSP OPTIONS / DESCRIBE (SDP with sprop-parameter-sets) / SETUP / PLAY
+ * - Viewers start on a keyframe and receive interleaved RTP (video + PCMA audio)
+ * - 'demand' when a viewer arrives without a source, UDP transport refused (461)
+ * - start() rejects with a BticinoMissingDependencyError when WHEP needs werift and it is missing
+ * - WHEP offer/answer, media to the peer's tracks and DELETE of the session
+ * - Basic credentials on RTSP and WHEP, CORS only for the configured origin
+ * - Loopback by default; another interface refused without credentials
+ *
+ * A PassThrough-based fake plays the media session of an answered call, and a fake
+ * werift module (served through the module loader) plays the WebRTC stack.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const Module = require('module');
+const net = require('net');
+const http = require('http');
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const {
+  BticinoMediaBridge,
+  BticinoMissingDependencyError,
+  WEBRTC_UNAVAILABLE_MESSAGE
+} = require('../lib/media/BticinoMediaBridge');
+const { packetizeH264 } = require('../lib/media/BticinoH264Packetizer');
+const { BticinoH264Depacketizer, parseSdp } = require('../index');
+const { parseRtpPacket } = require('../lib/media/BticinoRtp');
+const { decodeAlaw } = require('../lib/media/BticinoG711');
+
+console.log('🧪 Testing Media Bridge\n');
+
+const START = Buffer.from([0, 0, 0, 1]);
+const SPS = Buffer.from([0x67, 0x42, 0x80, 0x1f, 0xda, 0x01]);
+const PPS = Buffer.from([0x68, 0xce, 0x06, 0xe2]);
+const IDR = Buffer.concat([Buffer.from([0x65]), Buffer.alloc(3000, 0x5a)]); // needs FU-A
+const P_SLICE = Buffer.from([0x41, 0x9a, 0x02, 0x03]);
+const KEYFRAME = Buffer.concat([START, SPS, START, PPS, START, IDR]);
+
+const AUTH = { username: 'viewer', password: 's3cret' };
+const BASIC = `Basic ${Buffer.from('viewer:s3cret').toString('base64')}`;
+const ORIGIN = 'http://homeassistant.local:8123';
+const OFFER = 'v=0\r\no=- 1 1 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n' +
+  'm=video 9 UDP/TLS/RTP/SAVPF 96\r\na=recvonly\r\nm=audio 9 UDP/TLS/RTP/SAVPF 8\r\na=recvonly\r\n';
+
+// require('werift') answers with fakeWerift, or fails as if the package were not installed
+let fakeWerift = null;
+const load = Module._load;
+Module._load = function (request, ...args) {
+  if (request !== 'werift') return load.call(this, request, ...args);
+  if (fakeWerift) return fakeWerift;
+  const err = new Error("Cannot find module 'werift'");
+  err.code = 'MODULE_NOT_FOUND';
+  throw err;
+};
+
+/**
+ * Just enough of werift for the WHEP handler: one transceiver per offered m= line.
+ */
+function createFakeWerift() {
+  const peers = [];
+  class MediaStreamTrack {
+    constructor({ kind }) {
+      this.kind = kind;
+      this.packets = [];
+    }
+    writeRtp(packet) {
+      this.packets.push(parseRtpPacket(packet));
+    }
+  }
+  class RTCRtpCodecParameters {
+    constructor(params) {
+      Object.assign(this, params);
+    }
+  }
+  class RTCPeerConnection {
+    constructor(config) {
+      this.config = config;
+      this.closed = false;
+      this.transceivers = [];
+      const listeners = [];
+      this.connectionStateChange = { subscribe: fn => listeners.push(fn) };
+      this._setState = state => listeners.forEach(fn => fn(state));
+      peers.push(this);
+    }
+    async setRemoteDescription(description) {
+      this.transceivers = (description.sdp.match(/^m=\w+/gm) || []).map(line => ({
+        kind: line.slice(2),
+        direction: 'recvonly',
+        setDirection(direction) { this.direction = direction; },
+        sender: { replaceTrack(track) { this.track = track; } }
+      }));
+    }
+    getTransceivers() {
+      return this.transceivers;
+    }
+    async createAnswer() {
+      const media = this.transceivers.map(t => `m=${t.kind} 9 UDP/TLS/RTP/SAVPF\r\na=${t.direction}\r\n`);
+      return { type: 'answer', sdp: `v=0\r\ns=answer\r\n${media.join('')}` };
+    }
+    async setLocalDescription(description) {
+      this.localDescription = description;
+    }
+    close() {
+      this.closed = true;
+      this._setState('closed');
+    }
+  }
+  return { RTCPeerConnection, RTCRtpCodecParameters, MediaStreamTrack, peers };
+}
+
+function httpRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function createSource() {
+  const source = new EventEmitter();
+  source.video = new PassThrough({ objectMode: true });
+  source.audio = new PassThrough({ objectMode: true });
+  return source;
+}
+
+/**
+ * Minimal RTSP client collecting responses and interleaved packets.
+ */
+function rtspClient(port) {
+  const socket = net.connect(port, '127.0.0.1');
+  const responses = [];
+  const packets = [];
+  let buffer = Buffer.alloc(0);
+  let cseq = 0;
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    while (buffer.length) {
+      if (buffer[0] === 0x24) {
+        if (buffer.length < 4) return;
+        const length = buffer.readUInt16BE(2);
+        if (buffer.length < 4 + length) return;
+        packets.push({ channel: buffer[1], rtp: parseRtpPacket(buffer.subarray(4, 4 + length)) });
+        buffer = buffer.subarray(4 + length);
+        continue;
+      }
+      const end = buffer.indexOf('\r\n\r\n');
+      if (end === -1) return;
+      const head = buffer.subarray(0, end).toString();
+      const length = parseInt((head.match(/Content-Length: (\d+)/) || [0, 0])[1], 10);
+      if (buffer.length < end + 4 + length) return;
+      responses.push({ head, status: parseInt(head.split(' ')[1], 10), body: buffer.subarray(end + 4, end + 4 + length).toString() });
+      buffer = buffer.subarray(end + 4 + length);
+    }
+  });
+
+  const request = async (method, url, headers = {}) => {
+    const count = responses.length;
+    let msg = `${method} ${url} RTSP/1.0\r\nCSeq: ${++cseq}\r\n`;
+    for (const [name, value] of Object.entries(headers)) msg += `${name}: ${value}\r\n`;
+    socket.write(`${msg}\r\n`);
+    for (let i = 0; i < 200 && responses.length === count; i++) await sleep(10);
+    assert.ok(responses.length > count, `No response to ${method}`);
+    return responses[count];
+  };
+
+  return { socket, request, packets };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+(async () => {
+  const bridge = new BticinoMediaBridge({ rtspPort: 0, sourceTimeout: 2000 });
+  const bridges = [bridge];
+  const clients = [];
+  try {
+    // Test 1: Packetizer round trip
+    console.log('1️⃣ Testing H.264 packetization...');
+    const payloads = packetizeH264(KEYFRAME, 1200);
+    assert.strictEqual(payloads.length, 2 + 3, 'SPS, PPS and three FU-A fragments');
+    assert.ok(payloads.every(p => p.length <= 1200));
+    assert.strictEqual(payloads[2][0] & 0x1f, 28, 'FU-A indicator');
+    assert.strictEqual(payloads[2][1], 0x80 | 5, 'Start bit + IDR type');
+    assert.strictEqual(payloads[4][1], 0x40 | 5, 'End bit + IDR type');
+
+    const depacketizer = new BticinoH264Depacketizer();
+    const frames = payloads.flatMap((payload, i) =>
+      depacketizer.push({ sequenceNumber: i, timestamp: 9000, marker: i === payloads.length - 1, payload }));
+    assert.strictEqual(frames.length, 1);
+    assert.deepStrictEqual(frames[0].data, KEYFRAME, 'Depacketized access unit matches');
+    console.log('✅ Single NAL + FU-A packetization round-trips\n');
+
+    // Test 2: RTSP session
+    console.log('2️⃣ Testing RTSP DESCRIBE/SETUP/PLAY...');
+    await bridge.start();
+    const port = Number(new URL(bridge.rtspUrl.replace('rtsp:', 'http:')).port);
+    assert.ok(port > 0);
+
+    const viewer = rtspClient(port);
+    clients.push(viewer.socket);
+    const options = await viewer.request('OPTIONS', bridge.rtspUrl);
+    assert.strictEqual(options.status, 200);
+    assert.ok(/Public: .*DESCRIBE/.test(options.head));
+
+    // No source yet: DESCRIBE emits 'demand' and waits for attach()
+    const source = createSource();
+    bridge.once('demand', () => setTimeout(() => {
+      bridge.attach(source);
+      source.video.write({ data: KEYFRAME, timestamp: 1000, keyframe: true, decodable: true });
+    }, 20));
+    // Parameter sets are learned from the first keyframe
+    const describePromise = viewer.request('DESCRIBE', bridge.rtspUrl, { Accept: 'application/sdp' });
+    await once(bridge, 'sourceAttached');
+    const describe = await describePromise;
+    assert.strictEqual(describe.status, 200);
+    const sdp = parseSdp(describe.body);
+    const [video, audio] = sdp.media;
+    assert.strictEqual(video.codecs[0].name, 'H264');
+    assert.ok(video.codecs[0].fmtp.includes('packetization-mode=1'));
+    assert.strictEqual(audio.codecs[0].name, 'PCMA');
+
+    const udp = await viewer.request('SETUP', `${bridge.rtspUrl}/trackID=0`, { Transport: 'RTP/AVP;unicast;client_port=5000-5001' });
+    assert.strictEqual(udp.status, 461, 'UDP transport refused');
+
+    const setupVideo = await viewer.request('SETUP', `${bridge.rtspUrl}/trackID=0`, { Transport: 'RTP/AVP/TCP;unicast;interleaved=0-1' });
+    assert.strictEqual(setupVideo.status, 200);
+    assert.ok(/Transport: RTP\/AVP\/TCP;unicast;interleaved=0-1/.test(setupVideo.head));
+    const session = setupVideo.head.match(/Session: ([^;\r\n]+)/)[1];
+    const setupAudio = await viewer.request('SETUP', `${bridge.rtspUrl}/trackID=1`, {
+      Transport: 'RTP/AVP/TCP;unicast;interleaved=2-3', Session: session
+    });
+    assert.strictEqual(setupAudio.status, 200);
+    const play = await viewer.request('PLAY', bridge.rtspUrl, { Session: session });
+    assert.strictEqual(play.status, 200);
+
+    // Delta frame before any keyframe is skipped; audio waits for video sync
+    source.video.write({ data: Buffer.concat([START, P_SLICE]), timestamp: 4000, keyframe: false, decodable: true });
+    source.audio.write({ data: Buffer.alloc(320), codec: 'pcm_s16le', timestamp: 160 });
+    source.video.write({ data: KEYFRAME, timestamp: 7000, keyframe: true, decodable: true });
+    const pcm = Buffer.alloc(320);
+    pcm.writeInt16LE(1000, 0);
+    source.audio.write({ data: pcm, codec: 'pcm_s16le', timestamp: 320 });
+    for (let i = 0; i < 100 && viewer.packets.length < 6; i++) await sleep(10);
+
+    const videoPackets = viewer.packets.filter(p => p.channel === 0);
+    const audioPackets = viewer.packets.filter(p => p.channel === 2);
+    assert.strictEqual(videoPackets.length, 5, 'Keyframe only (delta frame skipped)');
+    assert.ok(videoPackets.every(p => p.rtp.payloadType === 96 && p.rtp.timestamp === 7000));
+    assert.ok(videoPackets[4].rtp.marker, 'Marker on the last packet of the access unit');
+    const received = new BticinoH264Depacketizer();
+    const [out] = videoPackets.flatMap(({ rtp }) => received.push(rtp));
+    assert.deepStrictEqual(out.data, KEYFRAME, 'Viewer decodes the original keyframe');
+
+    assert.strictEqual(audioPackets.length, 1, 'Audio starts with the video');
+    assert.strictEqual(audioPackets[0].rtp.payloadType, 8);
+    assert.ok(Math.abs(decodeAlaw(audioPackets[0].rtp.payload).readInt16LE(0) - 1000) < 64, 'PCMA audio');
+
+    // Parameter sets learned from the stream are advertised to later viewers
+    const redescribe = parseSdp((await viewer.request('DESCRIBE', bridge.rtspUrl)).body);
+    assert.ok(redescribe.media[0].codecs[0].fmtp.includes(
+      `sprop-parameter-sets=${SPS.toString('base64')},${PPS.toString('base64')}`
+    ));
+    assert.ok(redescribe.media[0].codecs[0].fmtp.includes('profile-level-id=42801F'));
+    console.log('✅ Viewer receives the stream from the next keyframe\n');
+
+    // Test 3: Source end / viewer leave
+    console.log('3️⃣ Testing source end and idle...');
+    const ended = once(bridge, 'sourceEnded');
+    source.emit('stopped');
+    await ended;
+    assert.strictEqual(bridge.source, null);
+    const idle = once(bridge, 'idle');
+    viewer.socket.end();
+    await idle;
+    assert.strictEqual(bridge.viewerCount, 0);
+    console.log('✅ sourceEnded and idle emitted\n');
+
+    // Test 4: WHEP without werift
+    console.log('4️⃣ Testing WHEP without werift...');
+    const unavailable = new BticinoMediaBridge({ rtspPort: 0, whepPort: 0 });
+    bridges.push(unavailable);
+    await assert.rejects(unavailable.start(), (err) => {
+      assert.ok(err instanceof BticinoMissingDependencyError);
+      assert.strictEqual(err.code, 'MODULE_NOT_FOUND');
+      assert.strictEqual(err.moduleName, 'werift');
+      assert.strictEqual(err.message, WEBRTC_UNAVAILABLE_MESSAGE);
+      return true;
+    });
+    assert.strictEqual(unavailable.rtspUrl, null, 'Nothing listening');
+    console.log('✅ start() rejects with install instructions\n');
+
+    // Test 5: WHEP offer/answer behind credentials
+    console.log('5️⃣ Testing WHEP offer/answer...');
+    fakeWerift = createFakeWerift();
+    const secured = new BticinoMediaBridge({ rtspPort: 0, whepPort: 0, auth: AUTH, origin: ORIGIN, sourceTimeout: 2000 });
+    bridges.push(secured);
+    await secured.start();
+    const offer = { method: 'POST', headers: { 'Content-Type': 'application/sdp' }, body: OFFER };
+
+    const anonymous = await httpRequest(secured.whepUrl, offer);
+    assert.strictEqual(anonymous.statusCode, 401, 'Offer without credentials refused');
+    assert.strictEqual(anonymous.headers['www-authenticate'], 'Basic realm="bticino-door-entry"');
+    const wrong = await httpRequest(secured.whepUrl, {
+      ...offer, headers: { ...offer.headers, Authorization: `Basic ${Buffer.from('viewer:nope').toString('base64')}` }
+    });
+    assert.strictEqual(wrong.statusCode, 401, 'Wrong password refused');
+    assert.strictEqual(fakeWerift.peers.length, 0, 'No peer connection for refused offers');
+
+    const preflight = await httpRequest(secured.whepUrl, { method: 'OPTIONS', headers: { Origin: ORIGIN } });
+    assert.strictEqual(preflight.statusCode, 204, 'Preflight needs no credentials');
+    assert.strictEqual(preflight.headers['access-control-allow-origin'], ORIGIN);
+
+    const whepSource = createSource();
+    secured.attach(whepSource);
+    const answer = await httpRequest(secured.whepUrl, { ...offer, headers: { ...offer.headers, Authorization: BASIC } });
+    assert.strictEqual(answer.statusCode, 201);
+    assert.ok(answer.headers['content-type'].startsWith('application/sdp'));
+    assert.strictEqual(answer.headers['access-control-allow-origin'], ORIGIN);
+    assert.ok(/^m=video .*\r\na=sendonly/m.test(answer.body), 'Answer sends the video');
+    assert.ok(/^m=audio .*\r\na=sendonly/m.test(answer.body), 'Answer sends the audio');
+    assert.strictEqual(secured.viewerCount, 1);
+
+    const [peer] = fakeWerift.peers;
+    assert.deepStrictEqual(peer.config.codecs.video.map(c => c.mimeType), ['video/H264']);
+    assert.deepStrictEqual(peer.config.codecs.audio.map(c => c.mimeType), ['audio/PCMA']);
+    const [videoTrack, audioTrack] = peer.transceivers.map(t => t.sender.track);
+    whepSource.video.write({ data: KEYFRAME, timestamp: 9000, keyframe: true, decodable: true });
+    whepSource.audio.write({ data: pcm, codec: 'pcm_s16le', timestamp: 480 });
+    for (let i = 0; i < 100 && !audioTrack.packets.length; i++) await sleep(10);
+    assert.strictEqual(videoTrack.packets.length, 5, 'Keyframe written to the video track');
+    assert.ok(videoTrack.packets.every(p => p.payloadType === 96 && p.timestamp === 9000));
+    assert.strictEqual(audioTrack.packets.length, 1, 'PCMA written to the audio track');
+    assert.strictEqual(audioTrack.packets[0].payloadType, 8);
+
+    const resource = new URL(answer.headers.location, secured.whepUrl).href;
+    assert.strictEqual((await httpRequest(resource, { method: 'DELETE' })).statusCode, 401);
+    const idleWhep = once(secured, 'idle');
+    assert.strictEqual((await httpRequest(resource, { method: 'DELETE', headers: { Authorization: BASIC } })).statusCode, 200);
+    await idleWhep;
+    assert.ok(peer.closed, 'Peer connection closed');
+    assert.strictEqual(secured.viewerCount, 0);
+
+    // The same credentials protect RTSP (OPTIONS stays open)
+    const securedPort = Number(new URL(secured.rtspUrl.replace('rtsp:', 'http:')).port);
+    const rtspViewer = rtspClient(securedPort);
+    clients.push(rtspViewer.socket);
+    assert.strictEqual((await rtspViewer.request('OPTIONS', secured.rtspUrl)).status, 200);
+    const refused = await rtspViewer.request('DESCRIBE', secured.rtspUrl);
+    assert.strictEqual(refused.status, 401);
+    assert.ok(/WWW-Authenticate: Basic realm="bticino-door-entry"/.test(refused.head));
+    assert.strictEqual((await rtspViewer.request('DESCRIBE', secured.rtspUrl, { Authorization: BASIC })).status, 200);
+    console.log('✅ Answer served, media forwarded, credentials enforced\n');
+
+    // Test 6: Exposure defaults
+    console.log('6️⃣ Testing listening defaults...');
+    assert.strictEqual(new BticinoMediaBridge().opts.host, '127.0.0.1', 'Loopback by default');
+    const open = new BticinoMediaBridge({ rtspPort: 0, whepPort: 0 });
+    bridges.push(open);
+    await open.start();
+    open.attach(createSource());
+    const noCors = await httpRequest(open.whepUrl, { ...offer, headers: { ...offer.headers, Origin: ORIGIN } });
+    assert.strictEqual(noCors.statusCode, 201, 'No credentials configured: offer accepted on loopback');
+    assert.strictEqual(noCors.headers['access-control-allow-origin'], undefined, 'No CORS without opts.origin');
+
+    const exposed = new BticinoMediaBridge({ host: '0.0.0.0', rtspPort: 0 });
+    bridges.push(exposed);
+    await assert.rejects(exposed.start(), /without opts\.auth/);
+    assert.strictEqual(exposed.rtspUrl, null);
+    const anonymousOk = new BticinoMediaBridge({ host: '0.0.0.0', rtspPort: 0, allowAnonymous: true });
+    bridges.push(anonymousOk);
+    await anonymousOk.start();
+    assert.ok(anonymousOk.rtspUrl.startsWith('rtsp://127.0.0.1:'));
+    console.log('✅ Loopback and no CORS unless configured\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All media bridge tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  } finally {
+    clients.forEach(socket => socket.destroy());
+    await Promise.all(bridges.map(b => b.stop()));
+  }
+})();
@@ -0,0 +1,116 @@
+/**
+ * Test Suite: Inbound MESSAGE notifications
+ *
+ * This test suite validates:
+ * - JSON bodies parsed, plain text left alone
+ * - Known notifications classified from JSON-RPC methods and plain JSON `type` / `event` members,
+ *   with normalized fields (caller, ip, plantId, messageId)
+ * - Typed listener events (missedCall, gatewayIpChanged, topologyChanged, answeringMachineMessage),
+ *   'message' still emitted for every MESSAGE
+ * - defineNotification() adds types
+ *
+ * Messages are fed directly into the listener; a fake socket captures what is sent.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { NOTIFICATIONS, defineNotification, parseJsonBody, classifyNotifications } = require('../lib/sip/BticinoNotifications');
+const { SIP_CONFIG, CERTS, fakeSocket, gatewayMessage } = require('./helpers/sip');
+
+console.log('🧪 Testing MESSAGE Notifications\n');
+
+(async () => {
+  try {
+    // Test 1: Parsing and classification
+    console.log('1️⃣ Testing classification...');
+    assert.strictEqual(parseJsonBody('ring ring'), null);
+    assert.strictEqual(parseJsonBody('{broken'), null);
+    assert.deepStrictEqual(parseJsonBody(' {"a":1} '), { a: 1 });
+
+    const [missed] = classifyNotifications({ jsonrpc: '2.0', method: 'call.missedCall', params: [{ caller: 'Entrance panel', time: '2026-10-19T08:00:00Z' }] });
+    assert.strictEqual(missed.type, 'missedCall');
+    assert.strictEqual(missed.caller, 'Entrance panel');
+    assert.strictEqual(missed.time, '2026-10-19T08:00:00Z');
+
+    const [ip] = classifyNotifications({ type: 'gateway_ip_changed', ip: '192.168.1.20', oldIp: '192.168.1.10' });
+    assert.deepStrictEqual([ip.type, ip.ip, ip.previousIp], ['gatewayIpChanged', '192.168.1.20', '192.168.1.10']);
+
+    const batch = classifyNotifications([
+      { event: 'TopologyChanged', plantId: 'plant-1' },
+      { jsonrpc: '2.0', method: 'answeringMachine.newMessage', params: { messageId: 'm1', caller: 'Panel' } },
+      { jsonrpc: '2.0', id: '1', result: { type: 'missedCall' } },
+      { jsonrpc: '2.0', method: 'lock.statusChanged', params: {} }
+    ]);
+    assert.deepStrictEqual(batch.map(n => n.type), ['topologyChanged', 'answeringMachineMessage'], 'Responses and unknown methods skipped');
+    assert.strictEqual(batch[0].plantId, 'plant-1');
+    assert.strictEqual(batch[1].messageId, 'm1');
+    assert.deepStrictEqual(classifyNotifications({ type: 'relationshipChanged' }), []);
+    console.log('✅ Known notifications classified\n');
+
+    // Test 2: Listener events
+    console.log('2️⃣ Testing listener events...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false });
+    const sent = [];
+    listener.socket = fakeSocket(sent, { parse: true });
+
+    const events = [];
+    for (const event of ['message', 'missedCall', 'gatewayIpChanged', 'topologyChanged', 'answeringMachineMessage']) {
+      listener.on(event, payload => events.push([event, payload]));
+    }
+
+    listener._handleData(gatewayMessage(JSON.stringify({ jsonrpc: '2.0', method: 'missedCall', params: [{ from: 'Entrance panel' }] })));
+    assert.deepStrictEqual(events.map(e => e[0]), ['message', 'missedCall']);
+    const [, messageInfo] = events[0];
+    assert.deepStrictEqual(messageInfo.types, ['missedCall']);
+    assert.strictEqual(messageInfo.json.method, 'missedCall');
+    const [, missedCall] = events[1];
+    assert.strictEqual(missedCall.caller, 'Entrance panel');
+    assert.ok(missedCall.from.includes('sip:diy@gateway.bs.iotleg.com'));
+    assert.ok(missedCall.timestamp);
+    assert.strictEqual(sent[0].statusCode, 200, 'MESSAGE answered');
+
+    events.length = 0;
+    listener._handleData(gatewayMessage('{"type":"ipChanged","address":"10.0.0.7"}'));
+    listener._handleData(gatewayMessage('{"notification":"topology.update"}'));
+    listener._handleData(gatewayMessage('{"type":"videoMemory.record","recordId":"r9"}'));
+    assert.deepStrictEqual(events.map(e => e[0]), [
+      'message', 'gatewayIpChanged', 'message', 'topologyChanged', 'message', 'answeringMachineMessage'
+    ]);
+    assert.strictEqual(events[1][1].ip, '10.0.0.7');
+    assert.strictEqual(events[5][1].messageId, 'r9');
+
+    // Fallback: unknown and non-JSON bodies only emit 'message'
+    events.length = 0;
+    listener._handleData(gatewayMessage('{"type":"firmwareUpdate"}'));
+    listener._handleData(gatewayMessage('hello'));
+    assert.deepStrictEqual(events.map(e => [e[0], e[1].types, e[1].json]), [
+      ['message', [], { type: 'firmwareUpdate' }],
+      ['message', [], null]
+    ]);
+    console.log('✅ Typed events emitted, message kept as fallback\n');
+
+    // Test 3: Custom types
+    console.log('3️⃣ Testing defineNotification()...');
+    defineNotification('firmwareUpdate', { match: /firmware/i, fields: data => ({ version: data.version || null }) });
+    events.length = 0;
+    listener.on('firmwareUpdate', payload => events.push(['firmwareUpdate', payload]));
+    listener._handleData(gatewayMessage('{"type":"firmwareUpdate","version":"2.1"}'));
+    assert.deepStrictEqual(events.map(e => e[0]), ['message', 'firmwareUpdate']);
+    assert.strictEqual(events[1][1].version, '2.1');
+    assert.throws(() => defineNotification('broken', {}), /match pattern/);
+    delete NOTIFICATIONS.firmwareUpdate;
+    await listener.disconnect();
+    console.log('✅ Custom notification types\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All notification tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,256 @@
+/**
+ * Test Suite: Outgoing call (live camera view)
+ *
+ * This test suite validates:
+ * - viewCamera() sends an INVITE with an SRTP offer (audio + H.264 video)
+ * - 407 challenge: the error response is ACKed and the INVITE is resent (CSeq+1)
+ *   with a digest computed from calculateHa1/calculateDigestResponseWithHa1
+ * - 2xx: ACK to the Contact along the Record-Route, call handle confirmed,
+ *   video from the door station decrypted with the answer key
+ * - 2xx retransmissions re-ACKed, BYE from the door station ends call and media
+ * - Error responses reject with the typed error of the SIP status, timeouts with BticinoSipTimeoutError
+ * - An answer picking a crypto tag we did not offer is hung up
+ * - Setup timeout: CANCEL only after a provisional response, otherwise Timer B ends the INVITE
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const dgram = require('dgram');
+const {
+  BticinoSipClient,
+  calculateHa1,
+  calculateDigestResponseWithHa1
+} = require('../lib/sip/BticinoSipClient');
+const { buildRtpPacket } = require('../lib/media/BticinoRtp');
+const {
+  BticinoSrtpContext,
+  BticinoSipTimeoutError,
+  BticinoCommandRejectedError,
+  BticinoGatewayOfflineError,
+  parseSdp
+} = require('../index');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing Outgoing Call (live view)\n');
+
+const DOOR_KEY = 'QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVo1Njc4';
+
+function createClient() {
+  const client = new BticinoSipClient(SIP_CONFIG, null, null, null, {}, CERTS);
+  const sent = [];
+  client.socket = fakeSocket(sent, { parse: true });
+  return { client, sent };
+}
+
+function respond(client, request, statusCode, statusText, { toTag = null, headers = {}, body = '' } = {}) {
+  if (body) headers = { ...headers, 'Content-Type': 'application/sdp' };
+  client._handleData(response(request, statusCode, statusText, { toTag, headers, body }));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const waitFor = async (fn) => {
+  for (let i = 0; i < 100; i++) {
+    const value = fn();
+    if (value) return value;
+    await sleep(10);
+  }
+  return fn();
+};
+
+(async () => {
+  const doorStation = dgram.createSocket('udp4');
+  try {
+    await new Promise(resolve => doorStation.bind(0, '127.0.0.1', resolve));
+    const doorPort = doorStation.address().port;
+
+    // Test 1: INVITE with offer, digest challenge
+    console.log('1️⃣ Testing INVITE + 407 digest retry...');
+    const { client, sent } = createClient();
+    const viewing = client.viewCamera({ address: '127.0.0.1' });
+
+    const invite = await waitFor(() => sent.find(m => m.method === 'INVITE'));
+    assert.ok(invite, 'INVITE sent');
+    assert.strictEqual(invite.uri, 'sip:diy@gateway.bs.iotleg.com');
+    assert.ok(invite.headers['contact'].includes('user_123456@127.0.0.1'));
+    const offer = parseSdp(invite.body);
+    const [audio, video] = offer.media;
+    assert.strictEqual(audio.type, 'audio');
+    assert.strictEqual(audio.protocol, 'RTP/SAVP');
+    assert.strictEqual(audio.direction, 'sendrecv');
+    assert.deepStrictEqual(audio.codecs.map(c => c.name), ['PCMA', 'PCMU']);
+    assert.strictEqual(video.codecs[0].name, 'H264');
+    assert.ok(video.crypto[0].key, 'SDES key offered');
+
+    respond(client, invite, 100, 'Trying');
+    respond(client, invite, 407, 'Proxy Authentication Required', {
+      toTag: 'proxy1',
+      headers: { 'Proxy-Authenticate': 'Digest realm="gateway.bs.iotleg.com", nonce="abc123", opaque="xyz", qop="auth"' }
+    });
+
+    const ack407 = sent.find(m => m.method === 'ACK');
+    assert.ok(ack407, 'Error response ACKed');
+    assert.strictEqual(ack407.headers['cseq'], '1 ACK');
+    assert.strictEqual(ack407.headers['via'], invite.headers['via'], 'ACK in the INVITE transaction');
+    assert.ok(ack407.headers['to'].includes('tag=proxy1'));
+
+    const retry = sent.filter(m => m.method === 'INVITE')[1];
+    assert.ok(retry, 'INVITE resent');
+    assert.strictEqual(retry.headers['cseq'], '2 INVITE');
+    assert.strictEqual(retry.headers['call-id'], invite.headers['call-id']);
+    assert.strictEqual(retry.headers['from'], invite.headers['from']);
+    assert.notStrictEqual(retry.headers['via'], invite.headers['via'], 'New branch');
+    const auth = retry.headers['proxy-authorization'];
+    const cnonce = auth.match(/cnonce="([^"]+)"/)[1];
+    const expected = calculateDigestResponseWithHa1(
+      calculateHa1('user_123456', 'gateway.bs.iotleg.com', 'secret'),
+      'INVITE', 'sip:diy@gateway.bs.iotleg.com', 'abc123', '00000001', cnonce, 'auth'
+    );
+    assert.ok(auth.includes(`response="${expected}"`), 'Digest response');
+    assert.ok(auth.includes('opaque="xyz"'));
+    console.log('✅ Challenge answered with digest credentials\n');
+
+    // Test 2: Answer, ACK, media
+    console.log('2️⃣ Testing 200 OK / ACK / media...');
+    const answerSdp = [
+      'v=0', 'o=- 2 2 IN IP4 127.0.0.1', 's=Door', 'c=IN IP4 127.0.0.1', 't=0 0',
+      `m=audio ${doorPort} RTP/SAVP 8`, 'a=rtpmap:8 PCMA/8000',
+      `a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${DOOR_KEY}`, 'a=sendrecv',
+      `m=video ${doorPort} RTP/SAVP 96`, 'a=rtpmap:96 H264/90000',
+      `a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${DOOR_KEY}`, 'a=sendonly',
+      ''
+    ].join('\r\n');
+    respond(client, retry, 180, 'Ringing', { toTag: 'door9' });
+    const okHeaders = {
+      Contact: '<sip:door@10.0.0.5:5060;transport=tls>',
+      'Record-Route': '<sip:proxy.bs.iotleg.com;lr>'
+    };
+    respond(client, retry, 200, 'OK', { toTag: 'door9', headers: okHeaders, body: answerSdp });
+
+    const call = await viewing;
+    assert.strictEqual(call.direction, 'outgoing');
+    assert.strictEqual(call.state, 'confirmed');
+    assert.strictEqual(call.remoteTag, 'door9');
+    assert.strictEqual(call.remoteTarget, 'sip:door@10.0.0.5:5060;transport=tls');
+
+    const ack = sent.filter(m => m.method === 'ACK')[1];
+    assert.strictEqual(ack.uri, 'sip:door@10.0.0.5:5060;transport=tls', 'ACK to the remote target');
+    assert.strictEqual(ack.headers['cseq'], '2 ACK');
+    assert.strictEqual(ack.headers['route'], '<sip:proxy.bs.iotleg.com;lr>');
+    assert.ok(ack.headers['to'].includes('tag=door9'));
+
+    // Video from the door station, encrypted with the key of its answer
+    const frames = [];
+    call.media.video.on('data', frame => frames.push(frame));
+    const srtp = new BticinoSrtpContext(DOOR_KEY);
+    const nals = [[0x67, 0x42, 0x80, 0x1f], [0x68, 0xce, 0x06, 0xe2], [0x65, 0x88, 0x84, 0x00]];
+    for (const [i, nal] of nals.entries()) {
+      const rtp = buildRtpPacket({ payloadType: 96, sequenceNumber: i + 1, timestamp: 3000, ssrc: 7, payload: Buffer.from(nal), marker: i === 2 });
+      await new Promise(resolve => doorStation.send(srtp.encryptRtp(rtp), video.port, '127.0.0.1', resolve));
+    }
+    await waitFor(() => frames.length);
+    assert.ok(frames[0] && frames[0].keyframe, 'Keyframe received over the negotiated SRTP stream');
+    assert.ok(call.media.audioOut, 'Two-way audio available');
+
+    // Retransmitted 200: ACK again
+    respond(client, retry, 200, 'OK', { toTag: 'door9', headers: okHeaders, body: answerSdp });
+    assert.strictEqual(sent.filter(m => m.method === 'ACK').length, 3, '2xx retransmission re-ACKed');
+    console.log('✅ Call confirmed with negotiated media\n');
+
+    // Test 3: Remote BYE
+    console.log('3️⃣ Testing BYE from the door station...');
+    const ended = new Promise(resolve => call.once('ended', resolve));
+    let bye = `BYE sip:user_123456@127.0.0.1:5060 SIP/2.0\r\nVia: SIP/2.0/TLS 10.0.0.5:5060;branch=z9hG4bK.bye\r\n`;
+    bye += `From: ${ack.headers['to']}\r\nTo: ${ack.headers['from']}\r\n`;
+    bye += `Call-ID: ${invite.headers['call-id']}\r\nCSeq: 10 BYE\r\nContent-Length: 0\r\n\r\n`;
+    client._handleData(Buffer.from(bye));
+    const { reason } = await ended;
+    assert.strictEqual(reason, 'remote-bye');
+    const byeOk = sent[sent.length - 1];
+    assert.strictEqual(byeOk.statusCode, 200);
+    assert.strictEqual(byeOk.headers['cseq'], '10 BYE');
+    await waitFor(() => call.media.video.readableEnded || call.media.video.destroyed);
+    assert.ok(call.media.audioOut.destroyed, 'Media stopped with the call');
+    console.log('✅ Call and media ended\n');
+
+    // Test 4: Busy
+    console.log('4️⃣ Testing error response...');
+    const second = createClient();
+    const failing = second.client.viewCamera({ address: '127.0.0.1' });
+    const invite2 = await waitFor(() => second.sent.find(m => m.method === 'INVITE'));
+    respond(second.client, invite2, 486, 'Busy Here', { toTag: 'busy' });
+    await assert.rejects(failing, (err) => {
+      assert.ok(err instanceof BticinoCommandRejectedError, `Typed error, got ${err.name}`);
+      assert.strictEqual(err.code, 486);
+      assert.strictEqual(err.response.statusText, 'Busy Here');
+      return true;
+    });
+    assert.ok(second.sent.some(m => m.method === 'ACK'), '486 ACKed');
+
+    const offline = createClient();
+    const unreachable = offline.client.viewCamera({ address: '127.0.0.1' });
+    const inviteOffline = await waitFor(() => offline.sent.find(m => m.method === 'INVITE'));
+    respond(offline.client, inviteOffline, 480, 'Temporarily Unavailable', { toTag: 'gw' });
+    await assert.rejects(unreachable, err => err instanceof BticinoGatewayOfflineError && err.code === 480);
+    console.log('✅ Rejected with the typed error of the SIP status\n');
+
+    // Test 5: Unusable answer
+    console.log('5️⃣ Testing an answer with an unknown crypto tag...');
+    const third = createClient();
+    const unusable = third.client.viewCamera({ address: '127.0.0.1' });
+    const invite3 = await waitFor(() => third.sent.find(m => m.method === 'INVITE'));
+    const badAnswer = answerSdp.replace(/a=crypto:1 /g, 'a=crypto:7 ');
+    respond(third.client, invite3, 200, 'OK', { toTag: 'door3', headers: okHeaders, body: badAnswer });
+    await assert.rejects(unusable, err => err.code === 'ENEGOTIATION');
+    const byeOut = third.sent[third.sent.length - 1];
+    assert.deepStrictEqual(third.sent.slice(-2).map(m => m.method), ['ACK', 'BYE'], '2xx ACKed, dialog ended');
+    respond(third.client, byeOut, 200, 'OK');
+    assert.strictEqual(third.client.getCall(invite3.headers['call-id']), undefined);
+    console.log('✅ Unusable answer ends the call\n');
+
+    // Test 6: Setup timeout
+    console.log('6️⃣ Testing the setup timeout and CANCEL...');
+    const fourth = createClient();
+    fourth.client._transactions.T1 = 5;
+    const unanswered = fourth.client.viewCamera({ address: '127.0.0.1', timeoutMs: 20 });
+    const invite4 = await waitFor(() => fourth.sent.find(m => m.method === 'INVITE'));
+    await assert.rejects(unanswered, err => err instanceof BticinoSipTimeoutError && err.code === 'ETIMEDOUT');
+    assert.ok(!fourth.sent.some(m => m.method === 'CANCEL'), 'No CANCEL before a provisional response');
+    respond(fourth.client, invite4, 180, 'Ringing', { toTag: 'door4' });
+    const cancel = fourth.sent.find(m => m.method === 'CANCEL');
+    assert.ok(cancel, 'CANCEL on the first 1xx');
+    assert.strictEqual(cancel.headers['via'], invite4.headers['via'], 'CANCEL matches the INVITE branch');
+    assert.strictEqual(cancel.headers['cseq'], '1 CANCEL');
+    respond(fourth.client, invite4, 180, 'Ringing', { toTag: 'door4' });
+    assert.strictEqual(fourth.sent.filter(m => m.method === 'CANCEL').length, 1, 'Cancelled once');
+    respond(fourth.client, cancel, 200, 'OK', { toTag: 'door4' });
+    respond(fourth.client, invite4, 487, 'Request Terminated', { toTag: 'door4' });
+    assert.strictEqual(fourth.sent[fourth.sent.length - 1].method, 'ACK', '487 ACKed');
+    assert.strictEqual(fourth.client._pendingInvite, null);
+
+    const fifth = createClient();
+    fifth.client._transactions.T1 = 1;
+    const silent = fifth.client.viewCamera({ address: '127.0.0.1', timeoutMs: 20 });
+    await assert.rejects(silent, err => err instanceof BticinoSipTimeoutError);
+    await sleep(80);
+    assert.ok(!fifth.sent.some(m => m.method === 'CANCEL'), 'Never cancelled without a 1xx');
+    assert.strictEqual(fifth.client._pendingInvite, null, 'Timer B ended the INVITE');
+
+    const sixth = createClient();
+    sixth.client._transactions.T1 = 1;
+    const noResponse = sixth.client.viewCamera({ address: '127.0.0.1', timeoutMs: 5000 });
+    await assert.rejects(noResponse, err => err instanceof BticinoSipTimeoutError && /Timer B/.test(err.message));
+    console.log('✅ CANCEL waits for a provisional response\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All outgoing call tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  } finally {
+    doorStation.close();
+  }
+})();
@@ -27,12 +27,61 @@ console.log('  ✅ BticinoAuthentication:', typeof bticino.BticinoAuthentication
 console.log('  ✅ BticinoApiClient:', typeof bticino.BticinoApiClient);
 console.log('  ✅ BticinoSipClient:', typeof bticino.BticinoSipClient);
 console.log('  ✅ BticinoSipListener:', typeof bticino.BticinoSipListener);
+console.log('  ✅ BticinoSipCall:', typeof bticino.BticinoSipCall);
+console.log('  ✅ BticinoJsonRpc:', typeof bticino.BticinoJsonRpc);
+console.log('  ✅ BticinoMediaSession:', typeof bticino.BticinoMediaSession);
+console.log('  ✅ BticinoSrtpContext:', typeof bticino.BticinoSrtpContext);
+console.log('  ✅ BticinoH264Depacketizer:', typeof bticino.BticinoH264Depacketizer);
+console.log('  ✅ BticinoAudioSender:', typeof bticino.BticinoAudioSender);
+console.log('  ✅ BticinoMediaBridge:', typeof bticino.BticinoMediaBridge);
+console.log('  ✅ BticinoMissingDependencyError:', typeof bticino.BticinoMissingDependencyError);
+console.log('  ✅ BticinoStateStore:', typeof bticino.BticinoStateStore);
+console.log('  ✅ BticinoFileStore:', typeof bticino.BticinoFileStore);
+console.log('  ✅ BticinoMemoryStore:', typeof bticino.BticinoMemoryStore);
+console.log('  ✅ BticinoCredentialVault:', typeof bticino.BticinoCredentialVault);
+console.log('  ✅ BticinoSipFramer:', typeof bticino.BticinoSipFramer);
+console.log('  ✅ BticinoSipTransactionLayer:', typeof bticino.BticinoSipTransactionLayer);
+console.log('  ✅ BticinoSipUserAgent:', typeof bticino.BticinoSipUserAgent);
+console.log('  ✅ BticinoDigest:', typeof bticino.BticinoDigest);
+console.log('  ✅ BticinoSipError:', typeof bticino.BticinoSipError);
+console.log('  ✅ BticinoSipAuthError:', typeof bticino.BticinoSipAuthError);
+console.log('  ✅ BticinoSipTimeoutError:', typeof bticino.BticinoSipTimeoutError);
+console.log('  ✅ BticinoGatewayOfflineError:', typeof bticino.BticinoGatewayOfflineError);
+console.log('  ✅ BticinoCommandRejectedError:', typeof bticino.BticinoCommandRejectedError);
+console.log('  ✅ BticinoLockRejectedError:', typeof bticino.BticinoLockRejectedError);
+console.log('  ✅ BticinoJsonRpcError:', typeof bticino.BticinoJsonRpcError);
 
 console.log('\nExported Functions:');
 console.log('  ✅ openGate:', typeof bticino.openGate);
+console.log('  ✅ switchStairLight:', typeof bticino.switchStairLight);
+console.log('  ✅ activateActuator:', typeof bticino.activateActuator);
+console.log('  ✅ rotateVaultPassphrase:', typeof bticino.rotateVaultPassphrase);
+console.log('  ✅ parseSipMessage:', typeof bticino.parseSipMessage);
+console.log('  ✅ serializeSipMessage:', typeof bticino.serializeSipMessage);
+console.log('  ✅ getHeaders:', typeof bticino.getHeaders);
+console.log('  ✅ parseNameAddr:', typeof bticino.parseNameAddr);
+console.log('  ✅ parseVia:', typeof bticino.parseVia);
+console.log('  ✅ parseSdp:', typeof bticino.parseSdp);
+console.log('  ✅ serializeSdp:', typeof bticino.serializeSdp);
+console.log('  ✅ buildSdpAnswer:', typeof bticino.buildSdpAnswer);
+console.log('  ✅ buildSdpOffer:', typeof bticino.buildSdpOffer);
+console.log('  ✅ defineCommand:', typeof bticino.defineCommand);
+console.log('  ✅ runCommand:', typeof bticino.runCommand);
+console.log('  ✅ openLock:', typeof bticino.openLock);
+console.log('  ✅ getLockStatus:', typeof bticino.getLockStatus);
+console.log('  ✅ parseLockStatus:', typeof bticino.parseLockStatus);
+console.log('  ✅ setStairLight:', typeof bticino.setStairLight);
+console.log('  ✅ setActuator:', typeof bticino.setActuator);
+console.log('  ✅ getAnsweringMachine:', typeof bticino.getAnsweringMachine);
+console.log('  ✅ setAnsweringMachine:', typeof bticino.setAnsweringMachine);
+console.log('  ✅ defineNotification:', typeof bticino.defineNotification);
+console.log('  ✅ classifyNotifications:', typeof bticino.classifyNotifications);
+console.log('  ✅ parseCallerIdentity:', typeof bticino.parseCallerIdentity);
 
 console.log('\nExported Objects:');
 console.log('  ✅ config:', typeof bticino.config);
+console.log('  ✅ COMMANDS:', Object.keys(bticino.COMMANDS).join(', '));
+console.log('  ✅ NOTIFICATIONS:', Object.keys(bticino.NOTIFICATIONS).join(', '));
 
 console.log('\nConfiguration Constants:');
 console.log('  SIP_SERVER:', bticino.config.SIP_SERVER);
@@ -0,0 +1,121 @@
+/**
+ * Test Suite: SDP Parsing and Answer Generation
+ *
+ * This test suite validates:
+ * - Parsing of a door station offer (codecs, ports, direction, SDES crypto, ICE)
+ * - Serialization round trip
+ * - Answer generation (codec selection, direction, SRTP keys, rejected streams)
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { parseSdp, serializeSdp, buildSdpAnswer } = require('../index');
+const { parseFmtp, answerDirection } = require('../lib/sip/BticinoSdp');
+
+console.log('🧪 Testing SDP\n');
+
+const OFFER = [
+  'v=0',
+  'o=- 1234 5678 IN IP4 10.0.0.50',
+  's=Talk',
+  'c=IN IP4 10.0.0.50',
+  't=0 0',
+  'a=ice-ufrag:Fr4g',
+  'a=ice-pwd:s3cr3tIcePassword0123',
+  'm=audio 4000 RTP/SAVP 8 0 101',
+  'a=rtpmap:8 PCMA/8000',
+  'a=rtpmap:101 telephone-event/8000',
+  'a=fmtp:101 0-15',
+  'a=ptime:20',
+  'a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:d0RmdmcmVCspeEc3QGZiNWpVLFJhQX1cfHAwJSoj|2^31',
+  'a=candidate:1 1 UDP 2130706431 10.0.0.50 4000 typ host',
+  'a=sendrecv',
+  'm=video 4002 RTP/SAVP 96',
+  'a=rtpmap:96 H264/90000',
+  'a=fmtp:96 profile-level-id=42801F;packetization-mode=1',
+  'a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVo1Njc4|2^31',
+  'a=sendonly',
+  'm=application 0 UDP/BFCP *',
+  ''
+].join('\r\n');
+
+try {
+  // Test 1: Parse offer
+  console.log('1️⃣ Testing parseSdp...');
+  const offer = parseSdp(OFFER);
+  assert.strictEqual(offer.origin.address, '10.0.0.50');
+  assert.strictEqual(offer.iceUfrag, 'Fr4g');
+  assert.strictEqual(offer.media.length, 3);
+
+  const [audio, video] = offer.media;
+  assert.strictEqual(audio.port, 4000);
+  assert.strictEqual(audio.protocol, 'RTP/SAVP');
+  assert.deepStrictEqual(audio.formats, [8, 0, 101]);
+  assert.deepStrictEqual(audio.codecs.map(c => c.name), ['PCMA', 'PCMU', 'telephone-event'], 'Static PT 0 resolved without rtpmap');
+  assert.strictEqual(audio.ptime, 20);
+  assert.strictEqual(audio.direction, 'sendrecv');
+  assert.strictEqual(audio.connection.address, '10.0.0.50', 'Media inherits session connection');
+  assert.strictEqual(audio.crypto[0].suite, 'AES_CM_128_HMAC_SHA1_80');
+  assert.strictEqual(audio.crypto[0].key, 'd0RmdmcmVCspeEc3QGZiNWpVLFJhQX1cfHAwJSoj');
+  assert.strictEqual(audio.candidates.length, 1);
+
+  assert.strictEqual(video.direction, 'sendonly');
+  assert.strictEqual(video.codecs[0].clockRate, 90000);
+  assert.deepStrictEqual(parseFmtp(video.codecs[0].fmtp), { 'profile-level-id': '42801F', 'packetization-mode': '1' });
+  assert.throws(() => parseSdp('SIP/2.0 200 OK'), /Invalid SDP/);
+  console.log('✅ Offer parsed\n');
+
+  // Test 2: Round trip
+  console.log('2️⃣ Testing serializeSdp round trip...');
+  const reparsed = parseSdp(serializeSdp(offer));
+  assert.deepStrictEqual(reparsed, offer);
+  console.log('✅ Serialize/parse round trip is lossless\n');
+
+  // Test 3: Answer
+  console.log('3️⃣ Testing buildSdpAnswer...');
+  const answer = buildSdpAnswer(OFFER, {
+    address: '192.168.1.10',
+    audio: { port: 40000, codecs: ['PCMU', 'telephone-event'] },
+    video: { port: 40002, codecs: ['H264'], direction: 'recvonly' }
+  });
+  const [aAudio, aVideo, aApp] = answer.media;
+  assert.strictEqual(aAudio.port, 40000);
+  assert.deepStrictEqual(aAudio.formats, [0, 101], 'Only common codecs, offerer payload types');
+  assert.strictEqual(aAudio.direction, 'sendrecv');
+  assert.strictEqual(aAudio.crypto[0].tag, 1);
+  assert.strictEqual(Buffer.from(aAudio.crypto[0].key, 'base64').length, 30, '30-byte SRTP master key + salt');
+  assert.notStrictEqual(aAudio.crypto[0].key, aVideo.crypto[0].key, 'Independent keys per stream');
+  assert.strictEqual(aVideo.direction, 'recvonly');
+  assert.strictEqual(aVideo.codecs[0].fmtp, 'profile-level-id=42801F;packetization-mode=1');
+  assert.strictEqual(aApp.port, 0, 'Unsupported stream rejected');
+
+  const text = serializeSdp(answer);
+  assert.ok(text.includes('c=IN IP4 192.168.1.10\r\n'));
+  assert.ok(text.includes('m=video 40002 RTP/SAVP 96\r\n'));
+  assert.ok(text.includes('a=recvonly\r\n'));
+  assert.strictEqual(parseSdp(text).media.length, 3, 'Answer has one m-line per offered stream');
+
+  const noCodec = buildSdpAnswer(OFFER, { address: '192.168.1.10', audio: { port: 40000, codecs: ['telephone-event'] } });
+  assert.strictEqual(noCodec.media[0].port, 0, 'telephone-event alone is not acceptable');
+  assert.throws(() => buildSdpAnswer(OFFER, {}), /local.address/);
+  console.log('✅ Answer built from local capabilities\n');
+
+  // Test 4: Direction negotiation
+  console.log('4️⃣ Testing answerDirection...');
+  assert.strictEqual(answerDirection('sendonly'), 'recvonly');
+  assert.strictEqual(answerDirection('recvonly'), 'sendonly');
+  assert.strictEqual(answerDirection('sendrecv', 'recvonly'), 'recvonly');
+  assert.strictEqual(answerDirection('sendonly', 'sendonly'), 'inactive');
+  assert.strictEqual(answerDirection('inactive'), 'inactive');
+  console.log('✅ Directions negotiated\n');
+
+  console.log('='.repeat(60));
+  console.log('✅ All SDP tests passed!');
+  console.log('='.repeat(60));
+} catch (err) {
+  console.error('\n❌ Test failed:', err.message);
+  console.error(err.stack);
+  process.exitCode = 1;
+}
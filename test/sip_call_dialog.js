@@ -0,0 +1,213 @@
+/**
+ * Test Suite: Incoming Call Dialogs (BticinoSipCall)
+ *
+ * This test suite validates:
+ * - Legacy behaviour: 180 Ringing then automatic 486 Busy Here
+ * - Answering a call (200 OK with SDP, Contact, Record-Route) and ACK confirmation
+ * - In-dialog BYE from both sides (route set, tags, CSeq)
+ * - CANCEL of a ringing call (200 + 487)
+ * - Digest authentication of a challenged BYE, BYE in its client transaction (Timer F)
+ *
+ * Messages are fed directly into the listener; a fake socket captures what is sent.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipCall } = require('../index');
+const { SIP_CONFIG, CERTS, fakeSocket } = require('./helpers/sip');
+
+console.log('🧪 Testing SIP Call Dialogs\n');
+
+// Contact on the LAN address the door station's requests are sent to
+const sipConfig = { ...SIP_CONFIG, localIP: '192.168.1.10' };
+
+function createListener(opts = {}) {
+  const listener = new BticinoSipListener(sipConfig, CERTS, { keepAlive: false, autoReconnect: false, ...opts });
+  const sent = [];
+  listener.socket = fakeSocket(sent, { parse: true });
+  return { listener, sent };
+}
+
+function buildInvite({ callId = 'call-1', cseq = 1, method = 'INVITE', body = 'v=0\r\n' } = {}) {
+  let msg = `${method} sip:user_123456@192.168.1.10:5060;transport=tls SIP/2.0\r\n`;
+  msg += 'Via: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.abc\r\n';
+  msg += 'Record-Route: <sip:proxy1.bs.iotleg.com;lr>\r\n';
+  msg += 'Record-Route: <sip:proxy2.bs.iotleg.com;lr>\r\n';
+  msg += 'From: "Door" <sip:door@gateway.bs.iotleg.com>;tag=remote1\r\n';
+  msg += 'To: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+  msg += `Call-ID: ${callId}\r\n`;
+  msg += `CSeq: ${cseq} ${method}\r\n`;
+  msg += 'Contact: <sip:door@10.0.0.50:5060;transport=tls>\r\n';
+  msg += `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+  return Buffer.from(msg);
+}
+
+function buildInDialog(method, { callId = 'call-1', cseq = 2 } = {}) {
+  let msg = `${method} sip:user_123456@192.168.1.10:5060;transport=tls SIP/2.0\r\n`;
+  msg += 'Via: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.def\r\n';
+  msg += 'From: "Door" <sip:door@gateway.bs.iotleg.com>;tag=remote1\r\n';
+  msg += 'To: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+  msg += `Call-ID: ${callId}\r\n`;
+  msg += `CSeq: ${cseq} ${method}\r\n`;
+  msg += 'Content-Length: 0\r\n\r\n';
+  return Buffer.from(msg);
+}
+
+function buildResponse(statusCode, statusText, request, extra = '') {
+  let msg = `SIP/2.0 ${statusCode} ${statusText}\r\n`;
+  msg += `Via: ${request.headers['via']}\r\n`;
+  msg += `From: ${request.headers['from']}\r\n`;
+  msg += `To: ${request.headers['to']}\r\n`;
+  msg += `Call-ID: ${request.headers['call-id']}\r\n`;
+  msg += `CSeq: ${request.headers['cseq']}\r\n`;
+  msg += extra;
+  msg += 'Content-Length: 0\r\n\r\n';
+  return Buffer.from(msg);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  try {
+    // Test 1: Default behaviour rings and rejects
+    console.log('1️⃣ Testing default ring + auto-reject...');
+    {
+      const { listener, sent } = createListener({ autoRejectDelay: 20 });
+      let received = null;
+      listener.on('invite', (callInfo, call) => { received = { callInfo, call }; });
+      listener._handleData(buildInvite());
+
+      assert.ok(received, 'invite should be emitted');
+      assert.strictEqual(received.callInfo.callId, 'call-1');
+      assert.ok(received.callInfo.sdp, 'INVITE offer should be parsed');
+      assert.ok(received.call instanceof BticinoSipCall, 'invite should carry a call handle');
+      assert.strictEqual(sent[0].statusCode, 180);
+
+      await sleep(40);
+      assert.strictEqual(sent[1].statusCode, 486);
+      assert.strictEqual(received.call.state, 'ended');
+      assert.strictEqual(sent[0].headers['to'], sent[1].headers['to'], 'Same To-tag for all responses');
+      assert.strictEqual(listener.getCall('call-1'), undefined, 'Ended call should be forgotten');
+    }
+    console.log('✅ 180 Ringing then 486 Busy Here\n');
+
+    // Test 2: Answer, ACK, remote BYE
+    console.log('2️⃣ Testing answer + ACK + remote BYE...');
+    {
+      const { listener, sent } = createListener({ autoRejectDelay: 20 });
+      let call = null;
+      listener.on('invite', (callInfo, c) => { call = c; });
+      listener._handleData(buildInvite());
+
+      const confirmed = call.answer('v=0\r\no=- 1 1 IN IP4 192.168.1.10\r\n');
+      const ok = sent[sent.length - 1];
+      assert.strictEqual(ok.statusCode, 200);
+      assert.strictEqual(ok.headers['content-type'], 'application/sdp');
+      assert.ok(ok.body.startsWith('v=0'), '200 OK should carry the SDP answer');
+      assert.strictEqual(ok.headers['contact'], '<sip:user_123456@192.168.1.10:5060;transport=tls>');
+      assert.strictEqual(ok.headers['record-route'], '<sip:proxy1.bs.iotleg.com;lr>, <sip:proxy2.bs.iotleg.com;lr>');
+      assert.ok(ok.headers['to'].includes(`tag=${call.localTag}`));
+
+      listener._handleData(buildInDialog('ACK', { cseq: 1 }));
+      assert.strictEqual(await confirmed, call);
+      assert.strictEqual(call.state, 'confirmed');
+
+      await sleep(40);
+      assert.strictEqual(call.state, 'confirmed', 'Answered call must not be auto-rejected');
+
+      const ended = new Promise(resolve => call.once('ended', resolve));
+      listener._handleData(buildInDialog('BYE'));
+      assert.strictEqual(sent[sent.length - 1].statusCode, 200);
+      assert.strictEqual((await ended).reason, 'remote-bye');
+    }
+    console.log('✅ Dialog confirmed and ended by remote BYE\n');
+
+    // Test 3: Local hangup sends an in-dialog BYE
+    console.log('3️⃣ Testing local hangup...');
+    {
+      const { listener, sent } = createListener({ autoReject: false });
+      let call = null;
+      listener.on('invite', (callInfo, c) => { call = c; });
+      listener._handleData(buildInvite());
+      call.answer('v=0\r\n');
+      listener._handleData(buildInDialog('ACK', { cseq: 1 }));
+
+      const hungUp = call.hangup();
+      const bye = sent[sent.length - 1];
+      assert.strictEqual(bye.method, 'BYE');
+      assert.strictEqual(bye.uri, 'sip:door@10.0.0.50:5060;transport=tls', 'BYE goes to the remote Contact');
+      assert.strictEqual(bye.headers['route'], '<sip:proxy1.bs.iotleg.com;lr>, <sip:proxy2.bs.iotleg.com;lr>');
+      assert.strictEqual(bye.headers['from'], `<sip:user_123456@gateway.bs.iotleg.com>;tag=${call.localTag}`);
+      assert.strictEqual(bye.headers['to'], '<sip:door@gateway.bs.iotleg.com>;tag=remote1');
+
+      // Challenge the BYE once: it must be resent with credentials and a new CSeq
+      listener._handleData(buildResponse(407, 'Proxy Authentication Required', bye,
+        'Proxy-Authenticate: Digest realm="iotleg", nonce="n0nce", opaque="op", qop="auth"\r\n'));
+      const authBye = sent[sent.length - 1];
+      assert.strictEqual(authBye.method, 'BYE');
+      assert.strictEqual(authBye.headers['cseq'], '2 BYE');
+      assert.ok(authBye.headers['proxy-authorization'].includes('uri="sip:door@10.0.0.50:5060;transport=tls"'));
+      assert.strictEqual(authBye.headers['authorization'], undefined);
+
+      // Challenged again by the next hop (401, several challenges): Authorization this time
+      listener._handleData(buildResponse(401, 'Unauthorized', authBye,
+        'WWW-Authenticate: Digest realm="gw", nonce="a", algorithm=SHA-512-256\r\n' +
+        'WWW-Authenticate: Digest realm="gw", nonce="n2", qop="auth", stale=true\r\n'));
+      const userBye = sent[sent.length - 1];
+      assert.strictEqual(userBye.headers['cseq'], '3 BYE');
+      assert.ok(userBye.headers['authorization'].includes('nonce="n2"'), 'Supported challenge picked');
+      assert.strictEqual(userBye.headers['proxy-authorization'], undefined);
+
+      listener._handleData(buildResponse(200, 'OK', userBye));
+      await hungUp;
+      assert.strictEqual(call.state, 'ended');
+    }
+    {
+      // Unanswered BYE: Timer F of its transaction ends the call
+      const { listener, sent } = createListener({ autoReject: false });
+      let call = null;
+      listener.on('invite', (callInfo, c) => { call = c; });
+      listener._handleData(buildInvite());
+      call.answer('v=0\r\n');
+      listener._handleData(buildInDialog('ACK', { cseq: 1 }));
+      listener._transactions.T1 = 1;
+      const ended = new Promise(resolve => call.once('ended', resolve));
+      call.hangup();
+      assert.strictEqual(sent[sent.length - 1].method, 'BYE');
+      await sleep(100); // transaction timers are unref'd
+      assert.deepStrictEqual(await ended, { reason: 'local-bye', timeout: true });
+    }
+    console.log('✅ BYE sent with route set, retried with digest auth\n');
+
+    // Test 4: CANCEL while ringing
+    console.log('4️⃣ Testing CANCEL...');
+    {
+      const { listener, sent } = createListener({ autoReject: false });
+      let call = null;
+      listener.on('invite', (callInfo, c) => { call = c; });
+      listener._handleData(buildInvite());
+
+      listener._handleData(buildInDialog('CANCEL', { cseq: 1 }));
+      const statusCodes = sent.map(m => m.statusCode);
+      assert.deepStrictEqual(statusCodes, [180, 200, 487]);
+      assert.strictEqual(call.state, 'ended');
+      assert.throws(() => call.answer('v=0\r\n'), /call is ended/);
+
+      // BYE for a call we no longer know about
+      listener._handleData(buildInDialog('BYE', { callId: 'unknown' }));
+      assert.strictEqual(sent[sent.length - 1].statusCode, 481);
+    }
+    console.log('✅ CANCEL answered with 200 + 487\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All SIP call dialog tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
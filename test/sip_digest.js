@@ -0,0 +1,155 @@
+/**
+ * Test Suite: SIP digest authentication
+ *
+ * This test suite validates:
+ * - Responses against the RFC 2617 and RFC 7616 (MD5, SHA-256) examples
+ * - Challenge parsing: quoted commas, qop lists, stale, several challenges
+ * - qop auth, auth-int (body hashed) and none (no nc / cnonce), MD5-sess
+ * - Nonce count per nonce
+ * - User agent: stale nonce retried, wrong credentials given up, REGISTER refresh with credentials up front
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const crypto = require('crypto');
+const {
+  BticinoDigest,
+  parseChallenge,
+  pickChallenge,
+  calculateHa1,
+  calculateResponse
+} = require('../lib/sip/BticinoDigest');
+const { BticinoSipUserAgent } = require('../lib/sip/BticinoSipUserAgent');
+const { parseSipMessage } = require('../lib/sip/BticinoSipMessage');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing SIP Digest Authentication\n');
+
+const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+
+// Parameters of an Authorization value
+function credentials(value) {
+  return parseChallenge(value).params;
+}
+
+const sentOf = (sent, method) => sent.map(raw => parseSipMessage(raw)).filter(m => m.method === method);
+
+(async () => {
+  try {
+    // Test 1: RFC examples
+    console.log('1️⃣ Testing RFC 2617 / RFC 7616 examples...');
+    const rfc2617 = { method: 'GET', uri: '/dir/index.html', nonce: 'dcd98b7102dd2f0e8b11d0f600bfb0c093', nc: '00000001', cnonce: '0a4f113b' };
+    const ha1 = calculateHa1('Mufasa', 'testrealm@host.com', 'Circle Of Life');
+    assert.strictEqual(calculateResponse({ ...rfc2617, ha1, qop: 'auth' }), '6629fae49393a05397450978507c4ef1', 'RFC 2617 §3.5');
+    assert.strictEqual(calculateResponse({ ...rfc2617, ha1 }), '670fd8c2df070c60b045671b8b24ff02', 'RFC 2069 form');
+
+    const rfc7616 = {
+      method: 'GET',
+      uri: '/dir/index.html',
+      nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+      nc: '00000001',
+      cnonce: 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ',
+      qop: 'auth'
+    };
+    for (const [algorithm, expected] of [
+      ['MD5', '8ca523f5e9506fed4657c9700eebdbec'],
+      ['SHA-256', '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1']
+    ]) {
+      const h = calculateHa1('Mufasa', 'http-auth@example.org', 'Circle of Life', { algorithm });
+      assert.strictEqual(calculateResponse({ ...rfc7616, ha1: h, algorithm }), expected, `RFC 7616 §3.9.1 ${algorithm}`);
+    }
+    assert.strictEqual(calculateHa1('Mufasa', 'realm', ''), null, 'No HA1 without a password');
+    console.log('✅ Responses match the RFC examples\n');
+
+    // Test 2: Challenges
+    console.log('2️⃣ Testing challenge parsing...');
+    const parsed = parseChallenge('Digest realm="gw, main", nonce="abc", qop="auth, auth-int", algorithm=sha-256, stale=TRUE, opaque=""');
+    assert.strictEqual(parsed.realm, 'gw, main', 'Comma inside quotes');
+    assert.deepStrictEqual(parsed.qop, ['auth', 'auth-int']);
+    assert.strictEqual(parsed.algorithm, 'SHA-256');
+    assert.strictEqual(parsed.stale, true);
+    assert.strictEqual(parsed.opaque, '', 'Empty opaque is kept');
+    assert.strictEqual(parseChallenge('Digest realm="gw", nonce="abc"').algorithm, 'MD5', 'MD5 by default');
+    assert.strictEqual(parseChallenge('Basic realm="gw"'), null);
+
+    const picked = pickChallenge(['Digest realm="gw", nonce="a", algorithm=SHA-512-256', 'Digest realm="gw", nonce="b", algorithm=MD5']);
+    assert.strictEqual(picked.nonce, 'b', 'Unsupported algorithm skipped');
+    assert.strictEqual(pickChallenge(['Digest realm="gw", algorithm=MD5']), null, 'No nonce');
+    console.log('✅ Challenges parsed\n');
+
+    // Test 3: qop variants, -sess and nonce counts
+    console.log('3️⃣ Testing qop variants, MD5-sess and nonce counts...');
+    const digest = new BticinoDigest({ username: 'alice', password: 'pw' });
+    const uri = 'sip:diy@gateway.bs.iotleg.com';
+    const ha1Alice = md5('alice:gw:pw');
+
+    const noQop = credentials(digest.authorize('MESSAGE', uri, parseChallenge('Digest realm="gw", nonce="n1"')));
+    assert.strictEqual(noQop.nc, undefined, 'No nc without qop');
+    assert.strictEqual(noQop.cnonce, undefined, 'No cnonce without qop');
+    assert.strictEqual(noQop.response, md5(`${ha1Alice}:n1:${md5(`MESSAGE:${uri}`)}`));
+
+    const body = '{"jsonrpc":"2.0","method":"openLock"}';
+    const authInt = credentials(digest.authorize('MESSAGE', uri, parseChallenge('Digest realm="gw", nonce="n2", qop="auth-int"'), body));
+    assert.strictEqual(authInt.qop, 'auth-int');
+    const ha2 = md5(`MESSAGE:${uri}:${md5(body)}`);
+    assert.strictEqual(authInt.response, md5(`${ha1Alice}:n2:${authInt.nc}:${authInt.cnonce}:auth-int:${ha2}`), 'Body hashed');
+    assert.strictEqual(credentials(digest.authorize('MESSAGE', uri, parseChallenge('Digest realm="gw", nonce="n2", qop="auth-int,auth"'))).qop, 'auth', 'auth preferred');
+
+    const sess = credentials(digest.authorize('REGISTER', 'sip:gw', parseChallenge('Digest realm="gw", nonce="n3", qop="auth", algorithm=MD5-sess')));
+    assert.strictEqual(sess.algorithm, 'MD5-sess');
+    const sessHa1 = md5(`${ha1Alice}:n3:${sess.cnonce}`);
+    assert.strictEqual(sess.response, md5(`${sessHa1}:n3:${sess.nc}:${sess.cnonce}:auth:${md5('REGISTER:sip:gw')}`));
+
+    const challenge = parseChallenge('Digest realm="gw", nonce="n4", qop="auth"');
+    const counts = [1, 2, 3].map(() => credentials(digest.authorize('MESSAGE', uri, challenge)).nc);
+    assert.deepStrictEqual(counts, ['00000001', '00000002', '00000003'], 'nc counts up per nonce');
+    assert.strictEqual(credentials(digest.authorize('MESSAGE', uri, parseChallenge('Digest realm="gw", nonce="n5", qop="auth"'))).nc, '00000001', 'New nonce starts at 1');
+    assert.strictEqual(digest.nonceCount('n4'), 3);
+    console.log('✅ qop auth / auth-int / none, MD5-sess, nonce counts\n');
+
+    // Test 4: User agent retries
+    console.log('4️⃣ Testing stale nonces and REGISTER refresh...');
+    const agent = new BticinoSipUserAgent(SIP_CONFIG, CERTS);
+    const sent = [];
+    agent.socket = fakeSocket(sent);
+
+    const command = agent.sendCommand('{"jsonrpc":"2.0"}');
+    agent._handleData(response(sentOf(sent, 'MESSAGE').pop(), 407, 'Proxy Authentication Required', { headers: 'Proxy-Authenticate: Digest realm="gw", nonce="old", qop="auth"\r\n' }));
+    agent._handleData(response(sentOf(sent, 'MESSAGE').pop(), 407, 'Proxy Authentication Required', { headers: 'Proxy-Authenticate: Digest realm="gw", nonce="new", qop="auth", stale=true\r\n' }));
+    const retried = sentOf(sent, 'MESSAGE');
+    assert.strictEqual(retried.length, 3, 'Stale nonce answered again');
+    assert.ok(retried[2].headers['proxy-authorization'].includes('nonce="new"'));
+    agent._handleData(response(retried[2], 407, 'Proxy Authentication Required', { headers: 'Proxy-Authenticate: Digest realm="gw", nonce="newer", qop="auth"\r\n' }));
+    await assert.rejects(command, err => err.code === 407, 'Wrong credentials give up');
+    assert.strictEqual(sentOf(sent, 'MESSAGE').length, 3);
+
+    await agent.register();
+    agent._handleData(response(sentOf(sent, 'REGISTER').pop(), 401, 'Unauthorized', { headers: 'WWW-Authenticate: Digest realm="gw", nonce="reg", qop="auth"\r\n' }));
+    agent._handleData(response(sentOf(sent, 'REGISTER').pop(), 200, 'OK'));
+    assert.strictEqual(agent.registered, true);
+    assert.strictEqual(agent.authChallenge.nonce, 'reg', 'Challenge kept');
+
+    await agent.register();
+    const refresh = sentOf(sent, 'REGISTER').pop();
+    assert.strictEqual(refresh.headers['cseq'], '3 REGISTER', 'Same Call-ID, next CSeq');
+    assert.strictEqual(credentials(refresh.headers['authorization']).nc, '00000002', 'Credentials up front, next nonce count');
+
+    agent._handleData(response(refresh, 401, 'Unauthorized', { headers: 'WWW-Authenticate: Digest realm="gw", nonce="reg2", qop="auth", stale=true\r\n' }));
+    const renewed = sentOf(sent, 'REGISTER').pop();
+    assert.strictEqual(renewed.headers['cseq'], '4 REGISTER', 'New nonce answered after the up-front attempt');
+    assert.ok(renewed.headers['authorization'].includes('nonce="reg2"'));
+    agent._handleData(response(renewed, 401, 'Unauthorized', { headers: 'WWW-Authenticate: Digest realm="gw", nonce="reg3", qop="auth"\r\n' }));
+    assert.strictEqual(sentOf(sent, 'REGISTER').length, 4, 'REGISTER gives up on refused credentials');
+    console.log('✅ Stale nonce retried, refused credentials not retried, REGISTER refresh pre-authenticated\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All SIP digest tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,150 @@
+/**
+ * Test Suite: SIP message framing over the TLS stream
+ *
+ * This test suite validates:
+ * - Messages split across chunks (down to one byte per chunk) reassembled
+ * - Several messages coalesced in one chunk emitted separately, in order
+ * - Content-Length honoured in bytes (UTF-8 bodies), compact `l:` form, missing header = no body
+ * - CRLF keepalives (ping / pong) between messages, a ping split across chunks, a pong ahead of a message
+ * - Invalid Content-Length resynchronized
+ * - Listener and client fed through the framer: INVITE split in chunks, MESSAGEs coalesced
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipFramer, parseContentLength } = require('../lib/sip/BticinoSipFramer');
+const { BticinoSipListener, parseSipMessage } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { SIP_CONFIG, CERTS, fakeSocket, response, request } = require('./helpers/sip');
+
+console.log('🧪 Testing SIP Framer\n');
+
+function collect(framer) {
+  const out = { messages: [], keepalives: [], malformed: [] };
+  framer.on('message', m => out.messages.push(m.toString()));
+  framer.on('keepalive', k => out.keepalives.push(k));
+  framer.on('malformed', m => out.malformed.push(m.reason));
+  return out;
+}
+
+(async () => {
+  try {
+    // Test 1: Fragmented input
+    console.log('1️⃣ Testing fragmented messages...');
+    const sdp = 'v=0\r\no=- 1 1 IN IP4 10.0.0.50\r\ns=-\r\n\r\nm=video 4000 RTP/SAVP 96\r\n';
+    const invite = request('INVITE', 'frag-1', { body: sdp, headers: 'Content-Type: application/sdp\r\n' });
+    const framer = new BticinoSipFramer();
+    const out = collect(framer);
+    for (const byte of Buffer.from(invite)) framer.push(Buffer.from([byte]));
+    assert.deepStrictEqual(out.messages, [invite], 'Byte-by-byte input reassembled (blank line in body kept)');
+    assert.strictEqual(framer.pending, 0);
+
+    // Split right after the headers, body in a later chunk
+    const split = invite.indexOf('\r\n\r\n') + 4;
+    framer.push(invite.slice(0, split));
+    assert.strictEqual(out.messages.length, 1, 'Waits for the body');
+    assert.ok(framer.pending > 0);
+    framer.push(invite.slice(split));
+    assert.strictEqual(out.messages[1], invite);
+    console.log('✅ Split messages reassembled\n');
+
+    // Test 2: Coalesced input and keepalives
+    console.log('2️⃣ Testing coalesced messages and keepalives...');
+    const utf8 = request('MESSAGE', 'utf8', { body: '{"name":"Porte d’entrée ✓"}' });
+    const bye = request('BYE', 'bye-1');
+    framer.push(Buffer.from('\r\n\r\n' + utf8 + bye + '\r\n' + invite.slice(0, 20)));
+    assert.deepStrictEqual(out.messages.slice(2), [utf8, bye], 'Content-Length counted in bytes');
+    assert.deepStrictEqual(out.keepalives, ['ping', 'pong'], 'Pong in the same chunk as the next message');
+    framer.push(invite.slice(20) + '\r\n');
+    assert.strictEqual(out.messages[4], invite);
+    assert.deepStrictEqual(out.keepalives, ['ping', 'pong'], 'Lone CRLF held: may be half a ping');
+    framer.push('\r\n');
+    assert.deepStrictEqual(out.keepalives, ['ping', 'pong', 'ping'], 'Ping split across chunks');
+    framer.push('\r');
+    framer.push('\n\r\n');
+    assert.deepStrictEqual(out.keepalives, ['ping', 'pong', 'ping', 'ping'], 'Split inside a CRLF');
+    assert.strictEqual(framer.pending, 0);
+
+    framer.expectPong = true;
+    framer.push('\r\n');
+    assert.deepStrictEqual(out.keepalives.slice(4), ['pong'], 'Awaited pong reported at once');
+    framer.expectPong = false;
+    framer.push('\r\n');
+    framer.push(bye);
+    assert.deepStrictEqual(out.keepalives.slice(4), ['pong', 'pong'], 'Held CRLF followed by a message: pong');
+    assert.strictEqual(out.messages[5], bye);
+    console.log('✅ Coalesced messages emitted in order, keepalives reported\n');
+
+    // Test 3: Content-Length forms and errors
+    console.log('3️⃣ Testing Content-Length handling...');
+    assert.strictEqual(parseContentLength('OPTIONS sip:x SIP/2.0\r\nl: 12'), 12, 'Compact form');
+    assert.strictEqual(parseContentLength('OPTIONS sip:x SIP/2.0\r\nCONTENT-LENGTH:7'), 7);
+    assert.strictEqual(parseContentLength('OPTIONS sip:x SIP/2.0\r\nVia: x'), 0, 'Missing header: no body');
+    assert.strictEqual(parseContentLength('OPTIONS sip:x SIP/2.0\r\nContent-Length: abc'), null);
+
+    const strict = new BticinoSipFramer({ maxHeaderSize: 64 });
+    const errors = collect(strict);
+    strict.push('OPTIONS sip:x SIP/2.0\r\nContent-Length: -1\r\n\r\n' + bye);
+    assert.deepStrictEqual(errors.malformed, ['Invalid Content-Length']);
+    assert.deepStrictEqual(errors.messages, [bye], 'Resynchronized on the next message');
+    strict.push('X'.repeat(100));
+    assert.deepStrictEqual(errors.malformed, ['Invalid Content-Length', 'Headers too large']);
+    assert.strictEqual(strict.pending, 0);
+    strict.push('OPTIONS sip:x SIP/2.0\r\nl: 3\r\n\r\nab');
+    strict.reset();
+    assert.strictEqual(strict.pending, 0, 'reset() drops partial data');
+    console.log('✅ Content-Length honoured, garbage dropped\n');
+
+    // Test 4: Listener and client
+    console.log('4️⃣ Testing listener / client over the framer...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false, autoReject: false });
+    const sent = [];
+    listener.socket = fakeSocket(sent);
+    const rings = [];
+    const messages = [];
+    listener.on('invite', info => rings.push(info));
+    listener.on('message', info => messages.push(info.body));
+
+    const chunks = [invite.slice(0, 7), invite.slice(7, 150), invite.slice(150)];
+    chunks.forEach(chunk => listener._framer.push(Buffer.from(chunk)));
+    assert.strictEqual(rings.length, 1, 'One INVITE from three chunks');
+    assert.strictEqual(rings[0].sdp.media[0].type, 'video', 'SDP complete');
+
+    listener._framer.push(Buffer.from(request('MESSAGE', 'm1', { body: 'one' }) + request('MESSAGE', 'm2', { body: 'two' })));
+    assert.deepStrictEqual(messages, ['one', 'two']);
+    const answered = sent.map(raw => parseSipMessage(raw)).filter(m => m.statusCode === 200);
+    assert.deepStrictEqual(answered.map(m => m.headers['call-id']), ['m1', 'm2']);
+
+    listener._framer.push(Buffer.from('\r\n\r\n'));
+    assert.strictEqual(sent[sent.length - 1], '\r\n', 'Ping answered with a pong');
+    const before = sent.length;
+    listener._framer.push(Buffer.from('\r\n'));
+    listener._framer.push(Buffer.from('\r\n'));
+    assert.deepStrictEqual(sent.slice(before), ['\r\n'], 'Split ping answered too');
+    listener.getCall('frag-1').reject(486, 'Busy Here');
+
+    const client = new BticinoSipClient(SIP_CONFIG, 'gate-1', null, null, {}, CERTS);
+    client.socket = fakeSocket((message) => {
+      if (message.method !== 'MESSAGE') return;
+      const reply = response(message, 200, 'OK');
+      // Response dribbling in over several chunks
+      setImmediate(() => {
+        client._framer.push(reply.subarray(0, 30));
+        client._framer.push(reply.subarray(30));
+      });
+    }, { parse: true });
+    const result = await client.sendGateOpenCommand();
+    assert.strictEqual(result.statusCode, 200);
+    console.log('✅ Whole messages delivered to the listener and client\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All SIP framer tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
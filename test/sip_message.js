@@ -0,0 +1,165 @@
+/**
+ * Test Suite: SIP message parser / serializer
+ *
+ * This test suite validates:
+ * - Repeated headers kept in order (headerList) and combined in `headers`
+ * - Compact header forms (v, f, t, i, m, l, ...) expanded, folded lines unfolded
+ * - getHeaders() splitting list headers (Via, Route, Record-Route, Contact) but not From / auth headers
+ * - parseNameAddr() / parseVia() / parseParams()
+ * - serializeSipMessage() round trip with a recomputed Content-Length
+ * - generateBranch() / generateCallID() / generateTag(), shared by the user agent and calls
+ * - buildSipResponse() copying every Via in order, To-tag detection on the parsed header
+ * - Client matching a compact-form response to its request
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const {
+  parseSipMessage, serializeSipMessage, getHeaders, parseNameAddr, parseVia, parseParams, formatHeaderName,
+  generateBranch, generateCallID, generateTag
+} = require('../lib/sip/BticinoSipMessage');
+const userAgent = require('../lib/sip/BticinoSipUserAgent');
+const { buildSipResponse } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { SIP_CONFIG, CERTS, fakeSocket } = require('./helpers/sip');
+
+console.log('🧪 Testing SIP Message Parser\n');
+
+const INVITE = [
+  'INVITE sip:user_123456@192.168.1.10:5060;transport=tls SIP/2.0',
+  'v: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.aaa;received=1.2.3.4',
+  'Via: SIP/2.0/TLS 10.0.0.2:5228;branch=z9hG4bK.bbb, SIP/2.0/TCP [2001:db8::1]:5060;branch=z9hG4bK.ccc;rport',
+  'Record-Route: <sip:proxy1.bs.iotleg.com;lr>',
+  'Record-Route: <sip:proxy2.bs.iotleg.com;lr>,',
+  ' <sip:proxy3.bs.iotleg.com;lr>',
+  'f: "Door, \\"main\\"" <sip:door@gateway.bs.iotleg.com>;tag=remote1',
+  't: "tag=none" <sip:user_123456@gateway.bs.iotleg.com>',
+  'i: call-abc',
+  'CSeq: 1 INVITE',
+  'm: <sip:door@10.0.0.50:5060;transport=tls>;expires=60',
+  'Subject: Doorbell',
+  '\tring',
+  'WWW-Authenticate: Digest realm="gw", nonce="a,b", qop="auth"',
+  'c: application/sdp',
+  'l: 13',
+  '',
+  'v=0\r\ns=ring\r\n'
+].join('\r\n');
+
+(async () => {
+  try {
+    // Test 1: Parsing
+    console.log('1️⃣ Testing parseSipMessage()...');
+    const message = parseSipMessage(Buffer.from(INVITE));
+    assert.strictEqual(message.type, 'request');
+    assert.strictEqual(message.method, 'INVITE');
+    assert.strictEqual(message.uri, 'sip:user_123456@192.168.1.10:5060;transport=tls');
+    assert.strictEqual(message.headers['call-id'], 'call-abc', 'Compact i:');
+    assert.strictEqual(message.headers['content-type'], 'application/sdp');
+    assert.strictEqual(message.headers['content-length'], '13');
+    assert.ok(message.headers['from'].includes('tag=remote1'), 'Compact f:');
+    assert.strictEqual(message.headers['subject'], 'Doorbell ring', 'Folded line');
+    assert.strictEqual(message.headers['via'].split('branch=').length - 1, 3, 'Vias combined');
+    assert.deepStrictEqual(message.headerList.slice(0, 2).map(h => h.name), ['Via', 'Via']);
+    assert.strictEqual(message.headerList.find(h => h.name === 'Call-ID').value, 'call-abc');
+    assert.strictEqual(message.body, 'v=0\r\ns=ring\r\n');
+
+    const response = parseSipMessage('SIP/2.0 200\r\ni: x\r\n\r\n');
+    assert.deepStrictEqual([response.type, response.statusCode, response.statusText], ['response', 200, ''], 'Empty reason phrase');
+    assert.strictEqual(parseSipMessage('garbage').type, 'unknown');
+    console.log('✅ Compact forms, folding and repeated headers\n');
+
+    // Test 2: Values
+    console.log('2️⃣ Testing getHeaders() and value parsers...');
+    const vias = getHeaders(message, 'via');
+    assert.strictEqual(vias.length, 3);
+    assert.deepStrictEqual(vias.map(v => parseVia(v).params.branch), ['z9hG4bK.aaa', 'z9hG4bK.bbb', 'z9hG4bK.ccc']);
+    assert.deepStrictEqual(getHeaders(message, 'v'), vias, 'Compact name accepted');
+    assert.deepStrictEqual(getHeaders(message, 'Record-Route'), [
+      '<sip:proxy1.bs.iotleg.com;lr>', '<sip:proxy2.bs.iotleg.com;lr>', '<sip:proxy3.bs.iotleg.com;lr>'
+    ]);
+    assert.strictEqual(getHeaders(message, 'From').length, 1, 'Comma in display name kept');
+    assert.strictEqual(getHeaders(message, 'www-authenticate').length, 1, 'Auth header not split');
+    assert.deepStrictEqual(getHeaders(message, 'Route'), []);
+    assert.deepStrictEqual(getHeaders({ headers: { via: 'SIP/2.0/TLS a;branch=1, SIP/2.0/TLS b;branch=2' } }, 'Via').length, 2, 'Plain headers object');
+
+    const via = parseVia(vias[2]);
+    assert.deepStrictEqual(via, { protocol: 'SIP/2.0', transport: 'TCP', host: '2001:db8::1', port: 5060, params: { branch: 'z9hG4bK.ccc', rport: null } });
+    assert.deepStrictEqual(parseVia(vias[0]).params, { branch: 'z9hG4bK.aaa', received: '1.2.3.4' });
+    assert.strictEqual(parseVia('nonsense'), null);
+
+    const from = parseNameAddr(message.headers['from']);
+    assert.deepStrictEqual(from, { displayName: 'Door, "main"', uri: 'sip:door@gateway.bs.iotleg.com', params: { tag: 'remote1' } });
+    const contact = parseNameAddr(getHeaders(message, 'Contact')[0]);
+    assert.strictEqual(contact.uri, 'sip:door@10.0.0.50:5060;transport=tls', 'URI params stay in the URI');
+    assert.deepStrictEqual(contact.params, { expires: '60' });
+    assert.deepStrictEqual(parseNameAddr('sip:door@host;tag=7'), { displayName: null, uri: 'sip:door@host', params: { tag: '7' } });
+    assert.deepStrictEqual(parseParams(';lr;Transport=TLS;x="a;b"'), { lr: null, transport: 'TLS', x: 'a;b' });
+    assert.strictEqual(formatHeaderName('i'), 'Call-ID');
+    assert.strictEqual(formatHeaderName('record-route'), 'Record-Route');
+    console.log('✅ Individual values, name-addr and Via parsed\n');
+
+    // Test 3: Serializer
+    console.log('3️⃣ Testing serializeSipMessage()...');
+    const text = serializeSipMessage(message);
+    assert.ok(text.startsWith('INVITE sip:user_123456@192.168.1.10:5060;transport=tls SIP/2.0\r\n'));
+    assert.ok(text.includes('\r\nCall-ID: call-abc\r\n'), 'Long names written');
+    assert.ok(text.endsWith('Content-Length: 13\r\n\r\nv=0\r\ns=ring\r\n'));
+    const again = parseSipMessage(text);
+    assert.deepStrictEqual(again.headers, message.headers, 'Round trip');
+    assert.strictEqual(again.body, message.body);
+
+    const built = serializeSipMessage({
+      statusCode: 200, statusText: 'OK',
+      headers: { Via: ['SIP/2.0/TLS a;branch=1', 'SIP/2.0/TLS b;branch=2'], 'Content-Length': 99 },
+      body: 'é'
+    });
+    assert.strictEqual(built, 'SIP/2.0 200 OK\r\nVia: SIP/2.0/TLS a;branch=1\r\nVia: SIP/2.0/TLS b;branch=2\r\nContent-Length: 2\r\n\r\né');
+
+    assert.ok(/^z9hG4bK\.[0-9a-f]{16}$/.test(generateBranch()), 'Branch with the magic cookie');
+    assert.ok(/^[0-9a-f]{16}$/.test(generateCallID()) && /^[0-9a-f]{16}$/.test(generateTag()));
+    assert.notStrictEqual(generateTag(), generateTag());
+    assert.strictEqual(userAgent.generateBranch, generateBranch, 'One implementation, re-exported by the user agent');
+    console.log('✅ Messages written back with a correct Content-Length\n');
+
+    // Test 4: buildSipResponse()
+    console.log('4️⃣ Testing buildSipResponse()...');
+    const ringing = parseSipMessage(buildSipResponse(180, 'Ringing', message, { tag: 'local1', recordRoute: true }));
+    assert.deepStrictEqual(getHeaders(ringing, 'Via'), vias, 'Every Via copied, in order');
+    assert.strictEqual(ringing.headerList.filter(h => h.name === 'Via').length, 3, 'One line per Via');
+    assert.strictEqual(getHeaders(ringing, 'Record-Route').length, 3);
+    assert.strictEqual(parseNameAddr(ringing.headers['to']).params.tag, 'local1', 'Tag added despite "tag=" in the display name');
+    assert.strictEqual(ringing.headers['call-id'], 'call-abc');
+    assert.strictEqual(ringing.headers['cseq'], '1 INVITE');
+
+    const ok = parseSipMessage(buildSipResponse(200, 'OK', ringing, { tag: 'other', body: 'x', contentType: 'text/plain' }));
+    assert.strictEqual(parseNameAddr(ok.headers['to']).params.tag, 'local1', 'Existing tag kept');
+    assert.strictEqual(ok.headers['record-route'], undefined);
+    assert.strictEqual(ok.headers['content-type'], 'text/plain');
+    assert.strictEqual(ok.body, 'x');
+    console.log('✅ Responses copy every Via\n');
+
+    // Test 5: Client responses in compact form
+    console.log('5️⃣ Testing client responses in compact form...');
+    const client = new BticinoSipClient(SIP_CONFIG, 'gate-1', null, null, {}, CERTS);
+    client.socket = fakeSocket((sent) => {
+      if (sent.method !== 'MESSAGE') return;
+      let reply = `SIP/2.0 200 OK\r\nv: ${sent.headers['via']}\r\nf: ${sent.headers['from']}\r\n`;
+      reply += `t: ${sent.headers['to']};tag=gw\r\ni: ${sent.headers['call-id']}\r\nCSeq: ${sent.headers['cseq']}\r\nl: 0\r\n\r\n`;
+      setImmediate(() => client._framer.push(Buffer.from(reply)));
+    }, { parse: true });
+    const result = await client.sendGateOpenCommand();
+    assert.strictEqual(result.statusCode, 200, 'Matched on the compact Call-ID');
+    console.log('✅ Compact responses matched to their request\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All SIP message tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,138 @@
+/**
+ * Test Suite: SIP outbound flow keepalive (RFC 5626)
+ *
+ * This test suite validates:
+ * - `+sip.instance` (stable per account) and `reg-id` in the REGISTER Contact
+ * - ping() resolved by the pong, rejected when it does not come
+ * - Outbound confirmed by the registrar (Require: outbound) and its Flow-Timer
+ * - Listener pings while registered; a missing pong replaces the connection at once
+ * - Pong in the same chunk as a SIP request keeps the flow
+ * - No failover when the registrar never answers pings (no outbound)
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipUserAgent, buildRegisterMessage, generateInstanceId } = require('../lib/sip/BticinoSipUserAgent');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { parseSipMessage } = require('../lib/sip/BticinoSipMessage');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing SIP Outbound Flow Keepalive\n');
+
+const PING = '\r\n\r\n';
+
+// Listener on a fake connection: closes reach the role hook, reconnects are recorded instead of dialled
+function fakeListener(opts) {
+  const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { autoReject: false, ...opts });
+  const sent = [];
+  const reconnects = [];
+  listener.socket = fakeSocket(sent);
+  listener.socket.on('close', () => listener._onSocketClose());
+  listener._scheduleReconnect = delay => reconnects.push(delay);
+  return { listener, sent, reconnects };
+}
+
+const lastRegister = sent => sent.filter(raw => raw.startsWith('REGISTER')).map(raw => parseSipMessage(raw)).pop();
+const pings = sent => sent.filter(raw => raw === PING).length;
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  try {
+    // Test 1: Contact of the flow
+    console.log('1️⃣ Testing +sip.instance and reg-id...');
+    const agent = new BticinoSipUserAgent(SIP_CONFIG, CERTS);
+    assert.match(agent.instanceId, /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.strictEqual(new BticinoSipUserAgent(SIP_CONFIG, CERTS).instanceId, agent.instanceId, 'Same account, same instance');
+    assert.strictEqual(agent.instanceId, generateInstanceId('user_123456@gateway.bs.iotleg.com'));
+    assert.notStrictEqual(new BticinoSipUserAgent({ ...SIP_CONFIG, username: 'other' }, CERTS).instanceId, agent.instanceId);
+    const custom = 'urn:uuid:00000000-0000-1000-8000-000a95a0e128';
+    assert.strictEqual(new BticinoSipUserAgent({ ...SIP_CONFIG, instanceId: custom }, CERTS).instanceId, custom);
+
+    const sent = [];
+    agent.socket = fakeSocket(sent);
+    await agent.register();
+    const contact = lastRegister(sent).headers['contact'];
+    assert.ok(contact.includes(`;+sip.instance="<${agent.instanceId}>"`), contact);
+    assert.ok(contact.includes(';reg-id=1'));
+    assert.ok(buildRegisterMessage(SIP_CONFIG).includes(';expires=600\r\n'), 'Plain Contact without an instance');
+    console.log('✅ Contact identifies the flow\n');
+
+    // Test 2: ping() and pong
+    console.log('2️⃣ Testing ping() / pong...');
+    const pong = agent.ping(1000);
+    assert.strictEqual(sent.pop(), PING);
+    agent._framer.push(Buffer.from('\r\n'));
+    assert.ok(await pong >= 0, 'Resolved with the round trip');
+    await assert.rejects(agent.ping(20), err => err.code === 'ETIMEDOUT');
+
+    agent._handleData(response(lastRegister(sent), 200, 'OK', { headers: 'Require: outbound\r\nFlow-Timer: 95\r\n' }));
+    assert.strictEqual(agent.outbound, true);
+    assert.strictEqual(agent.flowTimer, 95);
+    await agent.register();
+    agent._handleData(response(lastRegister(sent), 200, 'OK'));
+    assert.deepStrictEqual([agent.outbound, agent.flowTimer], [false, null], 'Registrar without outbound');
+
+    const aborted = agent.ping(1000);
+    agent._rejectRequests('Connection closed');
+    await assert.rejects(aborted, err => err.code === 'ECONNABORTED');
+    await assert.rejects(new BticinoSipUserAgent(SIP_CONFIG, CERTS).ping(), /Not connected/);
+    console.log('✅ Pong resolves, timeout rejects, outbound from the 200 OK\n');
+
+    // Test 3: Dead flow detected
+    console.log('3️⃣ Testing pong timeout failover...');
+    const { listener, sent: wire, reconnects } = fakeListener({ keepAliveInterval: 50, pongTimeout: 30 });
+    await listener.register();
+    listener._handleData(response(lastRegister(wire), 200, 'OK', { headers: 'Require: outbound\r\n' }));
+    assert.ok(listener._pingTimeout, 'Ping scheduled once registered');
+    await delay(55);
+    assert.strictEqual(pings(wire), 1, 'Ping within the keepalive interval');
+    listener._framer.push(Buffer.from('\r\n'));
+    await delay(10);
+    assert.strictEqual(listener.socket.destroyed, false, 'Pong keeps the connection');
+
+    // Pong coalesced with the gateway's next request
+    const messages = [];
+    listener.on('message', info => messages.push(info.body));
+    listener._cancelPing();
+    const cycle = listener._sendPing();
+    let notify = 'MESSAGE sip:user_123456@127.0.0.1:5060;transport=tls SIP/2.0\r\nVia: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.n1\r\n';
+    notify += 'From: <sip:gw@gateway.bs.iotleg.com>;tag=g1\r\nTo: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+    notify += 'Call-ID: notify-1\r\nCSeq: 1 MESSAGE\r\nContent-Length: 2\r\n\r\n{}';
+    listener._framer.push(Buffer.from('\r\n' + notify));
+    await cycle;
+    assert.deepStrictEqual(messages, ['{}'], 'Request delivered');
+    assert.strictEqual(listener.socket.destroyed, false, 'Pong ahead of a request keeps the connection');
+    assert.ok(listener._pingTimeout, 'Next ping scheduled');
+
+    await delay(140);
+    assert.strictEqual(pings(wire), 3);
+    assert.strictEqual(listener.socket.destroyed, true, 'No pong: connection dropped');
+    assert.deepStrictEqual(reconnects, [0], 'Reconnect without delay');
+    assert.strictEqual(listener._pingTimeout, null);
+    console.log('✅ Missing pong replaces the connection at once\n');
+
+    // Test 4: Registrar without outbound
+    console.log('4️⃣ Testing a registrar without outbound...');
+    const plain = fakeListener({ keepAliveInterval: 20, pongTimeout: 20 });
+    await plain.listener.register();
+    plain.listener._handleData(response(lastRegister(plain.sent), 200, 'OK'));
+    await delay(100);
+    assert.ok(pings(plain.sent) >= 2, 'Pings go on');
+    assert.strictEqual(plain.listener.socket.destroyed, false, 'Unanswered pings are not a failure');
+    const closed = plain.listener.disconnect();
+    plain.listener._handleData(response(lastRegister(plain.sent), 200, 'OK'));
+    await closed;
+    assert.strictEqual(plain.listener._pingTimeout, null, 'Pings stop on disconnect');
+    console.log('✅ Pings keep the binding, no failover without outbound\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All SIP outbound tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,178 @@
+/**
+ * Test Suite: REGISTER lifecycle
+ *
+ * This test suite validates:
+ * - One Call-ID for every REGISTER, CSeq counting up (refreshes, challenges)
+ * - Expiry granted by the server (our Contact, Expires header) and registrationExpiresAt
+ * - 423 Interval Too Brief retried with Min-Expires, the retry challenged and answered again
+ * - 'registrationFailed' on 403 / 404
+ * - Listener refresh at a fraction of the granted expiry
+ * - Unregister (expires=0) on disconnect()
+ * - Idle socket: keepalive REGISTER, connection dropped when it is refused or unanswered
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const config = require('../lib/config/config');
+const { BticinoSipUserAgent } = require('../lib/sip/BticinoSipUserAgent');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { parseSipMessage } = require('../lib/sip/BticinoSipMessage');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing REGISTER Lifecycle\n');
+
+const CONTACT = '<sip:user_123456@127.0.0.1:5060;transport=tls>';
+
+const registers = sent => sent.map(raw => parseSipMessage(raw)).filter(m => m.method === 'REGISTER');
+const expiresOf = register => register.headers['contact'].match(/;expires=(\d+)/)[1];
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  try {
+    // Test 1: Call-ID, CSeq and granted expiry
+    console.log('1️⃣ Testing Call-ID reuse and granted expiry...');
+    const agent = new BticinoSipUserAgent(SIP_CONFIG, CERTS);
+    const sent = [];
+    agent.socket = fakeSocket(sent);
+    const granted = [];
+    agent.on('registered', info => granted.push(info));
+
+    await agent.register();
+    agent._handleData(response(registers(sent).pop(), 401, 'Unauthorized', { headers: 'WWW-Authenticate: Digest realm="gw", nonce="n", qop="auth"\r\n' }));
+    const before = Date.now();
+    agent._handleData(response(registers(sent).pop(), 200, 'OK', {
+      headers: `Contact: <sip:user_123456@10.0.0.9:5060;transport=tls>;expires=3600\r\nContact: ${CONTACT};expires=300\r\n`
+    }));
+    assert.strictEqual(granted[0].expires, 300, 'Our Contact, not another binding');
+    assert.ok(agent.registrationExpiresAt >= before + 300000 && agent.registrationExpiresAt <= Date.now() + 300000);
+    assert.strictEqual(granted[0].expiresAt, agent.registrationExpiresAt);
+
+    await agent.register();
+    agent._handleData(response(registers(sent).pop(), 200, 'OK', { headers: 'Expires: 120\r\n' }));
+    assert.strictEqual(granted[1].expires, 120, 'Expires header when the Contact has none');
+
+    const all = registers(sent);
+    assert.strictEqual(new Set(all.map(r => r.headers['call-id'])).size, 1, 'One Call-ID');
+    assert.deepStrictEqual(all.map(r => r.headers['cseq']), ['1 REGISTER', '2 REGISTER', '3 REGISTER']);
+    assert.strictEqual(expiresOf(all[0]), String(config.SIP_REGISTER_EXPIRES));
+    console.log('✅ Same Call-ID, increasing CSeq, expiry from the 200 OK\n');
+
+    // Test 2: 423 and errors
+    console.log('2️⃣ Testing 423 Interval Too Brief and 403 / 404...');
+    await agent.register();
+    agent._handleData(response(registers(sent).pop(), 423, 'Interval Too Brief', { headers: 'Min-Expires: 1800\r\n' }));
+    const retry = registers(sent).pop();
+    assert.strictEqual(retry.headers['cseq'], '5 REGISTER');
+    assert.strictEqual(expiresOf(retry), '1800', 'Retried with Min-Expires');
+    agent._handleData(response(retry, 200, 'OK'));
+    assert.strictEqual(granted[2].expires, 1800, 'Requested expiry when the server says nothing');
+    await agent.register();
+    assert.strictEqual(expiresOf(registers(sent).pop()), '1800', 'Refreshes keep the minimum');
+
+    // 401 -> 423 -> 401 -> 200: the Min-Expires retry gets its own digest attempt
+    const challenged = new BticinoSipUserAgent(SIP_CONFIG, CERTS);
+    const wire423 = [];
+    challenged.socket = fakeSocket(wire423);
+    await challenged.register();
+    challenged._handleData(response(registers(wire423).pop(), 401, 'Unauthorized', { headers: 'WWW-Authenticate: Digest realm="gw", nonce="a", qop="auth"\r\n' }));
+    challenged._handleData(response(registers(wire423).pop(), 423, 'Interval Too Brief', { headers: 'Min-Expires: 1800\r\n' }));
+    challenged._handleData(response(registers(wire423).pop(), 401, 'Unauthorized', { headers: 'WWW-Authenticate: Digest realm="gw", nonce="b", qop="auth"\r\n' }));
+    const answered = registers(wire423).pop();
+    assert.strictEqual(answered.headers['cseq'], '4 REGISTER', 'Challenge after the 423 answered');
+    assert.ok(answered.headers['authorization'].includes('nonce="b"'));
+    assert.strictEqual(expiresOf(answered), '1800');
+    challenged._handleData(response(answered, 200, 'OK'));
+    assert.strictEqual(challenged.registered, true);
+
+    const failures = [];
+    agent.on('registrationFailed', info => failures.push(info));
+    agent._handleData(response(registers(sent).pop(), 403, 'Forbidden'));
+    assert.deepStrictEqual(failures, [{ statusCode: 403, statusText: 'Forbidden' }]);
+    assert.strictEqual(agent.registered, false);
+    assert.strictEqual(agent.registrationExpiresAt, null);
+
+    await agent.register();
+    agent._handleData(response(registers(sent).pop(), 404, 'Not Found'));
+    assert.strictEqual(failures[1].statusCode, 404);
+    assert.strictEqual(registers(sent).length, 7, 'Not retried');
+    console.log('✅ Min-Expires retried, 403 / 404 reported\n');
+
+    // Test 3: Listener refresh
+    console.log('3️⃣ Testing refresh at a fraction of the granted expiry...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { autoReconnect: false, registerRefresh: 0.05 });
+    const wire = [];
+    listener.socket = fakeSocket(wire);
+    await listener.register();
+    listener._handleData(response(registers(wire).pop(), 200, 'OK', { headers: `Contact: ${CONTACT};expires=1\r\n` }));
+    assert.ok(listener._refreshTimeout, 'Refresh scheduled');
+    await delay(30);
+    assert.strictEqual(registers(wire).length, 1, 'Not before 5% of 1s');
+    await delay(60);
+    const refresh = registers(wire);
+    assert.strictEqual(refresh.length, 2, 'Refreshed after 5% of 1s');
+    assert.strictEqual(refresh[1].headers['call-id'], refresh[0].headers['call-id']);
+    assert.strictEqual(refresh[1].headers['cseq'], '2 REGISTER');
+    console.log('✅ Refreshed on the same Call-ID\n');
+
+    // Test 4: Unregister on disconnect
+    console.log('4️⃣ Testing unregister on disconnect()...');
+    listener._handleData(response(refresh[1], 200, 'OK', { headers: `Contact: ${CONTACT};expires=600\r\n` }));
+    let unregistered = 0;
+    listener.on('unregistered', () => unregistered++);
+    const closed = listener.disconnect();
+    assert.strictEqual(listener._refreshTimeout, null, 'Refresh cancelled');
+    const unregister = registers(wire).pop();
+    assert.strictEqual(expiresOf(unregister), '0');
+    assert.strictEqual(unregister.headers['cseq'], '3 REGISTER');
+    listener._handleData(response(unregister, 200, 'OK'));
+    await closed;
+    assert.strictEqual(unregistered, 1);
+    assert.strictEqual(listener.registered, false);
+    assert.strictEqual(listener.registrationExpiresAt, null);
+    console.log('✅ Binding removed before closing\n');
+
+    // Test 5: Idle timeout
+    console.log('5️⃣ Testing the keepalive REGISTER on an idle socket...');
+    const idleListener = (reply) => {
+      const idle = new BticinoSipListener(SIP_CONFIG, CERTS, { autoReconnect: false, keepAlive: false });
+      const idleWire = [];
+      idle.socket = fakeSocket(idleWire);
+      idle.registered = true;
+      idle._transactions.T1 = 2;
+      idle._handleIdleTimeout();
+      if (reply) idle._handleData(response(registers(idleWire).pop(), ...reply));
+      return { idle, idleWire };
+    };
+
+    const kept = idleListener([200, 'OK', { headers: `Contact: ${CONTACT};expires=600\r\n` }]);
+    assert.strictEqual(registers(kept.idleWire).length, 1, 'Keepalive REGISTER sent');
+    await delay(200);
+    assert.strictEqual(kept.idle.socket.destroyed, false, 'Connection kept once registered');
+    kept.idle._cancelRefresh();
+
+    const refused = idleListener([403, 'Forbidden']);
+    await delay(10);
+    assert.strictEqual(refused.idle.socket.destroyed, true, 'Dropped when refused');
+
+    const unanswered = idleListener(null);
+    assert.strictEqual(unanswered.idle.socket.destroyed, false, 'Waits for Timer F');
+    await delay(200);
+    assert.strictEqual(unanswered.idle.socket.destroyed, true, 'Dropped when unanswered');
+
+    const unregisteredIdle = new BticinoSipListener(SIP_CONFIG, CERTS, { autoReconnect: false, keepAlive: false });
+    unregisteredIdle.socket = fakeSocket([]);
+    unregisteredIdle._handleIdleTimeout();
+    assert.strictEqual(unregisteredIdle.socket.destroyed, true, 'Not registered: dropped at once');
+    console.log('✅ Connection replaced when the keepalive REGISTER fails\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All REGISTER lifecycle tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
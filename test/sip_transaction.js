@@ -0,0 +1,155 @@
+/**
+ * Test Suite: SIP transaction layer
+ *
+ * This test suite validates:
+ * - Client transactions matched on the top Via branch and CSeq (INVITE and CANCEL apart), strays ignored
+ * - Timer F (non-INVITE without final response), Timer B (INVITE without any response, stopped by a 1xx)
+ * - Server transactions: retransmitted INVITE answered again, ACK of an error response absorbed, Timer H
+ * - Listener: one 'invite' event for a retransmitted INVITE, concurrent MESSAGEs, REGISTER matched by transaction
+ * - Client: overlapping commands settled by their own response, Timer F rejecting a command
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const { BticinoSipTransactionLayer, TRANSACTION_STATES } = require('../lib/sip/BticinoSipTransaction');
+const { BticinoSipListener, parseSipMessage, buildMessageRequest, buildRegisterMessage } = require('../lib/sip/BticinoSipListener');
+const { BticinoSipClient } = require('../lib/sip/BticinoSipClient');
+const { BticinoSipTimeoutError } = require('../lib/sip/BticinoSipErrors');
+const { SIP_CONFIG, CERTS, fakeSocket, response } = require('./helpers/sip');
+
+console.log('🧪 Testing SIP Transactions\n');
+
+function invite(method = 'INVITE', branch = 'z9hG4bK.ring') {
+  let msg = `${method} sip:user_123456@192.168.1.10:5060;transport=tls SIP/2.0\r\n`;
+  msg += `Via: SIP/2.0/TLS 10.0.0.1:5228;branch=${branch}\r\n`;
+  msg += 'From: "Door" <sip:door@gateway.bs.iotleg.com>;tag=remote1\r\n';
+  msg += `To: <sip:user_123456@gateway.bs.iotleg.com>${method === 'ACK' ? ';tag=local' : ''}\r\n`;
+  msg += `Call-ID: ring-1\r\nCSeq: 1 ${method}\r\nContent-Length: 0\r\n\r\n`;
+  return Buffer.from(msg);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  try {
+    // Test 1: Client transactions
+    console.log('1️⃣ Testing client transaction matching and timers...');
+    const wire = [];
+    const layer = new BticinoSipTransactionLayer(raw => wire.push(raw), { T1: 2 });
+    const got = [];
+    const message = (cseq, branch) => buildMessageRequest(SIP_CONFIG, { callId: 'same-call', cseq, branch, body: 'x' });
+    const first = layer.sendRequest(message(1, 'z9hG4bK.one'), { onResponse: m => got.push(['one', m.statusCode]) });
+    const second = layer.sendRequest(message(2, 'z9hG4bK.two'), { onResponse: m => got.push(['two', m.statusCode]) });
+    assert.strictEqual(wire.length, 2);
+    assert.strictEqual(layer.size, 2, 'Concurrent transactions');
+
+    assert.strictEqual(layer.receiveResponse(parseSipMessage(response(second.request, 100, 'Trying'))), true);
+    assert.strictEqual(second.state, TRANSACTION_STATES.PROCEEDING);
+    assert.strictEqual(layer.receiveResponse(parseSipMessage(response(second.request, 200, 'OK'))), true);
+    assert.strictEqual(layer.receiveResponse(parseSipMessage(response(first.request, 200, 'OK', { via: 'SIP/2.0/TLS 127.0.0.1:5060;branch=z9hG4bK.other' }))), false, 'Foreign branch');
+    assert.strictEqual(layer.receiveResponse(parseSipMessage(response(first.request, 202, 'Accepted'))), true);
+    assert.strictEqual(layer.receiveResponse(parseSipMessage(response(first.request, 200, 'OK'))), false, 'Retransmitted final response not delivered twice');
+    assert.deepStrictEqual(got, [['two', 100], ['two', 200], ['one', 202]]);
+    assert.strictEqual(layer.size, 0);
+
+    // Timer F: no final response in 64*T1, even after a provisional
+    const timeouts = [];
+    const silent = layer.sendRequest(message(3, 'z9hG4bK.three'), { onTimeout: t => timeouts.push(t.method) });
+    layer.receiveResponse(parseSipMessage(response(silent.request, 100, 'Trying')));
+    // Timer B: INVITE with no response at all; a provisional stops it
+    const sdpInvite = (branch) => buildMessageRequest(SIP_CONFIG, { branch, body: 'v=0' }).replace(/MESSAGE/g, 'INVITE');
+    layer.sendRequest(sdpInvite('z9hG4bK.b1'), { onTimeout: t => timeouts.push(t.method) });
+    const ringing = layer.sendRequest(sdpInvite('z9hG4bK.b2'), { onTimeout: t => timeouts.push('ringing') });
+    const cancel = layer.sendRequest(sdpInvite('z9hG4bK.b2').replace(/INVITE/g, 'CANCEL'));
+    assert.notStrictEqual(cancel.key, ringing.key, 'CANCEL has its own transaction');
+    layer.receiveResponse(parseSipMessage(response(ringing.request, 180, 'Ringing')));
+    await sleep(200);
+    assert.deepStrictEqual(timeouts.sort(), ['INVITE', 'MESSAGE']);
+    assert.strictEqual(ringing.state, TRANSACTION_STATES.PROCEEDING, 'Ringing INVITE left to CANCEL');
+    layer.clear();
+    assert.strictEqual(layer.size, 0);
+    console.log('✅ Responses matched on branch + CSeq, timers B / F\n');
+
+    // Test 2: Server transactions
+    console.log('2️⃣ Testing server transactions...');
+    const sent = [];
+    const server = new BticinoSipTransactionLayer(raw => sent.push(parseSipMessage(raw)), { T1: 2 });
+    const ring = parseSipMessage(invite());
+    assert.strictEqual(server.receiveRequest(ring), false, 'New request for the application');
+    assert.strictEqual(server.receiveRequest(ring), true, 'Retransmission absorbed');
+    assert.strictEqual(sent.length, 0, 'Nothing to repeat yet');
+    server.sendResponse(ring, 486, 'SIP/2.0 486 Busy Here\r\nContent-Length: 0\r\n\r\n');
+    assert.strictEqual(server.receiveRequest(ring), true);
+    assert.deepStrictEqual(sent.map(m => m.statusCode), [486, 486], 'Final response repeated');
+    assert.strictEqual(server.receiveRequest(parseSipMessage(invite('ACK'))), true, 'ACK of the error absorbed');
+    assert.strictEqual(server.size, 0);
+
+    // Timer H: the ACK never comes
+    assert.strictEqual(server.receiveRequest(ring), false);
+    server.sendResponse(ring, 603, 'SIP/2.0 603 Decline\r\nContent-Length: 0\r\n\r\n');
+    await sleep(200);
+    assert.strictEqual(server.size, 0, 'Forgotten after 64*T1');
+    console.log('✅ Retransmissions answered, ACK absorbed, Timer H\n');
+
+    // Test 3: Listener
+    console.log('3️⃣ Testing listener over transactions...');
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false, autoReject: false });
+    const out = [];
+    listener.socket = fakeSocket(out, { parse: true });
+    const rings = [];
+    listener.on('invite', (info, call) => rings.push(call));
+    listener._handleData(invite());
+    listener._handleData(invite());
+    assert.strictEqual(rings.length, 1, 'One invite event');
+    assert.deepStrictEqual(out.map(m => m.statusCode), [180, 180], 'Ringing repeated');
+    rings[0].reject(486, 'Busy Here');
+    listener._handleData(invite());
+    listener._handleData(invite('ACK'));
+    assert.strictEqual(rings.length, 1, 'No new call after the rejection');
+    assert.deepStrictEqual(out.map(m => m.statusCode), [180, 180, 486, 486]);
+
+    const a = listener.sendMessage('a');
+    const b = listener.sendMessage('b');
+    const [reqA, reqB] = out.slice(4);
+    listener._handleData(response(reqB, 200, 'OK', { body: 'for b' }));
+    listener._handleData(response(reqA, 200, 'OK', { body: 'for a' }));
+    assert.deepStrictEqual((await Promise.all([a, b])).map(r => r.body), ['for a', 'for b']);
+
+    let registered = 0;
+    listener.on('registered', () => registered++);
+    const stray = parseSipMessage(buildRegisterMessage(SIP_CONFIG));
+    listener._handleData(response(stray, 200, 'OK'));
+    assert.strictEqual(registered, 0, 'REGISTER response without its transaction ignored');
+    await listener.register();
+    listener._handleData(response(out[out.length - 1], 200, 'OK'));
+    assert.strictEqual(registered, 1);
+    console.log('✅ Single ring event, concurrent requests, REGISTER by transaction\n');
+
+    // Test 4: Client
+    console.log('4️⃣ Testing client over transactions...');
+    const client = new BticinoSipClient(SIP_CONFIG, 'gate-1', null, null, { timeoutMs: 5000 }, CERTS);
+    const requests = [];
+    client.socket = fakeSocket(requests, { parse: true });
+    const one = client.sendCommand('one');
+    const two = client.sendCommand('two');
+    assert.strictEqual(client._requests.size, 2, 'Both commands in flight');
+    client._handleData(response(requests[1], 200, 'OK', { body: 'two done' }));
+    client._handleData(response(requests[0], 200, 'OK', { body: 'one done' }));
+    assert.deepStrictEqual((await Promise.all([one, two])).map(r => r.body), ['one done', 'two done']);
+
+    client._transactions.T1 = 2;
+    await assert.rejects(client.sendCommand('lost'), (err) => err instanceof BticinoSipTimeoutError && /Timer F/.test(err.message));
+    assert.strictEqual(client._requests.size, 0);
+    console.log('✅ Overlapping commands, Timer F\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All SIP transaction tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
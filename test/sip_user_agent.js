@@ -0,0 +1,133 @@
+/**
+ * Test Suite: Shared SIP user agent
+ *
+ * This test suite validates:
+ * - One implementation of the SIP helpers, re-exported by the listener and client modules
+ * - Same REGISTER expiry whichever role builds it; each role keeps its own User-Agent
+ * - Listener and client as roles on BticinoSipUserAgent (own defaults, shared connection logic)
+ * - One listener connection registering, receiving a ring and sending a gate command at once
+ * - Core behaviour without a role: INVITE refused, MESSAGE answered and fed to JSON-RPC, CRLF pong,
+ *   client REGISTER with digest retry
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const config = require('../lib/config/config');
+const ua = require('../lib/sip/BticinoSipUserAgent');
+const listenerModule = require('../lib/sip/BticinoSipListener');
+const clientModule = require('../lib/sip/BticinoSipClient');
+const { BticinoSipUserAgent, buildRegisterMessage } = ua;
+const { BticinoSipListener, parseSipMessage } = listenerModule;
+const { BticinoSipClient } = clientModule;
+const { SIP_CONFIG, CERTS, fakeSocket, response, request } = require('./helpers/sip');
+
+console.log('🧪 Testing SIP User Agent\n');
+
+const CHALLENGE = 'Digest realm="gateway.bs.iotleg.com", nonce="n0nce", qop="auth"';
+
+const last = (sent, method) => sent.map(raw => parseSipMessage(raw)).filter(m => m.method === method).pop();
+
+(async () => {
+  try {
+    // Test 1: One set of helpers
+    console.log('1️⃣ Testing shared helpers...');
+    for (const name of ['getLocalIP', 'generateBranch', 'generateCallID', 'generateTag', 'calculateHa1', 'buildGateOpenPayload', 'buildSipMessage', 'buildRegisterMessage']) {
+      assert.strictEqual(clientModule[name], ua[name], `Client ${name}`);
+    }
+    assert.strictEqual(clientModule.calculateDigestResponseWithHa1, ua.calculateDigestResponse);
+    for (const name of ['buildSipResponse', 'buildRegisterMessage', 'buildMessageRequest']) {
+      assert.strictEqual(listenerModule[name], ua[name], `Listener ${name}`);
+    }
+
+    const register = parseSipMessage(buildRegisterMessage(SIP_CONFIG));
+    assert.ok(register.headers['contact'].endsWith(`;expires=${config.SIP_REGISTER_EXPIRES}`), 'Expires from config');
+    assert.strictEqual(register.headers['user-agent'], 'BticinoSipListener/1.0', 'Listener helper default');
+    assert.strictEqual(parseSipMessage(ua.buildSipMessage(SIP_CONFIG)).headers['user-agent'], 'bticino-client/1.0', 'Client helper default');
+    console.log('✅ Helpers defined once, same REGISTER defaults\n');
+
+    // Test 2: Roles
+    console.log('2️⃣ Testing listener and client roles...');
+    const client = new BticinoSipClient(SIP_CONFIG, 'gate-1', null, null, {}, CERTS);
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false, autoReject: false });
+    assert.ok(client instanceof BticinoSipUserAgent && listener instanceof BticinoSipUserAgent);
+    assert.strictEqual(client.opts.timeoutMs, 20000, 'Client command timeout');
+    assert.strictEqual(listener.opts.keepAlive, false);
+    assert.deepStrictEqual(client.certs, listener.certs, 'Same certificate handling');
+    assert.strictEqual(client.sipConfig.port, config.SIP_PORT, 'Client gets the config defaults too');
+    assert.strictEqual(client.sipConfig.userAgent, 'bticino-client/1.0', 'Client User-Agent');
+    assert.strictEqual(listener.sipConfig.userAgent, 'BticinoSipListener/1.0', 'Listener User-Agent');
+    assert.strictEqual(new BticinoSipClient({ ...SIP_CONFIG, userAgent: 'HA/1.0' }).sipConfig.userAgent, 'HA/1.0');
+    await assert.rejects(new BticinoSipUserAgent(SIP_CONFIG).connect(), /certificate\/key not provided/);
+    console.log('✅ Both roles built on the user agent\n');
+
+    // Test 3: Rings and commands on one connection
+    console.log('3️⃣ Testing one connection for rings and commands...');
+    const sent = [];
+    listener.socket = fakeSocket(sent);
+    let registered = 0;
+    listener.on('registered', () => registered++);
+    await listener.register();
+    listener._handleData(response(last(sent, 'REGISTER'), 401, 'Unauthorized', { headers: `WWW-Authenticate: ${CHALLENGE}\r\n` }));
+    const authRegister = last(sent, 'REGISTER');
+    assert.strictEqual(authRegister.headers['cseq'], '2 REGISTER');
+    assert.ok(authRegister.headers['authorization'].includes('uri="sip:gateway.bs.iotleg.com"'), 'Authorization for a 401');
+    assert.strictEqual(authRegister.headers['proxy-authorization'], undefined);
+    listener._handleData(response(authRegister, 200, 'OK'));
+    assert.strictEqual(registered, 1);
+
+    const opened = listener.sendGateOpenCommand('gate-1');
+    const rings = [];
+    listener.on('invite', (info, call) => rings.push(call));
+    listener._handleData(Buffer.from(request('INVITE', 'ring-1')));
+    assert.strictEqual(rings.length, 1, 'Ring while the command is in flight');
+
+    const command = last(sent, 'MESSAGE');
+    assert.ok(command.body.includes('gate-1'));
+    listener._handleData(response(command, 407, 'Proxy Authentication Required', { headers: `Proxy-Authenticate: ${CHALLENGE}\r\n` }));
+    listener._handleData(response(last(sent, 'MESSAGE'), 200, 'OK'));
+    const result = await opened;
+    assert.deepStrictEqual([result.statusCode, result.authRequired], [200, true]);
+    rings[0].reject(486, 'Busy Here');
+    assert.strictEqual(listener._calls.size, 0);
+    console.log('✅ Registered, rang and opened the gate on one connection\n');
+
+    // Test 4: The core without a role
+    console.log('4️⃣ Testing the bare user agent and client registration...');
+    const bare = new BticinoSipUserAgent(SIP_CONFIG, CERTS);
+    const wire = [];
+    bare.socket = fakeSocket(wire);
+    bare._handleData(Buffer.from(request('INVITE', 'ring-2')));
+    assert.strictEqual(parseSipMessage(wire.pop()).statusCode, 486, 'Nobody to ring');
+
+    const notifications = [];
+    bare.on('notification', n => notifications.push(n.method));
+    bare._handleData(Buffer.from(request('MESSAGE', 'rpc-1', { body: '{"jsonrpc":"2.0","method":"lock.statusChanged","params":{}}' })));
+    assert.strictEqual(parseSipMessage(wire.pop()).statusCode, 200);
+    assert.deepStrictEqual(notifications, ['lock.statusChanged']);
+
+    bare._framer.push(Buffer.from('\r\n\r\n'));
+    assert.strictEqual(wire.pop(), '\r\n', 'Ping answered with a pong');
+
+    const clientWire = [];
+    client.socket = fakeSocket(clientWire);
+    const clientRegistered = new Promise(resolve => client.once('registered', resolve));
+    await client.register();
+    client._handleData(response(last(clientWire, 'REGISTER'), 407, 'Proxy Authentication Required', { headers: `Proxy-Authenticate: ${CHALLENGE}\r\n` }));
+    assert.ok(last(clientWire, 'REGISTER').headers['proxy-authorization'], 'Proxy-Authorization for a 407');
+    assert.strictEqual(last(clientWire, 'REGISTER').headers['user-agent'], 'bticino-client/1.0', 'Role User-Agent on the wire');
+    client._handleData(response(last(clientWire, 'REGISTER'), 200, 'OK'));
+    await clientRegistered;
+    assert.strictEqual(client.registered, true);
+    console.log('✅ Default request handling, client registers with digest\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All SIP user agent tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,135 @@
+/**
+ * Test Suite: Snapshot-on-ring
+ *
+ * This test suite validates:
+ * - Early media: 183 Session Progress with a recvonly video answer
+ * - The first decodable H.264 keyframe is emitted as a 'snapshot' event
+ * - Auto-reject waits for the snapshot, then the call ends with 486
+ * - Timeout handling ('snapshotError')
+ *
+ * A local socket plays the door station, streaming SRTP to the advertised port.
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoSrtpContext, parseSdp } = require('../index');
+const { buildRtpPacket } = require('../lib/media/BticinoRtp');
+const { SIP_CONFIG, CERTS, fakeSocket } = require('./helpers/sip');
+
+console.log('🧪 Testing Snapshot-on-ring\n');
+
+const VIDEO_KEY = 'QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVo1Njc4';
+const SPS = Buffer.from([0x67, 0x42, 0x80, 0x1f, 0xda, 0x01]);
+const PPS = Buffer.from([0x68, 0xce, 0x06, 0xe2]);
+const IDR = Buffer.from([0x65, 0x88, 0x84, 0x00, 0x33]);
+const P_SLICE = Buffer.from([0x41, 0x9a, 0x02, 0x03]);
+
+function createListener(opts) {
+  const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false, snapshotOnRing: true, ...opts });
+  const sent = [];
+  listener.socket = fakeSocket(sent, { parse: true });
+  return { listener, sent };
+}
+
+function buildInvite(callId, port) {
+  const sdp = [
+    'v=0', 'o=- 1 1 IN IP4 127.0.0.1', 's=Talk', 'c=IN IP4 127.0.0.1', 't=0 0',
+    `m=audio ${port} RTP/SAVP 8`, 'a=rtpmap:8 PCMA/8000',
+    `a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${VIDEO_KEY}`,
+    `m=video ${port + 2} RTP/SAVP 96`, 'a=rtpmap:96 H264/90000',
+    `a=crypto:1 AES_CM_128_HMAC_SHA1_80 inline:${VIDEO_KEY}`,
+    ''
+  ].join('\r\n');
+  let msg = 'INVITE sip:user_123456@127.0.0.1:5060;transport=tls SIP/2.0\r\n';
+  msg += 'Via: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.snap\r\n';
+  msg += 'From: <sip:door@gateway.bs.iotleg.com>;tag=door1\r\n';
+  msg += 'To: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+  msg += `Call-ID: ${callId}\r\n`;
+  msg += 'CSeq: 1 INVITE\r\n';
+  msg += 'Contact: <sip:door@127.0.0.1:5060>\r\n';
+  msg += 'Content-Type: application/sdp\r\n';
+  msg += `Content-Length: ${Buffer.byteLength(sdp)}\r\n\r\n${sdp}`;
+  return Buffer.from(msg);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+(async () => {
+  const doorStation = dgram.createSocket('udp4');
+  try {
+    await new Promise(resolve => doorStation.bind(0, '127.0.0.1', resolve));
+    const doorPort = doorStation.address().port;
+
+    // Test 1: Keyframe captured from early media
+    console.log('1️⃣ Testing snapshot capture...');
+    const { listener, sent } = createListener({ autoRejectDelay: 10, snapshotTimeout: 2000 });
+    const snapshotPromise = once(listener, 'snapshot');
+    listener._handleData(buildInvite('snap-1', doorPort));
+
+    // Wait for the 183 with our media port
+    let progress;
+    for (let i = 0; i < 50 && !progress; i++) {
+      await sleep(10);
+      progress = sent.find(m => m.statusCode === 183);
+    }
+    assert.ok(progress, '183 Session Progress should be sent');
+    assert.strictEqual(progress.headers['content-type'], 'application/sdp');
+    const answer = parseSdp(progress.body);
+    const [audio, video] = answer.media;
+    assert.strictEqual(audio.port, 0, 'Audio is not needed for a snapshot');
+    assert.strictEqual(video.direction, 'recvonly');
+
+    // Auto-reject (10ms) must wait for the snapshot
+    await sleep(30);
+    assert.ok(!sent.some(m => m.statusCode === 486), 'Call must keep ringing while the snapshot is pending');
+
+    const srtp = new BticinoSrtpContext(VIDEO_KEY);
+    let seq = 1;
+    const send = (payload, timestamp, marker) => new Promise(resolve => {
+      const rtp = buildRtpPacket({ payloadType: 96, sequenceNumber: seq++, timestamp, ssrc: 42, payload, marker });
+      doorStation.send(srtp.encryptRtp(rtp), video.port, '127.0.0.1', resolve);
+    });
+    await send(P_SLICE, 1000, true); // not a keyframe
+    await send(SPS, 4000, false);
+    await send(PPS, 4000, false);
+    await send(IDR, 4000, true);
+
+    const snapshot = await snapshotPromise;
+    assert.strictEqual(snapshot.callId, 'snap-1');
+    assert.deepStrictEqual(snapshot.keyframe, Buffer.concat([
+      Buffer.from([0, 0, 0, 1]), SPS, Buffer.from([0, 0, 0, 1]), PPS, Buffer.from([0, 0, 0, 1]), IDR
+    ]));
+
+    await sleep(20);
+    assert.ok(sent.some(m => m.statusCode === 486), 'Call rejected after the snapshot');
+    assert.strictEqual(listener.getCall('snap-1'), undefined);
+    console.log('✅ Keyframe emitted, call not held open\n');
+
+    // Test 2: Timeout
+    console.log('2️⃣ Testing snapshot timeout...');
+    const second = createListener({ autoReject: false, snapshotTimeout: 50 });
+    const errorPromise = once(second.listener, 'snapshotError');
+    second.listener._handleData(buildInvite('snap-2', doorPort));
+    const { callId, error } = await errorPromise;
+    assert.strictEqual(callId, 'snap-2');
+    assert.strictEqual(error.code, 'ETIMEDOUT');
+    assert.strictEqual(second.listener.getCall('snap-2').state, 'ringing', 'Call keeps ringing');
+    second.listener.getCall('snap-2').reject();
+    console.log('✅ snapshotError emitted on timeout\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All snapshot tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  } finally {
+    doorStation.close();
+  }
+})();
@@ -0,0 +1,168 @@
+/**
+ * Test Suite: Two-way Audio
+ *
+ * This test suite validates:
+ * - BticinoAudioSender pacing (one packet per ptime) and RTP header handling
+ *   (constant SSRC, +1 sequence, +160 timestamp, marker on talkspurt start)
+ * - Timestamp jump and marker after an input gap
+ * - call.answerWithMedia(): 200 OK with a sendrecv audio answer, then PCM written
+ *   to media.audioOut arrives at the door station as SRTP under the answer key
+ * - An offer without a usable SRTP key rejected with 488
+ *
+ * Run with: npm test
+ */
+
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { BticinoSipListener } = require('../lib/sip/BticinoSipListener');
+const { BticinoAudioSender } = require('../lib/media/BticinoAudioSender');
+const { parseRtpPacket } = require('../lib/media/BticinoRtp');
+const { decodeAlaw } = require('../lib/media/BticinoG711');
+const { BticinoSrtpContext, parseSdp } = require('../index');
+const { SIP_CONFIG, CERTS, fakeSocket } = require('./helpers/sip');
+
+console.log('🧪 Testing Two-way Audio\n');
+
+const DOOR_KEY = 'd0RmdmcmVCspeEc3QGZiNWpVLFJhQX1cfHAwJSoj';
+
+function tone(samples) {
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) pcm.writeInt16LE(Math.round(6000 * Math.sin(i / 4)), i * 2);
+  return pcm;
+}
+
+function buildInvite(port, callId = 'talk-1', keyParams = `inline:${DOOR_KEY}`) {
+  const sdp = [
+    'v=0', 'o=- 1 1 IN IP4 127.0.0.1', 's=Talk', 'c=IN IP4 127.0.0.1', 't=0 0',
+    `m=audio ${port} RTP/SAVP 8 101`, 'a=rtpmap:8 PCMA/8000', 'a=rtpmap:101 telephone-event/8000',
+    `a=crypto:1 AES_CM_128_HMAC_SHA1_80 ${keyParams}`, 'a=sendrecv',
+    ''
+  ].join('\r\n');
+  let msg = 'INVITE sip:user_123456@127.0.0.1:5060;transport=tls SIP/2.0\r\n';
+  msg += 'Via: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.talk\r\n';
+  msg += 'From: <sip:door@gateway.bs.iotleg.com>;tag=door1\r\n';
+  msg += 'To: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+  msg += `Call-ID: ${callId}\r\n`;
+  msg += 'CSeq: 1 INVITE\r\n';
+  msg += 'Contact: <sip:door@127.0.0.1:5060>\r\n';
+  msg += 'Content-Type: application/sdp\r\n';
+  msg += `Content-Length: ${Buffer.byteLength(sdp)}\r\n\r\n${sdp}`;
+  return Buffer.from(msg);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+(async () => {
+  const doorStation = dgram.createSocket('udp4');
+  try {
+    // Test 1: Pacing and RTP header fields
+    console.log('1️⃣ Testing packetization and pacing...');
+    const packets = [];
+    const sender = new BticinoAudioSender((packet) => packets.push({ at: Date.now(), rtp: parseRtpPacket(packet) }), {
+      codec: 'PCMA',
+      payloadType: 8
+    });
+    const started = Date.now();
+    sender.write(tone(800)); // 100 ms
+    await sleep(160);
+
+    assert.strictEqual(packets.length, 5, 'One packet per 20 ms frame');
+    const first = packets[0].rtp;
+    assert.strictEqual(first.payloadType, 8);
+    assert.strictEqual(first.payload.length, 160);
+    assert.ok(first.marker, 'Marker on the first packet');
+    packets.slice(1).forEach(({ rtp }, i) => {
+      assert.strictEqual(rtp.ssrc, first.ssrc);
+      assert.strictEqual(rtp.sequenceNumber, (first.sequenceNumber + i + 1) & 0xffff);
+      assert.strictEqual(rtp.timestamp, (first.timestamp + (i + 1) * 160) >>> 0);
+      assert.ok(!rtp.marker);
+    });
+    assert.ok(packets[4].at - started >= 70, 'Packets are paced, not sent in a burst');
+
+    // Gap: timestamp skips the silence, marker starts the new talkspurt
+    await sleep(100);
+    sender.write(tone(160));
+    await sleep(40);
+    const resumed = packets[5].rtp;
+    assert.ok(resumed.marker, 'Marker after a gap');
+    assert.strictEqual(resumed.sequenceNumber, (first.sequenceNumber + 5) & 0xffff, 'No sequence gap');
+    const jump = (resumed.timestamp - packets[4].rtp.timestamp) >>> 0;
+    assert.ok(jump > 160 && jump % 160 === 0, `Timestamp should skip the silent interval (jump ${jump})`);
+    sender.destroy();
+    console.log('✅ 20 ms pacing, sequence/timestamp/SSRC correct\n');
+
+    // Test 2: Answer with media and talk back
+    console.log('2️⃣ Testing answerWithMedia + audioOut...');
+    await new Promise(resolve => doorStation.bind(0, '127.0.0.1', resolve));
+    const listener = new BticinoSipListener(SIP_CONFIG, CERTS, { keepAlive: false, autoReconnect: false, autoReject: false });
+    const sent = [];
+    listener.socket = fakeSocket(sent, { parse: true });
+
+    let call = null;
+    listener.on('invite', (callInfo, c) => { call = c; });
+    listener._handleData(buildInvite(doorStation.address().port));
+
+    const answering = call.answerWithMedia({ address: '127.0.0.1' });
+    let ok;
+    for (let i = 0; i < 50 && !ok; i++) {
+      await sleep(10);
+      ok = sent.find(m => m.statusCode === 200);
+    }
+    assert.ok(ok, '200 OK sent');
+    const answer = parseSdp(ok.body);
+    assert.strictEqual(answer.media[0].direction, 'sendrecv');
+    const localKey = answer.media[0].crypto[0].key;
+
+    let ack = 'ACK sip:user_123456@127.0.0.1:5060 SIP/2.0\r\nVia: SIP/2.0/TLS 10.0.0.1:5228;branch=z9hG4bK.ack\r\n';
+    ack += 'From: <sip:door@gateway.bs.iotleg.com>;tag=door1\r\nTo: <sip:user_123456@gateway.bs.iotleg.com>\r\n';
+    ack += 'Call-ID: talk-1\r\nCSeq: 1 ACK\r\nContent-Length: 0\r\n\r\n';
+    listener._handleData(Buffer.from(ack));
+    const media = await answering;
+    assert.strictEqual(call.state, 'confirmed');
+    assert.ok(media.audioOut, 'audioOut available for sendrecv audio');
+
+    const received = [];
+    const doorSrtp = new BticinoSrtpContext(localKey);
+    doorStation.on('message', (msg) => received.push(parseRtpPacket(doorSrtp.decryptRtp(msg))));
+
+    const pcm = tone(320);
+    media.audioOut.end(pcm);
+    for (let i = 0; i < 50 && received.length < 2; i++) await sleep(10);
+
+    assert.strictEqual(received.length, 2, 'Two 20 ms frames received');
+    assert.strictEqual(received[0].payloadType, 8);
+    const decoded = decodeAlaw(received[0].payload);
+    assert.ok(Math.abs(decoded.readInt16LE(20) - pcm.readInt16LE(20)) < 256, 'Audio survives G.711 + SRTP');
+
+    const hungUp = call.hangup();
+    const bye = sent[sent.length - 1];
+    assert.strictEqual(bye.method, 'BYE');
+    listener._handleData(Buffer.from(
+      `SIP/2.0 200 OK\r\nVia: ${bye.headers['via']}\r\nFrom: ${bye.headers['from']}\r\nTo: ${bye.headers['to']}\r\n` +
+      `Call-ID: talk-1\r\nCSeq: ${bye.headers['cseq']}\r\nContent-Length: 0\r\n\r\n`
+    ));
+    await hungUp;
+    assert.strictEqual(call.state, 'ended');
+    assert.ok(media.audioOut.destroyed, 'Media stopped with the call');
+    console.log('✅ PCM sent to the door station as SRTP\n');
+
+    // Test 3: Unusable SRTP key
+    console.log('3️⃣ Testing an offer without a usable key...');
+    listener._handleData(buildInvite(doorStation.address().port, 'talk-2', 'KEY-NOT-INLINE'));
+    await assert.rejects(call.answerWithMedia({ address: '127.0.0.1' }), err => err.code === 'ENEGOTIATION');
+    assert.strictEqual(sent[sent.length - 1].statusCode, 488, 'Rejected as Not Acceptable Here');
+    assert.strictEqual(call.state, 'ended');
+    console.log('✅ Negotiation failure answered with 488\n');
+
+    console.log('='.repeat(60));
+    console.log('✅ All two-way audio tests passed!');
+    console.log('='.repeat(60));
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    console.error(err.stack);
+    process.exitCode = 1;
+  } finally {
+    doorStation.close();
+  }
+})();